@@ -10,6 +10,9 @@ const app = express();
 const authRoutes = require('./src/routes/auth');
 const usageRoutes = require('./src/routes/usage');
 const stripeRoutes = require('./src/routes/stripe');
+const { shareRoutes, shortLinkRoutes } = require('./src/routes/share');
+const oembedRoutes = require('./src/routes/oembed');
+const savedRoutesRoutes = require('./src/routes/savedRoutes');
 
 // Middleware
 app.use(cors({
@@ -34,6 +37,12 @@ app.use(express.json());
 app.use('/api/auth', authRoutes);
 app.use('/api/usage', usageRoutes);
 app.use('/api/stripe', stripeRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/oembed', oembedRoutes);
+app.use('/api/routes', savedRoutesRoutes);
+
+// Short links for shared trips (outside /api so the URLs stay short)
+app.use('/s', shortLinkRoutes);
 
 // Serve static files from frontend build (production)
 if (NODE_ENV === 'production') {
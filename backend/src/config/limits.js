@@ -18,10 +18,23 @@ const LIMITS = {
   }
 };
 
+// Short links anonymous users can create per day, counted apart from
+// routes (signed-in users aren't limited)
+const SHARE_LIMITS = {
+  development: {
+    anonymous: 999999       // Unlimited for testing
+  },
+  production: {
+    anonymous: 20           // 20 short links/day for anonymous users
+  }
+};
+
 const ENV = process.env.NODE_ENV || 'development';
 
 module.exports = {
-  DAILY_LIMITS: LIMITS[ENV],
+  // Other environments (e.g. test) get the development limits
+  DAILY_LIMITS: LIMITS[ENV] || LIMITS.development,
+  DAILY_SHARE_LIMITS: SHARE_LIMITS[ENV] || SHARE_LIMITS.development,
   MAX_SAVED_ROUTES: {
     free: 10,              // Max 10 saved routes for free tier
     pro: 999999            // Unlimited saved routes for Pro
@@ -0,0 +1,87 @@
+/**
+ * Usage middleware
+ *
+ * Added with short links so the usage and share routes can share it;
+ * optionalAuth used to live in routes/usage.js.
+ *
+ * - optionalAuth: reads the JWT if there is one, anonymous otherwise
+ * - limitAnonymousUsage: counts an anonymous request against one of the
+ *   daily limits in usage_tracking (429 once it's used up)
+ */
+
+const { supabase } = require('../config/supabaseClient');
+const { verifyToken, extractToken } = require('../utils/auth');
+const { incrementDailyUsage } = require('../utils/usageTracking');
+
+/**
+ * Middleware to optionally extract user from JWT
+ * Does NOT require authentication - allows anonymous users
+ */
+function optionalAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token = extractToken(authHeader);
+
+  if (token) {
+    try {
+      const decoded = verifyToken(token);
+      req.user = decoded;
+    } catch (error) {
+      // Invalid token - treat as anonymous
+      req.user = null;
+    }
+  } else {
+    req.user = null;
+  }
+
+  next();
+}
+
+/**
+ * Middleware factory to rate-limit anonymous users
+ * Signed-in users pass straight through. Anonymous requests need an
+ * `anonymousId` in the body and use up one of today's uses.
+ * Use after optionalAuth.
+ * @param {string} counter - usage_tracking column to count in
+ * @param {object} dailyLimits - Daily limits by tier (only `anonymous` is used)
+ * @returns {Function} Express middleware
+ */
+function limitAnonymousUsage(counter, dailyLimits) {
+  return async (req, res, next) => {
+    if (req.user?.sub || !supabase) {
+      return next();
+    }
+
+    const { anonymousId } = req.body || {};
+    if (!anonymousId) {
+      return res.status(400).json({ error: 'User ID or anonymous ID required' });
+    }
+
+    try {
+      const dailyLimit = dailyLimits.anonymous;
+      const usage = await incrementDailyUsage({ anonymousId }, counter, dailyLimit);
+
+      if (usage.limitReached) {
+        return res.status(429).json({
+          error: 'Daily limit reached',
+          currentCount: usage.count,
+          dailyLimit,
+          tier: 'anonymous'
+        });
+      }
+      if (usage.error) {
+        console.error('Usage limit error:', usage.error);
+        return res.status(500).json({ error: 'Failed to track usage' });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Usage limit error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  optionalAuth,
+  limitAnonymousUsage
+};
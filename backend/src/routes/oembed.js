@@ -0,0 +1,124 @@
+/**
+ * oEmbed for shared trips (https://oembed.com)
+ *
+ * Lets a CMS turn a pasted trip link - a share link (/?trip=), short link
+ * (/s/:slug) or embed link (/embed) - into the embed player's <iframe>.
+ */
+
+const express = require('express');
+const { FRONTEND_URL } = require('../config/env');
+
+const router = express.Router();
+
+const DEFAULT_WIDTH = 640;
+const DEFAULT_HEIGHT = 400;
+// Same slugs and encoded trips the share routes accept
+const SHORT_LINK_PATH = /^\/(?:s|embed)\/([0-9A-Za-z]{4,16})\/?$/;
+const TRIP_PATTERN = /^[0-9A-Za-z._-]+$/;
+// Playback options carried over from the link to the player
+const PLAYER_PARAMS = ['autoplay', 'loop', 'start'];
+
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Embed player URL for a link to a trip
+ * @param {string} link - Share, short or embed link
+ * @returns {string|null} The /embed URL, or null if it isn't a LenaMaps trip link
+ */
+function getEmbedURL(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return null;
+  }
+
+  const app = new URL(FRONTEND_URL);
+  if (url.host !== app.host) {
+    return null;
+  }
+
+  const embedURL = new URL('/embed', app.origin);
+  const slug = url.pathname.match(SHORT_LINK_PATH)?.[1];
+  const trip = url.searchParams.get('trip');
+
+  if (slug) {
+    embedURL.pathname = `/embed/${slug}`;
+  } else if (trip && TRIP_PATTERN.test(trip) && ['/', '/embed', '/embed/'].includes(url.pathname)) {
+    embedURL.searchParams.set('trip', trip);
+  } else {
+    return null;
+  }
+
+  PLAYER_PARAMS.forEach(param => {
+    if (url.searchParams.has(param)) {
+      embedURL.searchParams.set(param, url.searchParams.get(param));
+    }
+  });
+
+  return embedURL.toString();
+}
+
+// Scale the default size down to fit the consumer's maxwidth/maxheight,
+// keeping its aspect ratio
+function getPlayerSize(maxWidth, maxHeight) {
+  const scaleFor = (size, max) => {
+    const value = parseInt(max, 10);
+    return Number.isFinite(value) && value > 0 ? Math.min(1, value / size) : 1;
+  };
+  const scale = Math.min(scaleFor(DEFAULT_WIDTH, maxWidth), scaleFor(DEFAULT_HEIGHT, maxHeight));
+
+  return {
+    width: Math.floor(DEFAULT_WIDTH * scale),
+    height: Math.floor(DEFAULT_HEIGHT * scale)
+  };
+}
+
+/**
+ * GET /api/oembed
+ * oEmbed response for a trip link
+ *
+ * Query:
+ * - url: Share link, short link or embed link
+ * - maxwidth, maxheight: Optional size limits (default 640 x 400)
+ * - format: Optional, only json is supported
+ *
+ * Returns:
+ * - oEmbed "rich" response with the player <iframe>
+ * - 404 for links that aren't LenaMaps trips, 501 for other formats
+ */
+router.get('/', (req, res) => {
+  const { url, maxwidth, maxheight, format } = req.query;
+
+  if (format && format !== 'json') {
+    return res.status(501).json({ error: 'Only the json format is supported' });
+  }
+  if (typeof url !== 'string' || !url) {
+    return res.status(400).json({ error: 'url is required' });
+  }
+
+  const embedURL = getEmbedURL(url);
+  if (!embedURL) {
+    return res.status(404).json({ error: 'Not a LenaMaps trip link' });
+  }
+
+  const { width, height } = getPlayerSize(maxwidth, maxheight);
+
+  res.json({
+    version: '1.0',
+    type: 'rich',
+    provider_name: 'LenaMaps',
+    provider_url: new URL(FRONTEND_URL).origin,
+    title: 'LenaMaps trip',
+    width,
+    height,
+    html: `<iframe src="${escapeAttribute(embedURL)}" width="${width}" height="${height}" ` +
+      'style="border:0" loading="lazy" allowfullscreen title="LenaMaps trip"></iframe>'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,526 @@
+/**
+ * Saved routes for signed-in users
+ *
+ * Handles:
+ * - Listing, saving, updating and deleting a user's routes (saved_routes)
+ * - Importing routes from a browser's localStorage on first sign-in
+ * - Folders and tags for organizing them
+ *
+ * Routes hold coordinates, so they expire after at most 30 days (Google ToS).
+ * The number of routes a user can keep depends on their tier (MAX_SAVED_ROUTES).
+ */
+
+const express = require('express');
+const { supabase } = require('../config/supabaseClient');
+const { MAX_SAVED_ROUTES } = require('../config/limits');
+const { verifyToken, extractToken } = require('../utils/auth');
+
+const router = express.Router();
+
+const MAX_RETENTION_DAYS = 30;
+const MAX_NAME_LENGTH = 200;
+const MAX_LOCATIONS = 100;
+const MAX_BATCH_ROUTES = 100;
+const MAX_FOLDER_LENGTH = 50;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Route fields as the frontend names them -> saved_routes columns
+const ROUTE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  locations: 'locations',
+  modes: 'modes',
+  customDrawEnabled: 'custom_draw_enabled',
+  customPoints: 'custom_points',
+  snapToRoads: 'snap_to_roads',
+  lockedSegments: 'locked_segments',
+  customPaths: 'custom_paths',
+  routeChoices: 'route_choices',
+  legOptions: 'leg_options',
+  effects: 'effects',
+  cameraKeyframes: 'camera_keyframes',
+  folder: 'folder',
+  tags: 'tags'
+};
+
+// What unset fields read back as (per-leg lists default to [])
+const FIELD_DEFAULTS = {
+  effects: {},
+  folder: null
+};
+
+/**
+ * Middleware to require authentication
+ */
+function requireAuth(req, res, next) {
+  const token = extractToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+// Saved routes need the database
+function requireDatabase(req, res, next) {
+  if (!supabase) {
+    return res.status(503).json({ error: 'Saved routes are not available' });
+  }
+  next();
+}
+
+const retentionLimit = () => new Date(Date.now() + MAX_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Check a route from a request body
+ * @param {object} route - Route fields (see ROUTE_COLUMNS)
+ * @param {boolean} partial - Only check the fields that are there (updates)
+ * @returns {string|null} What's wrong with it, or null if it's fine
+ */
+function validateRoute(route, partial = false) {
+  if (!route || typeof route !== 'object') {
+    return 'A route is required';
+  }
+  if (!partial || route.name !== undefined) {
+    if (typeof route.name !== 'string' || !route.name.trim() || route.name.length > MAX_NAME_LENGTH) {
+      return `name must be 1-${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (!partial || route.locations !== undefined) {
+    const { locations } = route;
+    if (!Array.isArray(locations) || locations.length === 0 || locations.length > MAX_LOCATIONS) {
+      return `locations must have 1-${MAX_LOCATIONS} stops`;
+    }
+    if (!locations.every(location => Number.isFinite(location?.lat) && Number.isFinite(location?.lng))) {
+      return 'Every location needs a lat and lng';
+    }
+  }
+  if (!partial || route.modes !== undefined) {
+    if (!Array.isArray(route.modes) || !route.modes.every(mode => typeof mode === 'string')) {
+      return 'modes must be a list of travel modes';
+    }
+  }
+  if (route.folder != null) {
+    if (typeof route.folder !== 'string' || route.folder.length > MAX_FOLDER_LENGTH) {
+      return `folder must be at most ${MAX_FOLDER_LENGTH} characters`;
+    }
+  }
+  if (route.tags !== undefined) {
+    const { tags } = route;
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS ||
+        !tags.every(tag => typeof tag === 'string' && tag.trim() && tag.length <= MAX_TAG_LENGTH)) {
+      return `tags must be a list of up to ${MAX_TAGS} tags of 1-${MAX_TAG_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+// saved_routes columns for the route fields in a request body
+function toRow(route) {
+  const row = {};
+  Object.entries(ROUTE_COLUMNS).forEach(([field, column]) => {
+    if (route[field] !== undefined) {
+      row[column] = field === 'name' ? route.name.trim() : route[field];
+    }
+  });
+  // An empty folder name means unfiled
+  if (row.folder !== undefined) {
+    row.folder = row.folder?.trim() || null;
+  }
+  if (row.tags) {
+    row.tags = [...new Set(row.tags.map(tag => tag.trim()))];
+  }
+  return row;
+}
+
+// A saved_routes row in the shape the frontend keeps routes in
+function fromRow(row) {
+  const route = { id: row.id };
+  Object.entries(ROUTE_COLUMNS).forEach(([field, column]) => {
+    // Unset fields read back empty, like localStorage routes
+    route[field] = row[column] ?? (field in FIELD_DEFAULTS ? FIELD_DEFAULTS[field] : []);
+  });
+  return {
+    ...route,
+    description: row.description || '',
+    savedAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// Same stops and modes - the same trip, whatever it's called
+function isSameTrip(a, b) {
+  const stops = route => JSON.stringify((route.locations || []).map(({ lat, lng }) => [lat, lng]));
+  return stops(a) === stops(b) && JSON.stringify(a.modes) === JSON.stringify(b.modes);
+}
+
+// "Name (2)", "Name (3)", ... - the first that isn't taken
+function getUniqueName(name, takenNames) {
+  let copy = 2;
+  while (takenNames.has(`${name} (${copy})`)) {
+    copy++;
+  }
+  return `${name} (${copy})`;
+}
+
+/**
+ * How many routes a user can keep
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} MAX_SAVED_ROUTES for their tier
+ */
+async function getRouteLimit(userId) {
+  const { data: profile } = await supabase
+    .from('user_profiles')
+    .select('subscription_tier')
+    .eq('id', userId)
+    .single();
+
+  return MAX_SAVED_ROUTES[profile?.subscription_tier] || MAX_SAVED_ROUTES.free;
+}
+
+/**
+ * A user's routes that haven't expired
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} saved_routes rows, newest first
+ */
+async function getActiveRoutes(userId) {
+  const { data, error } = await supabase
+    .from('saved_routes')
+    .select('*')
+    .eq('user_id', userId)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * GET /api/routes
+ * List the user's saved routes (newest first, expired ones left out)
+ *
+ * Returns:
+ * - routes, limit (how many the user's tier can keep)
+ */
+router.get('/', requireDatabase, requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const [rows, limit] = await Promise.all([getActiveRoutes(userId), getRouteLimit(userId)]);
+
+    res.json({ routes: rows.map(fromRow), limit });
+  } catch (error) {
+    console.error('List routes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/routes
+ * Save a route (kept for 30 days)
+ *
+ * Body:
+ * - name, locations, modes: Required
+ * - description, customDrawEnabled, customPoints, snapToRoads, lockedSegments,
+ *   customPaths, routeChoices, legOptions, effects, cameraKeyframes, folder, tags: Optional
+ *
+ * Returns:
+ * - route
+ * - 403 once the user has as many routes as their tier allows
+ */
+router.post('/', requireDatabase, requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const invalid = validateRoute(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const [{ count }, limit] = await Promise.all([
+      supabase
+        .from('saved_routes')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .gt('expires_at', new Date().toISOString()),
+      getRouteLimit(userId)
+    ]);
+
+    if ((count || 0) >= limit) {
+      return res.status(403).json({
+        error: 'Saved route limit reached',
+        limit
+      });
+    }
+
+    const { data: row, error } = await supabase
+      .from('saved_routes')
+      .insert({
+        ...toRow(req.body),
+        user_id: userId,
+        expires_at: retentionLimit().toISOString()
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Save route error:', error);
+      return res.status(500).json({ error: 'Failed to save route' });
+    }
+
+    res.status(201).json({ route: fromRow(row) });
+  } catch (error) {
+    console.error('Save route error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/routes/import
+ * Move routes over from localStorage (first sign-in)
+ *
+ * Body:
+ * - routes: Routes as stored in localStorage (with their local id, savedAt, expiresAt)
+ *
+ * Each route is imported unless:
+ * - it was imported before (same local id) or the same trip is already saved
+ *   under that name -> skipped, it's already here
+ * - it has expired, or isn't a valid route
+ * - the user has as many routes as their tier allows -> 'limit'
+ * A different trip with a name that's taken is imported as "Name (2)".
+ * Imported routes keep their original expiry.
+ *
+ * Returns:
+ * - imported: [{ localId, route }]
+ * - skipped: [{ localId, reason, id? }], reason is 'already-imported',
+ *   'duplicate', 'expired', 'invalid' or 'limit'
+ * - limit
+ */
+router.post('/import', requireDatabase, requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { routes } = req.body;
+
+    if (!Array.isArray(routes) || routes.length > MAX_BATCH_ROUTES) {
+      return res.status(400).json({ error: `routes must be a list of up to ${MAX_BATCH_ROUTES} routes` });
+    }
+
+    const [existing, limit] = await Promise.all([getActiveRoutes(userId), getRouteLimit(userId)]);
+    const takenNames = new Set(existing.map(row => row.name));
+    const imported = [];
+    const skipped = [];
+    const now = new Date();
+
+    for (const route of routes) {
+      const localId = route?.id != null ? String(route.id) : null;
+      const skip = (reason, id) => skipped.push(id ? { localId, reason, id } : { localId, reason });
+
+      if (validateRoute(route)) {
+        skip('invalid');
+        continue;
+      }
+
+      const expiresAt = new Date(route.expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+        skip('expired');
+        continue;
+      }
+
+      const importedBefore = localId && existing.find(row => row.local_id === localId);
+      if (importedBefore) {
+        skip('already-imported', importedBefore.id);
+        continue;
+      }
+
+      const name = route.name.trim();
+      const duplicate = existing.find(row => row.name === name && isSameTrip(fromRow(row), route));
+      if (duplicate) {
+        skip('duplicate', duplicate.id);
+        continue;
+      }
+
+      if (existing.length >= limit) {
+        skip('limit');
+        continue;
+      }
+
+      const savedAt = new Date(route.savedAt);
+      const { data: row, error } = await supabase
+        .from('saved_routes')
+        .insert({
+          ...toRow(route),
+          name: takenNames.has(name) ? getUniqueName(name, takenNames) : name,
+          user_id: userId,
+          local_id: localId,
+          created_at: Number.isNaN(savedAt.getTime()) ? now.toISOString() : savedAt.toISOString(),
+          expires_at: new Date(Math.min(expiresAt.getTime(), retentionLimit().getTime())).toISOString()
+        })
+        .select('*')
+        .single();
+
+      if (error) {
+        // A concurrent import got there first
+        if (error.code === '23505') {
+          skip('already-imported');
+          continue;
+        }
+        throw error;
+      }
+
+      existing.push(row);
+      takenNames.add(row.name);
+      imported.push({ localId, route: fromRow(row) });
+    }
+
+    res.json({ imported, skipped, limit });
+  } catch (error) {
+    console.error('Import routes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/routes/bulk-delete
+ * Delete several routes at once
+ *
+ * Body:
+ * - ids: Route ids (up to 100). Ids the user has no route for are ignored.
+ *
+ * Returns:
+ * - deleted: ids of the routes that were deleted
+ */
+router.post('/bulk-delete', requireDatabase, requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length > MAX_BATCH_ROUTES) {
+      return res.status(400).json({ error: `ids must be a list of up to ${MAX_BATCH_ROUTES} route ids` });
+    }
+
+    const validIds = ids.filter(id => typeof id === 'string' && ID_PATTERN.test(id));
+    if (validIds.length === 0) {
+      return res.json({ deleted: [] });
+    }
+
+    const { data: rows, error } = await supabase
+      .from('saved_routes')
+      .delete()
+      .in('id', validIds)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      console.error('Bulk delete routes error:', error);
+      return res.status(500).json({ error: 'Failed to delete routes' });
+    }
+
+    res.json({ deleted: (rows || []).map(row => row.id) });
+  } catch (error) {
+    console.error('Bulk delete routes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/routes/:id
+ * Update a route
+ *
+ * Body:
+ * - Any route fields (see POST). New locations count as a new save and
+ *   restart the 30 days; renaming doesn't.
+ *
+ * Returns:
+ * - route
+ */
+router.put('/:id', requireDatabase, requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { id } = req.params;
+
+    if (!ID_PATTERN.test(id)) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const invalid = validateRoute(req.body, true);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const updates = {
+      ...toRow(req.body),
+      updated_at: new Date().toISOString()
+    };
+    if (req.body.locations !== undefined) {
+      updates.expires_at = retentionLimit().toISOString();
+    }
+
+    const { data: row, error } = await supabase
+      .from('saved_routes')
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .gt('expires_at', new Date().toISOString())
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Update route error:', error);
+      return res.status(500).json({ error: 'Failed to update route' });
+    }
+    if (!row) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json({ route: fromRow(row) });
+  } catch (error) {
+    console.error('Update route error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/routes/:id
+ * Delete a route
+ */
+router.delete('/:id', requireDatabase, requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { id } = req.params;
+
+    if (!ID_PATTERN.test(id)) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const { data: rows, error } = await supabase
+      .from('saved_routes')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      console.error('Delete route error:', error);
+      return res.status(500).json({ error: 'Failed to delete route' });
+    }
+    if (!rows || rows.length === 0) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json({ message: 'Route deleted' });
+  } catch (error) {
+    console.error('Delete route error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+/**
+ * Short links for shared trips
+ *
+ * Handles:
+ * - Storing an encoded trip (the frontend's ?trip= payload) under a short slug
+ * - Looking trips up by slug, counting views
+ * - /s/:slug redirects that open the trip in the app
+ *
+ * Trips hold coordinates, so they expire after at most 30 days - the same
+ * retention rule as saved_routes (Google ToS).
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { supabase } = require('../config/supabaseClient');
+const { optionalAuth, limitAnonymousUsage } = require('../middleware/usageMiddleware');
+const { DAILY_SHARE_LIMITS } = require('../config/limits');
+
+const router = express.Router();
+const shortLinkRouter = express.Router();
+
+const MAX_RETENTION_DAYS = 30;
+const SLUG_LENGTH = 7;
+const SLUG_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const SLUG_PATTERN = /^[0-9A-Za-z]{4,16}$/;
+// Encoded trips are URL-safe base64 with an optional "<version>." prefix
+const TRIP_PATTERN = /^[0-9A-Za-z._-]+$/;
+const MAX_TRIP_LENGTH = 64 * 1024;
+
+// Anonymous short links have a daily limit of their own (share_count)
+const limitAnonymousShares = limitAnonymousUsage('share_count', DAILY_SHARE_LIMITS);
+
+/**
+ * Generate a random slug
+ * @returns {string} SLUG_LENGTH characters from SLUG_ALPHABET
+ */
+function generateSlug() {
+  const bytes = crypto.randomBytes(SLUG_LENGTH);
+  return Array.from(bytes, byte => SLUG_ALPHABET[byte % SLUG_ALPHABET.length]).join('');
+}
+
+/**
+ * Look up a trip and count the view
+ * @param {string} slug - Short link slug
+ * @returns {Promise<object>} { trip, views, expiresAt } or { status } when missing/expired
+ */
+async function viewSharedTrip(slug) {
+  if (!SLUG_PATTERN.test(slug)) {
+    return { status: 404 };
+  }
+
+  const { data: sharedTrip } = await supabase
+    .from('shared_trips')
+    .select('payload, view_count, expires_at')
+    .eq('slug', slug)
+    .single();
+
+  if (!sharedTrip) {
+    return { status: 404 };
+  }
+  if (new Date(sharedTrip.expires_at) <= new Date()) {
+    return { status: 410 };
+  }
+
+  const { data: views } = await supabase.rpc('increment_shared_trip_views', { p_slug: slug });
+
+  return {
+    trip: sharedTrip.payload,
+    views: typeof views === 'number' ? views : sharedTrip.view_count + 1,
+    expiresAt: sharedTrip.expires_at
+  };
+}
+
+// Short links need the database
+function requireDatabase(req, res, next) {
+  if (!supabase) {
+    return res.status(503).json({ error: 'Short links are not available' });
+  }
+  next();
+}
+
+// Check the trip and expiry before anything counts against usage
+function validateShareRequest(req, res, next) {
+  const { trip, expiresInDays } = req.body;
+
+  if (typeof trip !== 'string' || !trip || !TRIP_PATTERN.test(trip)) {
+    return res.status(400).json({ error: 'An encoded trip is required' });
+  }
+  if (trip.length > MAX_TRIP_LENGTH) {
+    return res.status(413).json({ error: 'Trip is too large to share' });
+  }
+
+  const days = expiresInDays == null ? MAX_RETENTION_DAYS : Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_RETENTION_DAYS) {
+    return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_RETENTION_DAYS}` });
+  }
+
+  req.shareExpiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  next();
+}
+
+/**
+ * POST /api/share
+ * Store an encoded trip under a new short slug
+ *
+ * Body:
+ * - trip: Encoded trip (the ?trip= value of a share link)
+ * - expiresInDays: Optional, 1-30 (default 30)
+ * - anonymousId: Required if not authenticated (counts against the daily
+ *   short link limit, which is separate from the route limit)
+ *
+ * Returns:
+ * - slug, path (/s/:slug), expiresAt
+ */
+router.post('/', requireDatabase, validateShareRequest, optionalAuth, limitAnonymousShares, async (req, res) => {
+  try {
+    const { trip, anonymousId } = req.body;
+    const userId = req.user?.sub || null;
+    const expiresAt = req.shareExpiresAt;
+
+    // Retry on the (unlikely) slug collision
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const slug = generateSlug();
+      const { error } = await supabase
+        .from('shared_trips')
+        .insert({
+          slug,
+          payload: trip,
+          user_id: userId,
+          anonymous_id: userId ? null : anonymousId,
+          expires_at: expiresAt
+        });
+
+      if (!error) {
+        return res.status(201).json({
+          slug,
+          path: `/s/${slug}`,
+          expiresAt
+        });
+      }
+      if (error.code !== '23505') {
+        console.error('Share creation error:', error);
+        return res.status(500).json({ error: 'Failed to create short link' });
+      }
+    }
+
+    res.status(500).json({ error: 'Failed to create short link' });
+  } catch (error) {
+    console.error('Share creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/share/:slug
+ * Get a shared trip (counts as a view)
+ *
+ * Returns:
+ * - trip, views, expiresAt
+ * - 404 if there's no such link, 410 once it has expired
+ */
+router.get('/:slug', requireDatabase, async (req, res) => {
+  try {
+    const result = await viewSharedTrip(req.params.slug);
+
+    if (result.status === 404) {
+      return res.status(404).json({ error: 'Shared trip not found' });
+    }
+    if (result.status === 410) {
+      return res.status(410).json({ error: 'Shared trip has expired' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Share lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /s/:slug
+ * Open a short link: redirects to the app with the trip in ?trip=, where
+ * loadSharedTrip picks it up (or ?shareError= when it can't be opened)
+ */
+shortLinkRouter.get('/:slug', async (req, res) => {
+  if (!supabase) {
+    return res.redirect('/?shareError=unavailable');
+  }
+
+  try {
+    const result = await viewSharedTrip(req.params.slug);
+
+    if (result.status === 404) {
+      return res.redirect('/?shareError=not-found');
+    }
+    if (result.status === 410) {
+      return res.redirect('/?shareError=expired');
+    }
+
+    res.redirect(`/?trip=${encodeURIComponent(result.trip)}`);
+  } catch (error) {
+    console.error('Short link error:', error);
+    res.redirect('/?shareError=unavailable');
+  }
+});
+
+module.exports = {
+  shareRoutes: router,
+  shortLinkRoutes: shortLinkRouter
+};
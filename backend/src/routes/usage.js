@@ -11,30 +11,8 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabaseClient');
 const { DAILY_LIMITS, ENVIRONMENT } = require('../config/limits');
-const { verifyToken, extractToken } = require('../utils/auth');
-
-/**
- * Middleware to optionally extract user from JWT
- * Does NOT require authentication - allows anonymous users
- */
-function optionalAuth(req, res, next) {
-  const authHeader = req.headers.authorization;
-  const token = extractToken(authHeader);
-
-  if (token) {
-    try {
-      const decoded = verifyToken(token);
-      req.user = decoded;
-    } catch (error) {
-      // Invalid token - treat as anonymous
-      req.user = null;
-    }
-  } else {
-    req.user = null;
-  }
-
-  next();
-}
+const { optionalAuth } = require('../middleware/usageMiddleware');
+const { incrementDailyUsage } = require('../utils/usageTracking');
 
 /**
  * GET /api/usage/check
@@ -146,83 +124,28 @@ router.post('/track', optionalAuth, async (req, res) => {
     // Get daily limit
     const dailyLimit = DAILY_LIMITS[tier];
 
-    // Get or create today's usage record
-    const today = new Date().toISOString().split('T')[0];
-
-    let query = supabase
-      .from('usage_tracking')
-      .select('id, route_count')
-      .eq('date', today);
-
-    if (userId) {
-      query = query.eq('user_id', userId);
-    } else {
-      query = query.eq('anonymous_id', anonymousId);
-    }
-
-    const { data: existingUsage } = await query.single();
-
-    if (existingUsage) {
-      // Check if limit reached
-      if (existingUsage.route_count >= dailyLimit) {
-        return res.status(429).json({
-          error: 'Daily limit reached',
-          currentCount: existingUsage.route_count,
-          dailyLimit,
-          tier
-        });
-      }
+    const usage = await incrementDailyUsage({ userId, anonymousId }, 'route_count', dailyLimit);
 
-      // Update existing record
-      const { data: updated, error: updateError } = await supabase
-        .from('usage_tracking')
-        .update({ route_count: existingUsage.route_count + 1 })
-        .eq('id', existingUsage.id)
-        .select()
-        .single();
-
-      if (updateError) {
-        console.error('Usage update error:', updateError);
-        return res.status(500).json({ error: 'Failed to update usage' });
-      }
-
-      const remaining = Math.max(dailyLimit - updated.route_count, 0);
-
-      return res.json({
-        success: true,
-        newCount: updated.route_count,
-        remaining,
-        dailyLimit,
-        tier
-      });
-    } else {
-      // Create new record
-      const { data: created, error: createError } = await supabase
-        .from('usage_tracking')
-        .insert({
-          user_id: userId || null,
-          anonymous_id: anonymousId || null,
-          date: today,
-          route_count: 1
-        })
-        .select()
-        .single();
-
-      if (createError) {
-        console.error('Usage creation error:', createError);
-        return res.status(500).json({ error: 'Failed to track usage' });
-      }
-
-      const remaining = Math.max(dailyLimit - 1, 0);
-
-      return res.json({
-        success: true,
-        newCount: 1,
-        remaining,
+    if (usage.limitReached) {
+      return res.status(429).json({
+        error: 'Daily limit reached',
+        currentCount: usage.count,
         dailyLimit,
         tier
       });
     }
+    if (usage.error) {
+      console.error('Usage tracking error:', usage.error);
+      return res.status(500).json({ error: 'Failed to track usage' });
+    }
+
+    res.json({
+      success: true,
+      newCount: usage.count,
+      remaining: Math.max(dailyLimit - usage.count, 0),
+      dailyLimit,
+      tier
+    });
   } catch (error) {
     console.error('Usage tracking error:', error);
     res.status(500).json({ error: 'Internal server error' });
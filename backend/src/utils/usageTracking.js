@@ -0,0 +1,58 @@
+/**
+ * Daily usage counters (usage_tracking)
+ *
+ * One row per user (or anonymous id) per day, with a column per thing that
+ * is counted: route_count for routes, share_count for short links.
+ */
+
+const { supabase } = require('../config/supabaseClient');
+
+/**
+ * Count one use against today's limit
+ * @param {object} who - { userId } or { anonymousId }
+ * @param {string} counter - usage_tracking column ('route_count' or 'share_count')
+ * @param {number} dailyLimit - Uses allowed per day
+ * @returns {Promise<object>} { count } after counting, { limitReached, count } when
+ *   today's uses are already used up (nothing counted), or { error }
+ */
+async function incrementDailyUsage({ userId, anonymousId }, counter, dailyLimit) {
+  const today = new Date().toISOString().split('T')[0];
+
+  let query = supabase
+    .from('usage_tracking')
+    .select(`id, ${counter}`)
+    .eq('date', today);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  } else {
+    query = query.eq('anonymous_id', anonymousId);
+  }
+
+  const { data: existingUsage } = await query.single();
+  const count = existingUsage?.[counter] || 0;
+
+  if (count >= dailyLimit) {
+    return { limitReached: true, count };
+  }
+
+  const { error } = existingUsage
+    ? await supabase
+      .from('usage_tracking')
+      .update({ [counter]: count + 1 })
+      .eq('id', existingUsage.id)
+    : await supabase
+      .from('usage_tracking')
+      .insert({
+        user_id: userId || null,
+        anonymous_id: userId ? null : anonymousId,
+        date: today,
+        [counter]: 1
+      });
+
+  return error ? { error } : { count: count + 1 };
+}
+
+module.exports = {
+  incrementDailyUsage
+};
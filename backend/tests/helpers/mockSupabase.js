@@ -0,0 +1,169 @@
+/**
+ * In-memory stand-in for the Supabase client
+ *
+ * Tables are plain arrays of rows (supabase.tables). Queries support what the
+ * routes use: select (with exact counts), insert, update, delete, the eq / gt /
+ * gte / in filters, order, single, maybeSingle and rpc. Unique keys declared
+ * with supabase.unique() fail inserts with Postgres' 23505, like the real
+ * indexes.
+ *
+ * Use with jest.mock:
+ *   jest.mock('../../src/config/supabaseClient', () => ({
+ *     supabase: require('../helpers/mockSupabase').createMockSupabase()
+ *   }));
+ */
+
+function createMockSupabase() {
+  const tables = {};
+  const uniqueKeys = {};
+  const rpcHandlers = {};
+  let nextId = 1;
+
+  const getTable = (name) => {
+    tables[name] = tables[name] || [];
+    return tables[name];
+  };
+
+  const newId = () => `00000000-0000-4000-8000-${String(nextId++).padStart(12, '0')}`;
+
+  // A row clashing with an existing one on a unique key (null values never clash)
+  const findConflict = (name, row) => (uniqueKeys[name] || []).some(columns =>
+    columns.every(column => row[column] != null) &&
+    getTable(name).some(existing => columns.every(column => existing[column] === row[column]))
+  );
+
+  function from(name) {
+    const query = { action: 'select', filters: [], order: null, values: null, count: false, head: false };
+
+    const run = async ({ single = false, maybe = false } = {}) => {
+      const table = getTable(name);
+      const matches = () => table.filter(row => query.filters.every(filter => filter(row)));
+      let data;
+
+      if (query.action === 'insert') {
+        const now = new Date().toISOString();
+        data = [];
+        for (const values of [].concat(query.values)) {
+          const row = { id: newId(), created_at: now, updated_at: now, ...values };
+          if (findConflict(name, row)) {
+            return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+          }
+          table.push(row);
+          data.push(row);
+        }
+      } else if (query.action === 'update') {
+        data = matches();
+        data.forEach(row => Object.assign(row, query.values));
+      } else if (query.action === 'delete') {
+        data = matches();
+        tables[name] = table.filter(row => !data.includes(row));
+      } else {
+        data = matches();
+        if (query.order) {
+          const { column, ascending } = query.order;
+          data.sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+        }
+      }
+
+      data = data.map(row => ({ ...row }));
+
+      if (query.count) {
+        return { data: query.head ? null : data, count: data.length, error: null };
+      }
+      if (single) {
+        if (data.length === 1) return { data: data[0], error: null };
+        if (data.length === 0 && maybe) return { data: null, error: null };
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+      return { data, error: null };
+    };
+
+    const builder = {
+      select(columns, options = {}) {
+        query.count = options.count === 'exact';
+        query.head = Boolean(options.head);
+        return builder;
+      },
+      insert(values) {
+        query.action = 'insert';
+        query.values = values;
+        return builder;
+      },
+      update(values) {
+        query.action = 'update';
+        query.values = values;
+        return builder;
+      },
+      delete() {
+        query.action = 'delete';
+        return builder;
+      },
+      eq(column, value) {
+        query.filters.push(row => row[column] === value);
+        return builder;
+      },
+      gt(column, value) {
+        query.filters.push(row => row[column] > value);
+        return builder;
+      },
+      gte(column, value) {
+        query.filters.push(row => row[column] >= value);
+        return builder;
+      },
+      in(column, values) {
+        query.filters.push(row => values.includes(row[column]));
+        return builder;
+      },
+      order(column, { ascending = true } = {}) {
+        query.order = { column, ascending };
+        return builder;
+      },
+      single() {
+        return run({ single: true });
+      },
+      maybeSingle() {
+        return run({ single: true, maybe: true });
+      },
+      then(resolve, reject) {
+        return run().then(resolve, reject);
+      }
+    };
+
+    return builder;
+  }
+
+  return {
+    from,
+    tables,
+
+    async rpc(name, args) {
+      const handler = rpcHandlers[name];
+      return handler
+        ? { data: handler(args, getTable), error: null }
+        : { data: null, error: { message: `function ${name} does not exist` } };
+    },
+
+    // Declare a unique key: supabase.unique('shared_trips', ['slug'])
+    unique(name, columns) {
+      uniqueKeys[name] = [...(uniqueKeys[name] || []), columns];
+    },
+
+    // Define a database function: handler(args, getTable) returns its data
+    defineRpc(name, handler) {
+      rpcHandlers[name] = handler;
+    },
+
+    // Empty every table (unique keys and functions stay)
+    reset() {
+      Object.keys(tables).forEach(name => delete tables[name]);
+      nextId = 1;
+    },
+
+    // Seed rows into a table
+    seed(name, rows) {
+      getTable(name).push(...rows.map(row => ({ ...row })));
+    }
+  };
+}
+
+module.exports = { createMockSupabase };
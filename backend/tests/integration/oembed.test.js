@@ -0,0 +1,58 @@
+/**
+ * oEmbed for shared trips (src/routes/oembed.js)
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { FRONTEND_URL } = require('../../src/config/env');
+const oembedRoutes = require('../../src/routes/oembed');
+
+const app = express();
+app.use('/api/oembed', oembedRoutes);
+
+const origin = new URL(FRONTEND_URL).origin;
+const SHORT_LINK = `${origin}/s/abcDEF1`;
+
+const getEmbed = (query) => request(app).get('/api/oembed').query({ url: SHORT_LINK, ...query });
+
+describe('GET /api/oembed', () => {
+  it('embeds the player for a short link at the default size', async () => {
+    const res = await getEmbed();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ type: 'rich', width: 640, height: 400 });
+    expect(res.body.html).toContain(`src="${origin}/embed/abcDEF1"`);
+  });
+
+  it('passes playback options on to the player', async () => {
+    const res = await getEmbed({ url: `${SHORT_LINK}?autoplay=1&loop=1` });
+
+    expect(res.body.html).toContain(`src="${origin}/embed/abcDEF1?autoplay=1&amp;loop=1"`);
+  });
+
+  it('never exceeds maxwidth, keeping the aspect ratio', async () => {
+    const res = await getEmbed({ maxwidth: 150 });
+
+    expect(res.body).toMatchObject({ width: 150, height: 93 });
+    expect(res.body.html).toContain('width="150" height="93"');
+  });
+
+  it('fits within both maxwidth and maxheight', async () => {
+    const res = await getEmbed({ maxwidth: 600, maxheight: 200 });
+
+    expect(res.body).toMatchObject({ width: 320, height: 200 });
+  });
+
+  it('ignores limits larger than the default size and invalid ones', async () => {
+    const larger = await getEmbed({ maxwidth: 1200, maxheight: 900 });
+    const invalid = await getEmbed({ maxwidth: 'wide', maxheight: -1 });
+
+    expect(larger.body).toMatchObject({ width: 640, height: 400 });
+    expect(invalid.body).toMatchObject({ width: 640, height: 400 });
+  });
+
+  it('returns 404 for links that are not trips and 501 for other formats', async () => {
+    expect((await getEmbed({ url: 'https://example.com/s/abcDEF1' })).status).toBe(404);
+    expect((await getEmbed({ format: 'xml' })).status).toBe(501);
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Saved routes for signed-in users (src/routes/savedRoutes.js)
+ */
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../../src/config/supabaseClient', () => ({
+  supabase: require('../helpers/mockSupabase').createMockSupabase()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { supabase } = require('../../src/config/supabaseClient');
+const { generateToken } = require('../../src/utils/auth');
+const { MAX_SAVED_ROUTES } = require('../../src/config/limits');
+const savedRoutesRoutes = require('../../src/routes/savedRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/routes', savedRoutesRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+const USER = 'user-1';
+const OTHER_USER = 'user-2';
+const tokenFor = (id) => `Bearer ${generateToken({ id, email: `${id}@example.com` })}`;
+
+const route = (name, lat = 48.1) => ({
+  name,
+  locations: [{ lat, lng: -123.4 }, { lat: 47.6, lng: -122.3 }],
+  modes: ['car']
+});
+
+// A saved_routes row, as the table holds it
+const row = (id, userId, name, extra = {}) => ({
+  id,
+  user_id: userId,
+  name,
+  locations: route(name).locations,
+  modes: ['car'],
+  created_at: inDays(-1),
+  expires_at: inDays(29),
+  ...extra
+});
+
+const ROUTE_ID = '00000000-0000-4000-8000-00000000aaaa';
+const OTHER_ROUTE_ID = '00000000-0000-4000-8000-00000000bbbb';
+
+supabase.unique('saved_routes', ['user_id', 'local_id']);
+
+beforeEach(() => {
+  supabase.reset();
+  supabase.seed('user_profiles', [
+    { id: USER, subscription_tier: 'free' },
+    { id: OTHER_USER, subscription_tier: 'free' }
+  ]);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('authentication', () => {
+  it('returns 401 without a token or with a bad one', async () => {
+    const missing = await request(app).get('/api/routes');
+    const invalid = await request(app).get('/api/routes').set('Authorization', 'Bearer not-a-token');
+    const create = await request(app).post('/api/routes').send(route('Coast'));
+
+    expect(missing.status).toBe(401);
+    expect(invalid.status).toBe(401);
+    expect(create.status).toBe(401);
+    expect(supabase.tables.saved_routes).toBeUndefined();
+  });
+});
+
+describe('GET /api/routes', () => {
+  it("lists the user's routes that haven't expired, with the tier's limit", async () => {
+    supabase.seed('saved_routes', [
+      row(ROUTE_ID, USER, 'Coast'),
+      row('00000000-0000-4000-8000-00000000cccc', USER, 'Old', { expires_at: inDays(-1) }),
+      row(OTHER_ROUTE_ID, OTHER_USER, 'Not mine')
+    ]);
+
+    const res = await request(app).get('/api/routes').set('Authorization', tokenFor(USER));
+
+    expect(res.status).toBe(200);
+    expect(res.body.routes.map(saved => saved.name)).toEqual(['Coast']);
+    expect(res.body.routes[0]).toMatchObject({ id: ROUTE_ID, folder: null, tags: [], effects: {} });
+    expect(res.body.limit).toBe(MAX_SAVED_ROUTES.free);
+  });
+});
+
+describe('POST /api/routes', () => {
+  it('saves a route for 30 days', async () => {
+    const res = await request(app)
+      .post('/api/routes')
+      .set('Authorization', tokenFor(USER))
+      .send({ ...route('Coast'), folder: ' Trips ', tags: ['coast', 'coast'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.route).toMatchObject({ name: 'Coast', folder: 'Trips', tags: ['coast'] });
+    expect(new Date(res.body.route.expiresAt).getTime()).toBeCloseTo(Date.now() + 30 * DAY, -4);
+    expect(supabase.tables.saved_routes[0].user_id).toBe(USER);
+  });
+
+  it('rejects invalid routes', async () => {
+    const res = await request(app)
+      .post('/api/routes')
+      .set('Authorization', tokenFor(USER))
+      .send({ name: 'No stops', locations: [], modes: [] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 403 once the tier limit is reached', async () => {
+    supabase.seed('saved_routes', Array.from({ length: MAX_SAVED_ROUTES.free }, (_, i) =>
+      row(`00000000-0000-4000-8000-${String(i).padStart(12, '0')}`, USER, `Route ${i}`)
+    ));
+
+    const res = await request(app)
+      .post('/api/routes')
+      .set('Authorization', tokenFor(USER))
+      .send(route('One too many'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.limit).toBe(MAX_SAVED_ROUTES.free);
+    expect(supabase.tables.saved_routes).toHaveLength(MAX_SAVED_ROUTES.free);
+  });
+
+  it("doesn't count expired routes against the limit", async () => {
+    supabase.seed('saved_routes', Array.from({ length: MAX_SAVED_ROUTES.free }, (_, i) =>
+      row(`00000000-0000-4000-8000-${String(i).padStart(12, '0')}`, USER, `Route ${i}`, { expires_at: inDays(-1) })
+    ));
+
+    const res = await request(app)
+      .post('/api/routes')
+      .set('Authorization', tokenFor(USER))
+      .send(route('Fits'));
+
+    expect(res.status).toBe(201);
+  });
+});
+
+describe('PUT /api/routes/:id', () => {
+  it('renames a route', async () => {
+    supabase.seed('saved_routes', [row(ROUTE_ID, USER, 'Coast')]);
+
+    const res = await request(app)
+      .put(`/api/routes/${ROUTE_ID}`)
+      .set('Authorization', tokenFor(USER))
+      .send({ name: 'Coast road' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.route.name).toBe('Coast road');
+  });
+
+  it("returns 404 for another user's route and leaves it alone", async () => {
+    supabase.seed('saved_routes', [row(OTHER_ROUTE_ID, OTHER_USER, 'Not mine')]);
+
+    const res = await request(app)
+      .put(`/api/routes/${OTHER_ROUTE_ID}`)
+      .set('Authorization', tokenFor(USER))
+      .send({ name: 'Mine now' });
+
+    expect(res.status).toBe(404);
+    expect(supabase.tables.saved_routes[0].name).toBe('Not mine');
+  });
+
+  it('returns 404 for ids that are not UUIDs', async () => {
+    const res = await request(app)
+      .put('/api/routes/1704067200000')
+      .set('Authorization', tokenFor(USER))
+      .send({ name: 'Local' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/routes/:id', () => {
+  it('deletes a route', async () => {
+    supabase.seed('saved_routes', [row(ROUTE_ID, USER, 'Coast')]);
+
+    const res = await request(app).delete(`/api/routes/${ROUTE_ID}`).set('Authorization', tokenFor(USER));
+
+    expect(res.status).toBe(200);
+    expect(supabase.tables.saved_routes).toHaveLength(0);
+  });
+
+  it("returns 404 for another user's route and leaves it alone", async () => {
+    supabase.seed('saved_routes', [row(OTHER_ROUTE_ID, OTHER_USER, 'Not mine')]);
+
+    const res = await request(app).delete(`/api/routes/${OTHER_ROUTE_ID}`).set('Authorization', tokenFor(USER));
+
+    expect(res.status).toBe(404);
+    expect(supabase.tables.saved_routes).toHaveLength(1);
+  });
+});
+
+describe('POST /api/routes/bulk-delete', () => {
+  it("only deletes the user's own routes", async () => {
+    supabase.seed('saved_routes', [
+      row(ROUTE_ID, USER, 'Coast'),
+      row(OTHER_ROUTE_ID, OTHER_USER, 'Not mine')
+    ]);
+
+    const res = await request(app)
+      .post('/api/routes/bulk-delete')
+      .set('Authorization', tokenFor(USER))
+      .send({ ids: [ROUTE_ID, OTHER_ROUTE_ID, 'not-a-uuid'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.deleted).toEqual([ROUTE_ID]);
+    expect(supabase.tables.saved_routes.map(saved => saved.id)).toEqual([OTHER_ROUTE_ID]);
+  });
+
+  it('rejects a missing id list', async () => {
+    const res = await request(app)
+      .post('/api/routes/bulk-delete')
+      .set('Authorization', tokenFor(USER))
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/routes/import', () => {
+  // A route as localStorage keeps it
+  const localRoute = (id, name, lat, expiresInDays = 20) => ({
+    ...route(name, lat),
+    id,
+    savedAt: inDays(-10),
+    expiresAt: Date.now() + expiresInDays * DAY
+  });
+
+  const importRoutes = (routes, userId = USER) => request(app)
+    .post('/api/routes/import')
+    .set('Authorization', tokenFor(userId))
+    .send({ routes });
+
+  it('imports routes, keeping their save date and expiry', async () => {
+    const res = await importRoutes([localRoute('1001', 'Coast', 48.1)]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.imported).toHaveLength(1);
+    expect(res.body.imported[0].localId).toBe('1001');
+
+    const [saved] = supabase.tables.saved_routes;
+    expect(saved).toMatchObject({ user_id: USER, local_id: '1001', name: 'Coast' });
+    expect(new Date(saved.expires_at).getTime()).toBeCloseTo(Date.now() + 20 * DAY, -4);
+    expect(new Date(saved.created_at).getTime()).toBeCloseTo(Date.now() - 10 * DAY, -4);
+  });
+
+  it('skips routes it imported before', async () => {
+    await importRoutes([localRoute('1001', 'Coast', 48.1)]);
+    const res = await importRoutes([localRoute('1001', 'Coast', 48.1)]);
+
+    expect(res.body.imported).toHaveLength(0);
+    expect(res.body.skipped).toEqual([
+      { localId: '1001', reason: 'already-imported', id: supabase.tables.saved_routes[0].id }
+    ]);
+    expect(supabase.tables.saved_routes).toHaveLength(1);
+  });
+
+  it('skips the same trip already saved under the same name', async () => {
+    supabase.seed('saved_routes', [row(ROUTE_ID, USER, 'Coast')]);
+
+    const res = await importRoutes([localRoute('1001', 'Coast', 48.1)]);
+
+    expect(res.body.skipped).toEqual([{ localId: '1001', reason: 'duplicate', id: ROUTE_ID }]);
+  });
+
+  it('renames a different trip whose name is taken', async () => {
+    supabase.seed('saved_routes', [row(ROUTE_ID, USER, 'Coast')]);
+
+    const res = await importRoutes([localRoute('1001', 'Coast', 40)]);
+
+    expect(res.body.imported[0].route.name).toBe('Coast (2)');
+  });
+
+  it('skips expired and invalid routes', async () => {
+    const res = await importRoutes([
+      localRoute('1001', 'Old', 48.1, -1),
+      { id: '1002', name: '', locations: [], modes: [] }
+    ]);
+
+    expect(res.body.skipped).toEqual([
+      { localId: '1001', reason: 'expired' },
+      { localId: '1002', reason: 'invalid' }
+    ]);
+    expect(supabase.tables.saved_routes).toHaveLength(0);
+  });
+
+  it('skips routes over the tier limit', async () => {
+    supabase.seed('saved_routes', Array.from({ length: MAX_SAVED_ROUTES.free - 1 }, (_, i) =>
+      row(`00000000-0000-4000-8000-${String(i).padStart(12, '0')}`, USER, `Route ${i}`)
+    ));
+
+    const res = await importRoutes([localRoute('1001', 'Fits', 10), localRoute('1002', 'Over', 20)]);
+
+    expect(res.body.imported.map(entry => entry.localId)).toEqual(['1001']);
+    expect(res.body.skipped).toEqual([{ localId: '1002', reason: 'limit' }]);
+    expect(res.body.limit).toBe(MAX_SAVED_ROUTES.free);
+  });
+
+  it("doesn't look at other users' routes", async () => {
+    supabase.seed('saved_routes', [row(OTHER_ROUTE_ID, OTHER_USER, 'Coast', { local_id: '1001' })]);
+
+    const res = await importRoutes([localRoute('1001', 'Coast', 48.1)]);
+
+    expect(res.body.imported).toHaveLength(1);
+    expect(res.body.imported[0].route.name).toBe('Coast');
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Short links for shared trips (src/routes/share.js)
+ */
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../../src/config/supabaseClient', () => ({
+  supabase: require('../helpers/mockSupabase').createMockSupabase()
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { supabase } = require('../../src/config/supabaseClient');
+const { generateToken } = require('../../src/utils/auth');
+const { DAILY_SHARE_LIMITS } = require('../../src/config/limits');
+const { shareRoutes, shortLinkRoutes } = require('../../src/routes/share');
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+app.use('/api/share', shareRoutes);
+app.use('/s', shortLinkRoutes);
+
+const TRIP = '2.ldM7a8Mw-_abc';
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+supabase.unique('shared_trips', ['slug']);
+supabase.defineRpc('increment_shared_trip_views', ({ p_slug }, getTable) => {
+  const sharedTrip = getTable('shared_trips').find(row => row.slug === p_slug);
+  sharedTrip.view_count += 1;
+  return sharedTrip.view_count;
+});
+
+const seedTrip = (slug, expiresAt = inDays(7)) => {
+  supabase.seed('shared_trips', [{ slug, payload: TRIP, view_count: 0, expires_at: expiresAt }]);
+};
+
+beforeEach(() => {
+  supabase.reset();
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('POST /api/share', () => {
+  it('stores the trip under a new slug', async () => {
+    const res = await request(app)
+      .post('/api/share')
+      .send({ trip: TRIP, expiresInDays: 7, anonymousId: 'anon-1' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.slug).toMatch(/^[0-9A-Za-z]{7}$/);
+    expect(res.body.path).toBe(`/s/${res.body.slug}`);
+
+    const [sharedTrip] = supabase.tables.shared_trips;
+    expect(sharedTrip).toMatchObject({ slug: res.body.slug, payload: TRIP, anonymous_id: 'anon-1', user_id: null });
+    expect(new Date(sharedTrip.expires_at).getTime()).toBeCloseTo(Date.now() + 7 * DAY, -4);
+  });
+
+  it('rejects a missing or malformed trip', async () => {
+    const missing = await request(app).post('/api/share').send({ anonymousId: 'anon-1' });
+    const malformed = await request(app).post('/api/share').send({ trip: 'not a trip!', anonymousId: 'anon-1' });
+
+    expect(missing.status).toBe(400);
+    expect(malformed.status).toBe(400);
+    expect(supabase.tables.shared_trips).toBeUndefined();
+  });
+
+  it('rejects expiries outside 1-30 days', async () => {
+    for (const expiresInDays of [0, 31, 'soon']) {
+      const res = await request(app).post('/api/share').send({ trip: TRIP, expiresInDays, anonymousId: 'anon-1' });
+      expect(res.status).toBe(400);
+    }
+  });
+
+  it('rejects trips over 64 KB with 413', async () => {
+    const res = await request(app)
+      .post('/api/share')
+      .send({ trip: 'a'.repeat(64 * 1024 + 1), anonymousId: 'anon-1' });
+
+    expect(res.status).toBe(413);
+  });
+
+  it('checks the trip before counting usage', async () => {
+    await request(app).post('/api/share').send({ trip: '', anonymousId: 'anon-1' });
+
+    expect(supabase.tables.usage_tracking).toBeUndefined();
+  });
+
+  it('needs an anonymousId from anonymous users', async () => {
+    const res = await request(app).post('/api/share').send({ trip: TRIP });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('counts anonymous links apart from routes', async () => {
+    await request(app).post('/api/share').send({ trip: TRIP, anonymousId: 'anon-1' });
+    await request(app).post('/api/share').send({ trip: TRIP, anonymousId: 'anon-1' });
+
+    const [usage] = supabase.tables.usage_tracking;
+    expect(usage.share_count).toBe(2);
+    expect(usage.route_count).toBeUndefined();
+  });
+
+  it('returns 429 once the daily short link limit is used up', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    supabase.seed('usage_tracking', [{
+      id: 'usage-1',
+      anonymous_id: 'anon-1',
+      date: today,
+      route_count: 0,
+      share_count: DAILY_SHARE_LIMITS.anonymous
+    }]);
+
+    const res = await request(app).post('/api/share').send({ trip: TRIP, anonymousId: 'anon-1' });
+
+    expect(res.status).toBe(429);
+    expect(supabase.tables.shared_trips).toBeUndefined();
+  });
+
+  it("doesn't limit signed-in users", async () => {
+    const token = generateToken({ id: 'user-1', email: 'user@example.com' });
+
+    const res = await request(app)
+      .post('/api/share')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ trip: TRIP });
+
+    expect(res.status).toBe(201);
+    expect(supabase.tables.shared_trips[0]).toMatchObject({ user_id: 'user-1', anonymous_id: null });
+    expect(supabase.tables.usage_tracking).toBeUndefined();
+  });
+
+  it('retries with a new slug when the slug is taken', async () => {
+    seedTrip('0000000');
+    const randomBytes = jest.spyOn(crypto, 'randomBytes');
+    randomBytes.mockReturnValueOnce(Buffer.alloc(7, 0));
+
+    const res = await request(app).post('/api/share').send({ trip: TRIP, anonymousId: 'anon-1' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.slug).not.toBe('0000000');
+    expect(randomBytes).toHaveBeenCalledTimes(2);
+    expect(supabase.tables.shared_trips).toHaveLength(2);
+  });
+
+  it('gives up after three taken slugs', async () => {
+    seedTrip('0000000');
+    jest.spyOn(crypto, 'randomBytes').mockReturnValue(Buffer.alloc(7, 0));
+
+    const res = await request(app).post('/api/share').send({ trip: TRIP, anonymousId: 'anon-1' });
+
+    expect(res.status).toBe(500);
+    expect(crypto.randomBytes).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('GET /api/share/:slug', () => {
+  it('returns the trip and counts the view', async () => {
+    seedTrip('abcDEF1');
+
+    const res = await request(app).get('/api/share/abcDEF1');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ trip: TRIP, views: 1 });
+    expect(supabase.tables.shared_trips[0].view_count).toBe(1);
+  });
+
+  it('returns 404 for unknown and malformed slugs', async () => {
+    expect((await request(app).get('/api/share/abcDEF1')).status).toBe(404);
+    expect((await request(app).get('/api/share/a!')).status).toBe(404);
+  });
+
+  it('returns 410 once the link has expired', async () => {
+    seedTrip('abcDEF1', inDays(-1));
+
+    const res = await request(app).get('/api/share/abcDEF1');
+
+    expect(res.status).toBe(410);
+    expect(supabase.tables.shared_trips[0].view_count).toBe(0);
+  });
+});
+
+describe('GET /s/:slug', () => {
+  it('redirects to the app with the trip', async () => {
+    seedTrip('abcDEF1');
+
+    const res = await request(app).get('/s/abcDEF1');
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(`/?trip=${encodeURIComponent(TRIP)}`);
+  });
+
+  it('redirects with shareError for missing and expired links', async () => {
+    seedTrip('oldLink1', inDays(-1));
+
+    const missing = await request(app).get('/s/abcDEF1');
+    const expired = await request(app).get('/s/oldLink1');
+
+    expect(missing.headers.location).toBe('/?shareError=not-found');
+    expect(expired.headers.location).toBe('/?shareError=expired');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Daily route counting (src/routes/usage.js)
+ */
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../../src/config/supabaseClient', () => ({
+  supabase: require('../helpers/mockSupabase').createMockSupabase()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { supabase } = require('../../src/config/supabaseClient');
+const { generateToken } = require('../../src/utils/auth');
+const { DAILY_LIMITS } = require('../../src/config/limits');
+const usageRoutes = require('../../src/routes/usage');
+
+const app = express();
+app.use(express.json());
+app.use('/api/usage', usageRoutes);
+
+const today = () => new Date().toISOString().split('T')[0];
+const token = generateToken({ id: 'user-1', email: 'user@example.com' });
+
+beforeEach(() => {
+  supabase.reset();
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('POST /api/usage/track', () => {
+  it("counts a signed-in user's routes at their tier", async () => {
+    supabase.seed('user_profiles', [{ id: 'user-1', subscription_tier: 'pro' }]);
+
+    const first = await request(app).post('/api/usage/track').set('Authorization', `Bearer ${token}`).send({});
+    const second = await request(app).post('/api/usage/track').set('Authorization', `Bearer ${token}`).send({});
+
+    expect(first.status).toBe(200);
+    expect(second.body).toEqual({
+      success: true,
+      newCount: 2,
+      remaining: DAILY_LIMITS.pro - 2,
+      dailyLimit: DAILY_LIMITS.pro,
+      tier: 'pro'
+    });
+    expect(supabase.tables.usage_tracking).toEqual([
+      expect.objectContaining({ user_id: 'user-1', anonymous_id: null, date: today(), route_count: 2 })
+    ]);
+  });
+
+  it('treats signed-in users without a profile as free', async () => {
+    const res = await request(app).post('/api/usage/track').set('Authorization', `Bearer ${token}`).send({});
+
+    expect(res.body).toMatchObject({ newCount: 1, dailyLimit: DAILY_LIMITS.free, tier: 'free' });
+  });
+
+  it('counts anonymous routes by anonymous id', async () => {
+    await request(app).post('/api/usage/track').send({ anonymousId: 'anon-1' });
+    const res = await request(app).post('/api/usage/track').send({ anonymousId: 'anon-2' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, newCount: 1, dailyLimit: DAILY_LIMITS.anonymous, tier: 'anonymous' });
+    expect(supabase.tables.usage_tracking.map(row => [row.user_id, row.anonymous_id, row.route_count])).toEqual([
+      [null, 'anon-1', 1],
+      [null, 'anon-2', 1]
+    ]);
+  });
+
+  it('treats an invalid token as anonymous', async () => {
+    const res = await request(app)
+      .post('/api/usage/track')
+      .set('Authorization', 'Bearer not-a-token')
+      .send({ anonymousId: 'anon-1' });
+
+    expect(res.body.tier).toBe('anonymous');
+    expect(supabase.tables.usage_tracking[0]).toMatchObject({ user_id: null, anonymous_id: 'anon-1' });
+  });
+
+  it('returns 429 without counting once the daily limit is used up', async () => {
+    supabase.seed('usage_tracking', [{
+      id: 'usage-1',
+      anonymous_id: 'anon-1',
+      date: today(),
+      route_count: DAILY_LIMITS.anonymous
+    }]);
+
+    const res = await request(app).post('/api/usage/track').send({ anonymousId: 'anon-1' });
+
+    expect(res.status).toBe(429);
+    expect(res.body).toEqual({
+      error: 'Daily limit reached',
+      currentCount: DAILY_LIMITS.anonymous,
+      dailyLimit: DAILY_LIMITS.anonymous,
+      tier: 'anonymous'
+    });
+    expect(supabase.tables.usage_tracking[0].route_count).toBe(DAILY_LIMITS.anonymous);
+  });
+
+  it('starts a new count each day', async () => {
+    supabase.seed('usage_tracking', [{
+      id: 'usage-1',
+      anonymous_id: 'anon-1',
+      date: '2000-01-01',
+      route_count: DAILY_LIMITS.anonymous
+    }]);
+
+    const res = await request(app).post('/api/usage/track').send({ anonymousId: 'anon-1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.newCount).toBe(1);
+  });
+
+  it('requires a signed-in user or an anonymous id', async () => {
+    const res = await request(app).post('/api/usage/track').send({});
+
+    expect(res.status).toBe(400);
+    expect(supabase.tables.usage_tracking).toBeUndefined();
+  });
+});
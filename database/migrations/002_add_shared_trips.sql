@@ -0,0 +1,44 @@
+-- Migration: Add shared_trips table for short share links
+-- Run this after schema-v2.sql
+
+-- Shared trips hold coordinates, so like saved_routes they are kept for at
+-- most 30 days (Google ToS)
+CREATE TABLE IF NOT EXISTS shared_trips (
+  slug TEXT PRIMARY KEY,
+  payload TEXT NOT NULL,
+  user_id UUID REFERENCES user_profiles(id) ON DELETE CASCADE,
+  anonymous_id TEXT,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL DEFAULT (NOW() + INTERVAL '30 days'),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT shared_trips_max_retention CHECK (expires_at <= created_at + INTERVAL '30 days')
+);
+
+CREATE INDEX IF NOT EXISTS idx_shared_trips_expires ON shared_trips(expires_at);
+CREATE INDEX IF NOT EXISTS idx_shared_trips_user ON shared_trips(user_id);
+
+-- Only the backend (service role) reads and writes shared trips
+ALTER TABLE shared_trips ENABLE ROW LEVEL SECURITY;
+
+-- Count a view, returning the new count
+CREATE OR REPLACE FUNCTION increment_shared_trip_views(p_slug TEXT)
+RETURNS INTEGER AS $$
+  UPDATE shared_trips
+  SET view_count = view_count + 1
+  WHERE slug = p_slug
+  RETURNING view_count;
+$$ LANGUAGE sql;
+
+-- Expired shared trips go with expired routes (runs daily via cron)
+CREATE OR REPLACE FUNCTION cleanup_expired_routes()
+RETURNS void AS $$
+BEGIN
+  DELETE FROM saved_routes WHERE expires_at < NOW();
+  DELETE FROM shared_trips WHERE expires_at < NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Add comments
+COMMENT ON COLUMN shared_trips.payload IS 'Encoded trip, the ?trip= value of a share link';
+COMMENT ON COLUMN shared_trips.expires_at IS 'At most 30 days after creation (Google ToS)';
@@ -0,0 +1,20 @@
+-- Migration: Store everything a saved route holds in saved_routes, so
+-- signed-in users' routes can live on the backend
+-- Run this after schema-v2.sql
+
+ALTER TABLE saved_routes
+ADD COLUMN IF NOT EXISTS custom_paths JSONB,
+ADD COLUMN IF NOT EXISTS route_choices JSONB,
+ADD COLUMN IF NOT EXISTS leg_options JSONB,
+ADD COLUMN IF NOT EXISTS effects JSONB,
+ADD COLUMN IF NOT EXISTS camera_keyframes JSONB,
+ADD COLUMN IF NOT EXISTS local_id TEXT;
+
+-- A route moved over from a browser's localStorage is only imported once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_routes_user_local_id
+  ON saved_routes(user_id, local_id)
+  WHERE local_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN saved_routes.local_id IS 'id the route had in localStorage before it was migrated (null for routes saved on the backend)';
+COMMENT ON COLUMN saved_routes.expires_at IS 'At most 30 days after the route was saved (Google ToS)';
@@ -0,0 +1,12 @@
+-- Migration: Folders and tags for organizing saved routes
+-- Run this after 003_extend_saved_routes.sql
+
+ALTER TABLE saved_routes
+ADD COLUMN IF NOT EXISTS folder TEXT,
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_saved_routes_user_folder ON saved_routes(user_id, folder);
+
+-- Add comments
+COMMENT ON COLUMN saved_routes.folder IS 'Folder the route is filed under (null = unfiled)';
+COMMENT ON COLUMN saved_routes.tags IS 'Free-form labels for finding the route';
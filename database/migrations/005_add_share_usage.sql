@@ -0,0 +1,9 @@
+-- Migration: Count anonymous short links apart from routes, so sharing a
+-- trip doesn't use up one of the day's routes
+-- Run this after 002_add_shared_trips.sql
+
+ALTER TABLE usage_tracking
+ADD COLUMN IF NOT EXISTS share_count INTEGER DEFAULT 0;
+
+-- Add comments
+COMMENT ON COLUMN usage_tracking.share_count IS 'Short links created that day (see DAILY_SHARE_LIMITS)';
@@ -1,9 +1,17 @@
 import React from 'react';
 import AppContent from './components/AppContent';
+import EmbedView from './components/EmbedView';
+import { TripStoreProvider } from './store';
+import { isEmbedPage } from './utils/shareUtils';
 import './App.css';
 
 function App() {
-  return <AppContent />;
+  return (
+    <TripStoreProvider>
+      {/* /embed pages are the read-only player for <iframe> embeds */}
+      {isEmbedPage() ? <EmbedView /> : <AppContent />}
+    </TripStoreProvider>
+  );
 }
 
 export default App;
@@ -2,8 +2,8 @@ import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { GoogleMap, LocationSearch } from './Shared';
 import { DirectionsPanel } from './Desktop';
 import { useMobileDetection } from '../utils/deviceDetection';
-import { hasSharedTrip, loadSharedTrip, clearSharedTripFromURL } from '../utils/shareUtils';
-import { saveRoute } from '../utils/savedRoutesUtils';
+import { hasSharedTrip, loadSharedTrip, clearSharedTripFromURL, buildSharedTripRoute } from '../utils/shareUtils';
+import { createSavedRoute, migrateLocalRoutes } from '../utils/savedRoutesUtils';
 import Modal from '../features/animation/RouteAnimator/Modal';
 import { SaveRouteModal } from '../features/saved-routes/SaveRouteModal';
 import { SavedRoutesModal } from '../features/saved-routes/SavedRoutesModal';
@@ -28,6 +28,9 @@ function AppContent() {
   const [directionsLocations, setDirectionsLocations] = useState([null, null]);
   const [directionsLegModes, setDirectionsLegModes] = useState(['walk']);
   const [sharedEffects, setSharedEffects] = useState(null);
+  const [sharedRouteChoices, setSharedRouteChoices] = useState(null);
+  const [enabledEffects, setEnabledEffects] = useState({}); // Reported by DirectionsPanel
+  const [cameraKeyframes, setCameraKeyframes] = useState([]); // Director mode, saved with the route
   
   // Route error modal
   const [routeErrorModal, setRouteErrorModal] = useState({
@@ -35,6 +38,12 @@ function AppContent() {
     message: ''
   });
   
+  // Shared trip link error modal
+  const [shareErrorModal, setShareErrorModal] = useState({
+    isOpen: false,
+    message: ''
+  });
+
   // Save/Load modals
   const [showSaveModal, setShowSaveModal] = useState(false);
   const [showSavedRoutesModal, setShowSavedRoutesModal] = useState(false);
@@ -105,6 +114,18 @@ function AppContent() {
     }
   }, []);
 
+  // Move routes saved on this device to the account when the app opens signed
+  // in and whenever someone signs in. The Saved Routes list retries leftovers.
+  useEffect(() => {
+    const handleSignedIn = () => {
+      migrateLocalRoutes().catch(() => {});
+    };
+
+    handleSignedIn();
+    window.addEventListener('authSignedIn', handleSignedIn);
+    return () => window.removeEventListener('authSignedIn', handleSignedIn);
+  }, []);
+
   // Callback for route animation start
   const handleAnimationStart = async () => {
     return true; // Allow animation
@@ -113,10 +134,20 @@ function AppContent() {
   // Check for shared trip in URL on mount
   useEffect(() => {
     if (hasSharedTrip()) {
-      const sharedTrip = loadSharedTrip();
-      
-      if (sharedTrip) {
-        
+      // Shared links decode asynchronously (v2 links are compressed)
+      const openSharedTrip = async () => {
+        let sharedTrip;
+        try {
+          sharedTrip = await loadSharedTrip();
+        } catch (error) {
+          // A short link that couldn't be opened, or a link this version (or browser) can't read
+          setShareErrorModal({ isOpen: true, message: error.message });
+          clearSharedTripFromURL();
+          return;
+        }
+
+        if (!sharedTrip) return;
+
         // Set the locations and modes
         setDirectionsLocations(sharedTrip.locations);
         setDirectionsLegModes(sharedTrip.modes);
@@ -125,29 +156,13 @@ function AppContent() {
         if (sharedTrip.effects) {
           setSharedEffects(sharedTrip.effects);
         }
+        if (sharedTrip.routeChoices.length > 0) {
+          setSharedRouteChoices(sharedTrip.routeChoices);
+        }
         
         // Auto-calculate the route
-        if (sharedTrip.locations.length >= 2) {
-          const segments = [];
-          for (let i = 0; i < sharedTrip.locations.length - 1; i++) {
-            segments.push({
-              mode: sharedTrip.modes[i] || 'walk',
-              startIndex: i,
-              endIndex: i + 1
-            });
-          }
-          
-          const routeData = {
-            origin: sharedTrip.locations[0],
-            destination: sharedTrip.locations[sharedTrip.locations.length - 1],
-            waypoints: sharedTrip.locations.slice(1, -1),
-            mode: sharedTrip.modes[0] || 'walk',
-            segments,
-            allLocations: sharedTrip.locations,
-            allModes: sharedTrip.modes,
-            routeId: `shared_${Date.now()}`
-          };
-          
+        const routeData = buildSharedTripRoute(sharedTrip);
+        if (routeData) {
           setDirectionsRoute(routeData);
           
           // Center map on first location
@@ -167,7 +182,9 @@ function AppContent() {
         
         // Clear the trip from URL to clean up the address bar
         clearSharedTripFromURL();
-      }
+      };
+
+      openSharedTrip();
     } else {
       // No shared trip - try to get user's location
       if ('geolocation' in navigator) {
@@ -221,27 +238,26 @@ function AppContent() {
   }, []);
 
   // Handle saving a route
-  const handleSaveRoute = useCallback((routeData) => {
+  // Errors reach SaveRouteModal, which shows them
+  const handleSaveRoute = useCallback(async (routeData) => {
     const filledLocations = directionsLocations.filter(loc => loc !== null);
     if (filledLocations.length >= 1) {
-      try {
-        saveRoute({
-          name: routeData.name,
-          description: routeData.description,
-          locations: filledLocations,
-          modes: directionsLegModes
-        });
-        // Close the modal silently - no alert
-      } catch (error) {
-      }
+      await createSavedRoute({
+        name: routeData.name,
+        description: routeData.description,
+        locations: filledLocations,
+        modes: directionsLegModes,
+        cameraKeyframes
+      });
     }
-  }, [directionsLocations, directionsLegModes]);
+  }, [directionsLocations, directionsLegModes, cameraKeyframes]);
 
   // Handle loading a saved route
   const handleLoadRoute = useCallback((route) => {
     // Set locations and modes - DirectionsPanel will handle route calculation
     setDirectionsLocations(route.locations);
     setDirectionsLegModes(route.modes);
+    setCameraKeyframes(route.cameraKeyframes || []);
 
     // Center map on first location
     if (route.locations[0]) {
@@ -324,6 +340,9 @@ function AppContent() {
             directionsLegModes={directionsLegModes}
             onAnimationStateChange={setIsAnimating}
             onAnimationStart={handleAnimationStart}
+            enabledEffects={enabledEffects}
+            cameraKeyframes={cameraKeyframes}
+            onCameraKeyframesChange={setCameraKeyframes}
             isMobile={isMobile}
             showRouteAnimator={showRouteAnimator}
             onHideRouteAnimator={() => {
@@ -417,6 +436,10 @@ function AppContent() {
         onAnimationStateChange={setIsAnimating}
         onDistanceDisplayChange={setDistanceDisplayInfo}
         sharedEffects={sharedEffects}
+        sharedRouteChoices={sharedRouteChoices}
+        onEffectsChange={setEnabledEffects}
+        cameraKeyframes={cameraKeyframes}
+        onCameraKeyframesChange={setCameraKeyframes}
       />
       
       {/* Route Error Modal */}
@@ -427,6 +450,15 @@ function AppContent() {
         message={routeErrorModal.message}
         type="warning"
       />
+
+      {/* Shared Trip Error Modal */}
+      <Modal
+        isOpen={shareErrorModal.isOpen}
+        onClose={() => setShareErrorModal({ isOpen: false, message: '' })}
+        title="Can't Open Shared Trip"
+        message={shareErrorModal.message}
+        type="error"
+      />
       
       {/* Save Route Modal */}
       <SaveRouteModal
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { GoogleMap } from './Shared';
+import { useMobileDetection } from '../utils/deviceDetection';
+import { loadEmbeddedTrip, getEmbedOptions, buildSharedTripRoute } from '../utils/shareUtils';
+
+// The trip in the full app, for the "Open in LenaMaps" link
+const getAppURL = () => {
+  const slug = window.location.pathname.split('/')[2];
+  if (slug) {
+    return `${window.location.origin}/s/${slug}`;
+  }
+  const trip = new URLSearchParams(window.location.search).get('trip');
+  return `${window.location.origin}/?trip=${trip}`;
+};
+
+/**
+ * EmbedView - Read-only trip player for <iframe> embeds
+ * Served at /embed?trip=... and /embed/:slug. Just the map and a minimal
+ * route animator: no header, directions panel or editing.
+ */
+function EmbedView() {
+  const isMobile = useMobileDetection();
+  const [embedOptions] = useState(getEmbedOptions);
+  const [sharedTrip, setSharedTrip] = useState(null);
+  const [directionsRoute, setDirectionsRoute] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  // Load the trip once - the map is only created after, centered on it
+  useEffect(() => {
+    let cancelled = false;
+
+    const openEmbeddedTrip = async () => {
+      try {
+        const trip = await loadEmbeddedTrip();
+        if (cancelled) return;
+
+        const routeData = trip && buildSharedTripRoute(trip);
+        if (!routeData) {
+          setErrorMessage('This trip link is invalid or incomplete.');
+          return;
+        }
+
+        setSharedTrip(trip);
+        setDirectionsRoute(routeData);
+      } catch (error) {
+        // A short link that couldn't be opened, or a link this version can't read
+        if (!cancelled) {
+          setErrorMessage(error.message);
+        }
+      }
+    };
+
+    openEmbeddedTrip();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (errorMessage || !directionsRoute) {
+    return (
+      <div className="embed-view">
+        <div className="embed-view-message">
+          {errorMessage || 'Loading trip...'}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="embed-view">
+      <GoogleMap
+        directionsRoute={directionsRoute}
+        center={{ lat: sharedTrip.locations[0].lat, lng: sharedTrip.locations[0].lng }}
+        directionsLocations={sharedTrip.locations}
+        directionsLegModes={sharedTrip.modes}
+        enabledEffects={sharedTrip.effects}
+        isMobile={isMobile}
+        embedOptions={embedOptions}
+      />
+
+      <a
+        className="embed-view-link"
+        href={getAppURL()}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        <img src="/lenamaps-logo.png" alt="" />
+        Open in LenaMaps
+      </a>
+    </div>
+  );
+}
+
+export default EmbedView;
@@ -20,7 +20,8 @@ export const ANIMATION_SPEEDS = {
     REGIONAL: 2000,             // >100km routes
     MEDIUM: 800,                // >50km routes
     SHORT: 400,                 // >10km routes
-    VERY_SHORT: 150             // <10km routes
+    VERY_SHORT: 100,            // >1km routes
+    TINY: 30                    // <1km routes
   },
   FOLLOW_MODE: {
     VERY_LONG: 500,             // >1000km routes
@@ -37,7 +38,8 @@ export const DISTANCE_THRESHOLDS = {
   LONG_INTERSTATE: 500,
   REGIONAL: 100,
   MEDIUM: 50,
-  SHORT: 10
+  SHORT: 10,
+  VERY_SHORT: 1
 };
 
 // Playback speed multipliers
@@ -47,6 +49,39 @@ export const PLAYBACK_MULTIPLIERS = {
   FAST: 2.0
 };
 
+// Speed is scaled by how zoomed-in the camera is (zoomed out = faster)
+export const SPEED_ZOOM_SCALING = {
+  BASE_ZOOM: 15,        // Zoom level where the base speed applies unchanged
+  FACTOR: 1.15,         // Speed multiplier per zoom level
+  MIN_MULTIPLIER: 0.3,
+  MAX_MULTIPLIER: 5.0
+};
+
+// Fixed viewport used to estimate the whole-route zoom for timing, so the
+// animation length doesn't depend on the user's window size
+export const TIMING_REFERENCE_VIEWPORT = {
+  width: 1280,
+  height: 720
+};
+
+// "Real time" playback - legs take screen time in proportion to travel time
+export const REALTIME_PLAYBACK = {
+  TARGET_DURATION_MS: 30000,   // Whole trip plays in this long at 1x
+  FLIGHT_SPEED_KMH: 800,
+  // Used when Directions gave no usable duration (drawn legs, fallbacks)
+  MODE_SPEEDS_KMH: {
+    walk: 5,
+    bike: 16,
+    bus: 40,
+    car: 70,
+    transit: 60,
+    train: 120,
+    ferry: 30,
+    flight: 800,
+    custom: 5
+  }
+};
+
 // Animation frame settings
 export const ANIMATION_TIMING = {
   UPDATE_INTERVAL_MS: 50,     // Animation update interval
@@ -4,6 +4,7 @@ export const TRANSPORTATION_MODES = {
   bus: { color: '#ef4444', icon: '🚌' },
   car: { color: '#f59e0b', icon: '🚗' },
   transit: { color: '#ec4899', icon: '🚆' },
+  train: { color: '#92400e', icon: '🚄' },
   ferry: { color: '#06b6d4', icon: '⛴️' },
   flight: { color: '#8b5cf6', icon: '✈️' },
   custom: { color: '#6366f1', icon: '✏️' }
@@ -15,6 +16,7 @@ export const TRANSPORTATION_COLORS = {
   bus: '#ef4444',
   car: '#f59e0b',
   transit: '#ec4899',
+  train: '#92400e',
   ferry: '#06b6d4',
   flight: '#8b5cf6',
   custom: '#6366f1'
@@ -26,6 +28,7 @@ export const TRANSPORT_ICONS = {
   car: '🚗',
   bus: '🚌',
   transit: '🚆',
+  train: '🚄',
   ferry: '⛴️',
   flight: '✈️',
   custom: '✏️'
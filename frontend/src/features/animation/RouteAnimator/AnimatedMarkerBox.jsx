@@ -1,16 +1,19 @@
 import React from 'react';
 import './AnimatedMarkerBox.css';
 
-const AnimatedMarkerBox = ({ currentModeIcon, isAnimating, segmentColor }) => {
+const AnimatedMarkerBox = ({ currentModeIcon, isAnimating, segmentColor, morphIcon = false }) => {
   if (!isAnimating || !currentModeIcon) return null;
 
   return (
     <div className="animated-marker-box-outer">
       <div
-        className="animated-marker-box-inner"
+        className={`animated-marker-box-inner${morphIcon ? ' morph' : ''}`}
         style={{ backgroundColor: segmentColor || 'white' }}
       >
-        <div className="marker-icon">{currentModeIcon}</div>
+        {/* Keyed by icon when morphing so the pop animation replays on every mode change */}
+        <div key={morphIcon ? currentModeIcon : 'icon'} className={`marker-icon${morphIcon ? ' morph' : ''}`}>
+          {currentModeIcon}
+        </div>
       </div>
     </div>
   );
@@ -17,19 +17,31 @@ import Modal from './Modal';
 import PlaybackControls from './components/PlaybackControls';
 import SpeedControl from './components/SpeedControl';
 import ZoomControl from './components/ZoomControl';
+import PlaybackModeControl from './components/PlaybackModeControl';
 import TimelineScrubber from './components/TimelineScrubber';
-import { useMarkerAnimation, useZoomManager, useRouteAnimation } from './hooks';
+import ExportVideoDialog from './components/ExportVideoDialog';
+import CameraKeyframeEditor from './components/CameraKeyframeEditor';
+import { useMarkerAnimation, useZoomManager, useRouteAnimation, useVideoExport } from './hooks';
 import { isMobileDevice } from '../../../utils/deviceDetection';
 import { centerMapOnLocation } from '../../../utils/mapCenteringUtils';
+import { captureCamera, createKeyframe, sortKeyframes } from './utils/cameraKeyframes';
+import { useTripStore } from '../../../store';
 import '../../../styles/unified-icons.css';
 import './RouteAnimator.css';
 
-const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimationStart, isMobile = false, forceShow = false, onClose, embeddedInModal = false, onMinimize, isMinimized: propsIsMinimized, setIsMinimized: propsSetIsMinimized, enabledEffects = {} }) => {
+const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimationStart, isMobile = false, forceShow = false, onClose, embeddedInModal = false, onMinimize, isMinimized: propsIsMinimized, setIsMinimized: propsSetIsMinimized, enabledEffects = {}, stops = [], cameraKeyframes: propsCameraKeyframes, onCameraKeyframesChange, variant = 'full', autoplay = false, loop = false, startProgress = 0 }) => {
+  // variant 'minimal' is the embed player: play, timeline and speed only.
+  // autoplay, loop and startProgress (0-100) are its URL options.
 
   // Use props if provided (embedded mode), otherwise manage internally
   const [internalIsMinimized, setInternalIsMinimized] = useState(false);
   const isMinimized = propsIsMinimized !== undefined ? propsIsMinimized : internalIsMinimized;
   const setIsMinimized = propsSetIsMinimized !== undefined ? propsSetIsMinimized : setInternalIsMinimized;
+  // Camera keyframes are saved with the route, so the parent usually owns them
+  const [internalCameraKeyframes, setInternalCameraKeyframes] = useState([]);
+  const cameraKeyframes = propsCameraKeyframes !== undefined ? propsCameraKeyframes : internalCameraKeyframes;
+  const setCameraKeyframes = onCameraKeyframesChange || setInternalCameraKeyframes;
+  const [selectedKeyframeId, setSelectedKeyframeId] = useState(null);
   const [isAnimating, setIsAnimatingState] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [modalState, setModalState] = useState({ isOpen: false, title: '', message: '', type: 'info' });
@@ -61,10 +73,12 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
       onAnimationStateChange(value);
     }
   }
-  const [zoomLevel, setZoomLevel] = useState(isMobile ? 'follow' : 'whole'); // 'follow' on mobile, 'whole' on desktop
+  const [zoomLevel, setZoomLevel] = useState(isMobile && variant !== 'minimal' ? 'follow' : 'whole'); // 'follow' on mobile, 'whole' on desktop and in embeds
   const [playbackSpeed, setPlaybackSpeed] = useState('medium'); // 'slow', 'medium', 'fast'
+  const [playbackMode, setPlaybackMode] = useState('distance'); // 'distance' or 'realtime'
   const [animationProgress, setAnimationProgress] = useState(0); // 0-100 for timeline
   const [currentSegmentMode, setCurrentSegmentMode] = useState(null); // Track current segment mode for animated marker box
+  const [showExportDialog, setShowExportDialog] = useState(false);
 
   // Refs for hook access
   const zoomLevelRef = useRef(zoomLevel);
@@ -97,6 +111,10 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
     pauseAnimation,
     resumeAnimation,
     handleTimelineChange,
+    prepareAnimationPath,
+    getFrameAtTime,
+    getTripSecondsAtProgress,
+    clock,
     totalDistanceRef,
     polylineRef,
     pathRef
@@ -105,6 +123,8 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
     directionsRoute,
     zoomLevel,
     playbackSpeed,
+    playbackMode,
+    stops,
     isAnimating,
     setIsAnimating,
     isPaused,
@@ -118,9 +138,39 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
     playbackSpeedRef,
     forceCenterOnNextFrameRef,
     isMobile,
-    enabledEffects
+    enabledEffects,
+    cameraKeyframes,
+    loop
   });
 
+  // Use video export hook
+  const {
+    exportState,
+    exportVideo,
+    cancelExport,
+    resetExport
+  } = useVideoExport({
+    directionsRoute,
+    prepareAnimationPath,
+    getFrameAtTime,
+    clock
+  });
+
+  const openExportDialog = useCallback(() => {
+    resetExport();
+    setShowExportDialog(true);
+  }, [resetExport]);
+
+  const exportDialog = (
+    <ExportVideoDialog
+      isOpen={showExportDialog}
+      onClose={() => setShowExportDialog(false)}
+      exportState={exportState}
+      onExport={exportVideo}
+      onCancel={cancelExport}
+    />
+  );
+
   // Exit animation mode - clean up everything
   const exitAnimationMode = useCallback(() => {
     // Stop animation and remove polyline (don't recenter - user might be examining route)
@@ -202,11 +252,27 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
           centerMapOnLocation(map, firstLocation, isMobile, true);
         }
       }
-    } else if (zoomLevel === 'whole') {
-      // Fit whole route in view
+    } else if (zoomLevel === 'whole' || cameraKeyframes.length === 0) {
+      // Fit whole route in view (director mode too, until it has keyframes)
       fitWholeRoute();
+    } else {
+      // Director: show the shot for the current timeline position
+      clock.seek(clock.getTime());
     }
-  }, [zoomLevel, map, directionsRoute, isAnimating, isPaused, isMobile, getFollowModeZoom, fitWholeRoute]);
+  }, [zoomLevel, map, directionsRoute, isAnimating, isPaused, isMobile, getFollowModeZoom, fitWholeRoute, clock, cameraKeyframes]);
+
+  // Map camera at the marker's current position, as keyframe values
+  const captureView = useCallback(() => {
+    const frame = getFrameAtTime(clock.getTime());
+    if (!map || !frame) return null;
+    return captureCamera(map, frame.position);
+  }, [map, getFrameAtTime, clock]);
+
+  const handleKeyframeMove = useCallback((id, progress) => {
+    setCameraKeyframes(sortKeyframes(cameraKeyframes.map(keyframe => (
+      keyframe.id === id ? createKeyframe({ ...keyframe, progress }) : keyframe
+    ))));
+  }, [cameraKeyframes, setCameraKeyframes]);
 
   // Check if route is playable
   const isRoutePlayable = useCallback(() => {
@@ -236,6 +302,29 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
     startAnimationFromHook(embeddedInModal, onMinimize);
   }, [embeddedInModal, onMinimize, startAnimationFromHook]);
 
+  // The embed player has no editing to come back to, so Play starts from
+  // wherever the timeline was scrubbed to
+  const startMinimalAnimation = useCallback(() => {
+    startAnimationFromHook(false, null, animationProgress);
+  }, [startAnimationFromHook, animationProgress]);
+
+  // Embeds autoplay (or cue up at startProgress) once every leg is on the map
+  const publishedSegmentCount = useTripStore(state => state.segments.length);
+  const embedStartedRef = useRef(false);
+  useEffect(() => {
+    if (variant !== 'minimal' || embedStartedRef.current || !map || !isRoutePlayable()) return;
+
+    const legCount = directionsRoute.allLocations.filter(Boolean).length - 1;
+    if (publishedSegmentCount < legCount) return;
+
+    embedStartedRef.current = true;
+    if (autoplay) {
+      startAnimationFromHook(false, null, startProgress);
+    } else if (startProgress > 0) {
+      handleTimelineChange(startProgress);
+    }
+  }, [variant, map, directionsRoute, publishedSegmentCount, autoplay, startProgress, isRoutePlayable, startAnimationFromHook, handleTimelineChange]);
+
   const handleMouseDown = (e) => {
     if (e.target.closest('.drag-handle')) {
       setIsDragging(true);
@@ -330,6 +419,50 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
     return () => window.removeEventListener('resize', handleResize);
   }, [isMinimized]);
 
+  // Embed player - one bar along the bottom of the map
+  if (variant === 'minimal') {
+    return (
+      <div
+        className="route-animator-minimal"
+        onMouseDown={(e) => e.stopPropagation()}
+        onWheel={(e) => e.stopPropagation()}
+      >
+        <div className="playback-controls">
+          <PlaybackControls
+            isAnimating={isAnimating}
+            isPaused={isPaused}
+            onPlay={startMinimalAnimation}
+            onPause={pauseAnimation}
+            onResume={resumeAnimation}
+            onStop={handleStopAnimation}
+            isMobile={false}
+            disabled={!isRoutePlayable()}
+          />
+        </div>
+
+        <TimelineScrubber
+          animationProgress={animationProgress}
+          onChange={handleTimelineChange}
+          isMobile={isMobile}
+        />
+
+        <SpeedControl
+          playbackSpeed={playbackSpeed}
+          onChange={setPlaybackSpeed}
+          isMobile={false}
+        />
+
+        <Modal
+          isOpen={modalState.isOpen}
+          onClose={() => setModalState({ ...modalState, isOpen: false })}
+          title={modalState.title}
+          message={modalState.message}
+          type={modalState.type}
+        />
+      </div>
+    );
+  }
+
   // When embedded in modal on mobile, render the controls only (FAB handled by DirectionsPanel)
   if (embeddedInModal) {
     return (
@@ -353,6 +486,7 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
                 onPause={pauseAnimation}
                 onResume={resumeAnimation}
                 onStop={handleStopAnimation}
+                onExportVideo={openExportDialog}
                 isMobile={true}
                 disabled={!isRoutePlayable()}
               />
@@ -373,6 +507,41 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
               isPaused={isPaused}
               isMobile={true}
             />
+
+            <div className="mobile-section-label">Timing</div>
+            <PlaybackModeControl
+              playbackMode={playbackMode}
+              onChange={setPlaybackMode}
+              isAnimating={isAnimating}
+              isPaused={isPaused}
+            />
+
+            <TimelineScrubber
+              animationProgress={animationProgress}
+              onChange={handleTimelineChange}
+              isMobile={true}
+              showLabel={true}
+              getTripSeconds={playbackMode === 'realtime' ? getTripSecondsAtProgress : null}
+              keyframes={zoomLevel === 'director' ? cameraKeyframes : null}
+              selectedKeyframeId={selectedKeyframeId}
+              onKeyframeSelect={setSelectedKeyframeId}
+              onKeyframeMove={handleKeyframeMove}
+            />
+
+            {zoomLevel === 'director' && (
+              <>
+                <div className="mobile-section-label">Camera</div>
+                <CameraKeyframeEditor
+                  keyframes={cameraKeyframes}
+                  onChange={setCameraKeyframes}
+                  selectedId={selectedKeyframeId}
+                  onSelect={setSelectedKeyframeId}
+                  animationProgress={animationProgress}
+                  captureView={captureView}
+                  disabled={isAnimating && !isPaused}
+                />
+              </>
+            )}
           </div>
             <Modal
               isOpen={modalState.isOpen}
@@ -383,6 +552,7 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
             />
           </div>
         )}
+        {exportDialog}
       </>
     );
   }
@@ -490,6 +660,7 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
                 onPause={pauseAnimation}
                 onResume={resumeAnimation}
                 onStop={handleStopAnimation}
+                onExportVideo={openExportDialog}
                 isMobile={false}
                 disabled={!isRoutePlayable()}
               />
@@ -508,13 +679,37 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
               onChange={setPlaybackSpeed}
               isMobile={false}
             />
+
+            <PlaybackModeControl
+              playbackMode={playbackMode}
+              onChange={setPlaybackMode}
+              isAnimating={isAnimating}
+              isPaused={isPaused}
+            />
             
             <TimelineScrubber
               animationProgress={animationProgress}
               onChange={handleTimelineChange}
               isMobile={false}
               showLabel={true}
+              getTripSeconds={playbackMode === 'realtime' ? getTripSecondsAtProgress : null}
+              keyframes={zoomLevel === 'director' ? cameraKeyframes : null}
+              selectedKeyframeId={selectedKeyframeId}
+              onKeyframeSelect={setSelectedKeyframeId}
+              onKeyframeMove={handleKeyframeMove}
             />
+
+            {zoomLevel === 'director' && (
+              <CameraKeyframeEditor
+                keyframes={cameraKeyframes}
+                onChange={setCameraKeyframes}
+                selectedId={selectedKeyframeId}
+                onSelect={setSelectedKeyframeId}
+                animationProgress={animationProgress}
+                captureView={captureView}
+                disabled={isAnimating && !isPaused}
+              />
+            )}
             
           </div>
         </div>
@@ -526,6 +721,7 @@ const RouteAnimator = ({ map, directionsRoute, onAnimationStateChange, onAnimati
         message={modalState.message}
         type={modalState.type}
       />
+      {exportDialog}
     </div>
   );
 };
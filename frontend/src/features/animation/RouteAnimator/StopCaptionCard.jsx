@@ -0,0 +1,19 @@
+import React from 'react';
+import './StopCaptionCard.css';
+
+// Caption and photo for the stop the animation is paused at
+const StopCaptionCard = ({ stopCard }) => {
+  if (!stopCard) return null;
+
+  return (
+    <div className="stop-caption-card">
+      {stopCard.photo && <img className="stop-caption-photo" src={stopCard.photo} alt="" />}
+      <div className="stop-caption-body">
+        {stopCard.name && <div className="stop-caption-name">{stopCard.name}</div>}
+        {stopCard.caption && <div className="stop-caption-text">{stopCard.caption}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default StopCaptionCard;
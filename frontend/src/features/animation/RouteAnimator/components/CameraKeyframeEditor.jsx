@@ -0,0 +1,111 @@
+import React from 'react';
+import { MAX_TILT, EASING_OPTIONS, createKeyframe, sortKeyframes } from '../utils/cameraKeyframes';
+
+/**
+ * CameraKeyframeEditor - Add and tune camera keyframes for director mode
+ *
+ * New keyframes capture the map as it is framed now (zoom, tilt, heading and
+ * where the marker sits on screen) at the current timeline position.
+ */
+const CameraKeyframeEditor = ({
+  keyframes,
+  onChange,
+  selectedId,
+  onSelect,
+  animationProgress,
+  captureView,
+  disabled = false
+}) => {
+  const selected = keyframes.find(keyframe => keyframe.id === selectedId) || null;
+
+  const handleAdd = () => {
+    const view = captureView();
+    if (!view) return;
+
+    const keyframe = createKeyframe({ ...view, progress: animationProgress });
+    onChange(sortKeyframes([...keyframes, keyframe]));
+    onSelect(keyframe.id);
+  };
+
+  const updateSelected = (changes) => {
+    if (!selected) return;
+    const updated = createKeyframe({ ...selected, ...changes });
+    onChange(sortKeyframes(keyframes.map(keyframe => (keyframe.id === selected.id ? updated : keyframe))));
+  };
+
+  const handleCaptureView = () => {
+    const view = captureView();
+    if (view) {
+      updateSelected(view);
+    }
+  };
+
+  const handleDelete = () => {
+    onChange(keyframes.filter(keyframe => keyframe.id !== selectedId));
+    onSelect(null);
+  };
+
+  const numberField = (label, field, { min, max, step }) => (
+    <label className="keyframe-field">
+      <span>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={selected[field]}
+        disabled={disabled}
+        onChange={(e) => updateSelected({ [field]: e.target.value })}
+      />
+    </label>
+  );
+
+  return (
+    <div className="camera-keyframe-editor">
+      <div className="keyframe-editor-header">
+        <span>Camera keyframes</span>
+        <button type="button" onClick={handleAdd} disabled={disabled}>
+          + Add at {Math.round(animationProgress)}%
+        </button>
+      </div>
+
+      {keyframes.length === 0 && (
+        <small className="keyframe-hint">
+          Scrub to a moment, frame the map (Ctrl + drag to tilt and rotate), then add a keyframe.
+        </small>
+      )}
+
+      {selected && (
+        <>
+          <div className="keyframe-fields">
+            {numberField('Time %', 'progress', { min: 0, max: 100, step: 0.1 })}
+            {numberField('Zoom', 'zoom', { min: 1, max: 21, step: 0.1 })}
+            {numberField('Tilt °', 'tilt', { min: 0, max: MAX_TILT, step: 1 })}
+            {numberField('Heading °', 'heading', { min: 0, max: 359, step: 1 })}
+            {numberField('Offset X %', 'offsetX', { min: -50, max: 50, step: 1 })}
+            {numberField('Offset Y %', 'offsetY', { min: -50, max: 50, step: 1 })}
+            <label className="keyframe-field wide">
+              <span>Easing in</span>
+              <select
+                value={selected.easing}
+                disabled={disabled}
+                onChange={(e) => updateSelected({ easing: e.target.value })}
+              >
+                {EASING_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="keyframe-actions">
+            <button type="button" onClick={handleCaptureView} disabled={disabled}>Use current view</button>
+            <button type="button" className="danger" onClick={handleDelete} disabled={disabled}>Delete</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CameraKeyframeEditor;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import { isVideoExportSupported } from '../../export/encodeWebM';
+
+const RESOLUTIONS = {
+  '720': { label: '720p', shortSide: 720 },
+  '1080': { label: '1080p', shortSide: 1080 }
+};
+
+const ASPECT_RATIOS = {
+  '16:9': { label: '16:9 Landscape', width: 16, height: 9 },
+  '9:16': { label: '9:16 Vertical', width: 9, height: 16 },
+  '1:1': { label: '1:1 Square', width: 1, height: 1 }
+};
+
+const DURATIONS = [10, 15, 30, 60];
+
+// Output size in pixels, rounded to even numbers for the encoder
+const getVideoSize = (resolution, aspect) => {
+  const { shortSide } = RESOLUTIONS[resolution];
+  const ratio = ASPECT_RATIOS[aspect];
+  const toEven = (value) => Math.round(value / 2) * 2;
+  if (ratio.width >= ratio.height) {
+    return { width: toEven(shortSide * ratio.width / ratio.height), height: shortSide };
+  }
+  return { width: shortSide, height: toEven(shortSide * ratio.height / ratio.width) };
+};
+
+/**
+ * ExportVideoDialog - Pick resolution, aspect ratio and duration, then record a WebM
+ */
+const ExportVideoDialog = ({ isOpen, onClose, exportState, onExport, onCancel }) => {
+  const [resolution, setResolution] = useState('1080');
+  const [aspect, setAspect] = useState('16:9');
+  const [duration, setDuration] = useState(15);
+
+  if (!isOpen) return null;
+
+  const isBusy = exportState.status === 'preparing' || exportState.status === 'recording';
+  const supported = isVideoExportSupported();
+  const { width, height } = getVideoSize(resolution, aspect);
+
+  const handleClose = () => {
+    if (isBusy) {
+      onCancel();
+    }
+    onClose();
+  };
+
+  return ReactDOM.createPortal(
+    <div className="route-modal-overlay visible" onClick={handleClose}>
+      <div className="route-modal-content export-video-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="route-modal-body" style={{ textAlign: 'left' }}>
+          <h3 className="route-modal-title">Export video</h3>
+
+          {!supported && (
+            <p className="export-video-error">
+              This browser can't encode video. Please use a recent Chrome, Edge, Firefox or Safari.
+            </p>
+          )}
+
+          <label className="export-video-field">
+            <span>Resolution</span>
+            <select value={resolution} onChange={(e) => setResolution(e.target.value)} disabled={isBusy}>
+              {Object.entries(RESOLUTIONS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="export-video-field">
+            <span>Aspect ratio</span>
+            <select value={aspect} onChange={(e) => setAspect(e.target.value)} disabled={isBusy}>
+              {Object.entries(ASPECT_RATIOS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="export-video-field">
+            <span>Duration</span>
+            <select value={duration} onChange={(e) => setDuration(Number(e.target.value))} disabled={isBusy}>
+              {DURATIONS.map(seconds => (
+                <option key={seconds} value={seconds}>{seconds} seconds</option>
+              ))}
+            </select>
+          </label>
+
+          <div className="export-video-size">{width} × {height} px · WebM</div>
+
+          {isBusy && (
+            <div className="export-video-progress">
+              <div
+                className="export-video-progress-bar"
+                style={{ width: `${Math.round(exportState.progress * 100)}%` }}
+              />
+              <span>
+                {exportState.status === 'preparing'
+                  ? 'Preparing map…'
+                  : `Recording ${Math.round(exportState.progress * 100)}%`}
+              </span>
+            </div>
+          )}
+
+          {exportState.warning && <p className="export-video-warning">{exportState.warning}</p>}
+          {exportState.status === 'error' && <p className="export-video-error">{exportState.error}</p>}
+          {exportState.status === 'done' && <p className="export-video-done">Video downloaded.</p>}
+        </div>
+
+        <div className="route-modal-footer">
+          {isBusy ? (
+            <button className="route-modal-button" onClick={onCancel}>
+              Cancel
+            </button>
+          ) : (
+            <button
+              className="route-modal-button"
+              onClick={() => onExport({ width, height, durationSeconds: duration })}
+              disabled={!supported}
+            >
+              Export
+            </button>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ExportVideoDialog;
@@ -1,9 +1,9 @@
 import React from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faPlay, faPause, faStop } from '@fortawesome/free-solid-svg-icons';
+import { faPlay, faPause, faStop, faVideo } from '@fortawesome/free-solid-svg-icons';
 
 /**
- * PlaybackControls - Animation playback buttons (Play/Pause/Stop)
+ * PlaybackControls - Animation playback buttons (Play/Pause/Stop/Export video)
  */
 const PlaybackControls = ({
   isAnimating,
@@ -12,6 +12,7 @@ const PlaybackControls = ({
   onPause,
   onResume,
   onStop,
+  onExportVideo,
   isMobile = false,
   disabled = false
 }) => {
@@ -19,14 +20,26 @@ const PlaybackControls = ({
 
   if (!isAnimating) {
     return (
-      <button
-        onClick={onPlay}
-        className={`${buttonClass} play`}
-        title={disabled ? "No route available" : "Start Animation"}
-        disabled={disabled}
-      >
-        <FontAwesomeIcon icon={faPlay} />
-      </button>
+      <>
+        <button
+          onClick={onPlay}
+          className={`${buttonClass} play`}
+          title={disabled ? "No route available" : "Start Animation"}
+          disabled={disabled}
+        >
+          <FontAwesomeIcon icon={faPlay} />
+        </button>
+        {onExportVideo && (
+          <button
+            onClick={onExportVideo}
+            className={`${buttonClass} record`}
+            title={disabled ? "No route available" : "Export video"}
+            disabled={disabled}
+          >
+            <FontAwesomeIcon icon={faVideo} />
+          </button>
+        )}
+      </>
     );
   }
 
@@ -0,0 +1,43 @@
+import React from 'react';
+
+/**
+ * PlaybackModeControl - Timing selector (By distance / Real time)
+ *
+ * Real time gives each leg screen time in proportion to its travel time,
+ * so walks feel slow and flights fly by.
+ */
+const PlaybackModeControl = ({ playbackMode, onChange, isAnimating, isPaused }) => {
+  const modes = [
+    { value: 'distance', label: 'Distance', sublabel: 'Even pace' },
+    { value: 'realtime', label: 'Real time', sublabel: 'Travel time' }
+  ];
+
+  // Same rule as the view selector: only change timing while stopped or paused
+  const isDisabled = isAnimating && !isPaused;
+
+  return (
+    <div className="zoom-control playback-mode-control">
+      <div className="zoom-radio-group">
+        {modes.map(({ value, label, sublabel }) => (
+          <label
+            key={value}
+            className={`zoom-radio ${playbackMode === value ? 'active' : ''} ${isDisabled ? 'disabled' : ''}`}
+          >
+            <input
+              type="radio"
+              name="playbackMode"
+              value={value}
+              checked={playbackMode === value}
+              onChange={() => !isDisabled && onChange(value)}
+              disabled={isDisabled}
+            />
+            <span>{label}</span>
+            <small>{sublabel}</small>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PlaybackModeControl;
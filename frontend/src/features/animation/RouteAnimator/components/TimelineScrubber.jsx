@@ -1,18 +1,29 @@
 import React, { useRef, useState, useEffect, useCallback } from 'react';
+import { formatTripClock } from '../utils/playbackTimeline';
 
 /**
  * TimelineScrubber - Custom drag-based timeline scrubber
  *
  * Built from scratch for smooth dragging and precise control
+ * With getTripSeconds (real time playback) the labels show the simulated
+ * trip clock instead of percentages.
+ * With keyframes (director mode) camera keyframes show as diamonds on the
+ * track: click one to select it and jump there, drag it to retime it.
  */
 const TimelineScrubber = ({
   animationProgress,
   onChange,
   isMobile = false,
-  showLabel = false
+  showLabel = false,
+  getTripSeconds = null,
+  keyframes = null,
+  selectedKeyframeId = null,
+  onKeyframeSelect,
+  onKeyframeMove
 }) => {
   const trackRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [draggingKeyframeId, setDraggingKeyframeId] = useState(null);
   const [localProgress, setLocalProgress] = useState(animationProgress);
   const lastPropProgress = useRef(animationProgress);
 
@@ -24,19 +35,39 @@ const TimelineScrubber = ({
     }
   }, [animationProgress, isDragging]);
 
+  const getPercentage = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const x = Math.max(0, Math.min(rect.width, clientX - rect.left));
+    return (x / rect.width) * 100;
+  };
+
   const updateProgress = useCallback((clientX) => {
     if (!trackRef.current) return;
 
-    const rect = trackRef.current.getBoundingClientRect();
-    const x = Math.max(0, Math.min(rect.width, clientX - rect.left));
-    const percentage = (x / rect.width) * 100;
+    const percentage = getPercentage(clientX);
 
     // Update local state immediately for smooth dragging
     setLocalProgress(percentage);
 
     // Pass the value directly to parent
     onChange(percentage);
-  }, [onChange]);
+
+    // Dragging a keyframe retimes it and previews the shot at its new time
+    if (draggingKeyframeId && onKeyframeMove) {
+      onKeyframeMove(draggingKeyframeId, percentage);
+    }
+  }, [onChange, draggingKeyframeId, onKeyframeMove]);
+
+  const handleKeyframeStart = useCallback((e, keyframe) => {
+    e.stopPropagation();
+    if (e.type === 'mousedown') e.preventDefault();
+    if (onKeyframeSelect) onKeyframeSelect(keyframe.id);
+
+    setDraggingKeyframeId(keyframe.id);
+    setIsDragging(true);
+    setLocalProgress(keyframe.progress);
+    onChange(keyframe.progress);
+  }, [onChange, onKeyframeSelect]);
 
   const handleMouseDown = useCallback((e) => {
     e.preventDefault();
@@ -64,6 +95,7 @@ const TimelineScrubber = ({
 
   const handleEnd = useCallback(() => {
     setIsDragging(false);
+    setDraggingKeyframeId(null);
   }, []);
 
   useEffect(() => {
@@ -83,6 +115,9 @@ const TimelineScrubber = ({
   }, [isDragging, handleMouseMove, handleTouchMove, handleEnd]);
 
   const displayProgress = isNaN(localProgress) ? 0 : localProgress;
+  const tripSeconds = getTripSeconds ? getTripSeconds(displayProgress) : null;
+  const tripDuration = getTripSeconds ? getTripSeconds(100) : null;
+  const showTripClock = tripSeconds !== null && tripDuration !== null;
 
   return (
     <div className="timeline-control">
@@ -100,6 +135,18 @@ const TimelineScrubber = ({
             style={{ width: `${displayProgress}%` }}
           />
 
+          {/* Camera keyframes (director mode) */}
+          {keyframes && keyframes.map(keyframe => (
+            <div
+              key={keyframe.id}
+              className={`timeline-keyframe ${keyframe.id === selectedKeyframeId ? 'selected' : ''}`}
+              style={{ left: `${keyframe.progress}%` }}
+              title={`Keyframe at ${Math.round(keyframe.progress)}%`}
+              onMouseDown={(e) => handleKeyframeStart(e, keyframe)}
+              onTouchStart={(e) => handleKeyframeStart(e, keyframe)}
+            />
+          ))}
+
           {/* Draggable handle */}
           <div
             className="timeline-handle-custom"
@@ -107,11 +154,19 @@ const TimelineScrubber = ({
           />
         </div>
 
-        <div className="timeline-labels">
-          <span>0%</span>
-          <span>{Math.round(displayProgress)}%</span>
-          <span>100%</span>
-        </div>
+        {showTripClock ? (
+          <div className="timeline-labels trip-clock">
+            <span>{formatTripClock(0)}</span>
+            <span className="trip-clock-current">{formatTripClock(tripSeconds)}</span>
+            <span>{formatTripClock(tripDuration)}</span>
+          </div>
+        ) : (
+          <div className="timeline-labels">
+            <span>0%</span>
+            <span>{Math.round(displayProgress)}%</span>
+            <span>100%</span>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,12 +1,14 @@
 import React from 'react';
 
 /**
- * ZoomControl - View mode selector (Follow/Whole)
+ * ZoomControl - View mode selector (Follow/Whole/Director)
+ * Director plays the camera keyframes placed on the timeline
  */
 const ZoomControl = ({ zoomLevel, onChange, isAnimating, isPaused, isMobile = false }) => {
   const modes = [
     { value: 'follow', label: 'Follow', sublabel: 'Marker' },
-    { value: 'whole', label: 'Whole', sublabel: 'Route' }
+    { value: 'whole', label: 'Whole', sublabel: 'Route' },
+    { value: 'director', label: 'Director', sublabel: 'Keyframes' }
   ];
 
   // Disable zoom controls when animation is playing (not paused)
@@ -1,4 +1,7 @@
 export { default as PlaybackControls } from './PlaybackControls';
 export { default as SpeedControl } from './SpeedControl';
 export { default as ZoomControl } from './ZoomControl';
+export { default as PlaybackModeControl } from './PlaybackModeControl';
 export { default as TimelineScrubber } from './TimelineScrubber';
+export { default as ExportVideoDialog } from './ExportVideoDialog';
+export { default as CameraKeyframeEditor } from './CameraKeyframeEditor';
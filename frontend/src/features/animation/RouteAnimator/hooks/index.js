@@ -1,3 +1,4 @@
 export { useMarkerAnimation } from './useMarkerAnimation';
 export { useZoomManager } from './useZoomManager';
 export { useRouteAnimation } from './useRouteAnimation';
+export { useVideoExport } from './useVideoExport';
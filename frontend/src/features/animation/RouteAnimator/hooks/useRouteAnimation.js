@@ -1,8 +1,32 @@
-import { useRef, useCallback, useEffect } from 'react';
+import { useRef, useCallback, useEffect, useMemo } from 'react';
 import { TRANSPORT_ICONS, TRANSPORTATION_COLORS } from '../../../../constants/transportationModes';
-import { ANIMATION_PADDING } from '../../../../constants/animationConstants';
+import { ANIMATION_PADDING, REALTIME_PLAYBACK } from '../../../../constants/animationConstants';
 import { ParticleTrailOverlay, initParticleTrailOverlay } from '../../effects/ParticleTrailOverlay';
+import { BurstOverlay, initBurstOverlay } from '../../effects/BurstOverlay';
+import { createPolylineOptions } from '../../../map/GoogleMap/utils/mapHelpers';
+import { unwrapLongitudes, getSegmentRoute } from '../../../map/GoogleMap/utils/segmentUtils';
+import { useTripStoreApi } from '../../../../store';
 import { centerMapOnLocation } from '../../../../utils/mapCenteringUtils';
+import { hasStopCard } from '../../../../utils/stopDetails';
+import {
+  createAnimationClock,
+  getAnimationDuration,
+  getPlaybackRate,
+  getReferenceRouteZoom
+} from '../utils/animationClock';
+import {
+  addStopDwells,
+  buildDistanceTimeline,
+  buildRealtimeTimeline,
+  getLegStops,
+  getRoutedLegSeconds,
+  getTimelineDistance,
+  getTimelineDwell,
+  getTimelineTime,
+  getTimelineTripSeconds
+} from '../utils/playbackTimeline';
+import { measurePath, getPositionAtDistance, findSegmentAtIndex } from '../utils/pathMeasure';
+import { sortKeyframes, getCameraAtProgress, getCameraCenter } from '../utils/cameraKeyframes';
 
 /**
  * useRouteAnimation - Manages route animation state and loop
@@ -10,6 +34,16 @@ import { centerMapOnLocation } from '../../../../utils/mapCenteringUtils';
  * Handles path building, polyline creation, and the main animation loop.
  * Extracted from RouteAnimator to reduce component complexity.
  *
+ * Playback is driven by a seekable clock (see utils/animationClock): every
+ * frame is computed from clock time alone, so the same timestamp always
+ * shows the same frame, and scrubbing/exporting just seek the clock.
+ * The playback timeline (utils/playbackTimeline) maps clock time to distance:
+ * constant speed in 'distance' mode, travel-time weighted in 'realtime' mode.
+ * Stops with a dwell time hold the marker still while their caption card shows.
+ * In 'director' view mode the camera follows the keyframes (utils/cameraKeyframes)
+ * at each frame's timeline progress instead of the follow/whole framing.
+ * With `loop` set (embeds), playback starts over instead of stopping at the end.
+ *
  * @param {Object} params - Configuration object
  * @returns {Object} Animation control functions and state
  */
@@ -18,6 +52,8 @@ export const useRouteAnimation = ({
   directionsRoute,
   zoomLevel,
   playbackSpeed,
+  playbackMode = 'distance',
+  stops = [],
   isAnimating,
   setIsAnimating,
   isPaused,
@@ -31,23 +67,46 @@ export const useRouteAnimation = ({
   playbackSpeedRef,
   forceCenterOnNextFrameRef,
   isMobile,
-  enabledEffects = {}
+  enabledEffects = {},
+  cameraKeyframes = [],
+  loop = false
 }) => {
+  const tripStore = useTripStoreApi();
+
   // Animation refs
   const animationRef = useRef(null);
   const pathRef = useRef(null);
   const segmentPathsRef = useRef(null);
   const isAnimatingRef = useRef(false);
   const isPausedRef = useRef(false);
-  const animateRef = useRef(null);
   const polylineRef = useRef(null);
-  const offsetRef = useRef(0);
-  const countRef = useRef(0);
-  const visualOffsetRef = useRef(0);
+  const cumulativeDistancesRef = useRef(null);
+  const clockRef = useRef(null);
+  const timelineRef = useRef(null);
+  const playbackModeRef = useRef(playbackMode);
+  const stopsRef = useRef([]);
   const totalDistanceRef = useRef(0);
   const mapRef = useRef(map);
   const particleOverlayRef = useRef(null);
-  const frameCountRef = useRef(0);
+  const trailPositionRef = useRef(null); // Marker position particles were last spawned at
+  const burstOverlayRef = useRef(null);
+  const lastModeRef = useRef(null);
+  const drawInPolylinesRef = useRef(null);
+  const effectsRef = useRef(enabledEffects);
+  const cameraKeyframesRef = useRef([]);
+  const loopRef = useRef(loop);
+
+  if (!clockRef.current) {
+    clockRef.current = createAnimationClock();
+  }
+  playbackModeRef.current = playbackMode;
+  // The loop reads effects from a ref so toggling one mid-animation takes effect
+  effectsRef.current = enabledEffects;
+  loopRef.current = loop;
+  cameraKeyframesRef.current = useMemo(() => sortKeyframes(cameraKeyframes || []), [cameraKeyframes]);
+  // Legs join consecutive non-empty locations, so stop k is the start of leg k
+  stopsRef.current = (stops || []).filter(Boolean);
+  const dwellSignature = stopsRef.current.map(stop => stop.dwellSeconds || 0).join(',');
 
   // Update map ref when prop changes
   if (map) {
@@ -64,7 +123,7 @@ export const useRouteAnimation = ({
       if (initParticleTrailOverlay()) {
         particleOverlayRef.current = new ParticleTrailOverlay();
         particleOverlayRef.current.setMap(map);
-        frameCountRef.current = 0;
+        trailPositionRef.current = null;
       }
     } else if (!enabledEffects.particleTrail && particleOverlayRef.current) {
       // Destroy overlay when toggled OFF during animation
@@ -73,34 +132,6 @@ export const useRouteAnimation = ({
     }
   }, [enabledEffects.particleTrail, isAnimating, map]);
 
-  /**
-   * Get interpolated position along the path based on distance traveled
-   */
-  const getInterpolatedPosition = useCallback((path, distance) => {
-    let accumulatedDistance = 0;
-
-    for (let i = 0; i < path.length - 1; i++) {
-      const segmentDistance = window.google.maps.geometry.spherical.computeDistanceBetween(
-        path[i],
-        path[i + 1]
-      );
-
-      if (accumulatedDistance + segmentDistance >= distance) {
-        const segmentProgress = (distance - accumulatedDistance) / segmentDistance;
-        return window.google.maps.geometry.spherical.interpolate(
-          path[i],
-          path[i + 1],
-          segmentProgress
-        );
-      }
-
-      accumulatedDistance += segmentDistance;
-    }
-
-    // Return last position if we've exceeded the path
-    return path[path.length - 1];
-  }, []);
-
   /**
    * Build path from route segments
    */
@@ -108,10 +139,11 @@ export const useRouteAnimation = ({
     let fullPath = [];
     let segmentInfo = [];
 
-    // Get path from stored route segments
-    if (window._routeSegments && window._routeSegments.length > 0) {
-      for (let i = 0; i < window._routeSegments.length; i++) {
-        const segment = window._routeSegments[i];
+    // Get path from the segments the map computed (the exact displayed route)
+    const { segments } = tripStore.getState();
+    if (segments.length > 0) {
+      for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
         const mode = segment.mode || allModes[i] || 'walk';
 
         // Handle custom drawn segments
@@ -121,12 +153,14 @@ export const useRouteAnimation = ({
           );
 
           // Interpolate between custom points for smooth animation
+          // Imported tracks are already dense, so only long gaps need extra points
+          const minSteps = customPath.length > 2 ? 1 : 10;
           const interpolatedCustomPath = [];
           for (let j = 0; j < customPath.length - 1; j++) {
             const start = customPath[j];
             const end = customPath[j + 1];
             const distance = window.google.maps.geometry.spherical.computeDistanceBetween(start, end);
-            const steps = Math.min(100, Math.max(10, Math.floor(distance / 1000)));
+            const steps = Math.min(100, Math.max(minSteps, Math.floor(distance / 1000)));
 
             interpolatedCustomPath.push(start);
 
@@ -147,11 +181,12 @@ export const useRouteAnimation = ({
             endIndex: fullPath.length - 1,
             mode: mode,
             locationIndex: i,
-            isCustom: true
+            isCustom: true,
+            travelSeconds: null
           });
-        } else if (segment.route && segment.route.routes && segment.route.routes[0]) {
-          // Use the EXACT path from overview_path
-          const route = segment.route.routes[0];
+        } else if (getSegmentRoute(segment)) {
+          // Use the EXACT path from overview_path (of the alternative picked for the leg)
+          const route = getSegmentRoute(segment);
           let segmentPath = route.overview_path || [];
 
           const segmentStartIndex = fullPath.length;
@@ -161,7 +196,8 @@ export const useRouteAnimation = ({
             startIndex: segmentStartIndex,
             endIndex: fullPath.length - 1,
             mode: mode,
-            locationIndex: i
+            locationIndex: i,
+            travelSeconds: getRoutedLegSeconds(segment)
           });
         }
       }
@@ -195,8 +231,10 @@ export const useRouteAnimation = ({
       }
     }
 
-    return { fullPath, segmentInfo };
-  }, []);
+    // Continuous longitudes, so legs across the ±180° meridian (great-circle
+    // flights over the Pacific) don't draw back across the whole map
+    return { fullPath: unwrapLongitudes(fullPath), segmentInfo };
+  }, [tripStore]);
 
   /**
    * Optimize path for performance
@@ -283,6 +321,295 @@ export const useRouteAnimation = ({
     return { densifiedPath, densifiedSegmentInfo, routeDistanceKm };
   }, []);
 
+  /**
+   * Rebuild the playback timeline for the current path, view mode and
+   * playback mode. The marker stays at the same distance along the route.
+   */
+  const updateTimeline = useCallback(() => {
+    const path = pathRef.current;
+    const cumulative = cumulativeDistancesRef.current;
+    if (!path || path.length < 2 || !cumulative) return;
+
+    const clock = clockRef.current;
+    const currentDistance = timelineRef.current ? getTimelineDistance(timelineRef.current, clock.getTime()) : 0;
+    const totalDistance = cumulative[cumulative.length - 1];
+
+    let timeline;
+    if (playbackModeRef.current === 'realtime') {
+      timeline = buildRealtimeTimeline({
+        cumulative,
+        segmentInfo: segmentPathsRef.current,
+        duration: REALTIME_PLAYBACK.TARGET_DURATION_MS
+      });
+    } else {
+      const zoomMode = zoomLevelRef.current === 'follow' ? 'follow' : 'whole';
+      const cameraZoom = zoomMode === 'follow' ? getFollowModeZoom() : getReferenceRouteZoom(path);
+      timeline = buildDistanceTimeline({
+        totalDistance,
+        duration: getAnimationDuration({ routeDistance: totalDistance, zoomMode, cameraZoom })
+      });
+    }
+
+    timelineRef.current = addStopDwells(
+      timeline,
+      getLegStops({ cumulative, segmentInfo: segmentPathsRef.current }),
+      (stopIndex) => (stopsRef.current[stopIndex]?.dwellSeconds || 0) * 1000
+    );
+
+    clock.setDuration(timelineRef.current.duration);
+    clock.seek(getTimelineTime(timelineRef.current, currentDistance));
+  }, [getFollowModeZoom, zoomLevelRef]);
+
+  /**
+   * Store the animation path and measure it once, so per-frame lookups are cheap
+   */
+  const setAnimationPath = useCallback((path, segmentInfo) => {
+    pathRef.current = path;
+    segmentPathsRef.current = segmentInfo;
+    cumulativeDistancesRef.current = measurePath(path);
+    timelineRef.current = null;
+    totalDistanceRef.current = cumulativeDistancesRef.current[cumulativeDistancesRef.current.length - 1] / 1000;
+    updateTimeline();
+  }, [updateTimeline]);
+
+  /**
+   * Build the animation path without starting playback
+   * Reuses the current path if the scrub polyline already built one
+   */
+  const prepareAnimationPath = useCallback(() => {
+    if (pathRef.current && pathRef.current.length > 1 && segmentPathsRef.current) {
+      if (clockRef.current.getDuration() <= 0) {
+        updateTimeline();
+      }
+      return { path: pathRef.current, segmentInfo: segmentPathsRef.current };
+    }
+
+    const allLocations = directionsRoute?.allLocations || [];
+    const allModes = directionsRoute?.allModes || [];
+    const { fullPath, segmentInfo } = buildPathFromRoute(allLocations.filter(loc => loc !== null), allModes);
+    if (fullPath.length < 2) {
+      return null;
+    }
+
+    const { densifiedPath, densifiedSegmentInfo } = optimizePath(fullPath, segmentInfo);
+    if (!densifiedPath || densifiedPath.length < 2) {
+      return null;
+    }
+
+    setAnimationPath(densifiedPath, densifiedSegmentInfo);
+    return { path: densifiedPath, segmentInfo: densifiedSegmentInfo };
+  }, [directionsRoute, buildPathFromRoute, optimizePath, setAnimationPath, updateTimeline]);
+
+  /**
+   * Distance along the path (meters) reached at a clock time
+   */
+  const getDistanceAtTime = useCallback((timeMs) => {
+    return getTimelineDistance(timelineRef.current, timeMs);
+  }, []);
+
+  /**
+   * Clock time at which the marker reaches a distance along the path
+   */
+  const getTimeAtDistance = useCallback((distance) => {
+    return getTimelineTime(timelineRef.current, distance);
+  }, []);
+
+  /**
+   * Simulated trip time (seconds) at a timeline progress (0-100)
+   * Only available in 'realtime' playback, otherwise null
+   */
+  const getTripSecondsAtProgress = useCallback((progress) => {
+    const timeline = timelineRef.current;
+    if (!timeline || timeline.mode !== 'realtime') return null;
+    return getTimelineTripSeconds(timeline, (progress / 100) * timeline.duration);
+  }, []);
+
+  /**
+   * Everything needed to draw the frame at a clock time
+   * Pure function of time - the live loop, scrubbing and video export all use it
+   *
+   * @returns {Object|null} { time, progress (0-100 of the timeline), distance,
+   *   distancePercent (0-100 of the path), tripSeconds, position, pathIndex
+   *   (path edge the position is on), mode, dwellStopIndex (stop being paused
+   *   at, or null) }
+   */
+  const getFrameAtTime = useCallback((timeMs) => {
+    const path = pathRef.current;
+    const cumulative = cumulativeDistancesRef.current;
+    if (!path || path.length < 2 || !cumulative) {
+      return null;
+    }
+
+    const duration = clockRef.current.getDuration();
+    const totalDistance = cumulative[cumulative.length - 1];
+    const distance = getDistanceAtTime(timeMs);
+    const { position, index } = getPositionAtDistance(path, cumulative, distance);
+    const segment = findSegmentAtIndex(segmentPathsRef.current, index);
+    const dwell = getTimelineDwell(timelineRef.current, timeMs);
+
+    return {
+      time: timeMs,
+      progress: duration > 0 ? Math.min(100, (timeMs / duration) * 100) : 0,
+      distance,
+      distancePercent: totalDistance > 0 ? (distance / totalDistance) * 100 : 0,
+      tripSeconds: getTimelineTripSeconds(timelineRef.current, timeMs),
+      position,
+      pathIndex: index,
+      mode: segment?.mode || 'walk',
+      dwellStopIndex: dwell ? dwell.stopIndex : null
+    };
+  }, [getDistanceAtTime]);
+
+  /**
+   * Route draw-in: replace the route lines with per-leg polylines that are
+   * revealed up to the marker. Drawn from the frame, so it keeps up with any
+   * playback speed and with scrubbing.
+   */
+  const showRouteDrawIn = useCallback(() => {
+    const path = pathRef.current;
+    const segments = segmentPathsRef.current;
+    if (!map || !path || !segments || segments.length === 0 || drawInPolylinesRef.current) return;
+
+    drawInPolylinesRef.current = segments.map(segment => ({
+      segment,
+      drawnTo: -1,
+      polyline: new window.google.maps.Polyline({
+        ...createPolylineOptions(segment.mode),
+        path: [],
+        geodesic: false,
+        clickable: false,
+        map
+      })
+    }));
+
+    // RouteSegmentManager and CustomRouteDrawer hide their lines meanwhile
+    window.dispatchEvent(new CustomEvent('routeDrawInChange', { detail: { active: true } }));
+  }, [map]);
+
+  const hideRouteDrawIn = useCallback(() => {
+    if (!drawInPolylinesRef.current) return;
+
+    drawInPolylinesRef.current.forEach(({ polyline }) => polyline.setMap(null));
+    drawInPolylinesRef.current = null;
+    window.dispatchEvent(new CustomEvent('routeDrawInChange', { detail: { active: false } }));
+  }, []);
+
+  const updateRouteDrawIn = useCallback((frame) => {
+    const path = pathRef.current;
+    if (!drawInPolylinesRef.current || !path) return;
+
+    drawInPolylinesRef.current.forEach((entry) => {
+      const { startIndex, endIndex } = entry.segment;
+
+      if (frame.pathIndex < startIndex) {
+        // Not reached yet
+        if (entry.drawnTo !== -1) {
+          entry.polyline.setPath([]);
+          entry.drawnTo = -1;
+        }
+      } else if (frame.pathIndex >= endIndex) {
+        // Already passed - only needs drawing once
+        if (entry.drawnTo !== endIndex) {
+          entry.polyline.setPath(path.slice(startIndex, endIndex + 1));
+          entry.drawnTo = endIndex;
+        }
+      } else {
+        // Leg the marker is on: draw up to the marker itself
+        entry.polyline.setPath(path.slice(startIndex, frame.pathIndex + 1).concat(frame.position));
+        entry.drawnTo = frame.pathIndex;
+      }
+    });
+  }, []);
+
+  /**
+   * One-shot effects (confetti, mode transition rings), created on first use
+   */
+  const getBurstOverlay = useCallback(() => {
+    if (!burstOverlayRef.current && mapRef.current && initBurstOverlay()) {
+      burstOverlayRef.current = new BurstOverlay();
+      burstOverlayRef.current.setMap(mapRef.current);
+    }
+    return burstOverlayRef.current;
+  }, []);
+
+  // Director mode only takes over the camera once there is a keyframe
+  const isDirecting = useCallback(() => {
+    return zoomLevelRef.current === 'director' && cameraKeyframesRef.current.length > 0;
+  }, [zoomLevelRef]);
+
+  /**
+   * Point the camera as the keyframes say for a frame
+   */
+  const applyDirectorCamera = useCallback((frame) => {
+    const camera = getCameraAtProgress(cameraKeyframesRef.current, frame.progress);
+    if (!camera || !mapRef.current) return;
+
+    const mapDiv = mapRef.current.getDiv();
+    mapRef.current.moveCamera({
+      center: getCameraCenter(frame.position, camera, { width: mapDiv.offsetWidth, height: mapDiv.offsetHeight }),
+      zoom: camera.zoom,
+      tilt: camera.tilt,
+      heading: camera.heading
+    });
+  }, []);
+
+  /**
+   * Move the marker, timeline, mode badge (and director camera) to a frame
+   */
+  const renderFrame = useCallback((frame) => {
+    if (polylineRef.current) {
+      const icons = polylineRef.current.get('icons');
+      if (icons && icons.length > 0) {
+        icons[0].offset = frame.distancePercent + '%';
+        polylineRef.current.set('icons', icons);
+      }
+    }
+
+    setAnimationProgress(frame.progress);
+    updateRouteDrawIn(frame);
+
+    if (isDirecting()) {
+      applyDirectorCamera(frame);
+    }
+
+    if (segmentPathsRef.current && segmentPathsRef.current.length > 0) {
+      setCurrentSegmentMode(frame.mode);
+
+      const stop = frame.dwellStopIndex !== null ? stopsRef.current[frame.dwellStopIndex] : null;
+      window.dispatchEvent(new CustomEvent('routeAnimationUpdate', {
+        detail: {
+          isAnimating: true,
+          currentModeIcon: TRANSPORT_ICONS[frame.mode],
+          segmentColor: TRANSPORTATION_COLORS[frame.mode],
+          morphIcon: Boolean(effectsRef.current.modeTransitions),
+          stopCard: hasStopCard(stop)
+            ? { name: stop.name || stop.formatted_address, caption: stop.caption, photo: stop.photo }
+            : null
+        }
+      }));
+    }
+  }, [setAnimationProgress, setCurrentSegmentMode, updateRouteDrawIn, isDirecting, applyDirectorCamera]);
+
+  /**
+   * Seek the clock and draw the frame there (keeps the play/pause state)
+   */
+  const seekToTime = useCallback((timeMs) => {
+    const clock = clockRef.current;
+    if (clock.getDuration() <= 0) {
+      updateTimeline();
+    }
+
+    const frame = getFrameAtTime(clock.seek(timeMs));
+    if (!frame) return null;
+
+    // A jump isn't movement - don't trail particles or burst across it
+    trailPositionRef.current = null;
+    lastModeRef.current = null;
+
+    renderFrame(frame);
+    return frame;
+  }, [getFrameAtTime, renderFrame, updateTimeline]);
+
   /**
    * Create animated polyline
    */
@@ -328,20 +655,8 @@ export const useRouteAnimation = ({
           }
         }
 
-        const progress = (closestIndex / (densifiedPath.length - 1)) * 100;
-        countRef.current = progress * 2;
-        offsetRef.current = progress;
-        visualOffsetRef.current = progress;
-        setAnimationProgress(progress);
-
-        const icons = polyline.get('icons');
-        if (icons && icons.length > 0) {
-          const currentIcon = icons[0].icon;
-          polyline.set('icons', [{
-            icon: currentIcon,
-            offset: progress + '%'
-          }]);
-        }
+        const cumulative = cumulativeDistancesRef.current;
+        seekToTime(getTimeAtDistance(cumulative ? cumulative[closestIndex] : 0));
 
         map.panTo(e.latLng);
 
@@ -356,289 +671,133 @@ export const useRouteAnimation = ({
     });
 
     return polyline;
-  }, [map, setAnimationProgress, setIsAnimating, setIsPaused]);
+  }, [map, seekToTime, getTimeAtDistance, setIsAnimating, setIsPaused]);
 
   /**
    * Main animation loop
+   * Each frame just advances the clock and draws the frame for its time
    */
   const animateAlongRoute = useCallback((isResuming = false) => {
+    const clock = clockRef.current;
     if (!isResuming) {
-      countRef.current = 0;
-      visualOffsetRef.current = 0;
-      if (animateRef.current) {
-        animateRef.current.frameCount = 0;
-      }
+      clock.seek(0);
+      lastModeRef.current = null;
     }
-
-    // Calculate total route distance
-    let totalRouteDistance = 0;
-    if (pathRef.current && pathRef.current.length > 1) {
-      for (let i = 0; i < pathRef.current.length - 1; i++) {
-        totalRouteDistance += window.google.maps.geometry.spherical.computeDistanceBetween(
-          pathRef.current[i],
-          pathRef.current[i + 1]
-        );
-      }
+    trailPositionRef.current = null;
+    if (clock.getDuration() <= 0) {
+      updateTimeline();
     }
-
-    let lastTimestamp = performance.now();
+    clock.setRate(getPlaybackRate(playbackSpeedRef.current));
+    clock.play();
 
     const animate = (timestamp) => {
       if (!isAnimatingRef.current || isPausedRef.current || !polylineRef.current) {
         return;
       }
 
-      const deltaTime = timestamp - lastTimestamp;
-      lastTimestamp = timestamp;
+      const frame = getFrameAtTime(clock.tick(timestamp));
+      if (!frame) return;
 
-      const fixedTimestep = 16.67;
+      renderFrame(frame);
 
-      // Skip frame if deltaTime is too large (tab was in background)
-      if (deltaTime > 200) {
-        animationRef.current = requestAnimationFrame(animate);
-        return;
-      }
+      const effects = effectsRef.current;
 
-      const clampedDeltaTime = fixedTimestep;
-
-      if (!totalRouteDistance || totalRouteDistance === 0) return;
-
-      // Calculate speed based on route distance and zoom level
-      let baseSpeed;
-      const routeDistanceKm = totalRouteDistance / 1000;
-
-      if (zoomLevelRef.current === 'whole') {
-        // Adaptive base speed for whole route mode
-        if (routeDistanceKm > 2000) {
-          baseSpeed = 20000;
-        } else if (routeDistanceKm > 1000) {
-          baseSpeed = 10000;
-        } else if (routeDistanceKm > 500) {
-          baseSpeed = 5000;
-        } else if (routeDistanceKm > 100) {
-          baseSpeed = 2000;
-        } else if (routeDistanceKm > 50) {
-          baseSpeed = 800;
-        } else if (routeDistanceKm > 10) {
-          baseSpeed = 400;
-        } else if (routeDistanceKm > 1) {
-          baseSpeed = 100;
-        } else {
-          baseSpeed = 30;
-        }
-      } else {
-        // Follow marker mode
-        if (routeDistanceKm > 1000) {
-          baseSpeed = 500;
-        } else if (routeDistanceKm > 100) {
-          baseSpeed = 200;
-        } else if (routeDistanceKm > 10) {
-          baseSpeed = 100;
-        } else {
-          baseSpeed = 60;
-        }
+      // Particle trail - filled along the ground covered since last frame
+      if (effects.particleTrail && particleOverlayRef.current) {
+        particleOverlayRef.current.spawnParticlesAlong(trailPositionRef.current, frame.position);
+        trailPositionRef.current = frame.position;
       }
 
-      // Apply zoom-based speed adjustment
-      const currentZoom = map.getZoom();
-      const zoomDiff = 15 - currentZoom;
-      let zoomSpeedMultiplier = Math.pow(1.15, zoomDiff);
-      zoomSpeedMultiplier = Math.max(0.3, Math.min(5.0, zoomSpeedMultiplier));
-
-      // Apply playback speed multiplier
-      let playbackMultiplier = 1;
-      if (playbackSpeedRef.current === 'slow') {
-        playbackMultiplier = 0.5;
-      } else if (playbackSpeedRef.current === 'fast') {
-        playbackMultiplier = 2;
+      // Mode transition burst where the marker switches transport
+      if (effects.modeTransitions && lastModeRef.current && lastModeRef.current !== frame.mode) {
+        getBurstOverlay()?.burst(frame.position, 'ring', TRANSPORTATION_COLORS[frame.mode]);
       }
+      lastModeRef.current = frame.mode;
 
-      let metersPerSecond = baseSpeed * zoomSpeedMultiplier * playbackMultiplier;
-
-      const metersThisFrame = metersPerSecond * (clampedDeltaTime / 1000);
-      const percentageThisFrame = (metersThisFrame / totalRouteDistance) * 100;
-
-      countRef.current = countRef.current + (percentageThisFrame * 2);
-      if (countRef.current >= 200) countRef.current = 200;
-
-      const visualUpdateFrequency = 1;
-
-      if (!animateRef.current) animateRef.current = { frameCount: 0 };
-      animateRef.current.frameCount++;
+      // Camera following for Follow mode
+      if ((zoomLevelRef.current === 'follow' || forceCenterOnNextFrameRef.current) && mapRef.current && !isPausedRef.current) {
+        const shouldForceZoom = forceCenterOnNextFrameRef.current;
+        if (forceCenterOnNextFrameRef.current) {
+          forceCenterOnNextFrameRef.current = false;
+        }
 
-      const visualOffset = (countRef.current / 2);
+        mapRef.current.setCenter(frame.position);
 
-      // Update icon position
-      if (animateRef.current.frameCount % visualUpdateFrequency === 0 || countRef.current >= 198) {
-        const icons = polylineRef.current.get('icons');
-        if (icons && icons.length > 0) {
-          icons[0].offset = visualOffset + '%';
-          polylineRef.current.set('icons', icons);
+        if (shouldForceZoom) {
+          mapRef.current.setZoom(getFollowModeZoom());
         }
       }
 
-      visualOffsetRef.current = visualOffset;
-      offsetRef.current = countRef.current / 2;
-      const newProgress = countRef.current / 2;
-      setAnimationProgress(newProgress);
-
-      // Update current segment mode
-      if (segmentPathsRef.current && segmentPathsRef.current.length > 0) {
-        const path = pathRef.current;
-        if (path && path.length > 0) {
-          let totalDistance = 0;
-          const distances = [];
-          for (let i = 0; i < path.length - 1; i++) {
-            const dist = window.google.maps.geometry.spherical.computeDistanceBetween(
-              path[i],
-              path[i + 1]
-            );
-            distances.push(dist);
-            totalDistance += dist;
-          }
-
-          const targetDistance = totalDistance * (newProgress / 100);
-          let accumulatedDistance = 0;
-          let currentPathIndex = 0;
-
-          for (let i = 0; i < distances.length; i++) {
-            if (accumulatedDistance + distances[i] >= targetDistance) {
-              currentPathIndex = i;
-              break;
-            }
-            accumulatedDistance += distances[i];
-          }
-
-          let foundSegment = null;
-          for (const seg of segmentPathsRef.current) {
-            if (currentPathIndex >= seg.startIndex && currentPathIndex <= seg.endIndex) {
-              foundSegment = seg;
-              break;
-            }
-          }
-
-          if (!foundSegment && segmentPathsRef.current.length > 0) {
-            foundSegment = segmentPathsRef.current.reduce((closest, seg) => {
-              const currentDist = Math.min(
-                Math.abs(currentPathIndex - seg.startIndex),
-                Math.abs(currentPathIndex - seg.endIndex)
-              );
-              const closestDist = Math.min(
-                Math.abs(currentPathIndex - closest.startIndex),
-                Math.abs(currentPathIndex - closest.endIndex)
-              );
-              return currentDist < closestDist ? seg : closest;
-            }, segmentPathsRef.current[0]);
-          }
-
-          if (foundSegment && foundSegment.mode) {
-            const newMode = foundSegment.mode;
-            setCurrentSegmentMode(newMode);
-
-            window.dispatchEvent(new CustomEvent('routeAnimationUpdate', {
-              detail: {
-                isAnimating: true,
-                currentModeIcon: TRANSPORT_ICONS[newMode],
-                segmentColor: TRANSPORTATION_COLORS[newMode]
-              }
-            }));
-
-            // Spawn particles if particle trail effect is enabled
-            if (enabledEffects.particleTrail && particleOverlayRef.current) {
-              frameCountRef.current++;
-              // Spawn particles every 2 frames for denser trail
-              if (frameCountRef.current % 2 === 0) {
-                // Use visual offset percentage to index into path array
-                const symbolProgress = visualOffsetRef.current / 100;
-                const path = pathRef.current;
-
-                if (path && path.length > 1) {
-                  // Calculate index in path array based on visual progress
-                  const exactIndex = symbolProgress * (path.length - 1);
-                  const lowerIndex = Math.floor(exactIndex);
-                  const upperIndex = Math.min(lowerIndex + 1, path.length - 1);
-                  const fraction = exactIndex - lowerIndex;
-
-                  // Interpolate between the two nearest path points
-                  const markerPosition = window.google.maps.geometry.spherical.interpolate(
-                    path[lowerIndex],
-                    path[upperIndex],
-                    fraction
-                  );
-
-                  particleOverlayRef.current.spawnParticlesAtPosition(markerPosition, 6);
-                }
-              }
-            }
-          }
+      // Check if animation is complete
+      if (clock.isFinished()) {
+        if (effects.confetti) {
+          getBurstOverlay()?.burst(frame.position, 'confetti');
         }
+        if (loopRef.current) {
+          // Start over - a jump back isn't movement, like a seek
+          clock.seek(0);
+          trailPositionRef.current = null;
+          lastModeRef.current = null;
+          animationRef.current = requestAnimationFrame(animate);
+        } else {
+          stopAnimation();
+        }
+      } else {
+        animationRef.current = requestAnimationFrame(animate);
       }
+    };
 
-      // Camera following for Follow mode
-      const path = pathRef.current;
-      if (path && path.length > 0) {
-        if ((zoomLevelRef.current === 'follow' || forceCenterOnNextFrameRef.current) && mapRef.current && !isPausedRef.current) {
-          const shouldForceZoom = forceCenterOnNextFrameRef.current;
-          if (forceCenterOnNextFrameRef.current) {
-            forceCenterOnNextFrameRef.current = false;
-          }
-
-          const symbolProgress = visualOffsetRef.current / 100;
-
-          if (path && path.length > 1) {
-            let totalDistance = 0;
-            const distances = [];
-            for (let i = 0; i < path.length - 1; i++) {
-              const dist = window.google.maps.geometry.spherical.computeDistanceBetween(
-                path[i],
-                path[i + 1]
-              );
-              distances.push(dist);
-              totalDistance += dist;
-            }
-
-            const targetDistance = totalDistance * symbolProgress;
-            let accumulatedDistance = 0;
+    animationRef.current = requestAnimationFrame(animate);
+  }, [getFrameAtTime, renderFrame, updateTimeline, getBurstOverlay, getFollowModeZoom, zoomLevelRef, playbackSpeedRef, forceCenterOnNextFrameRef]);
 
-            for (let i = 0; i < distances.length; i++) {
-              if (accumulatedDistance + distances[i] >= targetDistance) {
-                const segmentProgress = (targetDistance - accumulatedDistance) / distances[i];
+  // Playback speed only changes the clock rate - the timeline stays the same
+  useEffect(() => {
+    clockRef.current.setRate(getPlaybackRate(playbackSpeed));
+  }, [playbackSpeed]);
 
-                const symbolPosition = window.google.maps.geometry.spherical.interpolate(
-                  path[i],
-                  path[i + 1],
-                  segmentProgress
-                );
+  // View mode, playback mode and stop dwells change the timeline; keep the marker where it is
+  // (updateTimeline reads them through refs, so they are listed as the triggers)
+  useEffect(() => {
+    updateTimeline();
 
-                mapRef.current.setCenter(symbolPosition);
+    if (isAnimatingRef.current) {
+      const frame = getFrameAtTime(clockRef.current.getTime());
+      if (frame) {
+        renderFrame(frame);
+      }
+    }
+  }, [zoomLevel, playbackMode, dwellSignature, updateTimeline, getFrameAtTime, renderFrame]);
 
-                if (shouldForceZoom) {
-                  mapRef.current.setZoom(getFollowModeZoom());
-                }
+  // Route draw-in runs for the whole animation and can be toggled mid-way
+  useEffect(() => {
+    if (!isAnimating || !enabledEffects.routeDrawIn) {
+      hideRouteDrawIn();
+      return;
+    }
 
-                break;
-              }
-              accumulatedDistance += distances[i];
-            }
-          }
-        }
-      }
+    showRouteDrawIn();
+    const frame = getFrameAtTime(clockRef.current.getTime());
+    if (frame) {
+      updateRouteDrawIn(frame);
+    }
+  }, [isAnimating, enabledEffects.routeDrawIn, showRouteDrawIn, hideRouteDrawIn, getFrameAtTime, updateRouteDrawIn]);
 
-      // Check if animation is complete
-      if (countRef.current >= 198) {
-        stopAnimation();
-      } else {
-        animationRef.current = requestAnimationFrame(animate);
+  // Remove effect overlays when the animator goes away
+  useEffect(() => {
+    return () => {
+      hideRouteDrawIn();
+      if (burstOverlayRef.current) {
+        burstOverlayRef.current.setMap(null);
+        burstOverlayRef.current = null;
       }
     };
-
-    animationRef.current = requestAnimationFrame(animate);
-  }, [map, setAnimationProgress, setCurrentSegmentMode, getFollowModeZoom, zoomLevelRef, playbackSpeedRef, forceCenterOnNextFrameRef]);
+  }, [hideRouteDrawIn]);
 
   /**
    * Start animation
+   * @param {number} startProgress - Where to start on the timeline (0-100)
    */
-  const startAnimation = useCallback(async (embeddedInModal, onMinimize) => {
+  const startAnimation = useCallback(async (embeddedInModal, onMinimize, startProgress = 0) => {
     // Button should be disabled if no route, but double-check
     if (!directionsRoute || !directionsRoute.allLocations || directionsRoute.allLocations.length < 2) {
       return;
@@ -675,7 +834,7 @@ export const useRouteAnimation = ({
       if (initParticleTrailOverlay()) {
         particleOverlayRef.current = new ParticleTrailOverlay();
         particleOverlayRef.current.setMap(map);
-        frameCountRef.current = 0;
+        trailPositionRef.current = null;
       }
     }
 
@@ -717,32 +876,20 @@ export const useRouteAnimation = ({
       }
 
       // Optimize path
-      const { densifiedPath, densifiedSegmentInfo, routeDistanceKm } = optimizePath(fullPath, segmentInfo);
+      const { densifiedPath, densifiedSegmentInfo } = optimizePath(fullPath, segmentInfo);
 
       if (!densifiedPath || densifiedPath.length < 2) {
         throw new Error('Invalid path: not enough points for animation');
       }
 
-      pathRef.current = densifiedPath;
-      segmentPathsRef.current = densifiedSegmentInfo;
-
-      // Calculate total distance
-      let totalDistance = 0;
-      for (let i = 0; i < densifiedPath.length - 1; i++) {
-        totalDistance += window.google.maps.geometry.spherical.computeDistanceBetween(
-          densifiedPath[i],
-          densifiedPath[i + 1]
-        );
-      }
-
-      const totalDistanceKm = totalDistance / 1000;
-      totalDistanceRef.current = totalDistanceKm;
+      // Measures the path and sets the clock's timeline
+      setAnimationPath(densifiedPath, densifiedSegmentInfo);
 
       // Create animated polyline
       polylineRef.current = createAnimatedPolyline(densifiedPath, allModes);
 
-      // Store as THE active animated polyline globally (singleton)
-      window._activeAnimatedPolyline = polylineRef.current;
+      // Store as THE active animated polyline on this map
+      tripStore.setActivePolyline(polylineRef.current);
 
       // Set zoom based on selected level
       if (zoomLevel === 'follow') {
@@ -754,7 +901,8 @@ export const useRouteAnimation = ({
             map.panTo(new window.google.maps.LatLng(lat, lng));
           }
         }
-      } else if (zoomLevel === 'whole') {
+      } else if (zoomLevel === 'whole' || !isDirecting()) {
+        // Director mode without keyframes frames the whole route too
         const bounds = new window.google.maps.LatLngBounds();
         densifiedPath.forEach(point => bounds.extend(point));
         const padding = ANIMATION_PADDING.WHOLE_ROUTE;
@@ -763,7 +911,12 @@ export const useRouteAnimation = ({
 
       // Start animation
       setTimeout(() => {
-        animateAlongRoute();
+        if (startProgress > 0) {
+          seekToTime((startProgress / 100) * clockRef.current.getDuration());
+          animateAlongRoute(true);
+        } else {
+          animateAlongRoute();
+        }
         if (embeddedInModal && onMinimize) {
           onMinimize();
         }
@@ -784,8 +937,12 @@ export const useRouteAnimation = ({
     getFollowModeZoom,
     buildPathFromRoute,
     optimizePath,
+    setAnimationPath,
     createAnimatedPolyline,
-    animateAlongRoute
+    animateAlongRoute,
+    seekToTime,
+    isDirecting,
+    tripStore
   ]);
 
   /**
@@ -810,10 +967,9 @@ export const useRouteAnimation = ({
       particleOverlayRef.current = null;
     }
 
-    offsetRef.current = 0;
-    countRef.current = 0;
-    visualOffsetRef.current = 0;
-    frameCountRef.current = 0;
+    hideRouteDrawIn();
+    clockRef.current.reset();
+    lastModeRef.current = null;
 
     isAnimatingRef.current = false;
     isPausedRef.current = false;
@@ -847,7 +1003,7 @@ export const useRouteAnimation = ({
         centerMapOnLocation(map, firstLocation, isMobile, true);
       }
     }
-  }, [map, directionsRoute, isMobile, setIsAnimating, setIsPaused]);
+  }, [map, directionsRoute, isMobile, setIsAnimating, setIsPaused, hideRouteDrawIn]);
 
   /**
    * Stop animation (legacy - calls handleStopAnimation)
@@ -862,6 +1018,7 @@ export const useRouteAnimation = ({
   const pauseAnimation = useCallback(() => {
     setIsPaused(true);
     isPausedRef.current = true;
+    clockRef.current.pause();
     if (animationRef.current) {
       cancelAnimationFrame(animationRef.current);
     }
@@ -879,129 +1036,20 @@ export const useRouteAnimation = ({
   }, [setIsPaused, animateAlongRoute]);
 
   /**
-   * Handle timeline scrub
+   * Handle timeline scrub (progress is 0-100 of the timeline)
    */
   const handleTimelineChange = useCallback((newProgress) => {
-    // Update refs
-    countRef.current = newProgress * 2;
-    offsetRef.current = newProgress;
-    visualOffsetRef.current = newProgress;
-
-    // Update visual position immediately
-    if (polylineRef.current) {
-      const icons = polylineRef.current.get('icons');
-      if (icons && icons.length > 0) {
-        icons[0].offset = newProgress + '%';
-        polylineRef.current.set('icons', icons);
-      }
-
-      // In Follow mode, center camera on new position
-      if (zoomLevelRef.current === 'follow' && pathRef.current && pathRef.current.length > 0) {
-        const path = pathRef.current;
-
-        let totalDistance = 0;
-        const distances = [];
-
-        for (let i = 0; i < path.length - 1; i++) {
-          const dist = window.google.maps.geometry.spherical.computeDistanceBetween(
-            path[i],
-            path[i + 1]
-          );
-          distances.push(dist);
-          totalDistance += dist;
-        }
-
-        const targetDistance = totalDistance * (newProgress / 100);
-        let accumulatedDistance = 0;
-
-        for (let i = 0; i < distances.length; i++) {
-          if (accumulatedDistance + distances[i] >= targetDistance) {
-            const segmentProgress = (targetDistance - accumulatedDistance) / distances[i];
-
-            const symbolPosition = window.google.maps.geometry.spherical.interpolate(
-              path[i],
-              path[i + 1],
-              segmentProgress
-            );
-
-            map.setCenter(symbolPosition);
-            break;
-          }
-          accumulatedDistance += distances[i];
-        }
-      } else {
-        // In whole route mode, just pan to approximate position
-        if (pathRef.current && pathRef.current.length > 0) {
-          const path = pathRef.current;
-          const index = Math.floor((newProgress / 100) * (path.length - 1));
-          if (index < path.length && path[index]) {
-            map.panTo(path[index]);
-          }
-        }
-      }
+    if (clockRef.current.getDuration() <= 0) {
+      updateTimeline();
     }
+    const frame = seekToTime((newProgress / 100) * clockRef.current.getDuration());
 
-    // Update current segment mode based on scrubber position
-    if (segmentPathsRef.current && segmentPathsRef.current.length > 0) {
-      const path = pathRef.current;
-      if (path && path.length > 0) {
-        let totalDistance = 0;
-        const distances = [];
-        for (let i = 0; i < path.length - 1; i++) {
-          const dist = window.google.maps.geometry.spherical.computeDistanceBetween(
-            path[i],
-            path[i + 1]
-          );
-          distances.push(dist);
-          totalDistance += dist;
-        }
-
-        const targetDistance = totalDistance * (newProgress / 100);
-        let accumulatedDistance = 0;
-        let currentPathIndex = 0;
-
-        for (let i = 0; i < distances.length; i++) {
-          if (accumulatedDistance + distances[i] >= targetDistance) {
-            currentPathIndex = i;
-            break;
-          }
-          accumulatedDistance += distances[i];
-        }
-
-        let foundSegment = null;
-        for (const seg of segmentPathsRef.current) {
-          if (currentPathIndex >= seg.startIndex && currentPathIndex <= seg.endIndex) {
-            foundSegment = seg;
-            break;
-          }
-        }
-
-        if (!foundSegment && segmentPathsRef.current.length > 0) {
-          foundSegment = segmentPathsRef.current.reduce((closest, seg) => {
-            const currentDist = Math.min(
-              Math.abs(currentPathIndex - seg.startIndex),
-              Math.abs(currentPathIndex - seg.endIndex)
-            );
-            const closestDist = Math.min(
-              Math.abs(currentPathIndex - closest.startIndex),
-              Math.abs(currentPathIndex - closest.endIndex)
-            );
-            return currentDist < closestDist ? seg : closest;
-          }, segmentPathsRef.current[0]);
-        }
-
-        if (foundSegment && foundSegment.mode) {
-          const newMode = foundSegment.mode;
-          setCurrentSegmentMode(newMode);
-
-          window.dispatchEvent(new CustomEvent('routeAnimationUpdate', {
-            detail: {
-              isAnimating: true,
-              currentModeIcon: TRANSPORT_ICONS[newMode],
-              segmentColor: TRANSPORTATION_COLORS[newMode]
-            }
-          }));
-        }
+    // Move the camera to the new position (director keyframes already placed it)
+    if (frame && polylineRef.current && !isDirecting()) {
+      if (zoomLevelRef.current === 'follow') {
+        map.setCenter(frame.position);
+      } else {
+        map.panTo(frame.position);
       }
     }
 
@@ -1009,7 +1057,36 @@ export const useRouteAnimation = ({
     if (isAnimating && !isPaused) {
       pauseAnimation();
     }
-  }, [map, isAnimating, isPaused, pauseAnimation, zoomLevelRef]);
+  }, [map, isAnimating, isPaused, pauseAnimation, seekToTime, updateTimeline, zoomLevelRef, isDirecting]);
+
+  /**
+   * Clock controls for callers that drive playback directly (exports, embeds)
+   * Times are in milliseconds of the 1x timeline
+   */
+  const clock = useMemo(() => ({
+    play: () => {
+      if (!isAnimatingRef.current) {
+        startAnimation();
+      } else if (isPausedRef.current) {
+        resumeAnimation();
+      }
+    },
+    pause: () => {
+      if (isAnimatingRef.current && !isPausedRef.current) {
+        pauseAnimation();
+      }
+    },
+    seek: (timeMs) => seekToTime(timeMs),
+    setRate: (rate) => clockRef.current.setRate(rate),
+    getTime: () => clockRef.current.getTime(),
+    getDuration: () => clockRef.current.getDuration()
+  }), [startAnimation, resumeAnimation, pauseAnimation, seekToTime]);
+
+  // Latest setup callbacks for the effect below. They change identity on
+  // most renders; depending on them directly would tear down and rebuild the
+  // scrub polyline (resetting the clock) on every scrub.
+  const polylineSetupRef = useRef(null);
+  polylineSetupRef.current = { setAnimationPath, createAnimatedPolyline };
 
   // Auto-create polyline when route exists (for scrubbing without playing)
   useEffect(() => {
@@ -1023,9 +1100,9 @@ export const useRouteAnimation = ({
     // If polyline already exists for this route, don't recreate
     if (polylineRef.current && directionsRoute.routeId === polylineRef.current._routeId) return;
 
-    // Poll for route segments to be ready (they're set by RouteSegmentManager)
+    // Route segments are published to the trip store by RouteSegmentManager
     const checkAndCreate = () => {
-      if (!window._routeSegments || window._routeSegments.length === 0) {
+      if (tripStore.getState().segments.length === 0) {
         return false;
       }
 
@@ -1035,20 +1112,19 @@ export const useRouteAnimation = ({
         polylineRef.current = null;
       }
 
-      // CRITICAL: Remove the global active animated polyline (singleton pattern)
-      if (window._activeAnimatedPolyline) {
+      // CRITICAL: Remove this map's active animated polyline (one per map)
+      const activePolyline = tripStore.getActivePolyline();
+      if (activePolyline) {
         try {
-          window._activeAnimatedPolyline.setMap(null);
+          activePolyline.setMap(null);
         } catch (e) {
           // Already removed
         }
-        window._activeAnimatedPolyline = null;
+        tripStore.setActivePolyline(null);
       }
 
       // Reset progress to 0
-      offsetRef.current = 0;
-      countRef.current = 0;
-      visualOffsetRef.current = 0;
+      clockRef.current.reset();
       setAnimationProgress(0);
 
       try {
@@ -1058,25 +1134,14 @@ export const useRouteAnimation = ({
       const { densifiedPath, densifiedSegmentInfo } = optimizePath(fullPath, segmentInfo);
       if (!densifiedPath || densifiedPath.length < 2) return false;
 
-      pathRef.current = densifiedPath;
-      segmentPathsRef.current = densifiedSegmentInfo;
-
-      // Calculate total distance
-      let totalDistance = 0;
-      for (let i = 0; i < densifiedPath.length - 1; i++) {
-        totalDistance += window.google.maps.geometry.spherical.computeDistanceBetween(
-          densifiedPath[i],
-          densifiedPath[i + 1]
-        );
-      }
-      totalDistanceRef.current = totalDistance / 1000;
+      polylineSetupRef.current.setAnimationPath(densifiedPath, densifiedSegmentInfo);
 
       // Create polyline and mark with routeId
-      polylineRef.current = createAnimatedPolyline(densifiedPath, allModes);
+      polylineRef.current = polylineSetupRef.current.createAnimatedPolyline(densifiedPath, allModes);
       polylineRef.current._routeId = directionsRoute.routeId;
 
-      // Store as THE active animated polyline globally (singleton)
-      window._activeAnimatedPolyline = polylineRef.current;
+      // Store as THE active animated polyline on this map
+      tripStore.setActivePolyline(polylineRef.current);
 
       return true;
     } catch (e) {
@@ -1087,17 +1152,15 @@ export const useRouteAnimation = ({
     // Try immediately
     if (checkAndCreate()) return;
 
-    // Otherwise poll every 100ms for up to 2 seconds
-    let attempts = 0;
-    const pollInterval = setInterval(() => {
-      attempts++;
-      if (checkAndCreate() || attempts >= 20) {
-        clearInterval(pollInterval);
+    // Otherwise wait for the segments to be published
+    const unsubscribe = tripStore.subscribe(() => {
+      if (checkAndCreate()) {
+        unsubscribe();
       }
-    }, 100);
+    });
 
     return () => {
-      clearInterval(pollInterval);
+      unsubscribe();
 
       // Dispatch cleanup event to hide mode icon when switching mobile/desktop
       window.dispatchEvent(new CustomEvent('routeAnimationUpdate', {
@@ -1116,14 +1179,14 @@ export const useRouteAnimation = ({
       // Clean up polyline when component unmounts or dependencies change (but not during animation)
       if (polylineRef.current) {
         polylineRef.current.setMap(null);
-        // Only clear global if it's our polyline
-        if (window._activeAnimatedPolyline === polylineRef.current) {
-          window._activeAnimatedPolyline = null;
+        // Only clear the store's if it's our polyline
+        if (tripStore.getActivePolyline() === polylineRef.current) {
+          tripStore.setActivePolyline(null);
         }
         polylineRef.current = null;
       }
     };
-  }, [map, directionsRoute, isAnimating, buildPathFromRoute, optimizePath, createAnimatedPolyline]);
+  }, [map, directionsRoute, isAnimating, buildPathFromRoute, optimizePath, tripStore]);
 
   return {
     startAnimation,
@@ -1132,7 +1195,11 @@ export const useRouteAnimation = ({
     pauseAnimation,
     resumeAnimation,
     handleTimelineChange,
-    animationProgress: offsetRef.current,
+    prepareAnimationPath,
+    getFrameAtTime,
+    getTripSecondsAtProgress,
+    clock,
+    animationProgress: clockRef.current.getProgress() * 100,
     totalDistanceRef,
     polylineRef,
     pathRef
@@ -0,0 +1,111 @@
+import { useState, useRef, useCallback } from 'react';
+import { RouteVideoRenderer } from '../../export/RouteVideoRenderer';
+import { encodeWebM } from '../../export/encodeWebM';
+
+const EXPORT_FPS = 30;
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * useVideoExport - Renders the route animation to a downloadable WebM
+ *
+ * Samples the animation clock's timeline at evenly spaced times (one per
+ * video frame), so the result is the same no matter how fast the machine
+ * renders. The whole timeline is fitted to the chosen video duration.
+ *
+ * @param {Object} params - Configuration object
+ * @param {Object} params.directionsRoute - Current route
+ * @param {Function} params.prepareAnimationPath - From useRouteAnimation
+ * @param {Function} params.getFrameAtTime - From useRouteAnimation
+ * @param {Object} params.clock - Clock controls from useRouteAnimation
+ * @returns {Object} Export state and controls
+ */
+export const useVideoExport = ({ directionsRoute, prepareAnimationPath, getFrameAtTime, clock }) => {
+  const [exportState, setExportState] = useState({ status: 'idle', progress: 0, error: null, warning: null });
+  const abortControllerRef = useRef(null);
+
+  const exportVideo = useCallback(async ({ width, height, durationSeconds }) => {
+    const prepared = prepareAnimationPath();
+    if (!prepared) {
+      setExportState({ status: 'error', progress: 0, error: 'No route is ready to export yet.', warning: null });
+      return;
+    }
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setExportState({ status: 'preparing', progress: 0, error: null, warning: null });
+
+    try {
+      const renderer = new RouteVideoRenderer({
+        width,
+        height,
+        path: prepared.path,
+        segmentInfo: prepared.segmentInfo,
+        stops: (directionsRoute?.allLocations || []).filter(loc => loc !== null),
+        apiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY
+      });
+      await renderer.load();
+
+      const warning = renderer.backgroundError
+        ? `Map background unavailable (${renderer.backgroundError}) - exporting the route only.`
+        : null;
+      setExportState({ status: 'recording', progress: 0, error: null, warning });
+
+      const frameCount = Math.max(2, Math.round(durationSeconds * EXPORT_FPS));
+      const timelineDuration = clock.getDuration();
+
+      const blob = await encodeWebM({
+        width,
+        height,
+        fps: EXPORT_FPS,
+        frameCount,
+        signal: abortController.signal,
+        renderFrame: (ctx, frameIndex) => {
+          // Frame N always shows the same instant of the animation timeline
+          const timeMs = (frameIndex / (frameCount - 1)) * timelineDuration;
+          renderer.drawFrame(ctx, getFrameAtTime(timeMs) || {});
+        },
+        onProgress: (fraction) => {
+          setExportState(prev => ({ ...prev, progress: fraction }));
+        }
+      });
+
+      downloadBlob(blob, `lenamaps-route-${width}x${height}.webm`);
+      setExportState({ status: 'done', progress: 1, error: null, warning });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setExportState({ status: 'idle', progress: 0, error: null, warning: null });
+      } else {
+        setExportState({ status: 'error', progress: 0, error: error.message || 'Video export failed.', warning: null });
+      }
+    } finally {
+      abortControllerRef.current = null;
+    }
+  }, [directionsRoute, prepareAnimationPath, getFrameAtTime, clock]);
+
+  const cancelExport = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
+
+  const resetExport = useCallback(() => {
+    setExportState({ status: 'idle', progress: 0, error: null, warning: null });
+  }, []);
+
+  return {
+    exportState,
+    exportVideo,
+    cancelExport,
+    resetExport
+  };
+};
@@ -0,0 +1,178 @@
+/**
+ * Animation clock - the single source of time for route playback
+ *
+ * The clock only counts elapsed animation milliseconds. Everything drawn on
+ * screen is derived from clock time (time -> distance -> position), so a
+ * given timestamp always produces the same frame no matter how fast the
+ * machine renders, and seeking is just setting the time.
+ */
+import {
+  ANIMATION_SPEEDS,
+  DISTANCE_THRESHOLDS,
+  PLAYBACK_MULTIPLIERS,
+  SPEED_ZOOM_SCALING,
+  TIMING_REFERENCE_VIEWPORT
+} from '../../../../constants/animationConstants';
+
+// Wall-clock gaps longer than this (background tab, debugger) are not played
+const MAX_FRAME_GAP_MS = 200;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Create a seekable animation clock
+ *
+ * Call tick(now) once per rendered frame while playing; it advances time by
+ * the wall-clock delta times the playback rate and returns the new time.
+ *
+ * @returns {Object} Clock controls
+ */
+export const createAnimationClock = () => {
+  let time = 0;
+  let duration = 0;
+  let rate = 1;
+  let playing = false;
+  let lastTick = null;
+
+  return {
+    play() {
+      playing = true;
+      lastTick = null;
+    },
+
+    pause() {
+      playing = false;
+      lastTick = null;
+    },
+
+    seek(ms) {
+      time = clamp(ms, 0, duration);
+      return time;
+    },
+
+    setRate(nextRate) {
+      rate = nextRate > 0 ? nextRate : 1;
+    },
+
+    /**
+     * Change the timeline length. Keeps the same relative position by default,
+     * so switching view mode mid-animation doesn't make the marker jump.
+     */
+    setDuration(ms, { keepProgress = true } = {}) {
+      const progress = duration > 0 ? time / duration : 0;
+      duration = Math.max(0, ms);
+      time = keepProgress ? progress * duration : clamp(time, 0, duration);
+    },
+
+    tick(now) {
+      if (playing && lastTick !== null) {
+        const delta = now - lastTick;
+        if (delta > 0 && delta <= MAX_FRAME_GAP_MS) {
+          time = Math.min(duration, time + delta * rate);
+        }
+      }
+      lastTick = playing ? now : null;
+      return time;
+    },
+
+    reset() {
+      time = 0;
+      playing = false;
+      lastTick = null;
+    },
+
+    getTime: () => time,
+    getDuration: () => duration,
+    getRate: () => rate,
+    getProgress: () => (duration > 0 ? time / duration : 0),
+    isPlaying: () => playing,
+    isFinished: () => duration > 0 && time >= duration
+  };
+};
+
+/**
+ * Clock rate for a playback speed setting ('slow' | 'medium' | 'fast')
+ */
+export const getPlaybackRate = (playbackSpeed) => {
+  if (playbackSpeed === 'slow') return PLAYBACK_MULTIPLIERS.SLOW;
+  if (playbackSpeed === 'fast') return PLAYBACK_MULTIPLIERS.FAST;
+  return PLAYBACK_MULTIPLIERS.MEDIUM;
+};
+
+/**
+ * Base playback speed (meters per second) for a route length and view mode
+ */
+export const getBaseSpeed = (routeDistanceKm, zoomMode) => {
+  if (zoomMode === 'follow') {
+    const { VERY_LONG, LONG, MEDIUM, SHORT } = ANIMATION_SPEEDS.FOLLOW_MODE;
+    if (routeDistanceKm > DISTANCE_THRESHOLDS.CROSS_COUNTRY) return VERY_LONG;
+    if (routeDistanceKm > DISTANCE_THRESHOLDS.REGIONAL) return LONG;
+    if (routeDistanceKm > DISTANCE_THRESHOLDS.SHORT) return MEDIUM;
+    return SHORT;
+  }
+
+  const speeds = ANIMATION_SPEEDS.WHOLE_ROUTE;
+  if (routeDistanceKm > DISTANCE_THRESHOLDS.CROSS_CONTINENTAL) return speeds.CROSS_CONTINENTAL;
+  if (routeDistanceKm > DISTANCE_THRESHOLDS.CROSS_COUNTRY) return speeds.CROSS_COUNTRY;
+  if (routeDistanceKm > DISTANCE_THRESHOLDS.LONG_INTERSTATE) return speeds.LONG_INTERSTATE;
+  if (routeDistanceKm > DISTANCE_THRESHOLDS.REGIONAL) return speeds.REGIONAL;
+  if (routeDistanceKm > DISTANCE_THRESHOLDS.MEDIUM) return speeds.MEDIUM;
+  if (routeDistanceKm > DISTANCE_THRESHOLDS.SHORT) return speeds.SHORT;
+  if (routeDistanceKm > DISTANCE_THRESHOLDS.VERY_SHORT) return speeds.VERY_SHORT;
+  return speeds.TINY;
+};
+
+/**
+ * Speed multiplier for a camera zoom level (zoomed out plays faster)
+ */
+export const getZoomSpeedMultiplier = (zoom) => {
+  const { BASE_ZOOM, FACTOR, MIN_MULTIPLIER, MAX_MULTIPLIER } = SPEED_ZOOM_SCALING;
+  return clamp(Math.pow(FACTOR, BASE_ZOOM - zoom), MIN_MULTIPLIER, MAX_MULTIPLIER);
+};
+
+/**
+ * Zoom level that fits the path in the fixed reference viewport, matching
+ * the whole-route framing (one level out for padding)
+ *
+ * @param {Array} path - google.maps.LatLng points
+ */
+export const getReferenceRouteZoom = (path) => {
+  if (!path || path.length < 2) return SPEED_ZOOM_SCALING.BASE_ZOOM;
+
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  let minLng = Infinity;
+  let maxLng = -Infinity;
+  path.forEach((point) => {
+    const lat = typeof point.lat === 'function' ? point.lat() : point.lat;
+    const lng = typeof point.lng === 'function' ? point.lng() : point.lng;
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+    minLng = Math.min(minLng, lng);
+    maxLng = Math.max(maxLng, lng);
+  });
+
+  const latFraction = Math.max(1e-9, (maxLat - minLat) / 180);
+  const lngFraction = Math.max(1e-9, (maxLng - minLng) / 360);
+  const latZoom = Math.floor(Math.log(TIMING_REFERENCE_VIEWPORT.height / 256 / latFraction) / Math.LN2);
+  const lngZoom = Math.floor(Math.log(TIMING_REFERENCE_VIEWPORT.width / 256 / lngFraction) / Math.LN2);
+
+  return Math.min(latZoom, lngZoom, 21) - 1;
+};
+
+/**
+ * Length of the animation in milliseconds at 1x playback
+ *
+ * Depends only on the route and the view mode - never on the live map - so
+ * the same route always has the same timeline.
+ *
+ * @param {Object} params
+ * @param {number} params.routeDistance - Path length in meters
+ * @param {string} params.zoomMode - 'follow' or 'whole'
+ * @param {number} params.cameraZoom - Zoom level the mode plays at
+ */
+export const getAnimationDuration = ({ routeDistance, zoomMode, cameraZoom }) => {
+  if (!routeDistance) return 0;
+  const metersPerSecond = getBaseSpeed(routeDistance / 1000, zoomMode) * getZoomSpeedMultiplier(cameraZoom);
+  return (routeDistance / metersPerSecond) * 1000;
+};
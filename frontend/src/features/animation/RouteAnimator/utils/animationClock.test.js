@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { createAnimationClock, getAnimationDuration, getPlaybackRate } from './animationClock';
+import { PLAYBACK_MULTIPLIERS } from '../../../../constants/animationConstants';
+
+// A clock with a 10 second timeline, playing from `now` = 0
+const playingClock = () => {
+  const clock = createAnimationClock();
+  clock.setDuration(10000);
+  clock.play();
+  clock.tick(0);
+  return clock;
+};
+
+describe('createAnimationClock', () => {
+  it('clamps seeks to the timeline', () => {
+    const clock = createAnimationClock();
+    clock.setDuration(10000);
+
+    expect(clock.seek(-500)).toBe(0);
+    expect(clock.seek(4000)).toBe(4000);
+    expect(clock.seek(25000)).toBe(10000);
+    expect(clock.isFinished()).toBe(true);
+  });
+
+  it('advances by wall-clock time times the rate', () => {
+    const clock = playingClock();
+
+    expect(clock.tick(100)).toBe(100);
+
+    clock.setRate(2);
+    expect(clock.tick(200)).toBe(300);
+    expect(clock.getProgress()).toBeCloseTo(0.03);
+  });
+
+  it('replaces invalid rates with 1x', () => {
+    const clock = playingClock();
+
+    clock.setRate(0);
+    expect(clock.getRate()).toBe(1);
+    clock.setRate(-3);
+    expect(clock.getRate()).toBe(1);
+  });
+
+  it("doesn't play long frame gaps, pauses or time past the end", () => {
+    const clock = playingClock();
+
+    // Background tab: a 5 second gap isn't played
+    expect(clock.tick(5000)).toBe(0);
+
+    clock.pause();
+    expect(clock.tick(5100)).toBe(0);
+
+    clock.play();
+    clock.tick(6000);
+    clock.seek(9950);
+    expect(clock.tick(6150)).toBe(10000);
+    expect(clock.isFinished()).toBe(true);
+  });
+
+  it('keeps the same progress when the duration changes', () => {
+    const clock = createAnimationClock();
+    clock.setDuration(10000);
+    clock.seek(2500);
+
+    clock.setDuration(20000);
+
+    expect(clock.getTime()).toBe(5000);
+    expect(clock.getProgress()).toBe(0.25);
+  });
+
+  it('can keep the time instead, clamped to the new duration', () => {
+    const clock = createAnimationClock();
+    clock.setDuration(10000);
+    clock.seek(8000);
+
+    clock.setDuration(5000, { keepProgress: false });
+    expect(clock.getTime()).toBe(5000);
+
+    clock.setDuration(-100);
+    expect(clock.getDuration()).toBe(0);
+    expect(clock.getTime()).toBe(0);
+    expect(clock.isFinished()).toBe(false);
+  });
+
+  it('gives the same time for the same ticks, whatever the frame rate', () => {
+    const at60fps = playingClock();
+    const at30fps = playingClock();
+
+    for (let frame = 1; frame <= 60; frame++) at60fps.tick(frame * 1000 / 60);
+    for (let frame = 1; frame <= 30; frame++) at30fps.tick(frame * 1000 / 30);
+
+    expect(at60fps.getTime()).toBeCloseTo(at30fps.getTime(), 6);
+  });
+
+  it('resets to the start, stopped', () => {
+    const clock = playingClock();
+    clock.tick(100);
+
+    clock.reset();
+
+    expect(clock.getTime()).toBe(0);
+    expect(clock.isPlaying()).toBe(false);
+  });
+});
+
+describe('getPlaybackRate', () => {
+  it('maps speed settings to clock rates', () => {
+    expect(getPlaybackRate('slow')).toBe(PLAYBACK_MULTIPLIERS.SLOW);
+    expect(getPlaybackRate('medium')).toBe(PLAYBACK_MULTIPLIERS.MEDIUM);
+    expect(getPlaybackRate('fast')).toBe(PLAYBACK_MULTIPLIERS.FAST);
+    expect(getPlaybackRate(undefined)).toBe(PLAYBACK_MULTIPLIERS.MEDIUM);
+  });
+});
+
+describe('getAnimationDuration', () => {
+  it('depends only on the route and view mode', () => {
+    const params = { routeDistance: 50000, zoomMode: 'whole', cameraZoom: 10 };
+
+    expect(getAnimationDuration(params)).toBe(getAnimationDuration({ ...params }));
+    expect(getAnimationDuration(params)).toBeGreaterThan(0);
+  });
+
+  it('is zero for an empty route', () => {
+    expect(getAnimationDuration({ routeDistance: 0, zoomMode: 'follow', cameraZoom: 15 })).toBe(0);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Camera keyframes - the 'director' view mode
+ *
+ * A keyframe pins the camera at a point of the animation timeline:
+ * { id, progress (0-100), zoom, tilt, heading, offsetX, offsetY, easing }
+ * offsetX/offsetY place the camera centre relative to the marker, in percent
+ * of the viewport (x to the right, y up), so a shot frames the same way on
+ * any screen. Between keyframes every value is interpolated with the easing
+ * of the keyframe being approached.
+ */
+
+export const MAX_TILT = 67.5; // Highest tilt vector maps allow
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 21;
+const MAX_OFFSET = 50; // percent of the viewport
+
+export const CAMERA_EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+export const EASING_OPTIONS = [
+  { value: 'easeInOut', label: 'Ease in-out' },
+  { value: 'easeIn', label: 'Ease in' },
+  { value: 'easeOut', label: 'Ease out' },
+  { value: 'linear', label: 'Linear' }
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Number(value) || 0));
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const normalizeHeading = (heading) => ((Number(heading) || 0) % 360 + 360) % 360;
+
+// Meters per screen pixel at a zoom level and latitude (Web Mercator)
+const metersPerPixel = (zoom, lat) => 156543.03392 * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom);
+
+/**
+ * Build a keyframe with every field in range (and rounded for editing)
+ */
+export const createKeyframe = ({
+  id,
+  progress = 0,
+  zoom = 15,
+  tilt = 0,
+  heading = 0,
+  offsetX = 0,
+  offsetY = 0,
+  easing = 'easeInOut'
+}) => ({
+  id: id || `keyframe-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  progress: round(clamp(progress, 0, 100)),
+  zoom: round(clamp(zoom, MIN_ZOOM, MAX_ZOOM)),
+  tilt: round(clamp(tilt, 0, MAX_TILT)),
+  heading: round(normalizeHeading(heading)) % 360,
+  offsetX: round(clamp(offsetX, -MAX_OFFSET, MAX_OFFSET)),
+  offsetY: round(clamp(offsetY, -MAX_OFFSET, MAX_OFFSET)),
+  easing: CAMERA_EASINGS[easing] ? easing : 'easeInOut'
+});
+
+export const sortKeyframes = (keyframes) => [...keyframes].sort((a, b) => a.progress - b.progress);
+
+/**
+ * Interpolated camera at a timeline progress (0-100)
+ *
+ * @param {Array} keyframes - Sorted by progress
+ * @returns {Object|null} { zoom, tilt, heading, offsetX, offsetY }, or null without keyframes
+ */
+export const getCameraAtProgress = (keyframes, progress) => {
+  if (!keyframes || keyframes.length === 0) return null;
+
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (progress <= first.progress) return first;
+  if (progress >= last.progress) return last;
+
+  let index = 1;
+  while (index < keyframes.length - 1 && keyframes[index].progress < progress) {
+    index++;
+  }
+  const from = keyframes[index - 1];
+  const to = keyframes[index];
+
+  const span = to.progress - from.progress;
+  const t = span > 0 ? (progress - from.progress) / span : 1;
+  const eased = (CAMERA_EASINGS[to.easing] || CAMERA_EASINGS.easeInOut)(t);
+  const lerp = (a, b) => a + (b - a) * eased;
+
+  // Turn the short way round
+  const headingDelta = ((to.heading - from.heading + 540) % 360) - 180;
+
+  return {
+    zoom: lerp(from.zoom, to.zoom),
+    tilt: lerp(from.tilt, to.tilt),
+    heading: normalizeHeading(from.heading + headingDelta * eased),
+    offsetX: lerp(from.offsetX, to.offsetX),
+    offsetY: lerp(from.offsetY, to.offsetY)
+  };
+};
+
+/**
+ * Camera centre for a marker position and camera
+ *
+ * @param {google.maps.LatLng} position - Marker position
+ * @param {Object} camera - From getCameraAtProgress
+ * @param {Object} viewport - { width, height } of the map in pixels
+ * @returns {google.maps.LatLng}
+ */
+export const getCameraCenter = (position, camera, viewport) => {
+  if (!camera.offsetX && !camera.offsetY) return position;
+
+  const { spherical } = window.google.maps.geometry;
+  const scale = metersPerPixel(camera.zoom, position.lat());
+  const right = (camera.offsetX / 100) * viewport.width * scale;
+  const up = (camera.offsetY / 100) * viewport.height * scale;
+
+  // Screen up points along the heading, screen right a quarter turn clockwise
+  const shifted = spherical.computeOffset(position, up, camera.heading);
+  return spherical.computeOffset(shifted, right, camera.heading + 90);
+};
+
+/**
+ * Read the current map camera as keyframe values, relative to the marker
+ *
+ * @param {google.maps.Map} map
+ * @param {google.maps.LatLng} position - Marker position
+ */
+export const captureCamera = (map, position) => {
+  const zoom = map.getZoom();
+  const tilt = map.getTilt() || 0;
+  const heading = map.getHeading() || 0;
+  const center = map.getCenter();
+
+  let offsetX = 0;
+  let offsetY = 0;
+  if (position && center) {
+    const { spherical } = window.google.maps.geometry;
+    const meters = spherical.computeDistanceBetween(position, center);
+    const angle = (spherical.computeHeading(position, center) - heading) * Math.PI / 180;
+    const scale = metersPerPixel(zoom, position.lat());
+    const mapDiv = map.getDiv();
+    offsetX = (meters * Math.sin(angle)) / scale / mapDiv.offsetWidth * 100;
+    offsetY = (meters * Math.cos(angle)) / scale / mapDiv.offsetHeight * 100;
+  }
+
+  return { zoom, tilt, heading, offsetX, offsetY };
+};
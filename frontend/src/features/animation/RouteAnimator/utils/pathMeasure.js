@@ -0,0 +1,79 @@
+/**
+ * Path measuring helpers - cumulative distances along the animation path and
+ * distance -> position lookups
+ */
+
+/**
+ * Cumulative distance (meters) from the start of the path to each point
+ *
+ * @param {Array} path - google.maps.LatLng points
+ * @returns {Array<number>} Same length as path, starting at 0
+ */
+export const measurePath = (path) => {
+  const cumulative = [0];
+  for (let i = 0; i < path.length - 1; i++) {
+    cumulative.push(
+      cumulative[i] + window.google.maps.geometry.spherical.computeDistanceBetween(path[i], path[i + 1])
+    );
+  }
+  return cumulative;
+};
+
+/**
+ * Index of the path edge containing a distance (binary search)
+ *
+ * @returns {number} i such that cumulative[i] <= distance <= cumulative[i + 1]
+ */
+export const findEdgeAtDistance = (cumulative, distance) => {
+  let low = 0;
+  let high = cumulative.length - 2;
+  if (high <= 0) return 0;
+
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (cumulative[mid] <= distance) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Interpolated position at a distance along the path
+ *
+ * @returns {Object} { position: google.maps.LatLng, index: edge index }
+ */
+export const getPositionAtDistance = (path, cumulative, distance) => {
+  const total = cumulative[cumulative.length - 1];
+  const clamped = Math.min(total, Math.max(0, distance));
+  const index = findEdgeAtDistance(cumulative, clamped);
+
+  if (index >= path.length - 1) {
+    return { position: path[path.length - 1], index: Math.max(0, path.length - 2) };
+  }
+
+  const edgeLength = cumulative[index + 1] - cumulative[index];
+  const fraction = edgeLength > 0 ? (clamped - cumulative[index]) / edgeLength : 0;
+  return {
+    position: window.google.maps.geometry.spherical.interpolate(path[index], path[index + 1], fraction),
+    index
+  };
+};
+
+/**
+ * Segment (leg) info entry containing a path index, falling back to the closest
+ */
+export const findSegmentAtIndex = (segmentInfo, index) => {
+  if (!segmentInfo || segmentInfo.length === 0) return null;
+
+  const found = segmentInfo.find(seg => index >= seg.startIndex && index <= seg.endIndex);
+  if (found) return found;
+
+  return segmentInfo.reduce((closest, seg) => {
+    const currentDist = Math.min(Math.abs(index - seg.startIndex), Math.abs(index - seg.endIndex));
+    const closestDist = Math.min(Math.abs(index - closest.startIndex), Math.abs(index - closest.endIndex));
+    return currentDist < closestDist ? seg : closest;
+  }, segmentInfo[0]);
+};
@@ -0,0 +1,243 @@
+/**
+ * Playback timeline - maps animation clock time to distance along the path
+ *
+ * A timeline is a list of { time, distance, tripSeconds } breakpoints with
+ * straight-line interpolation between them:
+ * - 'distance' playback has just a start and an end (constant screen speed)
+ * - 'realtime' playback has one breakpoint per leg boundary, so each leg's
+ *   share of the animation matches its share of the trip's travel time
+ * Stop dwells are added on top as pairs of breakpoints at the same distance,
+ * so the marker holds still at the stop while the clock keeps running.
+ */
+import { REALTIME_PLAYBACK } from '../../../../constants/animationConstants';
+
+// Directions gives walk/bike legs over this length a driving route (and time)
+const DRIVING_SUBSTITUTE_DISTANCE = 30000; // meters
+
+/**
+ * Travel time for a leg from its Directions result, or null when we have to
+ * estimate it (drawn legs, straight-line fallbacks, flights)
+ *
+ * @param {Object} segment - Computed segment from the trip store
+ */
+export const getRoutedLegSeconds = (segment) => {
+  if (!segment || segment.isCustom || segment.isFallback || segment.mode === 'flight') return null;
+
+  const seconds = segment.duration?.value;
+  if (!seconds || seconds <= 0) return null;
+
+  // Long walk/bike legs are secretly routed by car - their time would be wrong
+  const meters = segment.distance?.value || 0;
+  if ((segment.mode === 'walk' || segment.mode === 'bike') && meters > DRIVING_SUBSTITUTE_DISTANCE) {
+    return null;
+  }
+
+  return seconds;
+};
+
+// Estimated travel time for a leg of a given length
+const estimateLegSeconds = (mode, meters) => {
+  const speedKmh = mode === 'flight'
+    ? REALTIME_PLAYBACK.FLIGHT_SPEED_KMH
+    : REALTIME_PLAYBACK.MODE_SPEEDS_KMH[mode] || REALTIME_PLAYBACK.MODE_SPEEDS_KMH.walk;
+  return (meters / 1000) / speedKmh * 3600;
+};
+
+/**
+ * Constant-speed timeline over the whole path
+ */
+export const buildDistanceTimeline = ({ totalDistance, duration }) => ({
+  mode: 'distance',
+  duration,
+  tripDuration: null,
+  points: [
+    { time: 0, distance: 0, tripSeconds: null },
+    { time: duration, distance: totalDistance, tripSeconds: null }
+  ]
+});
+
+/**
+ * Timeline where each leg takes screen time in proportion to its travel time
+ *
+ * @param {Object} params
+ * @param {Array<number>} params.cumulative - Cumulative path distances (meters)
+ * @param {Array} params.segmentInfo - [{ startIndex, mode, travelSeconds }] in path order
+ * @param {number} params.duration - Target animation length (ms)
+ */
+export const buildRealtimeTimeline = ({ cumulative, segmentInfo, duration }) => {
+  const totalDistance = cumulative[cumulative.length - 1];
+  if (!segmentInfo || segmentInfo.length === 0) {
+    return buildDistanceTimeline({ totalDistance, duration });
+  }
+
+  // Legs are contiguous: each one runs until the next one starts
+  const legs = segmentInfo.map((segment, index) => {
+    const startDistance = index === 0 ? 0 : cumulative[Math.min(segment.startIndex, cumulative.length - 1)];
+    const next = segmentInfo[index + 1];
+    const endDistance = next ? cumulative[Math.min(next.startIndex, cumulative.length - 1)] : totalDistance;
+    const meters = Math.max(0, endDistance - startDistance);
+    const seconds = segment.travelSeconds > 0 ? segment.travelSeconds : estimateLegSeconds(segment.mode, meters);
+    return { endDistance, seconds };
+  });
+
+  const tripDuration = legs.reduce((sum, leg) => sum + leg.seconds, 0);
+  if (tripDuration <= 0) {
+    return buildDistanceTimeline({ totalDistance, duration });
+  }
+
+  const points = [{ time: 0, distance: 0, tripSeconds: 0 }];
+  let tripSeconds = 0;
+  legs.forEach((leg) => {
+    tripSeconds += leg.seconds;
+    points.push({
+      time: (tripSeconds / tripDuration) * duration,
+      distance: leg.endDistance,
+      tripSeconds
+    });
+  });
+
+  return { mode: 'realtime', duration, tripDuration, points };
+};
+
+/**
+ * Stops along the path: the start and end of every leg
+ *
+ * @param {Object} params
+ * @param {Array<number>} params.cumulative - Cumulative path distances (meters)
+ * @param {Array} params.segmentInfo - [{ startIndex, locationIndex }] in path order
+ * @returns {Array} [{ stopIndex, distance }] - stopIndex counts non-empty locations
+ */
+export const getLegStops = ({ cumulative, segmentInfo }) => {
+  if (!cumulative || !segmentInfo || segmentInfo.length === 0) return [];
+
+  const totalDistance = cumulative[cumulative.length - 1];
+  const stops = new Map();
+  segmentInfo.forEach((segment, index) => {
+    const locationIndex = segment.locationIndex ?? index;
+    const startDistance = index === 0 ? 0 : cumulative[Math.min(segment.startIndex, cumulative.length - 1)];
+    const next = segmentInfo[index + 1];
+    const endDistance = next ? cumulative[Math.min(next.startIndex, cumulative.length - 1)] : totalDistance;
+
+    if (!stops.has(locationIndex)) stops.set(locationIndex, startDistance);
+    if (!stops.has(locationIndex + 1)) stops.set(locationIndex + 1, endDistance);
+  });
+
+  return Array.from(stops, ([stopIndex, distance]) => ({ stopIndex, distance }))
+    .sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Add a pause at each stop that has a dwell time
+ *
+ * @param {Object} timeline - Timeline from buildDistanceTimeline/buildRealtimeTimeline
+ * @param {Array} stops - [{ stopIndex, distance }] from getLegStops
+ * @param {Function} getDwellMs - stopIndex -> dwell (ms)
+ * @returns {Object} Timeline with longer duration and a dwells list
+ *   [{ stopIndex, startTime, endTime }]
+ */
+export const addStopDwells = (timeline, stops, getDwellMs) => {
+  const dwellStops = stops
+    .map(stop => ({ ...stop, dwell: getDwellMs(stop.stopIndex) || 0 }))
+    .filter(stop => stop.dwell > 0);
+  if (dwellStops.length === 0) {
+    return { ...timeline, dwells: [] };
+  }
+
+  const points = [];
+  const dwells = [];
+  let shift = 0;
+  let next = 0;
+
+  // Insert the pauses before the first breakpoint at or past each stop;
+  // everything after a pause happens that much later
+  const addDwellsUpTo = (distance) => {
+    while (next < dwellStops.length && dwellStops[next].distance <= distance) {
+      const stop = dwellStops[next++];
+      const startTime = interpolate(timeline.points, 'distance', 'time', stop.distance) + shift;
+      const tripSeconds = timeline.mode === 'realtime'
+        ? interpolate(timeline.points, 'distance', 'tripSeconds', stop.distance)
+        : null;
+
+      points.push(
+        { time: startTime, distance: stop.distance, tripSeconds },
+        { time: startTime + stop.dwell, distance: stop.distance, tripSeconds }
+      );
+      dwells.push({ stopIndex: stop.stopIndex, startTime, endTime: startTime + stop.dwell });
+      shift += stop.dwell;
+    }
+  };
+
+  timeline.points.forEach((point) => {
+    addDwellsUpTo(point.distance);
+    points.push({ ...point, time: point.time + shift });
+  });
+  addDwellsUpTo(Infinity);
+
+  return { ...timeline, duration: timeline.duration + shift, points, dwells };
+};
+
+// Interpolate `to` at a value of `from` across the breakpoints
+const interpolate = (points, from, to, value) => {
+  if (value <= points[0][from]) return points[0][to];
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const current = points[i];
+    if (value <= current[from]) {
+      const span = current[from] - previous[from];
+      const fraction = span > 0 ? (value - previous[from]) / span : 1;
+      return previous[to] + (current[to] - previous[to]) * fraction;
+    }
+  }
+
+  return points[points.length - 1][to];
+};
+
+/**
+ * Distance along the path (meters) at a clock time (ms)
+ */
+export const getTimelineDistance = (timeline, timeMs) => {
+  if (!timeline) return 0;
+  return interpolate(timeline.points, 'time', 'distance', timeMs);
+};
+
+/**
+ * Clock time (ms) at which the marker reaches a distance
+ */
+export const getTimelineTime = (timeline, distance) => {
+  if (!timeline) return 0;
+  return interpolate(timeline.points, 'distance', 'time', distance);
+};
+
+/**
+ * Simulated trip time (seconds) at a clock time, or null in distance playback
+ */
+export const getTimelineTripSeconds = (timeline, timeMs) => {
+  if (!timeline || timeline.mode !== 'realtime') return null;
+  return interpolate(timeline.points, 'time', 'tripSeconds', timeMs);
+};
+
+/**
+ * The stop pause in progress at a clock time, or null while moving
+ */
+export const getTimelineDwell = (timeline, timeMs) => {
+  if (!timeline?.dwells) return null;
+  return timeline.dwells.find(dwell => timeMs >= dwell.startTime && timeMs < dwell.endTime) || null;
+};
+
+/**
+ * Format trip seconds as a clock, e.g. "0:45", "2:05:30" or "1d 4:10:00"
+ */
+export const formatTripClock = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  const clock = hours > 0 || days > 0
+    ? `${days > 0 ? pad(hours) : hours}:${pad(minutes)}:${pad(secs)}`
+    : `${minutes}:${pad(secs)}`;
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
@@ -0,0 +1,191 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildDistanceTimeline,
+  buildRealtimeTimeline,
+  getLegStops,
+  addStopDwells,
+  getRoutedLegSeconds,
+  getTimelineDistance,
+  getTimelineTime,
+  getTimelineTripSeconds,
+  getTimelineDwell,
+  formatTripClock
+} from './playbackTimeline';
+
+// Path points every 1 km: 0, 1000, ... 3000 m
+const cumulative = [0, 1000, 2000, 3000];
+
+describe('buildDistanceTimeline', () => {
+  it('moves at a constant speed from start to end', () => {
+    const timeline = buildDistanceTimeline({ totalDistance: 3000, duration: 6000 });
+
+    expect(timeline.points).toEqual([
+      { time: 0, distance: 0, tripSeconds: null },
+      { time: 6000, distance: 3000, tripSeconds: null }
+    ]);
+    expect(getTimelineDistance(timeline, 2000)).toBe(1000);
+    expect(getTimelineTime(timeline, 1500)).toBe(3000);
+    expect(getTimelineTripSeconds(timeline, 2000)).toBeNull();
+  });
+});
+
+describe('buildRealtimeTimeline', () => {
+  it('gives each leg screen time in proportion to its travel time', () => {
+    // Leg 1: 0-1000 m in 60 s; leg 2: 1000-3000 m in 180 s
+    const timeline = buildRealtimeTimeline({
+      cumulative,
+      segmentInfo: [
+        { startIndex: 0, mode: 'car', travelSeconds: 60 },
+        { startIndex: 1, mode: 'walk', travelSeconds: 180 }
+      ],
+      duration: 8000
+    });
+
+    expect(timeline.mode).toBe('realtime');
+    expect(timeline.tripDuration).toBe(240);
+    expect(timeline.points).toEqual([
+      { time: 0, distance: 0, tripSeconds: 0 },
+      { time: 2000, distance: 1000, tripSeconds: 60 },
+      { time: 8000, distance: 3000, tripSeconds: 240 }
+    ]);
+    expect(getTimelineDistance(timeline, 1000)).toBe(500);
+    expect(getTimelineDistance(timeline, 5000)).toBe(2000);
+    expect(getTimelineTripSeconds(timeline, 5000)).toBe(150);
+  });
+
+  it('differs from distance playback when legs are slower or faster', () => {
+    const segmentInfo = [
+      { startIndex: 0, mode: 'car', travelSeconds: 60 },
+      { startIndex: 1, mode: 'walk', travelSeconds: 180 }
+    ];
+    const realtime = buildRealtimeTimeline({ cumulative, segmentInfo, duration: 8000 });
+    const distance = buildDistanceTimeline({ totalDistance: 3000, duration: 8000 });
+
+    // The car leg is a third of the distance but only a quarter of the time
+    expect(getTimelineTime(distance, 1000)).toBeCloseTo(2666.67, 1);
+    expect(getTimelineTime(realtime, 1000)).toBe(2000);
+  });
+
+  it('estimates legs without a travel time from their mode', () => {
+    const timeline = buildRealtimeTimeline({
+      cumulative,
+      segmentInfo: [
+        { startIndex: 0, mode: 'walk', travelSeconds: null },
+        { startIndex: 2, mode: 'walk', travelSeconds: null }
+      ],
+      duration: 3000
+    });
+
+    // Same mode, so time follows distance: 2 km then 1 km
+    expect(timeline.points.map(point => point.time)).toEqual([0, 2000, 3000]);
+    expect(timeline.points[1].tripSeconds).toBeCloseTo(timeline.tripDuration * 2 / 3);
+  });
+
+  it('falls back to distance playback without legs', () => {
+    const timeline = buildRealtimeTimeline({ cumulative, segmentInfo: [], duration: 3000 });
+
+    expect(timeline.mode).toBe('distance');
+  });
+});
+
+describe('getLegStops', () => {
+  it('places each stop where its leg starts or ends', () => {
+    const stops = getLegStops({
+      cumulative,
+      segmentInfo: [
+        { startIndex: 0, locationIndex: 0 },
+        { startIndex: 1, locationIndex: 1 }
+      ]
+    });
+
+    expect(stops).toEqual([
+      { stopIndex: 0, distance: 0 },
+      { stopIndex: 1, distance: 1000 },
+      { stopIndex: 2, distance: 3000 }
+    ]);
+  });
+});
+
+describe('addStopDwells', () => {
+  const stops = [
+    { stopIndex: 0, distance: 0 },
+    { stopIndex: 1, distance: 1000 },
+    { stopIndex: 2, distance: 3000 }
+  ];
+
+  it('lengthens the timeline by the sum of the dwells', () => {
+    const timeline = buildDistanceTimeline({ totalDistance: 3000, duration: 6000 });
+    const dwellMs = { 1: 1500, 2: 500 };
+
+    const withDwells = addStopDwells(timeline, stops, stopIndex => dwellMs[stopIndex]);
+
+    expect(withDwells.duration).toBe(6000 + 1500 + 500);
+    expect(withDwells.dwells).toEqual([
+      { stopIndex: 1, startTime: 2000, endTime: 3500 },
+      { stopIndex: 2, startTime: 7500, endTime: 8000 }
+    ]);
+    expect(withDwells.points[withDwells.points.length - 1]).toMatchObject({ time: 8000, distance: 3000 });
+  });
+
+  it('holds the marker at the stop during a dwell', () => {
+    const timeline = buildDistanceTimeline({ totalDistance: 3000, duration: 6000 });
+
+    const withDwells = addStopDwells(timeline, stops, stopIndex => (stopIndex === 1 ? 1500 : 0));
+
+    expect(getTimelineDistance(withDwells, 2000)).toBe(1000);
+    expect(getTimelineDistance(withDwells, 2750)).toBe(1000);
+    expect(getTimelineDistance(withDwells, 3500)).toBe(1000);
+    // Moving again afterwards, at the same speed as before
+    expect(getTimelineDistance(withDwells, 4500)).toBe(1500);
+    expect(getTimelineDwell(withDwells, 2750)).toMatchObject({ stopIndex: 1 });
+    expect(getTimelineDwell(withDwells, 3500)).toBeNull();
+    expect(getTimelineDwell(withDwells, 1000)).toBeNull();
+  });
+
+  it('keeps the trip clock still during a dwell in real-time playback', () => {
+    const timeline = buildRealtimeTimeline({
+      cumulative,
+      segmentInfo: [
+        { startIndex: 0, mode: 'car', travelSeconds: 60 },
+        { startIndex: 1, mode: 'walk', travelSeconds: 180 }
+      ],
+      duration: 8000
+    });
+
+    const withDwells = addStopDwells(timeline, stops, stopIndex => (stopIndex === 1 ? 1000 : 0));
+
+    expect(withDwells.duration).toBe(9000);
+    expect(getTimelineTripSeconds(withDwells, 2000)).toBe(60);
+    expect(getTimelineTripSeconds(withDwells, 2500)).toBe(60);
+    expect(getTimelineTripSeconds(withDwells, 9000)).toBe(240);
+  });
+
+  it('leaves the timeline unchanged without dwells', () => {
+    const timeline = buildDistanceTimeline({ totalDistance: 3000, duration: 6000 });
+
+    const withDwells = addStopDwells(timeline, stops, () => 0);
+
+    expect(withDwells).toEqual({ ...timeline, dwells: [] });
+  });
+});
+
+describe('getRoutedLegSeconds', () => {
+  it('uses the Directions time for routed legs only', () => {
+    expect(getRoutedLegSeconds({ mode: 'car', duration: { value: 600 }, distance: { value: 9000 } })).toBe(600);
+    expect(getRoutedLegSeconds({ mode: 'car', isCustom: true, duration: { value: 600 } })).toBeNull();
+    expect(getRoutedLegSeconds({ mode: 'flight', duration: { value: 600 } })).toBeNull();
+    expect(getRoutedLegSeconds({ mode: 'car', isFallback: true, duration: { value: 600 } })).toBeNull();
+  });
+
+  it('ignores the driving time of long walk and bike legs', () => {
+    expect(getRoutedLegSeconds({ mode: 'bike', duration: { value: 3600 }, distance: { value: 40000 } })).toBeNull();
+  });
+});
+
+describe('formatTripClock', () => {
+  it('formats minutes, hours and days', () => {
+    expect(formatTripClock(45)).toBe('0:45');
+    expect(formatTripClock(7530)).toBe('2:05:30');
+    expect(formatTripClock(101400)).toBe('1d 04:10:00');
+  });
+});
@@ -0,0 +1,249 @@
+import { COLORS } from './ParticleSystem';
+
+const GRAVITY = 520; // px/s²
+
+/**
+ * ConfettiPiece - Paper rectangle thrown up from the burst origin
+ * Physics are time-based, so bursts look the same at any frame rate
+ */
+class ConfettiPiece {
+  constructor() {
+    const angle = -Math.PI / 2 + (Math.random() - 0.5) * Math.PI * 0.9; // Mostly upwards
+    const speed = 260 + Math.random() * 260;
+
+    this.x = 0;
+    this.y = 0;
+    this.vx = Math.cos(angle) * speed;
+    this.vy = Math.sin(angle) * speed;
+    this.rotation = Math.random() * Math.PI * 2;
+    this.spin = (Math.random() - 0.5) * 12;
+    this.width = 6 + Math.random() * 5;
+    this.height = 3 + Math.random() * 3;
+    this.color = COLORS[Math.floor(Math.random() * COLORS.length)];
+  }
+
+  update(dt) {
+    this.vy += GRAVITY * dt;
+    this.vx *= 1 - 0.9 * dt; // Air drag
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.rotation += this.spin * dt;
+  }
+
+  draw(ctx, originX, originY, alpha) {
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.translate(originX + this.x, originY + this.y);
+    ctx.rotate(this.rotation);
+    // Flip on the x axis as it spins to look like tumbling paper
+    ctx.scale(1, Math.cos(this.rotation * 2));
+    ctx.fillStyle = this.color;
+    ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+    ctx.restore();
+  }
+}
+
+/**
+ * Burst - A group of pieces anchored to a lat/lng
+ * 'confetti' celebrates the destination, 'ring' marks a mode change
+ */
+class Burst {
+  constructor(latLng, kind, color) {
+    this.latLng = latLng;
+    this.kind = kind;
+    this.color = color;
+    this.startTime = performance.now();
+    this.lifespan = kind === 'confetti' ? 2600 : 700;
+    this.pieces = kind === 'confetti'
+      ? Array.from({ length: 120 }, () => new ConfettiPiece())
+      : [];
+  }
+
+  isDead(now) {
+    return now - this.startTime > this.lifespan;
+  }
+
+  draw(ctx, origin, now, dt) {
+    const age = (now - this.startTime) / this.lifespan; // 0-1
+
+    if (this.kind === 'confetti') {
+      const alpha = age < 0.7 ? 1 : Math.max(0, 1 - (age - 0.7) / 0.3);
+      this.pieces.forEach(piece => {
+        piece.update(dt);
+        piece.draw(ctx, origin.x, origin.y, alpha);
+      });
+      return;
+    }
+
+    // Expanding ring with a ring of dots flying outwards
+    const eased = 1 - Math.pow(1 - age, 3);
+    const alpha = 1 - age;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 4 * (1 - age) + 1;
+    ctx.beginPath();
+    ctx.arc(origin.x, origin.y, 12 + eased * 38, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.fillStyle = this.color;
+    for (let i = 0; i < 12; i++) {
+      const angle = (i / 12) * Math.PI * 2;
+      const radius = 16 + eased * 56;
+      ctx.beginPath();
+      ctx.arc(origin.x + Math.cos(angle) * radius, origin.y + Math.sin(angle) * radius, 3.5 * (1 - age) + 0.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
+
+/**
+ * BurstOverlay - Google Maps OverlayView for one-shot effects
+ * (destination confetti, mode transition rings)
+ * Bursts stay anchored to their lat/lng while the map moves, and the render
+ * loop only runs while a burst is playing
+ */
+export function BurstOverlay() {
+  // Call parent constructor
+  if (window.google?.maps?.OverlayView) {
+    window.google.maps.OverlayView.call(this);
+  }
+
+  this.div_ = null;
+  this.canvas_ = null;
+  this.ctx_ = null;
+  this.bursts = [];
+  this.animationFrameId = null;
+  this.lastFrameTime = null;
+}
+
+/**
+ * Initialize the prototype chain
+ * This must be called after Google Maps API is loaded
+ */
+export function initBurstOverlay() {
+  if (typeof window !== 'undefined' && window.google?.maps?.OverlayView) {
+    BurstOverlay.prototype = Object.create(window.google.maps.OverlayView.prototype);
+    BurstOverlay.prototype.constructor = BurstOverlay;
+
+    /**
+     * Called when overlay is added to map
+     * Canvas goes in the float pane so bursts draw above markers
+     */
+    BurstOverlay.prototype.onAdd = function() {
+      const div = document.createElement('div');
+      div.style.position = 'absolute';
+      div.style.left = '0';
+      div.style.top = '0';
+      div.style.pointerEvents = 'none'; // Don't block map interactions
+      div.style.overflow = 'visible';
+
+      const canvas = document.createElement('canvas');
+      canvas.style.position = 'absolute';
+      canvas.style.left = '0';
+      canvas.style.top = '0';
+
+      div.appendChild(canvas);
+      this.div_ = div;
+      this.canvas_ = canvas;
+      this.ctx_ = canvas.getContext('2d');
+
+      this.getPanes().floatPane.appendChild(div);
+    };
+
+    /**
+     * Called when map pans/zooms
+     * Keep the canvas the size of the map
+     */
+    BurstOverlay.prototype.draw = function() {
+      if (!this.div_ || !this.canvas_) return;
+
+      const map = this.getMap();
+      if (!map) return;
+
+      const mapDiv = map.getDiv();
+      const width = mapDiv.offsetWidth;
+      const height = mapDiv.offsetHeight;
+
+      if (this.canvas_.width !== width || this.canvas_.height !== height) {
+        this.canvas_.width = width;
+        this.canvas_.height = height;
+        this.canvas_.style.width = width + 'px';
+        this.canvas_.style.height = height + 'px';
+      }
+
+      this.div_.style.width = width + 'px';
+      this.div_.style.height = height + 'px';
+    };
+
+    /**
+     * Called when overlay is removed from map
+     */
+    BurstOverlay.prototype.onRemove = function() {
+      if (this.animationFrameId) {
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+      }
+
+      if (this.div_) {
+        this.div_.parentNode.removeChild(this.div_);
+        this.div_ = null;
+      }
+
+      this.canvas_ = null;
+      this.ctx_ = null;
+      this.bursts = [];
+    };
+
+    /**
+     * Start a burst at a lat/lng
+     * @param {google.maps.LatLng} latLng - Where the burst happens
+     * @param {string} kind - 'confetti' or 'ring'
+     * @param {string} color - Ring color
+     */
+    BurstOverlay.prototype.burst = function(latLng, kind = 'ring', color = '#ffffff') {
+      if (!latLng) return;
+
+      this.bursts.push(new Burst(latLng, kind, color));
+
+      if (!this.animationFrameId) {
+        this.lastFrameTime = null;
+        this.animationFrameId = requestAnimationFrame((now) => this.animate(now));
+      }
+    };
+
+    /**
+     * Animation loop - runs until the last burst has finished
+     */
+    BurstOverlay.prototype.animate = function(now) {
+      const dt = this.lastFrameTime === null ? 0 : Math.min(0.05, (now - this.lastFrameTime) / 1000);
+      this.lastFrameTime = now;
+
+      this.bursts = this.bursts.filter(burst => !burst.isDead(now));
+
+      const projection = this.getProjection();
+      if (this.ctx_ && this.canvas_) {
+        this.ctx_.clearRect(0, 0, this.canvas_.width, this.canvas_.height);
+
+        if (projection) {
+          this.bursts.forEach(burst => {
+            const origin = projection.fromLatLngToContainerPixel(burst.latLng);
+            if (origin) {
+              burst.draw(this.ctx_, origin, now, dt);
+            }
+          });
+        }
+      }
+
+      if (this.bursts.length > 0) {
+        this.animationFrameId = requestAnimationFrame((next) => this.animate(next));
+      } else {
+        this.animationFrameId = null;
+      }
+    };
+
+    return true;
+  }
+  return false;
+}
@@ -1,5 +1,5 @@
 // Vibrant color palette (same as CodePen)
-const COLORS = [
+export const COLORS = [
   '#f44336', '#e91e63', '#9c27b0', '#673ab7', '#3f51b5',
   '#2196f3', '#03a9f4', '#00bcd4', '#009688', '#4CAF50',
   '#8BC34A', '#CDDC39', '#FFEB3B', '#FFC107', '#FF9800',
@@ -173,6 +173,37 @@ export function initParticleTrailOverlay() {
       this.particleSystem.spawn(point.x, point.y, count);
     };
 
+    /**
+     * Spawn particles along the screen line between two lat/lngs
+     * Keeps the trail evenly filled however far the marker moved this frame,
+     * so it looks the same at every playback speed
+     * @param {google.maps.LatLng} fromLatLng - Marker position last frame
+     * @param {google.maps.LatLng} toLatLng - Marker position this frame
+     * @param {number} spacing - Pixels between spawn points
+     * @param {number} count - Particles per spawn point
+     */
+    ParticleTrailOverlay.prototype.spawnParticlesAlong = function(fromLatLng, toLatLng, spacing = 6, count = 3) {
+      if (!this.ctx_ || !toLatLng) return;
+
+      const projection = this.getProjection();
+      if (!projection) return;
+
+      const to = projection.fromLatLngToContainerPixel(toLatLng);
+      const from = fromLatLng ? projection.fromLatLngToContainerPixel(fromLatLng) : to;
+      if (!to || !from) return;
+
+      const pixels = Math.hypot(to.x - from.x, to.y - from.y);
+      const steps = Math.min(12, Math.max(1, Math.ceil(pixels / spacing)));
+      for (let i = 1; i <= steps; i++) {
+        const fraction = i / steps;
+        this.particleSystem.spawn(
+          from.x + (to.x - from.x) * fraction,
+          from.y + (to.y - from.y) * fraction,
+          count
+        );
+      }
+    };
+
     /**
      * Clear all particles
      */
@@ -0,0 +1,263 @@
+/**
+ * RouteVideoRenderer - Draws route animation frames onto a canvas
+ *
+ * The live Google map can't be read back into a canvas (its tiles are
+ * cross-origin), so video frames are composed from a Static Maps background
+ * framed on the whole route, with the route and animated marker drawn on top
+ * using the same Web Mercator projection.
+ */
+import { TRANSPORT_ICONS, TRANSPORTATION_COLORS } from '../../../constants/transportationModes';
+
+const TILE_SIZE = 256;
+const STATIC_MAP_MAX_SIZE = 640; // Static Maps API limit per side (before scale)
+const STATIC_MAP_SCALE = 2;
+const ROUTE_PADDING = 48; // Logical pixels kept clear around the route
+const STATIC_MAP_URL = 'https://maps.googleapis.com/maps/api/staticmap';
+
+const readLatLng = (point) => ({
+  lat: typeof point.lat === 'function' ? point.lat() : point.lat,
+  lng: typeof point.lng === 'function' ? point.lng() : point.lng
+});
+
+// Web Mercator world coordinates at zoom 0
+const toWorld = ({ lat, lng }) => {
+  const sinLat = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+  return {
+    x: TILE_SIZE * (0.5 + lng / 360),
+    y: TILE_SIZE * (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI))
+  };
+};
+
+const fromWorld = ({ x, y }) => {
+  const n = Math.PI - 2 * Math.PI * y / TILE_SIZE;
+  return {
+    lat: 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))),
+    lng: x / TILE_SIZE * 360 - 180
+  };
+};
+
+// Make longitudes continuous so a route across the ±180° meridian is
+// measured and framed as one piece (179 -> 181 rather than -179)
+const unwrapLongitudes = (points) => {
+  let shift = 0;
+  return points.map((point, index) => {
+    if (index > 0) {
+      const delta = point.lng - points[index - 1].lng;
+      if (delta > 180) shift -= 360;
+      if (delta < -180) shift += 360;
+    }
+    return shift ? { lat: point.lat, lng: point.lng + shift } : point;
+  });
+};
+
+const normalizeLng = (lng) => ((lng + 180) % 360 + 360) % 360 - 180;
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Could not load the map background'));
+  image.src = url;
+});
+
+export class RouteVideoRenderer {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Output width in pixels
+   * @param {number} options.height - Output height in pixels
+   * @param {Array} options.path - Animation path (google.maps.LatLng or {lat, lng})
+   * @param {Array} options.segmentInfo - [{ startIndex, endIndex, mode }] into path
+   * @param {Array} options.stops - Stop locations ({lat, lng})
+   * @param {string} options.apiKey - Google Maps API key for the Static Maps background
+   */
+  constructor({ width, height, path, segmentInfo, stops = [], apiKey }) {
+    this.width = width;
+    this.height = height;
+    this.path = unwrapLongitudes(path.map(readLatLng));
+    this.worldPath = this.path.map(toWorld);
+    this.segmentInfo = segmentInfo || [];
+    this.stops = stops.filter(Boolean).map(readLatLng);
+    this.apiKey = apiKey;
+    this.background = null;
+    this.backgroundError = null;
+
+    // Static map size with the same aspect ratio as the output
+    if (width >= height) {
+      this.mapWidth = STATIC_MAP_MAX_SIZE;
+      this.mapHeight = Math.round(STATIC_MAP_MAX_SIZE * height / width);
+    } else {
+      this.mapHeight = STATIC_MAP_MAX_SIZE;
+      this.mapWidth = Math.round(STATIC_MAP_MAX_SIZE * width / height);
+    }
+    // Output pixels per logical map pixel
+    this.pixelScale = width / this.mapWidth;
+
+    this.fitCamera();
+  }
+
+  /**
+   * Pick the largest integer zoom that fits the whole route, centered on its bounds
+   */
+  fitCamera() {
+    const xs = this.worldPath.map(p => p.x);
+    const ys = this.worldPath.map(p => p.y);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+
+    this.worldCenter = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+
+    const availableWidth = Math.max(1, this.mapWidth - ROUTE_PADDING * 2);
+    const availableHeight = Math.max(1, this.mapHeight - ROUTE_PADDING * 2);
+    let zoom = 0;
+    for (let z = 20; z >= 0; z--) {
+      const scale = Math.pow(2, z);
+      if ((maxX - minX) * scale <= availableWidth && (maxY - minY) * scale <= availableHeight) {
+        zoom = z;
+        break;
+      }
+    }
+    this.zoom = zoom;
+  }
+
+  /**
+   * Load the Static Maps background. Frames still render without it.
+   */
+  async load() {
+    if (!this.apiKey) {
+      this.backgroundError = 'No Google Maps API key configured';
+      return;
+    }
+
+    const center = fromWorld(this.worldCenter);
+    const params = new URLSearchParams({
+      center: `${center.lat.toFixed(6)},${normalizeLng(center.lng).toFixed(6)}`,
+      zoom: String(this.zoom),
+      size: `${this.mapWidth}x${this.mapHeight}`,
+      scale: String(STATIC_MAP_SCALE),
+      key: this.apiKey
+    });
+
+    try {
+      this.background = await loadImage(`${STATIC_MAP_URL}?${params.toString()}`);
+    } catch (error) {
+      this.backgroundError = error.message;
+    }
+  }
+
+  /**
+   * Project a lat/lng to output canvas pixels
+   */
+  project(point) {
+    const world = point.x !== undefined ? point : toWorld(readLatLng(point));
+    const scale = Math.pow(2, this.zoom);
+    // Use the copy of the world nearest the camera (points past the ±180° meridian)
+    const wraps = Math.round((this.worldCenter.x - world.x) / TILE_SIZE);
+    return {
+      x: ((world.x + wraps * TILE_SIZE - this.worldCenter.x) * scale + this.mapWidth / 2) * this.pixelScale,
+      y: ((world.y - this.worldCenter.y) * scale + this.mapHeight / 2) * this.pixelScale
+    };
+  }
+
+  drawBackground(ctx) {
+    if (this.background) {
+      ctx.drawImage(this.background, 0, 0, this.width, this.height);
+    } else {
+      ctx.fillStyle = '#e5e7eb';
+      ctx.fillRect(0, 0, this.width, this.height);
+    }
+  }
+
+  drawRoute(ctx) {
+    const lineWidth = Math.max(3, this.width / 320);
+
+    this.segmentInfo.forEach((segment) => {
+      const points = this.worldPath.slice(segment.startIndex, segment.endIndex + 1);
+      if (points.length < 2) return;
+
+      ctx.save();
+      ctx.strokeStyle = TRANSPORTATION_COLORS[segment.mode] || TRANSPORTATION_COLORS.walk;
+      ctx.lineWidth = lineWidth;
+      ctx.lineJoin = 'round';
+      ctx.lineCap = 'round';
+      if (segment.mode === 'walk') {
+        ctx.setLineDash([lineWidth * 0.1, lineWidth * 2]);
+      }
+      ctx.beginPath();
+      points.forEach((point, index) => {
+        const { x, y } = this.project(point);
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+      ctx.restore();
+    });
+
+    // Stop markers
+    const stopRadius = lineWidth * 1.8;
+    this.stops.forEach((stop) => {
+      const { x, y } = this.project(stop);
+      ctx.beginPath();
+      ctx.arc(x, y, stopRadius, 0, Math.PI * 2);
+      ctx.fillStyle = '#ffffff';
+      ctx.fill();
+      ctx.lineWidth = lineWidth * 0.6;
+      ctx.strokeStyle = '#111827';
+      ctx.stroke();
+    });
+  }
+
+  drawMarker(ctx, position, mode) {
+    if (!position) return;
+    const { x, y } = this.project(position);
+    const radius = Math.max(8, this.width / 110);
+
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = '#000000';
+    ctx.fill();
+    ctx.lineWidth = radius * 0.3;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+
+    // Mode badge in the top-left corner (same role as AnimatedMarkerBox)
+    const icon = TRANSPORT_ICONS[mode];
+    if (icon) {
+      const size = Math.round(Math.min(this.width, this.height) * 0.1);
+      const margin = Math.round(size * 0.25);
+      ctx.fillStyle = TRANSPORTATION_COLORS[mode] || '#ffffff';
+      ctx.fillRect(margin, margin, size, size);
+      ctx.font = `${Math.round(size * 0.6)}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(icon, margin + size / 2, margin + size / 2);
+    }
+  }
+
+  drawWatermark(ctx) {
+    const fontSize = Math.round(Math.min(this.width, this.height) * 0.05);
+    ctx.font = `bold ${fontSize}px Baconfarm, sans-serif`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = '#000000';
+    ctx.fillText('Lenamaps.com', this.width - fontSize * 0.5, this.height - fontSize * 0.4);
+  }
+
+  /**
+   * Draw one complete frame
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} frame - { position, mode } from useRouteAnimation
+   */
+  drawFrame(ctx, frame) {
+    this.drawBackground(ctx);
+    this.drawRoute(ctx);
+    this.drawMarker(ctx, frame.position, frame.mode);
+    this.drawWatermark(ctx);
+  }
+}
+
+export default RouteVideoRenderer;
@@ -0,0 +1,132 @@
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+
+// Codecs to try, best first: [WebCodecs codec string, Matroska codec id]
+const CODECS = [
+  ['vp09.00.10.08', 'V_VP9'],
+  ['vp8', 'V_VP8']
+];
+
+const KEYFRAME_INTERVAL_SECONDS = 2;
+const MAX_ENCODE_QUEUE = 8;
+
+/**
+ * Check whether this browser can encode WebM video frame by frame
+ */
+export const isVideoExportSupported = () => {
+  return typeof window !== 'undefined' &&
+    typeof window.VideoEncoder === 'function' &&
+    typeof window.VideoFrame === 'function';
+};
+
+const pickCodec = async (width, height, bitrate, framerate) => {
+  for (const [codec, muxerCodec] of CODECS) {
+    const config = { codec, width, height, bitrate, framerate };
+    try {
+      const { supported } = await window.VideoEncoder.isConfigSupported(config);
+      if (supported) {
+        return { config, muxerCodec };
+      }
+    } catch (error) {
+      // Try the next codec
+    }
+  }
+  return null;
+};
+
+/**
+ * Encode a WebM video frame by frame.
+ *
+ * Every frame gets an explicit timestamp of frameIndex / fps, so the output
+ * timing never depends on how fast this machine renders or encodes.
+ *
+ * @param {Object} options
+ * @param {number} options.width - Video width in pixels (even)
+ * @param {number} options.height - Video height in pixels (even)
+ * @param {number} options.fps - Frames per second
+ * @param {number} options.frameCount - Total number of frames
+ * @param {Function} options.renderFrame - (ctx, frameIndex) => void | Promise, draws one frame
+ * @param {Function} options.onProgress - (fraction 0-1) => void
+ * @param {AbortSignal} options.signal - Abort to cancel the export
+ * @returns {Promise<Blob>} WebM video
+ */
+export const encodeWebM = async ({ width, height, fps, frameCount, renderFrame, onProgress, signal }) => {
+  if (!isVideoExportSupported()) {
+    throw new Error('Video export needs a browser with WebCodecs support (recent Chrome, Edge, Firefox or Safari).');
+  }
+
+  const bitrate = Math.round(width * height * fps * 0.15);
+  const codec = await pickCodec(width, height, bitrate, fps);
+  if (!codec) {
+    throw new Error('This browser cannot encode WebM video at the selected resolution.');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: {
+      codec: codec.muxerCodec,
+      width,
+      height,
+      frameRate: fps
+    }
+  });
+
+  let encoderError = null;
+  const encoder = new window.VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => {
+      encoderError = error;
+    }
+  });
+  encoder.configure(codec.config);
+
+  const frameDuration = 1e6 / fps; // microseconds
+  const keyframeInterval = Math.max(1, Math.round(fps * KEYFRAME_INTERVAL_SECONDS));
+
+  try {
+    for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+      if (signal?.aborted) {
+        throw new DOMException('Video export cancelled', 'AbortError');
+      }
+      if (encoderError) {
+        throw encoderError;
+      }
+
+      await renderFrame(ctx, frameIndex);
+
+      const frame = new window.VideoFrame(canvas, {
+        timestamp: Math.round(frameIndex * frameDuration),
+        duration: Math.round(frameDuration)
+      });
+      encoder.encode(frame, { keyFrame: frameIndex % keyframeInterval === 0 });
+      frame.close();
+
+      // Let the encoder catch up so memory stays bounded
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      if (onProgress) {
+        onProgress((frameIndex + 1) / frameCount);
+      }
+    }
+
+    await encoder.flush();
+    if (encoderError) {
+      throw encoderError;
+    }
+  } finally {
+    if (encoder.state !== 'closed') {
+      encoder.close();
+    }
+  }
+
+  muxer.finalize();
+  return new Blob([muxer.target.buffer], { type: 'video/webm' });
+};
+
+export default encodeWebM;
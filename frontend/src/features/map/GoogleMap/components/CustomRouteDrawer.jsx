@@ -1,20 +1,43 @@
 import { useEffect, useRef } from 'react';
-import { createPolylineOptions } from '../utils/mapHelpers';
+import { createPolylineOptions, getTransportationColor } from '../utils/mapHelpers';
+import { buildDrawnPath, snapPathToRoads } from '../utils/drawingUtils';
+
+const NO_POINTS = [];
 
 /**
- * CustomRouteDrawer - Simplified to draw straight lines only
- * No waypoints, no clicking - just a geodesic line between start and end
+ * CustomRouteDrawer - Draws a draw-mode leg
+ * Shows the leg's path (drawn vertices, snapped route or imported track).
+ * While editing, clicks on the map add vertices, vertex handles can be
+ * dragged, and right-clicking a vertex deletes it.
  */
 const CustomRouteDrawer = ({
   map,
   startLocation,
   endLocation,
   mode = 'walk',
-  isEnabled
+  isEnabled,
+  isEditing = false,
+  path = null,
+  points = NO_POINTS,
+  snapToRoads = false,
+  onPointAdded,
+  onPointsChange,
+  onPathChange
 }) => {
   const polylineRef = useRef(null);
+  const handlesRef = useRef(null);
+  const hasDrawnPathRef = useRef(false);
+  const drawInActiveRef = useRef(false);
+
+  // Latest values for the map listeners
+  const pointsRef = useRef(points);
+  pointsRef.current = points;
+  const onPointsChangeRef = useRef(onPointsChange);
+  onPointsChangeRef.current = onPointsChange;
+  const onPointAddedRef = useRef(onPointAdded);
+  onPointAddedRef.current = onPointAdded;
 
-  // Draw straight line between start and end
+  // Draw the leg: its path, or a straight line between start and end
   useEffect(() => {
     // Clean up previous polyline
     if (polylineRef.current) {
@@ -27,11 +50,12 @@ const CustomRouteDrawer = ({
       return;
     }
 
-    // Create geodesic polyline (straight line on globe)
+    // Create geodesic polyline (straight line on globe, or drawn/imported path)
     const polyline = new google.maps.Polyline({
-      path: [startLocation, endLocation],
+      path: path && path.length >= 2 ? path : [startLocation, endLocation],
       geodesic: true, // Straight line on globe surface
       ...createPolylineOptions(mode), // Pass mode, it gets color automatically
+      visible: !drawInActiveRef.current,
       map
     });
 
@@ -42,7 +66,123 @@ const CustomRouteDrawer = ({
         polylineRef.current.setMap(null);
       }
     };
-  }, [map, startLocation, endLocation, mode, isEnabled]);
+  }, [map, startLocation, endLocation, mode, isEnabled, path]);
+
+  // Work out the path from the drawn vertices (snapping sections to roads if asked)
+  useEffect(() => {
+    if (!isEnabled || !startLocation || !endLocation || !onPathChange) return;
+
+    // Nothing drawn: leave the path alone (straight line or imported track),
+    // but drop a path this drawer made before everything was undone
+    if (points.length === 0 && !snapToRoads) {
+      if (hasDrawnPathRef.current) {
+        hasDrawnPathRef.current = false;
+        onPathChange(null);
+      }
+      return;
+    }
+
+    const vertices = buildDrawnPath(startLocation, points, endLocation);
+    hasDrawnPathRef.current = true;
+
+    if (!snapToRoads) {
+      onPathChange(vertices);
+      return;
+    }
+
+    let cancelled = false;
+    snapPathToRoads(vertices, mode, () => cancelled).then(snapped => {
+      if (snapped) onPathChange(snapped);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isEnabled, startLocation, endLocation, points, snapToRoads, mode]);
+
+  // Editable vertex handles while editing
+  useEffect(() => {
+    if (!map || !isEnabled || !isEditing || !startLocation || !endLocation) return;
+
+    const vertices = buildDrawnPath(startLocation, points, endLocation);
+    const handles = new google.maps.Polyline({
+      path: vertices,
+      geodesic: true,
+      editable: true,
+      strokeColor: getTransportationColor(mode),
+      strokeOpacity: 0.5,
+      strokeWeight: 2,
+      zIndex: 2000,
+      map
+    });
+    handlesRef.current = handles;
+
+    const handlePath = handles.getPath();
+    let reverting = false;
+
+    const reportPoints = () => {
+      const all = handlePath.getArray().map(latLng => ({ lat: latLng.lat(), lng: latLng.lng() }));
+      onPointsChangeRef.current?.(all.slice(1, -1));
+    };
+
+    const listeners = [
+      // Dragging a midpoint handle inserts a vertex
+      handlePath.addListener('insert_at', reportPoints),
+      handlePath.addListener('set_at', (index) => {
+        if (reverting) return;
+        // The ends belong to the stops - put them back
+        if (index === 0 || index === handlePath.getLength() - 1) {
+          reverting = true;
+          handlePath.setAt(index, new google.maps.LatLng(vertices[index].lat, vertices[index].lng));
+          reverting = false;
+          return;
+        }
+        reportPoints();
+      }),
+      // Right-click a vertex to delete it
+      handles.addListener('rightclick', (e) => {
+        if (e.vertex === undefined || e.vertex === 0 || e.vertex === handlePath.getLength() - 1) return;
+        const nextPoints = [...pointsRef.current];
+        nextPoints.splice(e.vertex - 1, 1);
+        onPointsChangeRef.current?.(nextPoints);
+      })
+    ];
+
+    return () => {
+      listeners.forEach(listener => listener.remove());
+      handles.setMap(null);
+      handlesRef.current = null;
+    };
+  }, [map, isEnabled, isEditing, startLocation, endLocation, points, mode]);
+
+  // Map clicks while editing add a vertex before the end stop
+  // (until both stops are set, clicks place the stops as usual)
+  useEffect(() => {
+    if (!map || !isEnabled || !isEditing || !startLocation || !endLocation) return;
+
+    const listener = map.addListener('click', (e) => {
+      onPointAddedRef.current?.({ lat: e.latLng.lat(), lng: e.latLng.lng() });
+    });
+
+    return () => listener.remove();
+  }, [map, isEnabled, isEditing, startLocation, endLocation]);
+
+  // Route draw-in effect: hide the line while the animation reveals it
+  useEffect(() => {
+    const handleRouteDrawIn = (e) => {
+      drawInActiveRef.current = e.detail.active;
+      if (polylineRef.current) {
+        polylineRef.current.setVisible(!e.detail.active);
+      }
+      if (handlesRef.current) {
+        handlesRef.current.setVisible(!e.detail.active);
+      }
+    };
+
+    window.addEventListener('routeDrawInChange', handleRouteDrawIn);
+    return () => window.removeEventListener('routeDrawInChange', handleRouteDrawIn);
+  }, []);
 
   return null;
 };
@@ -1,9 +1,11 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { DEFAULT_CENTER, MAP_CONFIG } from '../utils/constants';
 import { createMarkerContent, clearAdvancedMarker } from '../utils/mapHelpers';
+import { describeMapPosition } from '../utils/geocodingUtils';
 import RouteSegmentManager from './RouteSegmentManager';
 import RouteAnimator from '../../../animation/RouteAnimator';
 import AnimatedMarkerBox from '../../../animation/RouteAnimator/AnimatedMarkerBox';
+import StopCaptionCard from '../../../animation/RouteAnimator/StopCaptionCard';
 import MapErrorBoundary from '../MapErrorBoundary';
 
 const MapComponent = ({
@@ -21,6 +23,11 @@ const MapComponent = ({
   onHideRouteAnimator,
   onMapReady,
   onModesAutoUpdate,
+  enabledEffects = {},
+  cameraKeyframes,
+  onCameraKeyframesChange,
+  // Embed player: read-only map with the minimal animator ({ autoplay, loop, startProgress })
+  embedOptions = null,
   // DISCONNECTED: Usage tracking paused for release - see STATUS.md
   // usageTracking
 }) => {
@@ -46,6 +53,10 @@ const MapComponent = ({
         zoom: MAP_CONFIG.zoom,
         center: center || DEFAULT_CENTER,
         ...MAP_CONFIG,
+        // Vector rendering so director mode camera keyframes can tilt and rotate
+        renderingType: 'VECTOR',
+        tiltInteractionEnabled: true,
+        headingInteractionEnabled: true,
         // Allow one-finger panning on mobile
         gestureHandling: isMobile ? 'greedy' : 'auto'
       });
@@ -66,94 +77,12 @@ const MapComponent = ({
       // Add click listener
       mapInstance.addListener('click', (event) => {
         if (onMapClick) {
-        // Reverse geocode to get place name and check for water
-        const geocoder = new window.google.maps.Geocoder();
-        geocoder.geocode({ location: event.latLng }, (results, status) => {
-          if (status === 'OK' && results) {
-            // Check if the clicked location is in water
-            const isWater = results.some(result => {
-              return result.types && (
-                result.types.includes('natural_feature') ||
-                result.types.includes('body_of_water') ||
-                result.types.includes('ocean') ||
-                result.types.includes('sea') ||
-                result.types.includes('lake') ||
-                result.types.includes('river')
-              );
-            });
-            
-            if (isWater) {
-              // Find the first non-water result (usually the nearest land)
-              const landResult = results.find(result => {
-                return !result.types || !(
-                  result.types.includes('natural_feature') ||
-                  result.types.includes('body_of_water') ||
-                  result.types.includes('ocean') ||
-                  result.types.includes('sea') ||
-                  result.types.includes('lake') ||
-                  result.types.includes('river')
-                );
-              });
-              
-              if (landResult && landResult.geometry) {
-                // Use the land location
-                const landLocation = landResult.geometry.location;
-                const landLat = typeof landLocation.lat === 'function' ? landLocation.lat() : landLocation.lat;
-                const landLng = typeof landLocation.lng === 'function' ? landLocation.lng() : landLocation.lng;
-                
-                let name = '';
-                if (landResult.address_components && landResult.address_components.length > 0) {
-                  const types = ['route', 'neighborhood', 'locality'];
-                  for (const type of types) {
-                    const component = landResult.address_components.find(comp => comp.types.includes(type));
-                    if (component) {
-                      name = component.long_name;
-                      break;
-                    }
-                  }
-                  if (!name) {
-                    name = landResult.address_components[0].long_name;
-                  }
-                }
-                
-                onMapClick(landLat, landLng, {
-                  name: name || 'Shore Location',
-                  address: landResult.formatted_address
-                });
-                
-                return;
-              }
-            }
-            
-            // Not water or couldn't find land - proceed normally
-            const result = results[0];
-            let name = '';
-            if (result.address_components && result.address_components.length > 0) {
-              // Try to get a meaningful short name
-              const types = ['establishment', 'point_of_interest', 'route', 'neighborhood', 'locality'];
-              for (const type of types) {
-                const component = result.address_components.find(comp => comp.types.includes(type));
-                if (component) {
-                  name = component.long_name;
-                  break;
-                }
-              }
-              if (!name) {
-                name = result.address_components[0].long_name;
-              }
-            }
-            
-            onMapClick(event.latLng.lat(), event.latLng.lng(), {
-              name: name || 'Selected Location',
-              address: result.formatted_address
-            });
-          } else {
-            // Fallback if geocoding fails
-            onMapClick(event.latLng.lat(), event.latLng.lng());
-          }
-        });
-      }
-    });
+          // Reverse geocode to get place name and check for water
+          describeMapPosition(event.latLng).then(({ lat, lng, info }) => {
+            onMapClick(lat, lng, info);
+          });
+        }
+      });
     } catch (error) {
       // Check for common API errors
       if (error.message?.includes('quota') || error.message?.includes('OVER_QUERY_LIMIT')) {
@@ -213,6 +142,7 @@ const MapComponent = ({
         customDrawEnabled={customDrawEnabled}
         isMobile={isMobile}
         onModesAutoUpdate={onModesAutoUpdate}
+        readOnly={Boolean(embedOptions)}
         // DISCONNECTED: Usage tracking paused for release - see STATUS.md
         // usageTracking={usageTracking}
       />
@@ -220,14 +150,35 @@ const MapComponent = ({
       {/* Animated Marker Box - render at MapComponent level so it's always available */}
       <AnimatedMarkerBoxContainer map={map} directionsRoute={directionsRoute} />
 
+      {/* Embed player - the same minimal animator on desktop and mobile */}
+      {map && embedOptions && (
+        <RouteAnimator
+          key="route-animator-embed"
+          map={map}
+          directionsRoute={directionsRoute}
+          onAnimationStateChange={onAnimationStateChange}
+          isMobile={isMobile}
+          stops={directionsLocations}
+          enabledEffects={enabledEffects}
+          variant="minimal"
+          autoplay={embedOptions.autoplay}
+          loop={embedOptions.loop}
+          startProgress={embedOptions.startProgress}
+        />
+      )}
+
       {/* RouteAnimator for desktop only - mobile version is embedded in DirectionsPanel */}
-      {map && !isMobile && (
+      {map && !isMobile && !embedOptions && (
         <RouteAnimator
           key="route-animator-desktop"
           map={map}
           directionsRoute={directionsRoute}
           onAnimationStateChange={onAnimationStateChange}
           isMobile={false}
+          stops={directionsLocations}
+          enabledEffects={enabledEffects}
+          cameraKeyframes={cameraKeyframes}
+          onCameraKeyframesChange={onCameraKeyframesChange}
         />
       )}
 
@@ -240,6 +191,8 @@ const AnimatedMarkerBoxContainer = ({ map, directionsRoute }) => {
   const [currentModeIcon, setCurrentModeIcon] = useState(null);
   const [isAnimating, setIsAnimating] = useState(false);
   const [segmentColor, setSegmentColor] = useState(null);
+  const [stopCard, setStopCard] = useState(null);
+  const [morphIcon, setMorphIcon] = useState(false);
 
   useEffect(() => {
     if (!window) return;
@@ -248,13 +201,25 @@ const AnimatedMarkerBoxContainer = ({ map, directionsRoute }) => {
       setIsAnimating(e.detail.isAnimating);
       setCurrentModeIcon(e.detail.currentModeIcon || null);
       setSegmentColor(e.detail.segmentColor || null);
+      setStopCard(e.detail.stopCard || null);
+      setMorphIcon(Boolean(e.detail.morphIcon));
     };
 
     window.addEventListener('routeAnimationUpdate', handleAnimationState);
     return () => window.removeEventListener('routeAnimationUpdate', handleAnimationState);
   }, []);
 
-  return <AnimatedMarkerBox currentModeIcon={currentModeIcon} isAnimating={isAnimating} segmentColor={segmentColor} />;
+  return (
+    <>
+      <AnimatedMarkerBox
+        currentModeIcon={currentModeIcon}
+        isAnimating={isAnimating}
+        segmentColor={segmentColor}
+        morphIcon={morphIcon}
+      />
+      {isAnimating && <StopCaptionCard stopCard={stopCard} />}
+    </>
+  );
 };
 
 export default React.memo(MapComponent, (prevProps, nextProps) => {
@@ -267,6 +232,9 @@ export default React.memo(MapComponent, (prevProps, nextProps) => {
     prevProps.directionsRoute?.routeId === nextProps.directionsRoute?.routeId &&
     prevProps.showRouteAnimator === nextProps.showRouteAnimator &&
     prevProps.isMobile === nextProps.isMobile &&
+    JSON.stringify(prevProps.enabledEffects) === JSON.stringify(nextProps.enabledEffects) &&
+    prevProps.cameraKeyframes === nextProps.cameraKeyframes &&
+    prevProps.embedOptions === nextProps.embedOptions &&
     // IMPORTANT: Also check if directionsLocations changed!
     JSON.stringify(prevProps.directionsLocations) === JSON.stringify(nextProps.directionsLocations) &&
     JSON.stringify(prevProps.directionsLegModes) === JSON.stringify(nextProps.directionsLegModes)
@@ -1,16 +1,44 @@
 import { useEffect, useRef, useCallback } from 'react';
-import { getTransportationColor, createPolylineOptions, createMarkerContent, clearAdvancedMarker } from '../utils/mapHelpers';
+import { getTransportationColor, createPolylineOptions, createFallbackPolylineOptions, createMarkerContent, clearAdvancedMarker } from '../utils/mapHelpers';
 import { TRANSPORT_ICONS } from '../utils/constants';
 import {
   getMarkerScale,
-  generateFlightArc,
+  splitAtAntimeridian,
   calculateDistance,
   validateTransitMode,
   validateRouteProximity,
-  createStraightLineRoute,
-  clearSegment
+  clearSegment,
+  isDrivingRoute,
+  isStraightLineRoute,
+  ALTERNATIVE_ROUTE_MODES
 } from '../utils/segmentUtils';
+import { ROUTE_FALLBACKS } from '../utils/routeProvenance';
+import { getRouteOptionsKey } from '../utils/routeOptions';
+import { planSegmentReuse } from '../utils/segmentReuse';
 import directionsCache from '../../../../utils/caching/DirectionsCache';
+import {
+  routingProvider,
+  flightProvider,
+  straightLineProvider,
+  getRoutingCacheKey
+} from '../../../../services/routing';
+import { useTripStoreApi } from '../../../../store';
+
+// Point a reused stop marker at its leg's new stop and mode. Markers are drawn
+// from their colour and position only, so the reused one is otherwise identical.
+const refreshStopMarker = (marker, location, mode) => {
+  if (!marker) return;
+
+  const color = getTransportationColor(mode);
+  if (marker._color !== color) {
+    const [iconSequence] = marker.get('icons') || [];
+    if (iconSequence) {
+      marker.set('icons', [{ ...iconSequence, icon: { ...iconSequence.icon, fillColor: color } }]);
+    }
+    marker._color = color;
+  }
+  marker._location = location;
+};
 
 const RouteSegmentManager = ({
   map,
@@ -21,8 +49,10 @@ const RouteSegmentManager = ({
   customDrawEnabled = [],
   isMobile = false,
   onModesAutoUpdate = null,
+  readOnly = false, // Embeds: no dragging stops or picking alternatives
   usageTracking = null
 }) => {
+  const tripStore = useTripStoreApi();
   const segmentsRef = useRef([]);
   const currentRouteIdRef = useRef(null);
   const cleanupTimeoutRef = useRef(null);
@@ -41,9 +71,9 @@ const RouteSegmentManager = ({
     // Remove individual markers from segments
     segmentsRef.current = segmentsRef.current.filter(s => !s || s.id !== 'single-marker');
 
-    // Update global segments
-    window._routeSegments = segmentsRef.current.filter(s => s && (s.route || s.isCustom));
-  }, []);
+    // Publish the remaining segments
+    tripStore.setSegments(segmentsRef.current.filter(s => s && (s.route || s.isCustom)));
+  }, [tripStore]);
 
   // SPECIALIZED CLEARING: Clear only route segments (2+ locations)
   const clearRouteSegments = useCallback(() => {
@@ -56,9 +86,9 @@ const RouteSegmentManager = ({
     // Remove route segments, keep individual markers
     segmentsRef.current = segmentsRef.current.filter(s => s && s.id === 'single-marker');
 
-    // Update global segments
-    window._routeSegments = segmentsRef.current.filter(s => s && (s.route || s.isCustom));
-  }, []);
+    // Publish the remaining segments
+    tripStore.setSegments(segmentsRef.current.filter(s => s && (s.route || s.isCustom)));
+  }, [tripStore]);
 
   // NUCLEAR OPTION: Clear everything (errors, unmount, full reset)
   const clearAllSegments = useCallback(() => {
@@ -68,9 +98,9 @@ const RouteSegmentManager = ({
       }
     });
     segmentsRef.current = [];
-    // Also clear global segments
-    window._routeSegments = [];
-  }, []);
+    // Also clear the published segments
+    tripStore.setSegments([]);
+  }, [tripStore]);
 
   // GLOBAL CLEANUP: Force remove ALL markers and polylines from the map
   // This is called on undo to ensure complete cleanup
@@ -81,42 +111,23 @@ const RouteSegmentManager = ({
     // Clear all segments first
     clearAllSegments();
 
-    // Nuclear option: Find and remove ALL Google Maps overlays
-    // This catches any orphaned markers that React didn't cleanup
-    const mapDiv = map.getDiv();
-    if (mapDiv) {
-      // Google Maps stores markers in internal structures, but we can force remove them
-      // by iterating through all map overlays
-      try {
-        // Clear any remaining polylines
-        if (window._customPolylines) {
-          window._customPolylines.forEach(polyline => {
-            if (polyline) polyline.setMap(null);
-          });
-          window._customPolylines = [];
-        }
-
-        // Clear any remaining markers
-        if (window._customMarkers) {
-          window._customMarkers.forEach(marker => {
-            if (marker) marker.setMap(null);
-          });
-          window._customMarkers = [];
-        }
-      } catch (e) {
-      }
+    // Nuclear option: remove the polylines and markers this map's trip store
+    // keeps outside the segments, catching any that React didn't clean up
+    try {
+      tripStore.clearCustomOverlays();
+    } catch (e) {
     }
-  }, [map, clearAllSegments]);
+  }, [map, clearAllSegments, tripStore]);
 
-  // Expose cleanup function globally so it can be called from undo
+  // Register cleanup with this map's trip store so undo can call it
   useEffect(() => {
     if (map) {
-      window._forceCleanupMap = forceCleanupMap;
+      tripStore.setMapCleanup(forceCleanupMap);
     }
     return () => {
-      window._forceCleanupMap = null;
+      tripStore.setMapCleanup(null);
     };
-  }, [map, forceCleanupMap]);
+  }, [map, forceCleanupMap, tripStore]);
 
   // Create a simple circle marker using Polyline symbol (same technique as animated marker)
   const createMarker = useCallback((location, icon, color, title, zIndex = 100, isBusStop = false) => {
@@ -160,6 +171,27 @@ const RouteSegmentManager = ({
     return marker;
   }, [map]);
 
+  // Let a stop marker be dragged on the map to move its stop
+  // (the panel picks up the 'stopMarkerDragged' event and updates the trip)
+  // stopIndex counts filled stops only, like the segments' indexes
+  const makeStopMarkerDraggable = useCallback((marker, stopIndex) => {
+    if (readOnly || !marker) return;
+    marker._stopIndex = stopIndex;
+    if (marker._dragListener) return;
+
+    // A wide invisible stroke gives the tiny polyline something to grab
+    marker.setOptions({ clickable: true, draggable: true, strokeWeight: 24 });
+    marker._dragListener = marker.addListener('dragend', () => {
+      const position = marker.getPath().getAt(0);
+      window.dispatchEvent(new CustomEvent('stopMarkerDragged', {
+        detail: {
+          index: marker._stopIndex,
+          to: { lat: position.lat(), lng: position.lng() }
+        }
+      }));
+    });
+  }, [readOnly]);
+
   // Create a transition marker (circle with stroke in the next mode's color)
   const createTransitionMarker = (location, fromIcon, fromColor, toIcon, toColor) => {
     // Use a polyline with two very close points and a circle symbol
@@ -413,6 +445,7 @@ const RouteSegmentManager = ({
 
         // Use centralized marker creation function
         const startMarker = createMarker(location, icon, color, 'Start', 100, false);
+        makeStopMarkerDraggable(startMarker, 0);
 
         // Store in segmentsRef as an ARRAY element (not object property!)
         segmentsRef.current = [{
@@ -481,15 +514,30 @@ const RouteSegmentManager = ({
             return newIsCustom !== oldIsCustom;
           });
 
+          // Check if a different route alternative was picked for a leg
+          const routeChoiceChanged = segmentsRef.current.some((segment, i) => {
+            const newRouteChoice = directionsRoute?.segments?.[i]?.routeIndex || 0;
+            return (segment.routeChoice || 0) !== newRouteChoice;
+          });
+
+          // Check if a leg's routing options (avoid tolls, departure time...) changed
+          const routeOptionsChanged = segmentsRef.current.some((segment, i) => {
+            const newOptionsKey = getRouteOptionsKey(validModes[i] || 'walk', directionsRoute?.segments?.[i]?.routeOptions);
+            return (segment.routeOptionsKey || '') !== newOptionsKey;
+          });
+
+          // Legs the user asked to route again
+          const retryRequested = directionsRoute?.retryLegs?.length > 0;
+
           if (modesChanged) {
             // Clear route segments and recalculate with new modes
             clearRouteSegments();
             // Continue to the normal route calculation below
-          } else if (!customStatusChanged) {
+          } else if (!customStatusChanged && !routeChoiceChanged && !routeOptionsChanged && !retryRequested) {
             // No changes needed, return early
             return;
           }
-          // If customStatusChanged but !modesChanged, continue to reuse logic below
+          // If customStatusChanged, routeChoiceChanged, routeOptionsChanged or retryRequested but !modesChanged, continue to reuse logic below
         } else if (locationsSame) {
           // Same locations and modes, no update needed
           return;
@@ -551,6 +599,7 @@ const RouteSegmentManager = ({
         mode === 'bus'
       );
 
+      makeStopMarkerDraggable(marker, 0);
       segmentsRef.current = [{
         id: 'single-marker',
         markers: { start: marker },
@@ -602,52 +651,61 @@ const RouteSegmentManager = ({
           }
         }
 
-        const segmentsToRender = [];
+        // Legs to show, with what decides whether their old segment can stay
+        const legs = [];
         for (let i = 0; i < validLocations.length - 1; i++) {
           // Skip segments not in the allowed list
           if (!allowedSegmentIndices.has(i)) {
             continue;
           }
 
-          // Check if this segment already exists and hasn't changed
-          const existingSegment = segmentsRef.current[i];
-          const newMode = validModes[i] || 'walk';
-          const newIsCustom = directionsRoute?.segments?.find(seg => seg.startIndex === i)?.isCustom || false;
-
-          // Special case: if segment 0 and we have a single-marker, reuse its marker
-          if (i === 0 && existingSegment?.id === 'single-marker' &&
-              existingSegment.startLocation?.lat === validLocations[i]?.lat &&
-              existingSegment.startLocation?.lng === validLocations[i]?.lng &&
-              existingSegment.mode === newMode) {
-            // We'll reuse the marker but need to create the route
-            // Continue to render this segment, but keep the existing marker
-          } else if (existingSegment &&
-              existingSegment.startLocation?.lat === validLocations[i]?.lat &&
-              existingSegment.startLocation?.lng === validLocations[i]?.lng &&
-              existingSegment.mode === newMode &&
-              (existingSegment.isCustom || false) === newIsCustom &&
-              // For regular segments, also check end location
-              // For custom segments, skip end location check (drawing changes it)
-              (newIsCustom || (
-                existingSegment.endLocation?.lat === validLocations[i + 1]?.lat &&
-                existingSegment.endLocation?.lng === validLocations[i + 1]?.lng
-              ))) {
-            // Segment unchanged (core properties) - reuse it
-            // For custom segments, the customPoints and endLocation changing doesn't affect the RouteSegmentManager marker
-            // CustomRouteDrawer handles point markers separately
-
-            // IMPORTANT: For custom segments, update the straight line path for animation
-            if (newIsCustom && validLocations[i] && validLocations[i + 1]) {
-              existingSegment.customPath = [validLocations[i], validLocations[i + 1]];
-            }
+          const segmentData = directionsRoute?.segments?.find(seg => seg.startIndex === i);
+          const mode = validModes[i] || 'walk';
+          legs.push({
+            index: i,
+            mode,
+            isCustom: segmentData?.isCustom || false,
+            routeChoice: segmentData?.routeIndex || 0,
+            routeOptionsKey: getRouteOptionsKey(mode, segmentData?.routeOptions),
+            retry: Boolean(directionsRoute?.retryLegs?.includes(i))
+          });
+        }
 
-            newSegments[i] = existingSegment;
-            continue;
+        const { reuse, render: segmentsToRender, clear, reused: reusedSegments } =
+          planSegmentReuse(segmentsRef.current, validLocations, legs);
+        // The old segment at an index that is being rendered again (unless it moved elsewhere)
+        const getReplacedSegment = (index) => {
+          const segment = segmentsRef.current[index];
+          return segment && !reusedSegments.has(segment) ? segment : null;
+        };
+
+        reuse.forEach(({ index: i, segment, moved }) => {
+          const isCustom = segment.isCustom || false;
+
+          // IMPORTANT: For custom segments, update the path for animation
+          // (drawn or imported geometry if present, otherwise a straight line)
+          // CustomRouteDrawer handles point markers separately
+          if (isCustom && validLocations[i] && validLocations[i + 1]) {
+            const importedPath = directionsRoute?.segments?.find(seg => seg.startIndex === i)?.customPath;
+            segment.customPath = importedPath?.length >= 2
+              ? importedPath
+              : [validLocations[i], validLocations[i + 1]];
+            segment.endLocation = validLocations[i + 1];
           }
 
-          // Segment needs to be rendered
-          segmentsToRender.push(i);
-        }
+          if (moved) {
+            if (!isCustom) {
+              segment.id = `segment-${i}`;
+            }
+            segment.index = i;
+            refreshStopMarker(segment.markers?.start, validLocations[i], validModes[i] || 'walk');
+          }
+
+          newSegments[i] = segment;
+        });
+
+        // Old segments whose leg is gone after a reorder
+        clear.forEach(segment => clearSegment(segment));
         
         // Track if any modes were auto-changed to flight
         const autoUpdatedModes = [...validModes];
@@ -665,7 +723,7 @@ const RouteSegmentManager = ({
           if (isCustomSegment) {
             // Clear any existing OLD segment at this index before creating new one
             // EXCEPT: Don't clear markers if we can reuse them
-            const existingSegment = segmentsRef.current[i];
+            const existingSegment = getReplacedSegment(i);
             const isSingleMarkerToReuse = (i === 0 && existingSegment?.id === 'single-marker');
 
             // Check if we can reuse the markers even though isCustom changed
@@ -747,13 +805,16 @@ const RouteSegmentManager = ({
             // Create segment object (no polyline, just markers)
             const segmentData = directionsRoute?.segments?.find(seg => seg.startIndex === i);
             const segment = {
+              index: i,
               mode: segmentMode,
               markers: markers,
               startLocation: segmentOrigin,
               endLocation: segmentDestination,
               isCustom: true,
-              // Simple straight line for animation
-              customPath: [segmentOrigin, segmentDestination]
+              // Drawn or imported geometry, or a simple straight line for animation
+              customPath: segmentData?.customPath?.length >= 2
+                ? segmentData.customPath
+                : [segmentOrigin, segmentDestination]
             };
 
 
@@ -761,44 +822,42 @@ const RouteSegmentManager = ({
             continue; // Skip route calculation
           }
 
-          // Calculate straight-line distance for smart mode selection
-          const R = 6371; // Earth's radius in km
-          const lat1 = segmentOrigin.lat * Math.PI / 180;
-          const lat2 = segmentDestination.lat * Math.PI / 180;
-          const deltaLat = (segmentDestination.lat - segmentOrigin.lat) * Math.PI / 180;
-          const deltaLng = (segmentDestination.lng - segmentOrigin.lng) * Math.PI / 180;
-          
-          const a = Math.sin(deltaLat/2) * Math.sin(deltaLat/2) +
-                    Math.cos(lat1) * Math.cos(lat2) *
-                    Math.sin(deltaLng/2) * Math.sin(deltaLng/2);
-          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-          const distance = R * c; // Distance in km
+          // Calculate straight-line (great-circle) distance for smart mode selection
+          const distance = calculateDistance(segmentOrigin, segmentDestination) / 1000; // Distance in km
           
           // Removed early detection - let Google Maps API handle route validation
           // This prevents false positives for legitimate routes
           
           // Handle flight mode separately with arc path
           if (segmentMode === 'flight') {
+            // Great-circle arc flown at 800 km/h
+            const flight = await flightProvider.route(segmentOrigin, segmentDestination);
+            const flightRoute = flight.directions.routes[0];
+            const flightPath = flightRoute.overview_path;
+
+            // Check if this is still the current route after async operation
+            if (currentRouteIdRef.current !== routeId) {
+              return;
+            }
+
             // Clear any existing segment at this index before creating new one
-            const existingSegment = segmentsRef.current[i];
+            const existingSegment = getReplacedSegment(i);
             if (existingSegment) {
               clearSegment(existingSegment);
             }
 
-            // Generate curved arc path for flight
-            const flightPath = generateFlightArc(segmentOrigin, segmentDestination);
-
-            // Create a simple polyline for the flight path
-            const flightPolyline = new window.google.maps.Polyline({
-              path: flightPath,
+            // One polyline per side of the ±180° meridian, so trans-Pacific
+            // flights don't draw back across the whole map
+            const flightPolylines = splitAtAntimeridian(flightPath).map(part => new window.google.maps.Polyline({
+              path: part,
               geodesic: false,
               strokeColor: getTransportationColor('flight'),
               strokeOpacity: 1.0,
               strokeWeight: 10,
               map: map,
               zIndex: 1000
-            });
-            
+            }));
+
             // Create markers for flight segment
             const markers = {};
             const modeIcon = TRANSPORT_ICONS['flight'];
@@ -840,65 +899,48 @@ const RouteSegmentManager = ({
               mode: 'flight',
               startLocation: segmentOrigin,
               endLocation: segmentDestination,
-              polyline: flightPolyline,
+              polylines: flightPolylines,
               markers: markers,
-              // Create a fake route object for animation compatibility
-              route: {
-                routes: [{
-                  overview_path: flightPath,
-                  legs: [{
-                    start_location: segmentOrigin,
-                    end_location: segmentDestination,
-                    steps: [{
-                      path: flightPath
-                    }],
-                    distance: { text: `${distance.toFixed(0)} km`, value: distance * 1000 },
-                    duration: { text: `${Math.round(distance / 800 * 60)} min`, value: Math.round(distance / 800 * 3600) } // Assume 800km/h
-                  }]
-                }]
-              },
-              distance: { text: `${distance.toFixed(0)} km`, value: distance * 1000 },
-              duration: { text: `${Math.round(distance / 800 * 60)} min`, value: Math.round(distance / 800 * 3600) }
+              // Directions-compatible route for animation
+              route: flight.directions,
+              distance: flightRoute.legs[0].distance,
+              duration: flightRoute.legs[0].duration
             };
             
             newSegments[i] = segment;
             continue; // Skip the regular routing logic
           }
           
-          // Determine travel mode (bus uses DRIVING for reliability)
-          let travelMode = window.google.maps.TravelMode.WALKING;
+          // Legs the user asked to route again skip the cache, and long walk/bike
+          // legs are tried in their own mode instead of by car
+          const isRetry = Boolean(directionsRoute?.retryLegs?.includes(i));
+
+          // The leg's routing options: avoids for car legs, and time and vehicles
+          // for transit legs (rail only by default). Long walk/bike legs that are
+          // routed as driving have no options of their own.
+          const routeOptions = directionsRoute?.segments?.find(seg => seg.startIndex === i)?.routeOptions;
+          const routeOptionsKey = getRouteOptionsKey(segmentMode, routeOptions);
+          // Routes from providers other than Google are cached apart
+          const cacheKey = getRoutingCacheKey(routeOptionsKey);
+
+          // Determine the mode to route as
           let actualModeUsed = segmentMode; // Track what we're actually using vs what we display
-          
-          // For long distances (>30km), secretly use driving mode for walk/bike but keep their colors
-          if (distance > 30 && (segmentMode === 'walk' || segmentMode === 'bike')) {
-            travelMode = window.google.maps.TravelMode.DRIVING;
-            actualModeUsed = 'car'; // Secretly a car ride
-          } else {
-            switch (segmentMode) {
-              case 'bike':
-                travelMode = window.google.maps.TravelMode.BICYCLING;
-                break;
-              case 'car':
-                travelMode = window.google.maps.TravelMode.DRIVING;
-                break;
-              case 'bus': // Bus is always secretly a car
-                travelMode = window.google.maps.TravelMode.DRIVING;
-                actualModeUsed = 'car';
-                break;
-              case 'transit': // Use Google's TRANSIT mode for real public transit
-                travelMode = window.google.maps.TravelMode.TRANSIT;
-                break;
-              case 'train': // Rail-based transit only (no ferries or buses)
-                travelMode = window.google.maps.TravelMode.TRANSIT;
-                break;
-              case 'ferry': // Use TRANSIT mode with ferry preference
-                travelMode = window.google.maps.TravelMode.TRANSIT;
-                break;
-              case 'walk':
-              default:
-                travelMode = window.google.maps.TravelMode.WALKING;
-                break;
-            }
+          // What the leg really followed, and why it isn't its own mode (see routeProvenance)
+          let routedMode = segmentMode;
+          let fallback = null;
+
+          // For long distances (>30km), use driving mode for walk/bike but keep their colors,
+          // unless a retry already found a real walking/cycling route (cached under the leg's mode)
+          const isLongLeg = distance > 30 && (segmentMode === 'walk' || segmentMode === 'bike');
+          const hasOwnModeRoute = isLongLeg && !isRetry &&
+            Boolean(await directionsCache.get(segmentOrigin, segmentDestination, segmentMode, cacheKey));
+          if (isLongLeg && !isRetry && !hasOwnModeRoute) {
+            actualModeUsed = 'car';
+            routedMode = 'car';
+            fallback = ROUTE_FALLBACKS.LONG_DISTANCE;
+          } else if (segmentMode === 'ferry') {
+            // No ferry mode - generic transit, checked for ferry steps
+            routedMode = 'transit';
           }
           
           // Validate locations before making request
@@ -909,85 +951,93 @@ const RouteSegmentManager = ({
             continue;
           }
           
-          const request = {
-            origin: new window.google.maps.LatLng(segmentOrigin.lat, segmentOrigin.lng),
-            destination: new window.google.maps.LatLng(segmentDestination.lat, segmentDestination.lng),
-            travelMode: travelMode
-          };
-          
-          // Add transit preferences - only rail-based transit (no buses)
-          if (segmentMode === 'transit') {
-            request.transitOptions = {
-              modes: [
-                window.google.maps.TransitMode.RAIL,    // All rail
-                window.google.maps.TransitMode.SUBWAY,  // Subway
-                window.google.maps.TransitMode.TRAIN,   // Inter-city trains
-                window.google.maps.TransitMode.TRAM     // Light rail/tram
-              ],
-              routingPreference: 'FEWER_TRANSFERS'  // Minimize transfers for better experience
-            };
-          }
-
-          // Add train preferences - STRICTLY rail-based only (no ferries, no buses)
-          if (segmentMode === 'train') {
-            request.transitOptions = {
-              modes: [
-                window.google.maps.TransitMode.RAIL,    // All rail
-                window.google.maps.TransitMode.SUBWAY,  // Subway
-                window.google.maps.TransitMode.TRAIN,   // Inter-city trains
-                window.google.maps.TransitMode.TRAM     // Light rail/tram
-              ],
-              routingPreference: 'FEWER_TRANSFERS'  // Minimize transfers for better experience
-            };
-          }
+          const routeOrigin = new window.google.maps.LatLng(segmentOrigin.lat, segmentOrigin.lng);
+          const routeDestination = new window.google.maps.LatLng(segmentDestination.lat, segmentDestination.lng);
 
-          // Add ferry preferences - ferry is NOT a separate transit mode in Google Maps API
-          // Ferry routes are part of general TRANSIT, so we just use TRANSIT mode for ferries
-          // Google will include ferries in transit results automatically
-          if (segmentMode === 'ferry') {
-            // Don't set transitOptions - let it use default TRANSIT which includes ferries
-            // We'll style it with wave pattern regardless
-          }
+          // Walking, cycling and driving legs offer alternatives to pick from on the map
+          const routeRequestOptions = {
+            alternatives: ALTERNATIVE_ROUTE_MODES.includes(segmentMode),
+            routeOptions
+          };
           
-          // Create polyline options (will be updated later if ferry fallback)
+          // Create polyline options (will be updated later if the leg is driven instead)
           let polylineOptions = createPolylineOptions(segmentMode);
           
           let result;
           let routeFound = false;
-          
+          // Whether the route came from the DirectionsCache
+          let fromCache = false;
+
+          // One routing provider request for the Directions-compatible result
+          // (rejects with the status when there's no route)
+          const requestDirections = async (mode, options = routeRequestOptions) => {
+            const routed = await routingProvider.route(routeOrigin, routeDestination, mode, options);
+            return routed.directions;
+          };
+
+          // Starts and ends at the stops and, for transit modes, rides the right vehicles
+          const isUsableRoute = (candidate, checkVehicles = true) =>
+            validateRouteProximity(candidate, routeOrigin, routeDestination) &&
+            (!checkVehicles || validateTransitMode(candidate, segmentMode, routeOptions));
+
           try {
 
-            // Check cache first
-            const cachedResult = await directionsCache.get(segmentOrigin, segmentDestination, actualModeUsed);
+            // Check cache first (a retry asks Directions again)
+            const cachedResult = isRetry
+              ? null
+              : await directionsCache.get(segmentOrigin, segmentDestination, actualModeUsed, cacheKey);
             if (cachedResult) {
               result = cachedResult;
               routeFound = true;
+              fromCache = true;
             } else {
               // First try the requested mode
               try {
-                result = await new Promise((resolve, reject) => {
-                  // Extra safety check for travelMode
-                  if (!request || !request.travelMode) {
-                    reject('Invalid request: missing travelMode');
-                    return;
-                  }
-
-                  directionsService.route(request, (result, status) => {
-                    if (status === window.google.maps.DirectionsStatus.OK) {
-                      resolve(result);
-                    } else {
-                      reject(status);
-                    }
-                  });
-                });
-
+                result = await requestDirections(actualModeUsed);
                 routeFound = true;
                 // Cache the successful result
-                await directionsCache.set(segmentOrigin, segmentDestination, actualModeUsed, result);
-            } catch (err) {
-              // No mode-specific fallbacks - will use general straight line fallback below
-              // (removed all special fallbacks: transit→curved arc, bike→walk/car, walk→car)
+                await directionsCache.set(segmentOrigin, segmentDestination, actualModeUsed, result, cacheKey);
+              } catch (err) {
+                // No route in this mode - driving or a straight line below
+              }
+            }
+
+            // Cached fallbacks: straight lines, and bus legs that had to be driven
+            if (routeFound && isStraightLineRoute(result)) {
+              routedMode = null;
+              fallback = ROUTE_FALLBACKS.NO_ROUTE;
+            } else if (routeFound && segmentMode === 'bus' && isDrivingRoute(result)) {
+              routedMode = 'car';
+              fallback = ROUTE_FALLBACKS.OTHER_MODE;
+            }
+
+            // A route that fails validation is as good as none
+            let routeRejected = false;
+            if (routeFound && fallback !== ROUTE_FALLBACKS.NO_ROUTE &&
+                !isUsableRoute(result, fallback !== ROUTE_FALLBACKS.OTHER_MODE)) {
+              routeFound = false;
+              routeRejected = true;
             }
+
+            // Drive the leg when its own mode has no route: bus legs without a bus
+            // route, and long walk/bike legs whose retry found no walking/cycling route
+            const isOwnModeRetry = isLongLeg && actualModeUsed !== 'car';
+            if (!routeFound && (segmentMode === 'bus' || isOwnModeRetry)) {
+              try {
+                const drivingResult = await requestDirections('car', {});
+                if (isUsableRoute(drivingResult, false)) {
+                  result = drivingResult;
+                  routeFound = true;
+                  routedMode = 'car';
+                  fallback = segmentMode === 'bus' ? ROUTE_FALLBACKS.OTHER_MODE : ROUTE_FALLBACKS.LONG_DISTANCE;
+                  // Bus legs remember it; long legs get their usual car route next time
+                  if (segmentMode === 'bus') {
+                    await directionsCache.set(segmentOrigin, segmentDestination, actualModeUsed, result, cacheKey);
+                  }
+                }
+              } catch (err) {
+                // No driving route either - straight line below
+              }
             }
 
             if (!routeFound) {
@@ -1013,22 +1063,21 @@ const RouteSegmentManager = ({
                 return;
               } else {
                 // For all other modes: use straight line fallback
-                result = createStraightLineRoute(request.origin, request.destination);
+                result = (await straightLineProvider.route(routeOrigin, routeDestination)).directions;
                 routeFound = true;
+                routedMode = null;
+                fallback = ROUTE_FALLBACKS.NO_ROUTE;
+                // Cache the straight line to avoid repeated API calls for impossible routes
+                // (not for a long leg's own-mode retry, which keeps its car route)
+                if (routeRejected && !isOwnModeRetry) {
+                  await directionsCache.set(segmentOrigin, segmentDestination, actualModeUsed, result, cacheKey);
+                }
               }
             }
 
-            // Validate route (for all modes except flight)
-            if (routeFound && segmentMode !== 'flight') {
-              const proximityValid = validateRouteProximity(result, request.origin, request.destination);
-              const modeValid = validateTransitMode(result, segmentMode);
-
-              if (!proximityValid || !modeValid) {
-                // Route failed validation - use straight line fallback
-                result = createStraightLineRoute(request.origin, request.destination);
-                // Cache the straight line to avoid repeated API calls for impossible routes
-                await directionsCache.set(segmentOrigin, segmentDestination, actualModeUsed, result);
-              }
+            // Legs driven in place of their own mode are dashed
+            if (fallback === ROUTE_FALLBACKS.OTHER_MODE) {
+              polylineOptions = createFallbackPolylineOptions(segmentMode);
             }
             
             // Check if this is still the current route after async operation
@@ -1038,7 +1087,7 @@ const RouteSegmentManager = ({
 
             // Clear any existing OLD segment at this index before creating new one
             // EXCEPT: Don't clear if it's a single-marker we're about to reuse
-            const existingSegment = segmentsRef.current[i];
+            const existingSegment = getReplacedSegment(i);
             const isSingleMarkerToReuse = (i === 0 && existingSegment?.id === 'single-marker');
 
             if (existingSegment && !isSingleMarkerToReuse) {
@@ -1046,6 +1095,11 @@ const RouteSegmentManager = ({
             } else if (isSingleMarkerToReuse) {
             }
 
+            // The alternative picked for this leg (the first one if it's gone)
+            const routeChoice = directionsRoute?.segments?.find(seg => seg.startIndex === i)?.routeIndex || 0;
+            const routeIndex = routeChoice < result.routes.length ? routeChoice : 0;
+            const chosenRoute = result.routes[routeIndex];
+
             // Create the route renderer
             const rendererOptions = {
               suppressMarkers: true,
@@ -1053,7 +1107,8 @@ const RouteSegmentManager = ({
               draggable: false, // Dragging disabled
               preserveViewport: true,
               suppressInfoWindows: true,
-              suppressBicyclingLayer: true
+              suppressBicyclingLayer: true,
+              routeIndex
             };
 
             // For bus routes, suppress transit layer to avoid label conflicts
@@ -1120,7 +1175,7 @@ const RouteSegmentManager = ({
             
             // Create hover polyline for better interaction
             const hoverPolyline = new window.google.maps.Polyline({
-              path: result.routes[0].overview_path,
+              path: chosenRoute.overview_path,
               strokeColor: 'transparent',
               strokeOpacity: 0,
               strokeWeight: 20,
@@ -1150,6 +1205,35 @@ const RouteSegmentManager = ({
             
             // Store reference to hover polyline
             segmentRenderer._hoverPolyline = hoverPolyline;
+
+            // The other alternatives, faded - click one to use it for this leg
+            // (read-only maps only show the chosen route)
+            const alternativePolylines = readOnly ? [] : result.routes
+              .map((alternative, alternativeIndex) => {
+                if (alternativeIndex === routeIndex || !alternative.overview_path) return null;
+
+                const polyline = new window.google.maps.Polyline({
+                  path: alternative.overview_path,
+                  strokeColor: getTransportationColor(segmentMode),
+                  strokeOpacity: 0.35,
+                  strokeWeight: 6,
+                  zIndex: 900,
+                  map: map
+                });
+                polyline.addListener('mouseover', () => polyline.setOptions({ strokeOpacity: 0.6 }));
+                polyline.addListener('mouseout', () => polyline.setOptions({ strokeOpacity: 0.35 }));
+                polyline.addListener('click', () => {
+                  window.dispatchEvent(new CustomEvent('routeAlternativeSelected', {
+                    detail: {
+                      startLocation: segmentOrigin,
+                      endLocation: segmentDestination,
+                      routeIndex: alternativeIndex
+                    }
+                  }));
+                });
+                return polyline;
+              })
+              .filter(Boolean);
             
             
             // Store the complete segment WITH THE ROUTE DATA
@@ -1160,11 +1244,24 @@ const RouteSegmentManager = ({
               startLocation: segmentOrigin,
               endLocation: segmentDestination,
               routeRenderer: segmentRenderer,
+              alternativePolylines,
               markers: markers,
               // Store the actual route data for animation
               route: result,
-              distance: result.routes[0].legs[0].distance,
-              duration: result.routes[0].legs[0].duration
+              // Which of result.routes is drawn (and animated), and which was asked for
+              routeIndex,
+              routeChoice,
+              routeOptionsKey,
+              // How the route was found: requested vs routed mode, cache, fallback
+              provenance: {
+                requestedMode: segmentMode,
+                routedMode,
+                fromCache,
+                fallback,
+                accepted: false
+              },
+              distance: chosenRoute.legs[0].distance,
+              duration: chosenRoute.legs[0].duration
             };
             
             // Insert at the correct index to maintain order
@@ -1181,7 +1278,7 @@ const RouteSegmentManager = ({
             if (segmentMode !== 'flight') {
 
               // Use straight line fallback for any routing error
-              const fallbackResult = createStraightLineRoute(request.origin, request.destination);
+              const fallbackResult = (await straightLineProvider.route(routeOrigin, routeDestination)).directions;
 
               // Check if this is still the current route after async operation
               if (currentRouteIdRef.current !== routeId) {
@@ -1259,11 +1356,12 @@ const RouteSegmentManager = ({
         // Only update if this is still the current route
         if (currentRouteIdRef.current === routeId) {
           segmentsRef.current = newSegments;
+          newSegments.forEach(segment => makeStopMarkerDraggable(segment?.markers?.start, segment?.index));
 
-          // IMPORTANT: Store segments globally so RouteAnimator can access them
-          // This ensures animation follows the EXACT displayed route
+          // IMPORTANT: Publish segments to the trip store so RouteAnimator,
+          // mileage and export use the EXACT displayed route
           // Include ALL segments (not just those with route data yet)
-          window._routeSegments = newSegments.filter(s => s);
+          tripStore.setSegments(newSegments.filter(s => s));
 
           // DISCONNECTED: Usage tracking paused for release - see STATUS.md
           // Track usage if we have valid locations (2+)
@@ -1356,6 +1454,7 @@ const RouteSegmentManager = ({
         5000,
         mode === 'bus'
       );
+      makeStopMarkerDraggable(marker, 0);
 
       segmentsRef.current = [{
         id: 'single-marker',
@@ -1368,7 +1467,44 @@ const RouteSegmentManager = ({
       // Marker creation failed, silently ignore
     }
 
-  }, [map, directionsLocations, directionsLegModes, createMarker, clearIndividualMarkers]);
+  }, [map, directionsLocations, directionsLegModes, createMarker, makeStopMarkerDraggable, clearIndividualMarkers]);
+
+  // Route draw-in effect: hide the route lines while the animation reveals them
+  useEffect(() => {
+    const handleRouteDrawIn = (e) => {
+      const hidden = e.detail.active;
+      segmentsRef.current.forEach(segment => {
+        if (!segment) return;
+        if (segment.routeRenderer) {
+          segment.routeRenderer.setOptions({ suppressPolylines: hidden });
+        }
+        if (segment.polylines) {
+          segment.polylines.forEach(polyline => polyline.setVisible(!hidden));
+        }
+        if (segment.alternativePolylines) {
+          segment.alternativePolylines.forEach(polyline => polyline.setVisible(!hidden));
+        }
+      });
+    };
+
+    window.addEventListener('routeDrawInChange', handleRouteDrawIn);
+    return () => window.removeEventListener('routeDrawInChange', handleRouteDrawIn);
+  }, []);
+
+  // A routing fallback accepted in the panel stops being flagged for that leg
+  useEffect(() => {
+    const handleFallbackAccepted = (e) => {
+      const { index } = e.detail;
+      const segment = segmentsRef.current.find(s => s && s.index === index && s.provenance);
+      if (!segment) return;
+
+      segment.provenance = { ...segment.provenance, accepted: true };
+      tripStore.setSegments(segmentsRef.current.filter(s => s && (s.route || s.isCustom)));
+    };
+
+    window.addEventListener('routeFallbackAccepted', handleFallbackAccepted);
+    return () => window.removeEventListener('routeFallbackAccepted', handleFallbackAccepted);
+  }, [tripStore]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -6,6 +6,7 @@ export const TRANSPORTATION_COLORS = {
   car: "#f59e0b",   // Orange
   flight: "#8b5cf6", // Purple
   transit: "#ec4899",  // Pink for trains/transit
+  train: "#92400e",  // Brown for intercity rail
   ferry: "#06b6d4"  // Cyan/teal for water
 };
 
@@ -17,6 +18,7 @@ export const TRANSPORT_ICONS = {
   bus: '🚌',
   flight: '✈️',
   transit: '🚆',  // Train emoji for transit
+  train: '🚄',  // High-speed train emoji for intercity rail
   ferry: '⛴️'  // Ferry emoji
 };
 
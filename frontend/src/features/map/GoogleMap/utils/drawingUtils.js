@@ -0,0 +1,96 @@
+import directionsCache from '../../../../utils/caching/DirectionsCache';
+import { routingProvider, getRoutingCacheKey } from '../../../../services/routing';
+
+/**
+ * Custom drawing helpers - geometry for draw-mode legs
+ *
+ * A drawn leg is its two stops plus the vertices the user clicked in between
+ * ("custom points"). Optionally each section between two vertices is snapped
+ * to roads by routing it with the routing provider; the result becomes the leg's
+ * customPath, which the map, mileage and animation all read.
+ */
+
+// Modes that can follow roads or paths (boats, trains and planes can't),
+// and the mode their sections are routed as
+const SNAP_MODES = {
+  walk: 'walk',
+  bike: 'bike',
+  car: 'car',
+  bus: 'car'
+};
+
+export const canSnapToRoads = (mode) => Boolean(SNAP_MODES[mode]);
+
+const toPoint = (point) => ({
+  lat: typeof point.lat === 'function' ? point.lat() : point.lat,
+  lng: typeof point.lng === 'function' ? point.lng() : point.lng
+});
+
+/**
+ * Straight-line path through the drawn vertices
+ *
+ * @param {Object} start - Start stop { lat, lng }
+ * @param {Array} points - Vertices between the stops
+ * @param {Object} end - End stop { lat, lng }
+ * @returns {Array} [{ lat, lng }]
+ */
+export const buildDrawnPath = (start, points = [], end) => [start, ...points, end].map(toPoint);
+
+// Snap results are cached under the mode they were routed as, apart from
+// real legs between the same points (which route their own mode, with
+// alternatives)
+const SNAP_CACHE_KEY = 'snap';
+
+// Route one section, falling back to a straight line when there's no route
+const snapSection = async (from, to, mode) => {
+  const routedMode = SNAP_MODES[mode];
+  const cacheKey = getRoutingCacheKey(SNAP_CACHE_KEY);
+  const cached = await directionsCache.get(from, to, routedMode, cacheKey);
+  let result = cached;
+
+  if (!result) {
+    try {
+      result = (await routingProvider.route(from, to, routedMode)).directions;
+      await directionsCache.set(from, to, routedMode, result, cacheKey);
+    } catch (error) {
+      return [from, to];
+    }
+  }
+
+  const path = result.routes?.[0]?.overview_path;
+  return path && path.length >= 2 ? [from, ...path.map(toPoint), to] : [from, to];
+};
+
+/**
+ * Snap every section of a drawn path to roads
+ *
+ * Sections are routed one after another (cached, so moving one vertex only
+ * re-routes the two sections touching it).
+ *
+ * @param {Array} vertices - From buildDrawnPath
+ * @param {string} mode - Leg transport mode
+ * @param {Function} isCancelled - Stop early when this returns true
+ * @returns {Promise<Array|null>} Snapped path, or null if cancelled
+ */
+export const snapPathToRoads = async (vertices, mode, isCancelled = () => false) => {
+  if (!canSnapToRoads(mode)) return vertices;
+
+  const snapped = [];
+  for (let i = 0; i < vertices.length - 1; i++) {
+    const section = await snapSection(vertices[i], vertices[i + 1], mode);
+    if (isCancelled()) return null;
+
+    // Sections share their joining vertex
+    snapped.push(...(i === 0 ? section : section.slice(1)));
+  }
+  return snapped;
+};
+
+/**
+ * Cheap signature of a path, to notice vertex moves that keep the length
+ */
+export const getPathSignature = (path) => {
+  if (!path || path.length === 0) return '0';
+  const sum = path.reduce((total, point, index) => total + (point.lat * 31 + point.lng) * (index + 1), 0);
+  return `${path.length}:${sum.toFixed(6)}`;
+};
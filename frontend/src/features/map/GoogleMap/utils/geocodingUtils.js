@@ -0,0 +1,66 @@
+/**
+ * Reverse geocoding for places picked on the map (clicks and dragged markers)
+ */
+
+const WATER_TYPES = ['natural_feature', 'body_of_water', 'ocean', 'sea', 'lake', 'river'];
+
+const isWaterResult = (result) => Boolean(result.types && result.types.some(type => WATER_TYPES.includes(type)));
+
+// First address component of the preferred types, as a short place name
+const getShortName = (result, types) => {
+  if (!result.address_components || result.address_components.length === 0) return '';
+  for (const type of types) {
+    const component = result.address_components.find(comp => comp.types.includes(type));
+    if (component) {
+      return component.long_name;
+    }
+  }
+  return result.address_components[0].long_name;
+};
+
+/**
+ * Name the place at a map position
+ * Positions in water snap to the nearest land result when there is one.
+ *
+ * @param {google.maps.LatLng} latLng - Picked position
+ * @returns {Promise<Object>} { lat, lng, info } - info is { name, address }, or undefined if geocoding failed
+ */
+export const describeMapPosition = (latLng) => new Promise((resolve) => {
+  const geocoder = new window.google.maps.Geocoder();
+  geocoder.geocode({ location: latLng }, (results, status) => {
+    if (status !== 'OK' || !results) {
+      // Fallback if geocoding fails
+      resolve({ lat: latLng.lat(), lng: latLng.lng(), info: undefined });
+      return;
+    }
+
+    if (results.some(isWaterResult)) {
+      // Find the first non-water result (usually the nearest land)
+      const landResult = results.find(result => !isWaterResult(result));
+
+      if (landResult && landResult.geometry) {
+        const landLocation = landResult.geometry.location;
+        resolve({
+          lat: typeof landLocation.lat === 'function' ? landLocation.lat() : landLocation.lat,
+          lng: typeof landLocation.lng === 'function' ? landLocation.lng() : landLocation.lng,
+          info: {
+            name: getShortName(landResult, ['route', 'neighborhood', 'locality']) || 'Shore Location',
+            address: landResult.formatted_address
+          }
+        });
+        return;
+      }
+    }
+
+    // Not water or couldn't find land - proceed normally
+    const result = results[0];
+    resolve({
+      lat: latLng.lat(),
+      lng: latLng.lng(),
+      info: {
+        name: getShortName(result, ['establishment', 'point_of_interest', 'route', 'neighborhood', 'locality']) || 'Selected Location',
+        address: result.formatted_address
+      }
+    });
+  });
+});
@@ -128,6 +128,25 @@ export const createPolylineOptions = (mode, color) => {
     ];
   }
 
+  // Train routes: a thinner solid line crossed by sleepers
+  if (mode === 'train') {
+    baseOptions.strokeWeight = 6;
+    baseOptions.strokeOpacity = 0.9;
+    baseOptions.icons = [
+      {
+        icon: {
+          path: 'M -2,0 L 2,0', // Sleeper across the line
+          strokeColor: color || getTransportationColor(mode),
+          strokeOpacity: 1,
+          strokeWeight: 3,
+          scale: 3
+        },
+        offset: '0',
+        repeat: '12px'
+      }
+    ];
+  }
+
   // Add wave pattern for ferry routes (rotated 90 degrees for vertical waves)
   if (mode === 'ferry') {
     baseOptions.strokeColor = '#06b6d4'; // Cyan/teal for water
@@ -151,3 +170,22 @@ export const createPolylineOptions = (mode, color) => {
 
   return baseOptions;
 };
+
+// Dashed line in the leg's colour, for legs routed as another mode
+// (e.g. a bus leg driven because there was no bus route)
+export const createFallbackPolylineOptions = (mode) => ({
+  strokeColor: getTransportationColor(mode),
+  strokeWeight: 10,
+  strokeOpacity: 0,
+  zIndex: 1,
+  icons: [{
+    icon: {
+      path: 'M 0,-1 0,1',
+      strokeOpacity: 0.9,
+      strokeColor: getTransportationColor(mode),
+      scale: 5
+    },
+    offset: '0',
+    repeat: '24px'
+  }]
+});
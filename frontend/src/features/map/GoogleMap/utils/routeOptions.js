@@ -0,0 +1,123 @@
+/**
+ * Per-leg routing options - what a car leg avoids, and when and on what
+ * vehicles a transit leg travels
+ *
+ * Stored per leg as plain objects so they can be saved with the route:
+ * - car: { avoidTolls, avoidHighways, avoidFerries }
+ * - transit: { timeType: 'departure' | 'arrival', time: 'YYYY-MM-DDTHH:mm', vehicles: ['BUS', 'RAIL', ...] }
+ * Missing fields mean the defaults, i.e. the request the leg always had.
+ */
+
+export const AVOID_OPTIONS = [
+  { key: 'avoidTolls', label: 'Avoid tolls' },
+  { key: 'avoidHighways', label: 'Avoid highways' },
+  { key: 'avoidFerries', label: 'Avoid ferries' }
+];
+
+// Keys are google.maps.TransitMode values
+export const TRANSIT_VEHICLES = [
+  { key: 'BUS', label: 'Bus' },
+  { key: 'RAIL', label: 'Rail' },
+  { key: 'SUBWAY', label: 'Subway' },
+  { key: 'TRAIN', label: 'Train' },
+  { key: 'TRAM', label: 'Tram' }
+];
+
+// Transit legs are rail only unless buses are allowed
+export const DEFAULT_TRANSIT_VEHICLES = ['RAIL', 'SUBWAY', 'TRAIN', 'TRAM'];
+
+// Vehicle types in Directions results that count as a bus
+export const BUS_VEHICLE_TYPES = ['BUS', 'INTERCITY_BUS', 'TROLLEYBUS'];
+
+/**
+ * Which set of options a mode has
+ *
+ * @param {string} mode - Leg mode
+ * @returns {string|null} 'car', 'transit', or null if the mode has none
+ */
+export const getRouteOptionsKind = (mode) => {
+  if (mode === 'car') return 'car';
+  if (mode === 'transit') return 'transit';
+  return null;
+};
+
+/**
+ * Keep only the options that apply to the mode and differ from the defaults
+ *
+ * @param {string} mode - Leg mode
+ * @param {Object} options - Leg options as stored
+ * @returns {Object|null} Options, or null if the leg routes with the defaults
+ */
+export const normalizeRouteOptions = (mode, options) => {
+  if (!options) return null;
+
+  const normalized = {};
+  const kind = getRouteOptionsKind(mode);
+
+  if (kind === 'car') {
+    AVOID_OPTIONS.forEach(({ key }) => {
+      if (options[key]) normalized[key] = true;
+    });
+  } else if (kind === 'transit') {
+    if (options.time && (options.timeType === 'departure' || options.timeType === 'arrival')) {
+      normalized.timeType = options.timeType;
+      normalized.time = options.time;
+    }
+    const vehicles = TRANSIT_VEHICLES
+      .map(vehicle => vehicle.key)
+      .filter(key => options.vehicles?.includes(key));
+    if (vehicles.length > 0 && vehicles.join() !== DEFAULT_TRANSIT_VEHICLES.join()) {
+      normalized.vehicles = vehicles;
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
+/**
+ * Stable text for a leg's options, for cache keys and change checks
+ *
+ * @param {string} mode - Leg mode
+ * @param {Object} options - Leg options as stored
+ * @returns {string} '' when the leg routes with the defaults
+ */
+export const getRouteOptionsKey = (mode, options) => {
+  const normalized = normalizeRouteOptions(mode, options);
+  if (!normalized) return '';
+
+  const parts = AVOID_OPTIONS.filter(({ key }) => normalized[key]).map(({ key }) => key);
+  if (normalized.time) parts.push(`${normalized.timeType}@${normalized.time}`);
+  if (normalized.vehicles) parts.push(normalized.vehicles.join('+'));
+  return parts.join(';');
+};
+
+/**
+ * Add a leg's options to its Directions request
+ * Transit legs always get transitOptions (rail only by default).
+ *
+ * @param {Object} request - google.maps.DirectionsRequest, modified in place
+ * @param {string} mode - Leg mode
+ * @param {Object} options - Leg options as stored
+ */
+export const applyRouteOptions = (request, mode, options) => {
+  const normalized = normalizeRouteOptions(mode, options);
+  const kind = getRouteOptionsKind(mode);
+
+  if (kind === 'car' && normalized) {
+    AVOID_OPTIONS.forEach(({ key }) => {
+      if (normalized[key]) request[key] = true;
+    });
+  }
+
+  if (kind === 'transit') {
+    const vehicles = normalized?.vehicles || DEFAULT_TRANSIT_VEHICLES;
+    request.transitOptions = {
+      modes: vehicles.map(vehicle => window.google.maps.TransitMode[vehicle]),
+      routingPreference: 'FEWER_TRANSFERS'  // Minimize transfers for better experience
+    };
+    if (normalized?.time) {
+      const timeKey = normalized.timeType === 'arrival' ? 'arrivalTime' : 'departureTime';
+      request.transitOptions[timeKey] = new Date(normalized.time);
+    }
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Routing provenance - how the route of a leg was found
+ *
+ * Every routed segment carries a `provenance` object:
+ * - requestedMode: the leg's mode
+ * - routedMode: the mode Directions was asked for (null for a straight line)
+ * - fromCache: whether the route came from the DirectionsCache
+ * - fallback: why the leg isn't routed as its own mode, or null
+ * - accepted: the user has seen the fallback and is fine with it
+ */
+
+export const ROUTE_FALLBACKS = {
+  // Walk/bike legs over 30 km follow roads for cars
+  LONG_DISTANCE: 'long-distance',
+  // No usable route at all - a straight line between the stops
+  NO_ROUTE: 'no-route',
+  // No route in the leg's mode, so another mode was used (bus legs driven)
+  OTHER_MODE: 'other-mode'
+};
+
+const MODE_NAMES = {
+  walk: 'walking',
+  bike: 'cycling',
+  car: 'driving',
+  bus: 'bus',
+  transit: 'transit',
+  train: 'train',
+  ferry: 'ferry'
+};
+
+const modeName = (mode) => MODE_NAMES[mode] || mode;
+
+/**
+ * Short label and explanation for a leg's provenance badge
+ *
+ * @param {Object} provenance - Segment provenance
+ * @returns {Object|null} { label, detail, isFallback }, or null if there's nothing to say
+ */
+export const describeRouteProvenance = (provenance) => {
+  if (!provenance) return null;
+
+  const { requestedMode, routedMode, fromCache, fallback } = provenance;
+  const cacheNote = fromCache ? ' (from cache)' : '';
+
+  if (fallback === ROUTE_FALLBACKS.NO_ROUTE) {
+    return {
+      label: 'Straight line',
+      detail: `No ${modeName(requestedMode)} route was found, so this leg is a straight line${cacheNote}.`,
+      isFallback: true
+    };
+  }
+  if (fallback === ROUTE_FALLBACKS.LONG_DISTANCE) {
+    return {
+      label: `Routed as ${modeName(routedMode)}`,
+      detail: `Over 30 km, so this ${modeName(requestedMode)} leg follows the ${modeName(routedMode)} route${cacheNote}.`,
+      isFallback: true
+    };
+  }
+  if (fallback === ROUTE_FALLBACKS.OTHER_MODE) {
+    return {
+      label: `Routed as ${modeName(routedMode)}`,
+      detail: `No ${modeName(requestedMode)} route was found, so this leg follows the ${modeName(routedMode)} route${cacheNote}.`,
+      isFallback: true
+    };
+  }
+  if (routedMode && routedMode !== requestedMode) {
+    return {
+      label: `Via ${modeName(routedMode)}`,
+      detail: `Found with ${modeName(routedMode)} directions${cacheNote}.`,
+      isFallback: false
+    };
+  }
+  if (fromCache) {
+    return {
+      label: 'Cached',
+      detail: `The ${modeName(requestedMode)} route came from the cache.`,
+      isFallback: false
+    };
+  }
+  return null;
+};
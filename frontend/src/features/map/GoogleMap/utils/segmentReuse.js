@@ -0,0 +1,88 @@
+/**
+ * Segment reuse - which legs drawn on the map can stay when the trip changes
+ *
+ * Kept free of the map so RouteSegmentManager's decisions can be tested:
+ * a leg keeps the segment at its own index when it still starts at the same
+ * stop with the same settings, or takes over a segment from another index
+ * when stops were reordered (same ends, mode and drawing). Everything else is
+ * routed again, and old segments no leg kept are cleared.
+ */
+
+const samePoint = (a, b) => Boolean(a && b) && a.lat === b.lat && a.lng === b.lng;
+
+// Same mode, drawing, picked alternative and routing options
+const sameSettings = (segment, leg) =>
+  segment.mode === leg.mode &&
+  (segment.isCustom || false) === leg.isCustom &&
+  (segment.routeChoice || 0) === leg.routeChoice &&
+  (segment.routeOptionsKey || '') === leg.routeOptionsKey;
+
+/**
+ * Decide, leg by leg, whether to keep an old segment or render a new one
+ *
+ * @param {Array} oldSegments - Segments from the previous render, by leg index
+ * @param {Array} locations - Stops in their new order
+ * @param {Array} legs - Legs to show: [{ index, mode, isCustom, routeChoice, routeOptionsKey, retry }]
+ * @returns {Object} {
+ *   reuse: [{ index, segment, moved }] - segments kept, moved if they came from another index
+ *   render: [index] - legs to route and draw again
+ *   clear: [segment] - old segments to take off the map now
+ *   reused: Set of the kept segments
+ * }
+ */
+export const planSegmentReuse = (oldSegments, locations, legs) => {
+  const reuse = [];
+  const render = [];
+  const reused = new Set();
+
+  // The old segment at an index that is being rendered again (unless it moved elsewhere)
+  const getReplacedSegment = (index) => {
+    const segment = oldSegments[index];
+    return segment && !reused.has(segment) ? segment : null;
+  };
+
+  legs.forEach(leg => {
+    const { index } = leg;
+    const start = locations[index];
+    const end = locations[index + 1];
+    const existingSegment = getReplacedSegment(index);
+
+    // A lone stop's marker becomes the first leg's start marker, but the leg is new
+    const isSingleMarker = index === 0 && existingSegment?.id === 'single-marker';
+
+    if (existingSegment && !isSingleMarker && !leg.retry &&
+        samePoint(existingSegment.startLocation, start) &&
+        sameSettings(existingSegment, leg) &&
+        // Drawn legs keep their segment when only the far end moved (the drawing follows it)
+        (leg.isCustom || samePoint(existingSegment.endLocation, end))) {
+      reuse.push({ index, segment: existingSegment, moved: false });
+      reused.add(existingSegment);
+      return;
+    }
+
+    // Stops were reordered or moved: reuse the same leg from its old position
+    const movedSegment = !leg.retry && oldSegments.find(segment =>
+      segment &&
+      segment.id !== 'single-marker' &&
+      !reused.has(segment) &&
+      samePoint(segment.startLocation, start) &&
+      samePoint(segment.endLocation, end) &&
+      sameSettings(segment, leg)
+    );
+    if (movedSegment) {
+      reuse.push({ index, segment: movedSegment, moved: true });
+      reused.add(movedSegment);
+      return;
+    }
+
+    render.push(index);
+  });
+
+  // Old segments that were neither kept nor get replaced at their own index
+  // (their leg is gone after a reorder)
+  const clear = oldSegments.filter((segment, index) =>
+    segment && segment.id !== 'single-marker' && !reused.has(segment) && !render.includes(index)
+  );
+
+  return { reuse, render, clear, reused };
+};
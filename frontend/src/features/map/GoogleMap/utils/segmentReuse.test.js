@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { planSegmentReuse } from './segmentReuse';
+
+const A = { lat: 1, lng: 1 };
+const B = { lat: 2, lng: 2 };
+const C = { lat: 3, lng: 3 };
+const D = { lat: 4, lng: 4 };
+
+// Legs as RouteSegmentManager describes them, one per stop but the last
+const legsFor = (locations, modes = []) => locations.slice(0, -1).map((_, index) => ({
+  index,
+  mode: modes[index] || 'car',
+  isCustom: false,
+  routeChoice: 0,
+  routeOptionsKey: '',
+  retry: false
+}));
+
+// Segments as the previous render left them
+const segmentsFor = (locations, modes = []) => locations.slice(0, -1).map((location, index) => ({
+  id: `segment-${index}`,
+  index,
+  mode: modes[index] || 'car',
+  startLocation: location,
+  endLocation: locations[index + 1]
+}));
+
+// Each leg's decision: the old segment's index if kept, 'render' otherwise
+const decisions = (plan, legCount) => Array.from({ length: legCount }, (_, index) => {
+  const kept = plan.reuse.find(entry => entry.index === index);
+  return kept ? kept.segment.index : 'render';
+});
+
+describe('planSegmentReuse', () => {
+  it('keeps every segment when nothing changed', () => {
+    const trip = [A, B, C];
+    const plan = planSegmentReuse(segmentsFor(trip), trip, legsFor(trip));
+
+    expect(decisions(plan, 2)).toEqual([0, 1]);
+    expect(plan.reuse.every(entry => !entry.moved)).toBe(true);
+    expect(plan.render).toEqual([]);
+    expect(plan.clear).toEqual([]);
+  });
+
+  it('renders legs whose ends changed after two stops swap', () => {
+    // A B C D -> A C B D: every leg has new ends
+    const before = [A, B, C, D];
+    const after = [A, C, B, D];
+    const oldSegments = segmentsFor(before);
+
+    const plan = planSegmentReuse(oldSegments, after, legsFor(after));
+
+    expect(plan.render).toEqual([0, 1, 2]);
+    // Each old segment is replaced at its own index rather than cleared up front
+    expect(plan.clear).toEqual([]);
+  });
+
+  it('moves a leg that survives to its new index', () => {
+    // A B C -> A C B C: the B-C leg is still there, one index later
+    const before = [A, B, C];
+    const after = [A, C, B, C];
+    const oldSegments = segmentsFor(before);
+
+    const plan = planSegmentReuse(oldSegments, after, legsFor(after));
+
+    expect(decisions(plan, 3)).toEqual(['render', 'render', 1]);
+    expect(plan.reuse[0]).toMatchObject({ index: 2, moved: true });
+    expect(plan.clear).toEqual([]);
+  });
+
+  it("doesn't reuse legs in the opposite direction when the trip is reversed", () => {
+    const before = [A, B, C];
+    const after = [C, B, A];
+
+    const plan = planSegmentReuse(segmentsFor(before), after, legsFor(after));
+
+    expect(plan.render).toEqual([0, 1]);
+    expect(plan.reuse).toEqual([]);
+  });
+
+  it('moves legs along when a stop is moved to the front', () => {
+    // A B C D -> D A B C: A-B and B-C survive, each one index later
+    const before = [A, B, C, D];
+    const after = [D, A, B, C];
+    const oldSegments = segmentsFor(before);
+
+    const plan = planSegmentReuse(oldSegments, after, legsFor(after));
+
+    expect(decisions(plan, 3)).toEqual(['render', 0, 1]);
+    expect(plan.reuse.every(entry => entry.moved)).toBe(true);
+    // C-D is gone and nothing is rendered at its index
+    expect(plan.clear).toEqual([oldSegments[2]]);
+  });
+
+  it('keeps both legs of a round trip apart when stops share coordinates', () => {
+    // A B A B: the two A-B legs are the same, each keeps one old segment
+    const trip = [A, B, A, B];
+    const oldSegments = segmentsFor(trip);
+
+    const plan = planSegmentReuse(oldSegments, trip, legsFor(trip));
+
+    expect(decisions(plan, 3)).toEqual([0, 1, 2]);
+    expect(plan.reused.size).toBe(3);
+  });
+
+  it('uses a duplicated leg only once when the trip gets shorter', () => {
+    // A B A B -> B A B: the single A-B leg is kept once, the other is cleared
+    const before = [A, B, A, B];
+    const after = [B, A, B];
+    const oldSegments = segmentsFor(before);
+
+    const plan = planSegmentReuse(oldSegments, after, legsFor(after));
+
+    expect(decisions(plan, 2)).toEqual([1, 0]);
+    expect(plan.clear).toEqual([oldSegments[2]]);
+  });
+
+  it('renders legs whose mode changed or that are retried', () => {
+    const trip = [A, B, C];
+    const legs = legsFor(trip, ['car', 'walk']);
+    legs[0].retry = true;
+
+    const plan = planSegmentReuse(segmentsFor(trip), trip, legs);
+
+    expect(plan.render).toEqual([0, 1]);
+  });
+
+  it('keeps a drawn leg when only its far end moved', () => {
+    const before = [A, B];
+    const after = [A, C];
+    const oldSegments = [{ ...segmentsFor(before)[0], isCustom: true }];
+    const legs = legsFor(after).map(leg => ({ ...leg, isCustom: true }));
+
+    const plan = planSegmentReuse(oldSegments, after, legs);
+
+    expect(plan.reuse).toEqual([{ index: 0, segment: oldSegments[0], moved: false }]);
+  });
+
+  it("renders the first leg over a lone stop's marker without clearing it", () => {
+    const oldSegments = [{ id: 'single-marker', mode: 'car', startLocation: A }];
+
+    const plan = planSegmentReuse(oldSegments, [A, B], legsFor([A, B]));
+
+    expect(plan.render).toEqual([0]);
+    expect(plan.clear).toEqual([]);
+  });
+});
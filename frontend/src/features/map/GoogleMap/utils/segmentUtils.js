@@ -2,6 +2,8 @@
  * Segment utility functions for route management
  */
 
+import { BUS_VEHICLE_TYPES } from './routeOptions';
+
 /**
  * Calculate marker scale based on zoom level
  */
@@ -16,51 +18,157 @@ export const getMarkerScale = (zoom) => {
   return Math.max(minScale, Math.min(maxScale, scaleFactor));
 };
 
+// Sideways bow of drawn flight arcs, as a fraction of the flight length
+export const FLIGHT_ARC_BULGE = 0.02;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+const readLat = (point) => (typeof point.lat === 'function' ? point.lat() : point.lat);
+const readLng = (point) => (typeof point.lng === 'function' ? point.lng() : point.lng);
+
+// Unit vector on the sphere for a lat/lng
+const toVector = (point) => {
+  const lat = toRadians(readLat(point));
+  const lng = toRadians(readLng(point));
+  return [Math.cos(lat) * Math.cos(lng), Math.cos(lat) * Math.sin(lng), Math.sin(lat)];
+};
+
+const normalize = ([x, y, z]) => {
+  const length = Math.hypot(x, y, z);
+  return [x / length, y / length, z / length];
+};
+
 /**
- * Generate a curved arc path for flight segments
+ * Generate a flight path along the great circle between two points
+ *
+ * Points are spherically interpolated, so long-haul flights follow the real
+ * shortest route (over the pole, across the Pacific) instead of a straight
+ * line on the map. Longitudes stay in -180..180; use splitAtAntimeridian to
+ * draw the path.
+ *
+ * @param {Object} origin - { lat, lng } or google.maps.LatLng
+ * @param {Object} destination - { lat, lng } or google.maps.LatLng
+ * @param {Object} options
+ * @param {number} options.numPoints - Number of steps along the arc
+ * @param {number} options.bulge - Bows the drawn arc sideways (poleward) by this
+ *   fraction of the flight length, for a curved look. 0 draws the true great
+ *   circle. Flight distance is always the great-circle distance.
+ * @returns {Array<google.maps.LatLng>}
  */
-export const generateFlightArc = (origin, destination, numPoints = 100) => {
-  const path = [];
-
-  // Convert to LatLng objects if needed
-  const startLat = typeof origin.lat === 'function' ? origin.lat() : origin.lat;
-  const startLng = typeof origin.lng === 'function' ? origin.lng() : origin.lng;
-  const endLat = typeof destination.lat === 'function' ? destination.lat() : destination.lat;
-  const endLng = typeof destination.lng === 'function' ? destination.lng() : destination.lng;
-
-  // Calculate distance to determine arc height
-  const R = 6371; // Earth's radius in km
-  const dLat = (endLat - startLat) * Math.PI / 180;
-  const dLng = (endLng - startLng) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(startLat * Math.PI / 180) * Math.cos(endLat * Math.PI / 180) *
-            Math.sin(dLng/2) * Math.sin(dLng/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
+export const generateFlightArc = (origin, destination, { numPoints = 100, bulge = FLIGHT_ARC_BULGE } = {}) => {
+  const start = toVector(origin);
+  const end = toVector(destination);
+
+  // Central angle between the endpoints
+  const dot = Math.min(1, Math.max(-1, start[0] * end[0] + start[1] * end[1] + start[2] * end[2]));
+  const angle = Math.acos(dot);
+  const sinAngle = Math.sin(angle);
+
+  // Same place (or exactly antipodal - no single great circle): straight line
+  if (sinAngle < 1e-6) {
+    return [
+      new window.google.maps.LatLng(readLat(origin), readLng(origin)),
+      new window.google.maps.LatLng(readLat(destination), readLng(destination))
+    ];
+  }
 
-  // Subtle arc that scales proportionally with distance
-  // Always 2% of the distance for consistent subtle curve at any length
-  const arcHeight = distance * 0.02 / 111; // 2% of distance, converted to degrees
+  // Normal of the great-circle plane, flipped to point north so arcs bow poleward
+  let normal = normalize([
+    start[1] * end[2] - start[2] * end[1],
+    start[2] * end[0] - start[0] * end[2],
+    start[0] * end[1] - start[1] * end[0]
+  ]);
+  if (normal[2] < 0) {
+    normal = normal.map(value => -value);
+  }
 
-  // Generate points along the arc
+  const path = [];
   for (let i = 0; i <= numPoints; i++) {
     const t = i / numPoints;
+    const a = Math.sin((1 - t) * angle) / sinAngle;
+    const b = Math.sin(t * angle) / sinAngle;
+    // Parabolic bow, largest mid-flight and zero at both ends
+    const offset = bulge * angle * 4 * t * (1 - t);
+
+    const [x, y, z] = normalize([
+      a * start[0] + b * end[0] + offset * normal[0],
+      a * start[1] + b * end[1] + offset * normal[1],
+      a * start[2] + b * end[2] + offset * normal[2]
+    ]);
+    path.push(new window.google.maps.LatLng(toDegrees(Math.asin(z)), toDegrees(Math.atan2(y, x))));
+  }
 
-    // Linear interpolation for base position
-    const lat = startLat + (endLat - startLat) * t;
-    const lng = startLng + (endLng - startLng) * t;
+  return path;
+};
 
-    // Add arc height using a parabolic curve
-    // Maximum height at t=0.5 (middle of path)
-    const arcOffset = arcHeight * 4 * t * (1 - t);
+/**
+ * Split a path where it crosses the ±180° meridian
+ *
+ * Each part ends (and the next begins) exactly on the meridian, so the parts
+ * draw as one continuous line at either edge of the map.
+ *
+ * @param {Array} path - google.maps.LatLng or { lat, lng } points
+ * @returns {Array<Array<google.maps.LatLng>>} One or more parts
+ */
+export const splitAtAntimeridian = (path) => {
+  const parts = [];
+  let current = [];
+
+  path.forEach((point, index) => {
+    const lat = readLat(point);
+    const lng = readLng(point);
+
+    if (index > 0) {
+      const previousLat = readLat(path[index - 1]);
+      const previousLng = readLng(path[index - 1]);
+
+      if (Math.abs(lng - previousLng) > 180) {
+        // Crossing: interpolate the latitude where the line meets the meridian
+        const edge = previousLng > 0 ? 180 : -180;
+        const unwrappedLng = lng + (previousLng > 0 ? 360 : -360);
+        const t = (edge - previousLng) / (unwrappedLng - previousLng);
+        const crossingLat = previousLat + (lat - previousLat) * t;
+
+        // noWrap keeps 180 from being normalized to -180
+        current.push(new window.google.maps.LatLng(crossingLat, edge, true));
+        parts.push(current);
+        current = [new window.google.maps.LatLng(crossingLat, -edge, true)];
+      }
+    }
 
-    // Apply the arc as a latitude offset (creates upward curve)
-    const arcLat = lat + arcOffset;
+    current.push(new window.google.maps.LatLng(lat, lng));
+  });
 
-    path.push(new window.google.maps.LatLng(arcLat, lng));
+  if (current.length > 0) {
+    parts.push(current);
   }
+  return parts;
+};
 
-  return path;
+/**
+ * Make longitudes continuous along a path (e.g. 179 -> 181 rather than -179)
+ *
+ * For things that draw or measure the path as one line. Returns the same
+ * array when the path never crosses the ±180° meridian.
+ *
+ * @param {Array<google.maps.LatLng>} path
+ * @returns {Array<google.maps.LatLng>}
+ */
+export const unwrapLongitudes = (path) => {
+  const crosses = path.some((point, index) =>
+    index > 0 && Math.abs(readLng(point) - readLng(path[index - 1])) > 180
+  );
+  if (!crosses) return path;
+
+  let shift = 0;
+  return path.map((point, index) => {
+    if (index > 0) {
+      const delta = readLng(point) - readLng(path[index - 1]);
+      if (delta > 180) shift -= 360;
+      if (delta < -180) shift += 360;
+    }
+    return new window.google.maps.LatLng(readLat(point), readLng(point) + shift, true);
+  });
 };
 
 /**
@@ -82,10 +190,11 @@ export const calculateDistance = (point1, point2) => {
 };
 
 /**
- * Validate if route contains ONLY the required transit mode (ferry or rail)
+ * Validate if route contains ONLY the required transit mode (ferry, rail or bus)
  * Allows short walking connectors (<300m) to/from terminals/stations
+ * Transit legs whose options allow buses accept bus steps too.
  */
-export const validateTransitMode = (result, requiredMode) => {
+export const validateTransitMode = (result, requiredMode, routeOptions = null) => {
   if (!result || !result.routes || !result.routes[0]) return false;
 
   const steps = result.routes[0].legs[0].steps;
@@ -119,6 +228,9 @@ export const validateTransitMode = (result, requiredMode) => {
     // Route must be ONLY rail-based transit + walking connectors
     // No driving, biking, buses, or ferries allowed
     const railTypes = ['RAIL', 'SUBWAY', 'TRAIN', 'TRAM', 'METRO_RAIL', 'HEAVY_RAIL', 'COMMUTER_TRAIN'];
+    const allowedTypes = requiredMode === 'transit' && routeOptions?.vehicles?.includes('BUS')
+      ? [...railTypes, ...BUS_VEHICLE_TYPES]
+      : railTypes;
     let hasRail = false;
 
     for (const step of steps) {
@@ -132,7 +244,7 @@ export const validateTransitMode = (result, requiredMode) => {
       } else if (travelMode === 'TRANSIT') {
         // Must be rail-based
         const vehicleType = step.transit?.line?.vehicle?.type;
-        if (railTypes.includes(vehicleType)) {
+        if (allowedTypes.includes(vehicleType)) {
           hasRail = true;
         } else {
           return false; // Non-rail transit (bus/ferry) not allowed
@@ -143,11 +255,53 @@ export const validateTransitMode = (result, requiredMode) => {
       }
     }
     return hasRail; // Must have at least one rail step
+  } else if (requiredMode === 'bus') {
+    // Route must be ONLY buses + walking connectors
+    let hasBus = false;
+
+    for (const step of steps) {
+      const travelMode = step.travel_mode;
+
+      if (travelMode === 'WALKING') {
+        // Allow walking connectors (<1km) to/from stops
+        if (step.distance && step.distance.value > 1000) {
+          return false; // Walking segment too long
+        }
+      } else if (travelMode === 'TRANSIT') {
+        if (BUS_VEHICLE_TYPES.includes(step.transit?.line?.vehicle?.type)) {
+          hasBus = true;
+        } else {
+          return false; // Rail or ferry not allowed
+        }
+      } else {
+        return false;
+      }
+    }
+    return hasBus; // Must have at least one bus step
   }
 
   return true; // Other modes don't need vehicle validation
 };
 
+// Warning that marks a straight-line route (see createStraightLineRoute)
+const STRAIGHT_LINE_WARNING = 'No route found - showing direct path';
+
+/**
+ * Whether a result is a straight line from createStraightLineRoute
+ * Used to recognize cached legs that had no route.
+ */
+export const isStraightLineRoute = (result) =>
+  Boolean(result?.routes?.[0]?.warnings?.includes(STRAIGHT_LINE_WARNING));
+
+/**
+ * Whether a Directions result is a driving route (all steps driven)
+ * Used to recognize cached bus legs that fell back to driving.
+ */
+export const isDrivingRoute = (result) => {
+  const steps = result?.routes?.[0]?.legs?.[0]?.steps;
+  return Boolean(steps?.length) && steps.every(step => step.travel_mode === 'DRIVING');
+};
+
 /**
  * Validate if route starts and ends within 300m of requested points
  */
@@ -201,7 +355,7 @@ export const createStraightLineRoute = (origin, destination) => {
         duration: { text: '0 mins', value: 0 },
         via_waypoints: []
       }],
-      warnings: ['No route found - showing direct path'],
+      warnings: [STRAIGHT_LINE_WARNING],
       waypoint_order: [],
       copyrights: ''
     }],
@@ -213,15 +367,30 @@ export const createStraightLineRoute = (origin, destination) => {
   };
 };
 
+// Modes whose legs are requested with alternatives the user can pick from
+export const ALTERNATIVE_ROUTE_MODES = ['walk', 'bike', 'car'];
+
+/**
+ * The Directions route a segment follows: the alternative picked for it,
+ * or the first route
+ */
+export const getSegmentRoute = (segment) =>
+  segment?.route?.routes?.[segment.routeIndex || 0] || segment?.route?.routes?.[0] || null;
+
 /**
  * Clear a single segment (route + markers)
  */
 export const clearSegment = (segment) => {
   if (!segment) return;
 
-  // Clear flight polyline if it exists
-  if (segment.polyline) {
-    segment.polyline.setMap(null);
+  // Clear flight polylines if they exist
+  if (segment.polylines) {
+    segment.polylines.forEach(polyline => polyline.setMap(null));
+  }
+
+  // Clear the faded alternatives
+  if (segment.alternativePolylines) {
+    segment.alternativePolylines.forEach(polyline => polyline.setMap(null));
   }
 
   // Clear route
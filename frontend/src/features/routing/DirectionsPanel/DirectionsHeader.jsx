@@ -1,16 +1,49 @@
 import React from 'react';
 
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const shortcutKey = isMac ? '⌘' : 'Ctrl+';
+
 const DirectionsHeader = ({
   isEditing,
   editingTrip,
   onMinimize,
-  isMobile = false
+  isMobile = false,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false
 }) => {
   return (
     <div className="directions-header">
       {!isMobile && <h4>{isEditing ? `Edit: ${editingTrip?.name}` : 'Plan Your Route'}</h4>}
       {!isMobile && (
         <div className="header-buttons">
+          {onUndo && (
+            <button
+              className="header-action-btn undo-btn"
+              onClick={onUndo}
+              disabled={!canUndo}
+              title={`Undo (${shortcutKey}Z)`}
+            >
+              <svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M5 3L2 6l3 3"/>
+                <path d="M2 6h8a4 4 0 0 1 0 8H7"/>
+              </svg>
+            </button>
+          )}
+          {onRedo && (
+            <button
+              className="header-action-btn redo-btn"
+              onClick={onRedo}
+              disabled={!canRedo}
+              title={`Redo (${shortcutKey}Shift+Z)`}
+            >
+              <svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M11 3l3 3-3 3"/>
+                <path d="M14 6H6a4 4 0 0 0 0 8h3"/>
+              </svg>
+            </button>
+          )}
           <button className="minimize-button" onClick={onMinimize} title="Minimize panel">
             <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
               <path d="M4 9h8v1H4z"/>
@@ -1,7 +1,7 @@
-import React from 'react';
+import React, { useRef } from 'react';
 
 /**
- * ActionButtons - Route action buttons (Reset, Load, Save, Share, Play)
+ * ActionButtons - Route action buttons (Reset, Load, Save, Share, Embed, Import, Export, Optimize, Play)
  */
 const ActionButtons = ({
   hasLocations,
@@ -11,6 +11,11 @@ const ActionButtons = ({
   onLoadClick,
   onSaveClick,
   onShare,
+  onEmbed,
+  onExportGPX,
+  onImportFile,
+  onOptimizeOrder,
+  canOptimize = false,
   onPlayClick,
   showAnimationPanel,
   onCloseAnimationPanel,
@@ -20,6 +25,17 @@ const ActionButtons = ({
   onToggleEffects,
   hasEnabledEffects
 }) => {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (file && onImportFile) {
+      onImportFile(file);
+    }
+  };
+
   const buttonBaseStyle = {
     padding: '4px 8px',
     backgroundColor: '#f3f4f6',
@@ -155,6 +171,70 @@ const ActionButtons = ({
           {showCopiedMessage ? '✅' : '🔗'}
         </button>
 
+        {/* Embed button */}
+        {onEmbed && (
+          <button
+            onClick={onEmbed}
+            disabled={!hasRoute}
+            style={hasRoute ? enabledStyle : disabledStyle}
+            title="Embed route on a website"
+            onMouseEnter={handleMouseEnter}
+            onMouseLeave={(e) => handleMouseLeave(e, !hasRoute)}
+          >
+            {'</>'}
+          </button>
+        )}
+
+        {/* Import GPX/KML/GeoJSON button */}
+        {onImportFile && (
+          <>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              style={enabledStyle}
+              title="Import GPX, KML or GeoJSON"
+              onMouseEnter={handleMouseEnter}
+              onMouseLeave={(e) => handleMouseLeave(e, false)}
+            >
+              📥
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".gpx,.kml,.geojson,.json,application/gpx+xml,application/vnd.google-earth.kml+xml,application/geo+json"
+              onChange={handleFileChange}
+              style={{ display: 'none' }}
+            />
+          </>
+        )}
+
+        {/* Export GPX button */}
+        {onExportGPX && (
+          <button
+            onClick={onExportGPX}
+            disabled={!hasRoute}
+            style={hasRoute ? enabledStyle : disabledStyle}
+            title="Export route as GPX"
+            onMouseEnter={handleMouseEnter}
+            onMouseLeave={(e) => handleMouseLeave(e, !hasRoute)}
+          >
+            📤
+          </button>
+        )}
+
+        {/* Optimize stop order button */}
+        {onOptimizeOrder && (
+          <button
+            onClick={onOptimizeOrder}
+            disabled={!canOptimize}
+            style={canOptimize ? enabledStyle : disabledStyle}
+            title="Optimize stop order"
+            onMouseEnter={handleMouseEnter}
+            onMouseLeave={(e) => handleMouseLeave(e, !canOptimize)}
+          >
+            🧭
+          </button>
+        )}
+
         {/* Mileage toggle button */}
         {onToggleMileage && (
           <button
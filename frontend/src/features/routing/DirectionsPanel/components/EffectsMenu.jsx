@@ -10,29 +10,25 @@ const EffectsMenu = ({ enabledEffects, onEffectsChange }) => {
       id: 'particleTrail',
       name: 'Particle Trail',
       icon: '✨',
-      description: 'Colorful particles follow the marker',
-      disabled: true // Coming soon
+      description: 'Colorful particles follow the marker'
     },
     {
       id: 'confetti',
       name: 'Confetti Burst',
       icon: '🎉',
-      description: 'Celebration at destination',
-      disabled: true // Coming soon
+      description: 'Celebration at destination'
     },
     {
       id: 'modeTransitions',
       name: 'Mode Transitions',
       icon: '💫',
-      description: 'Effects when switching transport',
-      disabled: true // Coming soon
+      description: 'Effects when switching transport'
     },
     {
       id: 'routeDrawIn',
       name: 'Route Draw-in',
       icon: '✏️',
-      description: 'Animate route appearing',
-      disabled: true // Coming soon
+      description: 'Animate route appearing'
     }
   ];
 
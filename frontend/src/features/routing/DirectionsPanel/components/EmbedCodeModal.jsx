@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import ReactDOM from 'react-dom';
+import { generateEmbedURL, generateEmbedCode, copyToClipboard } from '../../../../utils/shareUtils';
+
+const EMBED_SIZES = [
+  { label: 'Small (480 × 300)', width: 480, height: 300 },
+  { label: 'Medium (640 × 400)', width: 640, height: 400 },
+  { label: 'Large (960 × 600)', width: 960, height: 600 }
+];
+
+/**
+ * EmbedCodeModal - <iframe> snippet for putting the trip on another site
+ * The snippet points at the read-only embed player (/embed) for the trip's
+ * share link, with its playback options.
+ */
+const EmbedCodeModal = ({ shareableURL, onClose }) => {
+  const [autoplay, setAutoplay] = useState(true);
+  const [loop, setLoop] = useState(false);
+  const [start, setStart] = useState(0);
+  const [sizeIndex, setSizeIndex] = useState(1);
+  const [copied, setCopied] = useState(false);
+
+  // Other options make other code - it needs copying again
+  useEffect(() => {
+    setCopied(false);
+  }, [shareableURL, autoplay, loop, start, sizeIndex]);
+
+  if (!shareableURL) return null;
+
+  const embedURL = generateEmbedURL(shareableURL, { autoplay, loop, start });
+  const embedCode = generateEmbedCode(embedURL, EMBED_SIZES[sizeIndex]);
+
+  const handleCopy = async () => {
+    if (await copyToClipboard(embedCode)) {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 3000);
+    }
+  };
+
+  return ReactDOM.createPortal(
+    <div className="optimize-order-overlay" onClick={onClose}>
+      <div className="optimize-order-modal embed-code-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="optimize-order-header">
+          <h3>Embed this trip</h3>
+          <button className="optimize-order-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        <div className="embed-code-options">
+          <label>
+            <input type="checkbox" checked={autoplay} onChange={() => setAutoplay(!autoplay)} />
+            <span>Play automatically</span>
+          </label>
+          <label>
+            <input type="checkbox" checked={loop} onChange={() => setLoop(!loop)} />
+            <span>Loop</span>
+          </label>
+          <label>
+            <span>Start at</span>
+            <input
+              type="number"
+              min="0"
+              max="99"
+              value={start}
+              onChange={(e) => setStart(Math.min(99, Math.max(0, Number(e.target.value) || 0)))}
+            />
+            <span>%</span>
+          </label>
+          <label>
+            <span>Size</span>
+            <select value={sizeIndex} onChange={(e) => setSizeIndex(Number(e.target.value))}>
+              {EMBED_SIZES.map((size, index) => (
+                <option key={size.label} value={index}>{size.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <textarea
+          className="embed-code-snippet"
+          value={embedCode}
+          readOnly
+          rows={4}
+          onFocus={(e) => e.target.select()}
+        />
+
+        <small className="optimize-order-note">
+          Paste this into your page's HTML. Sites that support oEmbed can use the trip link directly.
+        </small>
+
+        <div className="optimize-order-footer">
+          <button className="optimize-order-cancel" onClick={onClose}>Close</button>
+          <button className="optimize-order-apply" onClick={handleCopy}>
+            {copied ? 'Copied!' : 'Copy code'}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default EmbedCodeModal;
@@ -0,0 +1,128 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  AVOID_OPTIONS,
+  TRANSIT_VEHICLES,
+  DEFAULT_TRANSIT_VEHICLES,
+  getRouteOptionsKind
+} from '../../../map/GoogleMap/utils/routeOptions';
+
+// Current local time in the format of a datetime-local input
+const getLocalDateTime = () => {
+  const now = new Date();
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+  return now.toISOString().slice(0, 16);
+};
+
+/**
+ * LegOptionsPopover - Routing options for one leg
+ * Car legs can avoid tolls, highways and ferries; transit legs can leave or
+ * arrive at a set time and choose which vehicles to ride.
+ */
+const LegOptionsPopover = ({ mode, options, onChange, onClose }) => {
+  const popoverRef = useRef(null);
+  const kind = getRouteOptionsKind(mode);
+  const current = options || {};
+  const vehicles = current.vehicles || DEFAULT_TRANSIT_VEHICLES;
+  const timeType = current.time ? current.timeType : 'now';
+
+  // Close on a click outside or Escape
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (popoverRef.current && !popoverRef.current.contains(e.target) &&
+          !e.target.closest?.('.leg-options-btn')) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('mousedown', handlePointerDown);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const toggleVehicle = (key) => {
+    const next = vehicles.includes(key)
+      ? vehicles.filter(vehicle => vehicle !== key)
+      : [...vehicles, key];
+    // At least one vehicle type has to stay allowed
+    if (next.length === 0) return;
+    onChange({ ...current, vehicles: next });
+  };
+
+  const handleTimeTypeChange = (type) => {
+    if (type === 'now') {
+      onChange({ ...current, timeType: null, time: null });
+    } else {
+      onChange({ ...current, timeType: type, time: current.time || getLocalDateTime() });
+    }
+  };
+
+  if (!kind) return null;
+
+  return (
+    <div className="leg-options-popover" ref={popoverRef} onClick={(e) => e.stopPropagation()}>
+      {kind === 'car' && AVOID_OPTIONS.map(({ key, label }) => (
+        <label key={key} className="leg-options-check">
+          <input
+            type="checkbox"
+            checked={current[key] || false}
+            onChange={() => onChange({ ...current, [key]: !current[key] })}
+          />
+          <span>{label}</span>
+        </label>
+      ))}
+
+      {kind === 'transit' && (
+        <>
+          <div className="leg-options-field">
+            <span>When</span>
+            <select value={timeType} onChange={(e) => handleTimeTypeChange(e.target.value)}>
+              <option value="now">Leave now</option>
+              <option value="departure">Depart at</option>
+              <option value="arrival">Arrive by</option>
+            </select>
+            {timeType !== 'now' && (
+              <input
+                type="datetime-local"
+                value={current.time}
+                onChange={(e) => e.target.value && onChange({ ...current, time: e.target.value })}
+              />
+            )}
+          </div>
+
+          <div className="leg-options-field">
+            <span>Ride on</span>
+            <div className="leg-options-vehicles">
+              {TRANSIT_VEHICLES.map(({ key, label }) => (
+                <label key={key} className="leg-options-check">
+                  <input
+                    type="checkbox"
+                    checked={vehicles.includes(key)}
+                    onChange={() => toggleVehicle(key)}
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="leg-options-actions">
+        <button type="button" onClick={() => onChange(null)} disabled={!options}>
+          Reset
+        </button>
+        <button type="button" onClick={onClose}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LegOptionsPopover;
@@ -1,36 +1,15 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { TRANSPORT_ICONS } from '../../../../constants/transportationModes';
+import { useTripStore } from '../../../../store';
+import RouteProvenanceBadge from './RouteProvenanceBadge';
 
 /**
  * MileageDisplay - Shows distance breakdown by transport mode
  * Supports km/miles toggle with localStorage persistence
  */
 const MileageDisplay = ({ directionsRoute, onDisplayModeChange }) => {
-  // Force re-render when window._routeSegments changes
-  const [segmentsVersion, setSegmentsVersion] = useState(0);
-
-  // Poll for changes to window._routeSegments
-  useEffect(() => {
-    let lastLength = window._routeSegments?.length || 0;
-
-    const checkForUpdates = () => {
-      const currentLength = window._routeSegments?.length || 0;
-      if (currentLength !== lastLength) {
-        lastLength = currentLength;
-        setSegmentsVersion(prev => prev + 1);
-      }
-    };
-
-    // Check every 100ms for segment updates
-    const interval = setInterval(checkForUpdates, 100);
-
-    return () => clearInterval(interval);
-  }, [directionsRoute]);
-
-  // Get segments from window._routeSegments
-  const segments = useMemo(() => {
-    return window._routeSegments || [];
-  }, [segmentsVersion]); // Recalculate when segments update
+  // Per-leg distances from the trip store (updates whenever the map recomputes)
+  const storeLegs = useTripStore(state => state.legs);
 
   // Get unit preference from localStorage, default to 'km'
   const [unit, setUnit] = useState(() => {
@@ -45,61 +24,18 @@ const MileageDisplay = ({ directionsRoute, onDisplayModeChange }) => {
     localStorage.setItem('distanceUnit', unit);
   }, [unit]);
 
-  // Calculate distance using Haversine formula (for custom segments)
-  const calculateDistance = (start, end) => {
-    const R = 6371; // Earth's radius in km
-    const lat1 = start.lat * Math.PI / 180;
-    const lat2 = end.lat * Math.PI / 180;
-    const deltaLat = (end.lat - start.lat) * Math.PI / 180;
-    const deltaLng = (end.lng - start.lng) * Math.PI / 180;
-
-    const a = Math.sin(deltaLat/2) * Math.sin(deltaLat/2) +
-              Math.cos(lat1) * Math.cos(lat2) *
-              Math.sin(deltaLng/2) * Math.sin(deltaLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c; // Distance in km
-  };
-
-  // Calculate mileage breakdown by individual legs
-  const legBreakdown = useMemo(() => {
-    if (!segments || segments.length === 0) return [];
-
-    const legs = [];
-
-    segments.forEach((segment, index) => {
-      if (!segment || !segment.mode) return;
-
-      let distanceKm = 0;
-
-      // Get distance from segment
-      if (segment.distance && segment.distance.value) {
-        // Regular segment with distance already calculated (in meters)
-        distanceKm = segment.distance.value / 1000;
-      } else if (segment.isCustom && segment.customPath && segment.customPath.length === 2) {
-        // Custom segment - calculate distance
-        distanceKm = calculateDistance(segment.customPath[0], segment.customPath[1]);
-      } else if (segment.route?.routes?.[0]?.legs?.[0]?.distance?.value) {
-        // Fallback: check route object
-        distanceKm = segment.route.routes[0].legs[0].distance.value / 1000;
-      }
-
-      if (distanceKm > 0) {
-        // Get location labels (A, B, C, etc.)
-        const startLabel = String.fromCharCode(65 + index); // A=65, B=66, etc.
-        const endLabel = String.fromCharCode(65 + index + 1);
-
-        legs.push({
-          mode: segment.mode,
-          distance: distanceKm,
-          startLabel,
-          endLabel,
-          index
-        });
-      }
-    });
-
-    return legs;
-  }, [segments]);
+  // Mileage breakdown by individual legs
+  const legBreakdown = useMemo(() => storeLegs
+    .filter(leg => leg.distance > 0)
+    .map(leg => ({
+      mode: leg.mode,
+      distance: leg.distance / 1000,
+      // Location labels (A, B, C, etc.)
+      startLabel: String.fromCharCode(65 + leg.index), // A=65, B=66, etc.
+      endLabel: String.fromCharCode(65 + leg.index + 1),
+      index: leg.index,
+      provenance: leg.provenance
+    })), [storeLegs]);
 
   // Convert km to miles
   const toMiles = (km) => km * 0.621371;
@@ -140,6 +76,7 @@ const MileageDisplay = ({ directionsRoute, onDisplayModeChange }) => {
     car: 'Car',
     bus: 'Bus',
     transit: 'Rail',
+    train: 'Train',
     ferry: 'Ferry',
     flight: 'Flight'
   };
@@ -217,6 +154,7 @@ const MileageDisplay = ({ directionsRoute, onDisplayModeChange }) => {
               <span className="mode-icon">{TRANSPORT_ICONS[leg.mode]}</span>
               <span className="mode-name">
                 {leg.startLabel} → {leg.endLabel}
+                <RouteProvenanceBadge provenance={leg.provenance} compact />
               </span>
               <span className="mode-distance">
                 {formatDistance(leg.distance)} {unit}
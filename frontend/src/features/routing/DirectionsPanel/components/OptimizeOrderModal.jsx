@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import ReactDOM from 'react-dom';
+import { getLocationLabel } from '../../../../utils/routeCalculations';
+import {
+  getStopModes,
+  buildEstimateMatrix,
+  refineMatrixFromCache,
+  measureOrder,
+  optimizeStopOrder
+} from '../../../../utils/tripOptimizer';
+
+const formatDistance = (meters, unit) => {
+  const km = meters / 1000;
+  return unit === 'mi' ? `${(km * 0.621371).toFixed(1)} mi` : `${km.toFixed(1)} km`;
+};
+
+const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+/**
+ * OptimizeOrderModal - Suggests a shorter order for the stops
+ * Shows the current totals (as in the mileage display) next to the totals
+ * after reordering, and applies the new order on confirm.
+ */
+const OptimizeOrderModal = ({ isOpen, onClose, locations, legModes, currentTotals, onApply }) => {
+  const [keepLast, setKeepLast] = useState(false);
+  const [metric, setMetric] = useState('distance');
+  const [matrix, setMatrix] = useState(null);
+  const [cacheInfo, setCacheInfo] = useState(null);
+
+  const stopModes = useMemo(() => getStopModes(locations.length, legModes), [locations, legModes]);
+
+  // Straight-line estimates right away, then cached Directions results
+  useEffect(() => {
+    if (!isOpen || locations.length < 3) return;
+
+    let cancelled = false;
+    const estimate = buildEstimateMatrix(locations, stopModes);
+    setMatrix(estimate);
+    setCacheInfo(null);
+
+    refineMatrixFromCache(locations, stopModes, estimate).then(refined => {
+      if (cancelled || refined.cachedPairs === 0) return;
+      setMatrix(refined);
+      setCacheInfo({ cachedPairs: refined.cachedPairs, totalPairs: refined.totalPairs });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, locations, stopModes]);
+
+  const order = useMemo(
+    () => (matrix ? optimizeStopOrder(matrix, { metric, keepLast }) : null),
+    [matrix, metric, keepLast]
+  );
+
+  if (!isOpen || !matrix || !order) return null;
+
+  const unit = localStorage.getItem('distanceUnit') || 'km';
+
+  // The displayed totals come from the real routes; scale them by how much
+  // the estimate improves, so both columns are measured the same way
+  const estimatedBefore = measureOrder(order.map((_, i) => i), matrix);
+  const estimatedAfter = measureOrder(order, matrix);
+  // Only offer the new order when it beats the current one on the chosen metric
+  const isBetter = estimatedAfter[metric] < estimatedBefore[metric] - 1e-9;
+  const project = (current, key) => (current && estimatedBefore[key] > 0
+    ? current * (estimatedAfter[key] / estimatedBefore[key])
+    : estimatedAfter[key]);
+  const before = {
+    distance: currentTotals?.distance || estimatedBefore.distance,
+    duration: currentTotals?.duration || estimatedBefore.duration
+  };
+  const after = {
+    distance: project(currentTotals?.distance, 'distance'),
+    duration: project(currentTotals?.duration, 'duration')
+  };
+
+  return ReactDOM.createPortal(
+    <div className="optimize-order-overlay" onClick={onClose}>
+      <div className="optimize-order-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="optimize-order-header">
+          <h3>Optimize stop order</h3>
+          <button className="optimize-order-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        <div className="optimize-order-options">
+          <label>
+            <input type="checkbox" checked={keepLast} onChange={() => setKeepLast(!keepLast)} />
+            <span>Keep the last stop last</span>
+          </label>
+          <div className="optimize-order-metric">
+            <button
+              className={metric === 'distance' ? 'active' : ''}
+              onClick={() => setMetric('distance')}
+            >
+              Shortest
+            </button>
+            <button
+              className={metric === 'duration' ? 'active' : ''}
+              onClick={() => setMetric('duration')}
+            >
+              Fastest
+            </button>
+          </div>
+        </div>
+
+        <table className="optimize-order-totals">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Now</th>
+              <th>Optimized</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>Distance</td>
+              <td>{formatDistance(before.distance, unit)}</td>
+              <td className={after.distance < before.distance ? 'better' : ''}>{formatDistance(after.distance, unit)}</td>
+            </tr>
+            <tr>
+              <td>Time</td>
+              <td>{formatDuration(before.duration)}</td>
+              <td className={after.duration < before.duration ? 'better' : ''}>{formatDuration(after.duration)}</td>
+            </tr>
+          </tbody>
+        </table>
+
+        <ol className="optimize-order-stops">
+          {order.map((stop, position) => (
+            <li key={stop} className={stop !== position ? 'moved' : ''}>
+              <span className="optimize-order-label">{getLocationLabel(stop)}</span>
+              {locations[stop].name || locations[stop].address || `${locations[stop].lat.toFixed(4)}, ${locations[stop].lng.toFixed(4)}`}
+            </li>
+          ))}
+        </ol>
+
+        <small className="optimize-order-note">
+          {cacheInfo
+            ? `Estimated from known routes for ${cacheInfo.cachedPairs} of ${cacheInfo.totalPairs} legs, straight lines for the rest.`
+            : 'Estimated from straight-line distances.'}
+        </small>
+
+        <div className="optimize-order-footer">
+          <button className="optimize-order-cancel" onClick={onClose}>Cancel</button>
+          <button
+            className="optimize-order-apply"
+            onClick={() => onApply(order)}
+            disabled={!isBetter}
+          >
+            {isBetter ? 'Apply new order' : 'Already in the best order'}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default OptimizeOrderModal;
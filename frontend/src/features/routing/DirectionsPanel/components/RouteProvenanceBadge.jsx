@@ -0,0 +1,44 @@
+import React from 'react';
+import { describeRouteProvenance } from '../../../map/GoogleMap/utils/routeProvenance';
+
+/**
+ * RouteProvenanceBadge - How a leg's route was found
+ * Fallbacks (straight lines, legs routed as another mode) are highlighted
+ * until accepted; pass onRetry/onAccept to offer those actions.
+ */
+const RouteProvenanceBadge = ({ provenance, onRetry, onAccept, compact = false }) => {
+  const description = describeRouteProvenance(provenance);
+  if (!description) return null;
+
+  const needsAttention = description.isFallback && !provenance.accepted;
+  const className = [
+    'route-provenance',
+    needsAttention ? 'fallback' : '',
+    compact ? 'compact' : ''
+  ].filter(Boolean).join(' ');
+
+  return (
+    <span className={className} title={description.detail}>
+      <span className="route-provenance-label">
+        {needsAttention ? '⚠ ' : ''}{description.label}
+        {provenance.fromCache && description.label !== 'Cached' && !compact ? ' · cached' : ''}
+      </span>
+      {needsAttention && !compact && (onRetry || onAccept) && (
+        <span className="route-provenance-actions">
+          {onRetry && (
+            <button type="button" onClick={onRetry} title="Ask for a route in this leg's own mode again">
+              Retry
+            </button>
+          )}
+          {onAccept && (
+            <button type="button" onClick={onAccept} title="Keep this route">
+              Accept
+            </button>
+          )}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default RouteProvenanceBadge;
@@ -0,0 +1,96 @@
+import React, { useRef, useState } from 'react';
+import {
+  MAX_DWELL_SECONDS,
+  DEFAULT_DWELL_SECONDS,
+  clampDwellSeconds,
+  resizePhotoToDataURL
+} from '../../../../utils/stopDetails';
+
+/**
+ * StopDetailsEditor - Caption, photo and dwell time for one stop
+ * The animation waits at the stop for the dwell time and shows the caption card
+ */
+const StopDetailsEditor = ({ location, onChange, onClose }) => {
+  const fileInputRef = useRef(null);
+  const [photoError, setPhotoError] = useState(null);
+
+  const caption = location?.caption || '';
+  const photo = location?.photo || null;
+  const dwellSeconds = location?.dwellSeconds || 0;
+
+  // A caption or photo without a dwell would never be seen - give it a default
+  const withDefaultDwell = (details) => {
+    const addsContent = (details.caption || details.photo) && !caption && !photo;
+    return addsContent && dwellSeconds === 0
+      ? { ...details, dwellSeconds: DEFAULT_DWELL_SECONDS }
+      : details;
+  };
+
+  const handlePhotoSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const dataURL = await resizePhotoToDataURL(file);
+      setPhotoError(null);
+      onChange(withDefaultDwell({ photo: dataURL }));
+    } catch (error) {
+      setPhotoError(error.message);
+    }
+  };
+
+  return (
+    <div className="stop-details-editor" onClick={(e) => e.stopPropagation()}>
+      <label className="stop-details-field">
+        <span>Caption</span>
+        <textarea
+          value={caption}
+          rows={2}
+          maxLength={200}
+          placeholder="Shown while the marker waits here"
+          onChange={(e) => onChange(withDefaultDwell({ caption: e.target.value }))}
+        />
+      </label>
+
+      <div className="stop-details-field">
+        <span>Photo</span>
+        {photo ? (
+          <div className="stop-details-photo">
+            <img src={photo} alt="" />
+            <button type="button" onClick={() => onChange({ photo: null })}>Remove</button>
+          </div>
+        ) : (
+          <button type="button" onClick={() => fileInputRef.current?.click()}>Add photo…</button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          style={{ display: 'none' }}
+          onChange={handlePhotoSelected}
+        />
+        {photoError && <small className="stop-details-error">{photoError}</small>}
+      </div>
+
+      <label className="stop-details-field inline">
+        <span>Pause here</span>
+        <input
+          type="number"
+          min={0}
+          max={MAX_DWELL_SECONDS}
+          step={0.5}
+          value={dwellSeconds}
+          onChange={(e) => onChange({ dwellSeconds: clampDwellSeconds(e.target.value) })}
+        />
+        <span>seconds</span>
+      </label>
+
+      <div className="stop-details-actions">
+        <button type="button" onClick={onClose}>Done</button>
+      </div>
+    </div>
+  );
+};
+
+export default StopDetailsEditor;
@@ -1,19 +1,32 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import LocationSearch from '../../location-search/LocationSearch';
 import DirectionsHeader from './DirectionsHeader';
 import { getLocationLabel } from '../../../utils/routeCalculations';
 import TRANSPORTATION_MODES from '../../../constants/transportationModes';
-import { generateShareableURL, copyToClipboard } from '../../../utils/shareUtils';
-import { saveRoute } from '../../../utils/savedRoutesUtils';
+import { generateShortShareableURL, copyToClipboard } from '../../../utils/shareUtils';
+import { createSavedRoute } from '../../../utils/savedRoutesUtils';
+import { exportTripToGPX } from '../../../utils/gpxUtils';
+import { importTripFromFile } from '../../../utils/tripImportUtils';
 import { SaveRouteModal } from '../../saved-routes/SaveRouteModal';
 import { SavedRoutesModal } from '../../saved-routes/SavedRoutesModal';
 import CustomRouteDrawer from '../../map/GoogleMap/components/CustomRouteDrawer';
+import { canSnapToRoads, getPathSignature } from '../../map/GoogleMap/utils/drawingUtils';
+import { describeMapPosition } from '../../map/GoogleMap/utils/geocodingUtils';
+import { getRouteOptionsKind, getRouteOptionsKey } from '../../map/GoogleMap/utils/routeOptions';
+import { useTripStore, useTripStoreApi } from '../../../store';
 import { COLORS, FONT_SIZES, COMPACT_SPACING } from '../../../constants/uiConstants';
-import { useRouteSegments, useRouteActions } from '../hooks';
+import { useRouteSegments, useRouteActions, useTripHistory } from '../hooks';
 import ActionButtons from './components/ActionButtons';
 import RouteAnimator from '../../animation/RouteAnimator';
 import MileageDisplay from './components/MileageDisplay';
 import EffectsMenu from './components/EffectsMenu';
+import StopDetailsEditor from './components/StopDetailsEditor';
+import OptimizeOrderModal from './components/OptimizeOrderModal';
+import EmbedCodeModal from './components/EmbedCodeModal';
+import LegOptionsPopover from './components/LegOptionsPopover';
+import RouteProvenanceBadge from './components/RouteProvenanceBadge';
+import { hasStopDetails } from '../../../utils/stopDetails';
+import Modal from '../../animation/RouteAnimator/Modal';
 import { centerMapOnLocation } from '../../../utils/mapCenteringUtils';
 import '../../../styles/unified-icons.css';
 
@@ -38,14 +51,23 @@ const DirectionsPanel = ({
   legModes: propsLegModes = ['walk'],
   onLocationsChange,
   onLegModesChange,
-  sharedEffects = null
+  sharedEffects = null,
+  sharedRouteChoices = null,
+  onEffectsChange,
+  cameraKeyframes,
+  onCameraKeyframesChange
 }) => {
+  const tripStore = useTripStoreApi();
+  const storeLegs = useTripStore(state => state.legs);
+  const storeTotals = useTripStore(state => state.totals);
   const [transportationModes] = useState(TRANSPORTATION_MODES);
   const [isMinimized, setIsMinimized] = useState(false); // Start open
   const [activeInput, setActiveInput] = useState(null); // Track which input is active
   const [showCopiedMessage, setShowCopiedMessage] = useState(false);
   const [showSaveModal, setShowSaveModal] = useState(false);
   const [showSavedRoutesModal, setShowSavedRoutesModal] = useState(false);
+  const [showOptimizeModal, setShowOptimizeModal] = useState(false);
+  const [embedShareURL, setEmbedShareURL] = useState(null); // Open embed dialog's trip link
   const [expandedWaypoints, setExpandedWaypoints] = useState([]);
   const [showMileage, setShowMileage] = useState(false);
   const [showEffects, setShowEffects] = useState(false);
@@ -63,6 +85,20 @@ const DirectionsPanel = ({
     }
   }, [sharedEffects]);
 
+  // Apply route alternatives picked in a shared trip
+  useEffect(() => {
+    if (sharedRouteChoices) {
+      setRouteChoices(sharedRouteChoices);
+    }
+  }, [sharedRouteChoices]);
+
+  // Report effect toggles so the desktop animator (rendered by the map) gets them too
+  useEffect(() => {
+    if (onEffectsChange) {
+      onEffectsChange(enabledEffects);
+    }
+  }, [enabledEffects, onEffectsChange]);
+
   // Mobile-specific state
   const [showCard, setShowCard] = useState(true);
   const [isDragging, setIsDragging] = useState(false);
@@ -81,8 +117,24 @@ const DirectionsPanel = ({
   const [locations, setLocations] = useState(propsLocations);
   const [legModes, setLegModes] = useState(propsLegModes);
   const [customDrawEnabled, setCustomDrawEnabled] = useState([]);
-  // Removed: snapToRoads, customPoints (draw mode now = simple straight line)
+  // Vertices clicked between the two stops of each drawn leg, and whether
+  // its sections are snapped to roads
+  const [customPoints, setCustomPoints] = useState([]);
+  const [snapToRoads, setSnapToRoads] = useState([]);
+  // Route alternative picked on the map for each routed leg (null = first route)
+  const [routeChoices, setRouteChoices] = useState([]);
+  // Avoids (car) and time/vehicles (transit) per leg (null = defaults)
+  const [legOptions, setLegOptions] = useState([]);
+  // Previous customPoints per leg, for undo
+  const drawHistoryRef = useRef([]);
   const [lockedSegments, setLockedSegments] = useState([]);
+  // Full geometry for imported or drawn legs (null = straight line between the two locations)
+  const [customPaths, setCustomPaths] = useState([]);
+  const [importError, setImportError] = useState(null);
+  // Index of the stop whose caption/photo/dwell editor is open
+  const [editingStopDetails, setEditingStopDetails] = useState(null);
+  // Index of the leg whose routing options are open
+  const [editingLegOptions, setEditingLegOptions] = useState(null);
 
   // Distance display on map state
   const [distanceDisplayInfo, setDistanceDisplayInfo] = useState(null);
@@ -97,11 +149,94 @@ const DirectionsPanel = ({
   const prevClickedLocationRef = useRef(null);
   const isEditingRef = useRef(false);
   const lastRouteIdRef = useRef(null);
+  // Set when stops were reordered or a stop marker was dragged: the map keeps
+  // the legs that didn't change instead of rebuilding every segment
+  const keepSegmentsRef = useRef(false);
+  // Legs to route again in their own mode, skipping the cache (sent with the next route)
+  const retryLegsRef = useRef([]);
+  const [retryStep, setRetryStep] = useState(0);
+  // Stop being dragged in the list, and the position it would drop at
+  const [draggedStop, setDraggedStop] = useState(null);
+  const [stopDropTarget, setStopDropTarget] = useState(null);
 
 
   // Check if any effects are enabled
   const hasEnabledEffects = Object.values(enabledEffects).some(val => val === true);
 
+  // ============================================================================
+  // UNDO / REDO - every trip edit is one step
+  // ============================================================================
+
+  // Bumped by undo/redo so the route is re-sent to the map even if it looks unchanged
+  const [historyStep, setHistoryStep] = useState(0);
+
+  const tripSnapshot = useMemo(() => ({
+    locations,
+    legModes,
+    customDrawEnabled,
+    lockedSegments,
+    customPaths,
+    customPoints,
+    snapToRoads,
+    routeChoices,
+    legOptions
+  }), [locations, legModes, customDrawEnabled, lockedSegments, customPaths, customPoints, snapToRoads, routeChoices, legOptions]);
+
+  const applyTripSnapshot = useCallback((snapshot) => {
+    setLocations(snapshot.locations);
+    setLegModes(snapshot.legModes);
+    setCustomDrawEnabled(snapshot.customDrawEnabled);
+    setLockedSegments(snapshot.lockedSegments);
+    setCustomPaths(snapshot.customPaths);
+    setCustomPoints(snapshot.customPoints);
+    setSnapToRoads(snapshot.snapToRoads);
+    setRouteChoices(snapshot.routeChoices);
+    setLegOptions(snapshot.legOptions);
+    setActiveInput(null);
+    setEditingStopDetails(null);
+    setEditingLegOptions(null);
+
+    // Notify parent (controlled component pattern)
+    if (onLocationsChange) {
+      onLocationsChange(snapshot.locations, 'UNDO_REDO');
+    }
+    if (onLegModesChange) {
+      onLegModesChange(snapshot.legModes);
+    }
+
+    // Clear every segment from the map and rebuild from the restored trip
+    tripStore.cleanupMap();
+    lastRouteIdRef.current = 'history';
+    setHistoryStep(step => step + 1);
+  }, [onLocationsChange, onLegModesChange, tripStore]);
+
+  const { undo, redo, canUndo, canRedo, skipNextChange } = useTripHistory(tripSnapshot, applyTripSnapshot);
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) to redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isAnimating) return;
+
+      // Leave text fields their own undo
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, isAnimating]);
+
   // Sync with prop changes (for shared routes and loaded routes)
   // eslint-disable-next-line react-hooks/exhaustive-deps
   useEffect(() => {
@@ -109,6 +244,11 @@ const DirectionsPanel = ({
     const locationsChanged = JSON.stringify(propsLocations) !== JSON.stringify(locations);
     const modesChanged = JSON.stringify(propsLegModes) !== JSON.stringify(legModes);
 
+    // A trip pushed in from outside isn't an undoable edit
+    if (locationsChanged || modesChanged) {
+      skipNextChange();
+    }
+
     if (locationsChanged) {
       setLocations(propsLocations);
     }
@@ -126,7 +266,10 @@ const DirectionsPanel = ({
     locations,
     legModes,
     customDrawEnabled,
-    lockedSegments
+    lockedSegments,
+    customPaths,
+    routeChoices,
+    legOptions
   );
 
   // Generate unique ID for segments
@@ -139,19 +282,33 @@ const DirectionsPanel = ({
   const {
     addNextLegToSegments: addNextLegAction,
     updateSegmentMode,
+    updateLegOptions,
     toggleSegmentDrawMode,
     updateLocation,
+    updateStopDetails,
     removeLocation,
+    moveLocation,
+    reorderLocations,
     handleReset
   } = useRouteActions({
     locations,
     legModes,
     customDrawEnabled,
     lockedSegments,
+    customPaths,
+    customPoints,
+    snapToRoads,
+    routeChoices,
+    legOptions,
     setLocations,
     setLegModes,
     setCustomDrawEnabled,
     setLockedSegments,
+    setCustomPaths,
+    setCustomPoints,
+    setSnapToRoads,
+    setRouteChoices,
+    setLegOptions,
     onLocationsChange,
     onLegModesChange,
     onDirectionsCalculated,
@@ -165,6 +322,115 @@ const DirectionsPanel = ({
     addNextLegAction();
   }, [addNextLegAction]);
 
+  // ============================================================================
+  // REORDERING STOPS - drag a stop in the list, or its marker on the map
+  // ============================================================================
+
+  const handleMoveStop = useCallback((fromIndex, toIndex) => {
+    keepSegmentsRef.current = true;
+    // Vertex undo is kept per leg, and the legs just changed
+    drawHistoryRef.current = [];
+    setActiveInput(null);
+    setEditingStopDetails(null);
+    moveLocation(fromIndex, toIndex);
+  }, [moveLocation]);
+
+  // Every slot filled and at least two stops that could swap places
+  const canOptimizeOrder = locations.length >= 3 && locations.every(Boolean);
+
+  const handleApplyOptimizedOrder = useCallback((order) => {
+    keepSegmentsRef.current = true;
+    drawHistoryRef.current = [];
+    setActiveInput(null);
+    setEditingStopDetails(null);
+    setShowOptimizeModal(false);
+    reorderLocations(order);
+  }, [reorderLocations]);
+
+  const handleStopDragEnd = useCallback(() => {
+    setDraggedStop(null);
+    setStopDropTarget(null);
+  }, []);
+
+  // Stop markers dragged on the map (dispatched by RouteSegmentManager)
+  useEffect(() => {
+    const handleStopMarkerDragged = (e) => {
+      const { index: stopIndex, to } = e.detail;
+      // The map counts filled stops only; find that stop among the slots
+      const index = locations
+        .map((loc, slot) => (loc ? slot : -1))
+        .filter(slot => slot !== -1)[stopIndex];
+      if (index === undefined) return;
+
+      describeMapPosition(new window.google.maps.LatLng(to.lat, to.lng)).then(({ lat, lng, info }) => {
+        keepSegmentsRef.current = true;
+        updateLocation(index, { lat, lng, ...info });
+      });
+    };
+
+    window.addEventListener('stopMarkerDragged', handleStopMarkerDragged);
+    return () => window.removeEventListener('stopMarkerDragged', handleStopMarkerDragged);
+  }, [locations, updateLocation]);
+
+  // ============================================================================
+  // ROUTE ALTERNATIVES - faded routes on the map can be clicked to use them
+  // ============================================================================
+
+  useEffect(() => {
+    const handleRouteAlternativeSelected = (e) => {
+      const { startLocation, endLocation, routeIndex } = e.detail;
+      const isAt = (loc, target) => loc && target && loc.lat === target.lat && loc.lng === target.lng;
+      const legIndex = locations.findIndex((loc, i) => isAt(loc, startLocation) && isAt(locations[i + 1], endLocation));
+      if (legIndex === -1) return;
+
+      // Only this leg is drawn again
+      keepSegmentsRef.current = true;
+      setRouteChoices(prev => {
+        const next = [...prev];
+        next[legIndex] = routeIndex || null;
+        return next;
+      });
+    };
+
+    window.addEventListener('routeAlternativeSelected', handleRouteAlternativeSelected);
+    return () => window.removeEventListener('routeAlternativeSelected', handleRouteAlternativeSelected);
+  }, [locations]);
+
+  // ============================================================================
+  // ROUTING OPTIONS - avoids for car legs, time and vehicles for transit legs
+  // ============================================================================
+
+  const handleLegOptionsChange = useCallback((index, options) => {
+    // Only this leg is routed again
+    keepSegmentsRef.current = true;
+    updateLegOptions(index, options);
+  }, [updateLegOptions]);
+
+  const closeLegOptions = useCallback(() => setEditingLegOptions(null), []);
+
+  // ============================================================================
+  // ROUTING PROVENANCE - how each leg was routed, retry or accept fallbacks
+  // ============================================================================
+
+  const legsByIndex = useMemo(() => {
+    const byIndex = {};
+    storeLegs.forEach(leg => {
+      byIndex[leg.index] = leg;
+    });
+    return byIndex;
+  }, [storeLegs]);
+
+  const handleRetryLeg = useCallback((index) => {
+    keepSegmentsRef.current = true;
+    retryLegsRef.current = [index];
+    lastRouteIdRef.current = null;
+    setRetryStep(step => step + 1);
+  }, []);
+
+  const handleAcceptFallback = useCallback((index) => {
+    window.dispatchEvent(new CustomEvent('routeFallbackAccepted', { detail: { index } }));
+  }, []);
+
   // ============================================================================
   // MOBILE CARD INTERACTIONS
   // ============================================================================
@@ -262,7 +528,7 @@ const DirectionsPanel = ({
 
       // Create stable routeId based on segment data (locations + modes + custom state)
       const routeId = routeSegments.map(s =>
-        `${s.id}-${s.startLocation?.lat}-${s.startLocation?.lng}-${s.endLocation?.lat}-${s.endLocation?.lng}-${s.mode}-${s.isCustom}`
+        `${s.id}-${s.startLocation?.lat}-${s.startLocation?.lng}-${s.endLocation?.lat}-${s.endLocation?.lng}-${s.mode}-${s.isCustom}-${getPathSignature(s.customPath)}-${s.routeIndex}-${getRouteOptionsKey(s.mode, s.routeOptions)}`
       ).join('|');
 
       // Only call onDirectionsCalculated if the route actually changed
@@ -278,8 +544,13 @@ const DirectionsPanel = ({
           allLocations: uiLocations,
           allModes: uiModes,
           routeId: `${Date.now()}-${routeSegments.map(s => s.id).join('-')}`, // Add timestamp for uniqueness in RouteSegmentManager
-          forceRebuild: true // Force full segment rebuild to avoid stale state
+          // Force full segment rebuild to avoid stale state, except after a
+          // reorder or marker drag where only the changed legs are recalculated
+          forceRebuild: !keepSegmentsRef.current,
+          retryLegs: retryLegsRef.current
         };
+        keepSegmentsRef.current = false;
+        retryLegsRef.current = [];
         onDirectionsCalculated(routeData);
       }
     } else if (filledLocations.length === 1) {
@@ -309,7 +580,8 @@ const DirectionsPanel = ({
         onDirectionsCalculated(null);
       }
     }
-  }, [routeSegments, uiLocations, uiModes, buildSegments, onDirectionsCalculated]);
+    // historyStep/retryStep: re-send the route after undo/redo or a retry
+  }, [routeSegments, uiLocations, uiModes, buildSegments, onDirectionsCalculated, historyStep, retryStep]);
 
   // HELPERS: Derive data from routeSegments for UI rendering
 
@@ -406,27 +678,8 @@ const DirectionsPanel = ({
 
     // If there's an active input (edit mode), replace that specific location
     if (activeInput !== null && activeInput !== undefined) {
-      // Check if this location is part of a segment with custom drawing enabled
-      const isEndOfDrawSegment = activeInput > 0 && customDrawEnabled[activeInput - 1];
-      const isStartOfDrawSegment = activeInput < uiLocations.length - 1 && customDrawEnabled[activeInput];
-
-      if (isEndOfDrawSegment || isStartOfDrawSegment) {
-        // In draw mode - add this as a point to the custom route
-        const segmentIndex = isEndOfDrawSegment ? activeInput - 1 : activeInput;
-        const point = { lat: clickedLocation.lat, lng: clickedLocation.lng };
-
-        // Add this point to customPoints (this saves to undo)
-        handlePointAdded({
-          segmentIndex,
-          point
-        });
-
-        // Update the location marker
-        updateLocation(activeInput, clickedLocation);
-      } else {
-        // Normal mode - just update the location
-        updateLocation(activeInput, clickedLocation);
-      }
+      // Drawn legs keep their vertices - the path follows the moved stop
+      updateLocation(activeInput, clickedLocation);
 
       setActiveInput(null);
     } else {
@@ -461,10 +714,37 @@ const DirectionsPanel = ({
     const newLockedSegments = [...lockedSegments];
     newLockedSegments.splice(index, 0, false);
 
+    // The leg being split no longer matches its imported geometry
+    const newCustomPaths = [...customPaths];
+    newCustomPaths.splice(index, 0, null);
+    if (index > 0) {
+      newCustomPaths[index - 1] = null;
+    }
+    const newCustomPoints = [...customPoints];
+    newCustomPoints.splice(index, 0, null);
+    if (index > 0) {
+      newCustomPoints[index - 1] = null;
+    }
+    const newSnapToRoads = [...snapToRoads];
+    newSnapToRoads.splice(index, 0, snapToRoads[index - 1] || false);
+    const newRouteChoices = [...routeChoices];
+    newRouteChoices.splice(index, 0, null);
+    if (index > 0) {
+      newRouteChoices[index - 1] = null;
+    }
+    // Both halves of the split leg keep its options, as they keep its mode
+    const newLegOptions = [...legOptions];
+    newLegOptions.splice(index, 0, legOptions[index - 1] || null);
+
     setLocations(newLocations);
     setLegModes(newLegModes);
     setCustomDrawEnabled(newCustomDraw);
     setLockedSegments(newLockedSegments);
+    setCustomPaths(newCustomPaths);
+    setCustomPoints(newCustomPoints);
+    setSnapToRoads(newSnapToRoads);
+    setRouteChoices(newRouteChoices);
+    setLegOptions(newLegOptions);
 
     if (onLocationsChange) {
       onLocationsChange(newLocations, 'ADD_WAYPOINT');
@@ -475,25 +755,31 @@ const DirectionsPanel = ({
 
     // Set active input to the newly inserted location
     setActiveInput(index);
-  }, [locations, legModes, customDrawEnabled, lockedSegments, setLocations, setLegModes, setCustomDrawEnabled, setLockedSegments, onLocationsChange, onLegModesChange]);
+  }, [locations, legModes, customDrawEnabled, lockedSegments, customPaths, customPoints, snapToRoads, routeChoices, legOptions, setLocations, setLegModes, setCustomDrawEnabled, setLockedSegments, onLocationsChange, onLegModesChange]);
 
   // removeLocation and handleReset are now provided by useRouteActions hook
 
-  const handleSaveRoute = useCallback((routeData) => {
+  // Errors reach SaveRouteModal, which shows them
+  const handleSaveRoute = useCallback(async (routeData) => {
     const filledLocations = locations.filter(loc => loc !== null);
     if (filledLocations.length >= 1) {
-      try {
-        saveRoute({
-          name: routeData.name,
-          description: routeData.description,
-          locations: filledLocations,
-          modes: legModes,
-          effects: enabledEffects
-        });
-      } catch (error) {
-      }
+      await createSavedRoute({
+        name: routeData.name,
+        description: routeData.description,
+        locations: filledLocations,
+        modes: legModes,
+        customDrawEnabled,
+        lockedSegments,
+        customPaths,
+        customPoints,
+        snapToRoads,
+        routeChoices,
+        legOptions,
+        effects: enabledEffects,
+        cameraKeyframes
+      });
     }
-  }, [locations, legModes, enabledEffects]);
+  }, [locations, legModes, customDrawEnabled, lockedSegments, customPaths, customPoints, snapToRoads, routeChoices, legOptions, enabledEffects, cameraKeyframes]);
 
   const handleLoadRoute = useCallback((route) => {
     const loadedLocations = [...route.locations];
@@ -507,12 +793,23 @@ const DirectionsPanel = ({
     // Restore custom drawing state with backward compatibility
     setCustomDrawEnabled(route.customDrawEnabled || []);
     setLockedSegments(route.lockedSegments || []);
+    setCustomPaths(route.customPaths || []);
+    // Older saves stored customPoints as an object keyed by leg
+    setCustomPoints(Array.isArray(route.customPoints) ? route.customPoints : []);
+    setSnapToRoads(route.snapToRoads || []);
+    setRouteChoices(route.routeChoices || []);
+    setLegOptions(route.legOptions || []);
 
     // Restore animation effects
     if (route.effects) {
       setEnabledEffects(route.effects);
     }
 
+    // Restore director mode camera keyframes
+    if (onCameraKeyframesChange) {
+      onCameraKeyframesChange(route.cameraKeyframes || []);
+    }
+
     // Notify parent (controlled component pattern)
     if (onLocationsChange) {
       onLocationsChange(loadedLocations, 'load_route');
@@ -530,7 +827,10 @@ const DirectionsPanel = ({
             mode: route.modes[i] || 'walk',
             startIndex: i,
             endIndex: i + 1,
-            isCustom: route.customDrawEnabled?.[i] || false
+            isCustom: route.customDrawEnabled?.[i] || false,
+            customPath: route.customDrawEnabled?.[i] ? (route.customPaths?.[i] || null) : null,
+            routeIndex: route.routeChoices?.[i] || 0,
+            routeOptions: route.customDrawEnabled?.[i] ? null : (route.legOptions?.[i] || null)
           });
         }
 
@@ -548,10 +848,10 @@ const DirectionsPanel = ({
         onDirectionsCalculated(routeData);
       }, 100);
     }
-  }, [onLocationsChange, onLegModesChange, onDirectionsCalculated]);
+  }, [onLocationsChange, onLegModesChange, onDirectionsCalculated, onCameraKeyframesChange]);
 
   const handleShare = async () => {
-    const shareableURL = generateShareableURL(locations, legModes, enabledEffects);
+    const shareableURL = await generateShortShareableURL(locations, legModes, enabledEffects, routeChoices);
 
     if (!shareableURL) {
       return;
@@ -566,9 +866,146 @@ const DirectionsPanel = ({
     }
   };
 
-  // STUBS: No longer needed for simple straight line draw mode
-  const handlePointAdded = () => {}; // Draw mode = straight line, no waypoints to add
-  const handleUndoPoint = () => {}; // No waypoints to undo
+  // The embed snippet points at the same (short) link sharing would copy
+  const handleEmbed = async () => {
+    const shareableURL = await generateShortShareableURL(locations, legModes, enabledEffects, routeChoices);
+
+    if (shareableURL) {
+      setEmbedShareURL(shareableURL);
+    }
+  };
+
+  const handleExportGPX = () => {
+    const filledLocations = locations.filter(loc => loc !== null);
+    const firstName = filledLocations[0]?.name?.split(',')[0];
+    const lastName = filledLocations[filledLocations.length - 1]?.name?.split(',')[0];
+    const tripName = firstName && lastName ? `${firstName} to ${lastName}` : 'LenaMaps trip';
+
+    exportTripToGPX(tripStore.getState().segments, filledLocations, tripName);
+  };
+
+  const handleImportFile = async (file) => {
+    try {
+      const trip = await importTripFromFile(file);
+
+      setLocations(trip.locations);
+      setLegModes(trip.modes);
+      setCustomDrawEnabled(trip.customDrawEnabled);
+      setLockedSegments(trip.lockedSegments);
+      setCustomPaths(trip.customPaths);
+      setCustomPoints([]);
+      setSnapToRoads([]);
+      setRouteChoices([]);
+      setLegOptions([]);
+      setActiveInput(null);
+
+      // Notify parent (controlled component pattern)
+      if (onLocationsChange) {
+        onLocationsChange(trip.locations, 'import_route');
+      }
+      if (onLegModesChange) {
+        onLegModesChange(trip.modes);
+      }
+
+      // Frame the whole imported trip
+      if (map && window.google?.maps) {
+        const bounds = new window.google.maps.LatLngBounds();
+        trip.locations.forEach(loc => loc && bounds.extend(loc));
+        trip.customPaths.forEach(path => path?.forEach(point => bounds.extend(point)));
+        if (!bounds.isEmpty()) {
+          map.fitBounds(bounds);
+        }
+      }
+    } catch (error) {
+      setImportError(error.message || 'Could not read this file.');
+    }
+  };
+
+  // ============================================================================
+  // CUSTOM DRAWING - vertices, undo and snap-to-roads per drawn leg
+  // ============================================================================
+
+  // Undo history is per leg index, so it's dropped when legs are added or removed
+  useEffect(() => {
+    drawHistoryRef.current = [];
+  }, [locations.length]);
+
+  const updateCustomPoints = useCallback((segmentIndex, points) => {
+    const history = drawHistoryRef.current;
+    history[segmentIndex] = [...(history[segmentIndex] || []), customPoints[segmentIndex] || []];
+
+    setCustomPoints(prev => {
+      const next = [...prev];
+      next[segmentIndex] = points;
+      return next;
+    });
+  }, [customPoints]);
+
+  const handlePointAdded = useCallback(({ segmentIndex, point }) => {
+    updateCustomPoints(segmentIndex, [...(customPoints[segmentIndex] || []), point]);
+  }, [customPoints, updateCustomPoints]);
+
+  const handleUndoPoint = useCallback((segmentIndex) => {
+    const history = drawHistoryRef.current[segmentIndex];
+    if (!history || history.length === 0) return;
+
+    const previous = history.pop();
+    setCustomPoints(prev => {
+      const next = [...prev];
+      next[segmentIndex] = previous;
+      return next;
+    });
+  }, []);
+
+  const handleDrawnPathChange = useCallback((segmentIndex, path) => {
+    setCustomPaths(prev => {
+      const next = [...prev];
+      next[segmentIndex] = path;
+      return next;
+    });
+  }, []);
+
+  // Imported tracks are shown as recorded, not edited
+  const isImportedTrack = (segmentIndex) => Boolean(
+    customPaths[segmentIndex] && !customPoints[segmentIndex]?.length && !snapToRoads[segmentIndex]
+  );
+
+  const toggleSnapToRoads = useCallback((segmentIndex) => {
+    setSnapToRoads(prev => {
+      const next = [...prev];
+      next[segmentIndex] = !next[segmentIndex];
+      return next;
+    });
+  }, []);
+
+  // Only one leg takes drawing clicks at a time - finish the others
+  const handleToggleDrawMode = useCallback((segmentIndex) => {
+    if (!customDrawEnabled[segmentIndex]) {
+      setLockedSegments(prev => {
+        const next = [...prev];
+        customDrawEnabled.forEach((enabled, i) => {
+          if (enabled && i !== segmentIndex) next[i] = true;
+        });
+        next[segmentIndex] = false;
+        return next;
+      });
+    }
+    toggleSegmentDrawMode(segmentIndex);
+  }, [customDrawEnabled, toggleSegmentDrawMode]);
+
+  const setDrawingFinished = useCallback((segmentIndex, finished) => {
+    setLockedSegments(prev => {
+      const next = [...prev];
+      if (!finished) {
+        // Editing one leg finishes any other
+        customDrawEnabled.forEach((enabled, i) => {
+          if (enabled) next[i] = true;
+        });
+      }
+      next[segmentIndex] = finished;
+      return next;
+    });
+  }, [customDrawEnabled]);
 
   const handleSetLocations = (segmentIndex, startPoint, endPoint) => {
     // Auto-set locations from the drawn points
@@ -786,6 +1223,10 @@ const DirectionsPanel = ({
           editingTrip={editingTrip}
           onMinimize={handleMinimize}
           isMobile={isMobile}
+          onUndo={undo}
+          onRedo={redo}
+          canUndo={canUndo && !isAnimating}
+          canRedo={canRedo && !isAnimating}
         />
       )}
 
@@ -810,6 +1251,11 @@ const DirectionsPanel = ({
             onLoadClick={() => setShowSavedRoutesModal(true)}
             onSaveClick={() => setShowSaveModal(true)}
             onShare={handleShare}
+            onEmbed={handleEmbed}
+            onExportGPX={handleExportGPX}
+            onImportFile={handleImportFile}
+            onOptimizeOrder={() => setShowOptimizeModal(true)}
+            canOptimize={canOptimizeOrder}
             showMileage={showMileage}
             onToggleMileage={() => setShowMileage(!showMileage)}
             showEffects={showEffects}
@@ -839,33 +1285,27 @@ const DirectionsPanel = ({
           {uiLocations.map((location, index) => (
             <React.Fragment key={index}>
 
-              <div>
-              <div className={`input-group ${!location && index === uiLocations.findIndex(l => !l) ? 'awaiting-click' : ''} ${activeInput === index ? 'awaiting-input' : ''}`}>
+              <div
+                onDragOver={(e) => {
+                  if (draggedStop === null) return;
+                  e.preventDefault();
+                  e.dataTransfer.dropEffect = 'move';
+                  if (stopDropTarget !== index) setStopDropTarget(index);
+                }}
+                onDrop={(e) => {
+                  if (draggedStop === null) return;
+                  e.preventDefault();
+                  handleMoveStop(draggedStop, index);
+                  handleStopDragEnd();
+                }}
+              >
+              <div className={`input-group ${!location && index === uiLocations.findIndex(l => !l) ? 'awaiting-click' : ''} ${activeInput === index ? 'awaiting-input' : ''} ${draggedStop === index ? 'dragging-stop' : ''} ${draggedStop !== null && draggedStop !== index && stopDropTarget === index ? (index > draggedStop ? 'stop-drop-after' : 'stop-drop-before') : ''}`}>
                 {!location ? (
                   <div style={{ position: 'relative', display: 'flex', alignItems: 'center' }}>
                     <LocationSearch
                       onLocationSelect={(loc) => {
-                        // Check if this location is part of a segment with custom drawing enabled
-                        const isEndOfDrawSegment = index > 0 && customDrawEnabled[index - 1];
-                        const isStartOfDrawSegment = index < uiLocations.length - 1 && customDrawEnabled[index];
-
-                        if (isEndOfDrawSegment || isStartOfDrawSegment) {
-                          // In draw mode - add this as a point to the custom route
-                          const segmentIndex = isEndOfDrawSegment ? index - 1 : index;
-                          const point = { lat: loc.lat, lng: loc.lng };
-
-                          // Add this point to customPoints (this saves to undo)
-                          handlePointAdded({
-                            segmentIndex,
-                            point
-                          });
-
-                          // Update the location marker
-                          updateLocation(index, loc);
-                        } else {
-                          // Normal mode - just update the location
-                          updateLocation(index, loc);
-                        }
+                        // Drawn legs keep their vertices - the path follows the moved stop
+                        updateLocation(index, loc);
 
                         isEditingRef.current = false;
                         setActiveInput(null); // Clear active input
@@ -894,27 +1334,8 @@ const DirectionsPanel = ({
                   <div style={{ position: 'relative' }}>
                     <LocationSearch
                       onLocationSelect={(loc) => {
-                        // Check if this location is part of a segment with custom drawing enabled
-                        const isEndOfDrawSegment = index > 0 && customDrawEnabled[index - 1];
-                        const isStartOfDrawSegment = index < uiLocations.length - 1 && customDrawEnabled[index];
-
-                        if (isEndOfDrawSegment || isStartOfDrawSegment) {
-                          // In draw mode - add this as a point to the custom route
-                          const segmentIndex = isEndOfDrawSegment ? index - 1 : index;
-                          const point = { lat: loc.lat, lng: loc.lng };
-
-                          // Add this point to customPoints (this saves to undo)
-                          handlePointAdded({
-                            segmentIndex,
-                            point
-                          });
-
-                          // Update the location marker
-                          updateLocation(index, loc);
-                        } else {
-                          // Normal mode - just update the location
-                          updateLocation(index, loc);
-                        }
+                        // Drawn legs keep their vertices - the path follows the moved stop
+                        updateLocation(index, loc);
 
                         setActiveInput(null);
                       }}
@@ -931,9 +1352,29 @@ const DirectionsPanel = ({
                     className="selected-location"
                     onClick={() => setActiveInput(index)}
                     style={{ cursor: 'pointer' }}
+                    draggable={!isAnimating}
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      e.dataTransfer.setData('text/plain', String(index));
+                      setDraggedStop(index);
+                    }}
+                    onDragEnd={handleStopDragEnd}
                   >
+                    {!isAnimating && (
+                      <span className="stop-drag-handle" title="Drag to reorder">⋮⋮</span>
+                    )}
                     <span>📍 {location.name || location.address || `${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}`}</span>
                     <div style={{ display: 'flex', alignItems: 'center' }}>
+                      <button
+                        className={`edit-location-btn stop-details-btn ${hasStopDetails(location) ? 'has-details' : ''}`}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setEditingStopDetails(editingStopDetails === index ? null : index);
+                        }}
+                        title="Caption, photo and pause"
+                      >
+                        💬
+                      </button>
                       <button
                         className="edit-location-btn"
                         onClick={(e) => {
@@ -962,6 +1403,14 @@ const DirectionsPanel = ({
                   </div>
                 )}
               </div>
+
+              {location && editingStopDetails === index && (
+                <StopDetailsEditor
+                  location={location}
+                  onChange={(details) => updateStopDetails(index, details)}
+                  onClose={() => setEditingStopDetails(null)}
+                />
+              )}
               
               {/* Show transportation mode selector between locations */}
               {index < uiLocations.length - 1 && (
@@ -974,6 +1423,7 @@ const DirectionsPanel = ({
                         bus: 'Bus',
                         car: 'Driving',
                         transit: 'Rail Transit',
+                        train: 'Train',
                         ferry: 'Ferry',
                         flight: 'Flight'
                       };
@@ -1000,6 +1450,38 @@ const DirectionsPanel = ({
                     })}
                   </div>
 
+                  {legsByIndex[index]?.mode === uiModes[index] && !customDrawEnabled[index] && (
+                    <div className="leg-provenance">
+                      <RouteProvenanceBadge
+                        provenance={legsByIndex[index].provenance}
+                        onRetry={() => handleRetryLeg(index)}
+                        onAccept={() => handleAcceptFallback(index)}
+                      />
+                    </div>
+                  )}
+
+                  {/* Routing options for car and transit legs */}
+                  {getRouteOptionsKind(uiModes[index]) && !customDrawEnabled[index] && (
+                    <div className="leg-options">
+                      <button
+                        type="button"
+                        className={`leg-options-btn ${legOptions[index] ? 'has-options' : ''}`}
+                        onClick={() => setEditingLegOptions(editingLegOptions === index ? null : index)}
+                        title={uiModes[index] === 'car' ? 'Tolls, highways and ferries' : 'Departure time and vehicles'}
+                      >
+                        ⚙ Route options{legOptions[index] ? ' •' : ''}
+                      </button>
+                      {editingLegOptions === index && (
+                        <LegOptionsPopover
+                          mode={uiModes[index]}
+                          options={legOptions[index]}
+                          onChange={(options) => handleLegOptionsChange(index, options)}
+                          onClose={closeLegOptions}
+                        />
+                      )}
+                    </div>
+                  )}
+
                   {/* Custom drawing toggles */}
                   <div style={{ marginTop: COMPACT_SPACING.sm, display: 'flex', flexDirection: 'column', gap: COMPACT_SPACING.sm }}>
                     <label style={{
@@ -1015,17 +1497,60 @@ const DirectionsPanel = ({
                         type="checkbox"
                         checked={customDrawEnabled[index] || false}
                         disabled={lockedSegments[index]}
-                        onChange={() => toggleSegmentDrawMode(index)}
+                        onChange={() => handleToggleDrawMode(index)}
                         style={{ cursor: lockedSegments[index] ? 'not-allowed' : 'pointer' }}
                       />
                       <span>
-                        Draw a straight line
-                        {lockedSegments[index] && ' (Locked)'}
+                        {isImportedTrack(index) ? 'Imported track' : 'Draw route'}
+                        {lockedSegments[index] && isImportedTrack(index) && ' (Locked)'}
                       </span>
                     </label>
-                  </div>
 
-                  {/* Waypoint UI removed - draw mode now uses simple straight lines */}
+                    {customDrawEnabled[index] && !isImportedTrack(index) && (
+                      <div className="draw-controls">
+                        {lockedSegments[index] ? (
+                          <button type="button" onClick={() => setDrawingFinished(index, false)}>
+                            Edit drawing
+                          </button>
+                        ) : (
+                          <>
+                            <small className="draw-hint">
+                              Click the map to add points. Drag a point to move it, right-click to delete it.
+                            </small>
+                            {canSnapToRoads(uiModes[index]) && (
+                              <label className="draw-snap">
+                                <input
+                                  type="checkbox"
+                                  checked={snapToRoads[index] || false}
+                                  onChange={() => toggleSnapToRoads(index)}
+                                />
+                                <span>Snap to roads</span>
+                              </label>
+                            )}
+                            <div className="draw-actions">
+                              <button
+                                type="button"
+                                onClick={() => handleUndoPoint(index)}
+                                disabled={!drawHistoryRef.current[index]?.length}
+                              >
+                                Undo
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => updateCustomPoints(index, [])}
+                                disabled={!customPoints[index]?.length}
+                              >
+                                Clear points
+                              </button>
+                              <button type="button" onClick={() => setDrawingFinished(index, true)}>
+                                Done
+                              </button>
+                            </div>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </div>
                 </div>
               )}
 
@@ -1271,6 +1796,11 @@ const DirectionsPanel = ({
               onLoadClick={() => setShowSavedRoutesModal(true)}
               onSaveClick={() => setShowSaveModal(true)}
               onShare={handleShare}
+              onEmbed={handleEmbed}
+              onExportGPX={handleExportGPX}
+              onImportFile={handleImportFile}
+              onOptimizeOrder={() => setShowOptimizeModal(true)}
+              canOptimize={canOptimizeOrder}
               onPlayClick={isMobile ? () => setShowAnimationPanel(true) : undefined}
               showAnimationPanel={showAnimationPanel}
               onCloseAnimationPanel={() => {
@@ -1319,6 +1849,9 @@ const DirectionsPanel = ({
                 isMinimized={animationControlsMinimized}
                 setIsMinimized={setAnimationControlsMinimized}
                 enabledEffects={enabledEffects}
+                stops={locations}
+                cameraKeyframes={cameraKeyframes}
+                onCameraKeyframesChange={onCameraKeyframesChange}
               />
             ) : (
               renderPanelContent
@@ -1357,6 +1890,31 @@ const DirectionsPanel = ({
         onLoadRoute={handleLoadRoute}
       />
 
+      {/* Optimize stop order - before/after totals come from the trip store */}
+      <OptimizeOrderModal
+        isOpen={showOptimizeModal && canOptimizeOrder}
+        onClose={() => setShowOptimizeModal(false)}
+        locations={locations}
+        legModes={legModes}
+        currentTotals={storeTotals}
+        onApply={handleApplyOptimizedOrder}
+      />
+
+      {/* Embed snippet for the share link */}
+      <EmbedCodeModal
+        shareableURL={embedShareURL}
+        onClose={() => setEmbedShareURL(null)}
+      />
+
+      {/* Import error modal */}
+      <Modal
+        isOpen={!!importError}
+        onClose={() => setImportError(null)}
+        title="Import Failed"
+        message={importError || ''}
+        type="error"
+      />
+
       {/* Custom Route Drawers - render one per segment with draw mode enabled */}
     {map && customDrawEnabled.map((isEnabled, index) => {
       // Only render drawer if draw mode is enabled for this segment
@@ -1370,6 +1928,13 @@ const DirectionsPanel = ({
           endLocation={locations[index + 1]}
           mode={legModes[index] || 'walk'}
           isEnabled={customDrawEnabled[index]}
+          isEditing={!lockedSegments[index] && !isImportedTrack(index)}
+          path={customPaths[index]}
+          points={customPoints[index] || undefined}
+          snapToRoads={snapToRoads[index] || false}
+          onPointAdded={(point) => handlePointAdded({ segmentIndex: index, point })}
+          onPointsChange={(points) => updateCustomPoints(index, points)}
+          onPathChange={(path) => handleDrawnPathChange(index, path)}
         />
       );
     })}
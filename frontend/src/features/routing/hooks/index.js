@@ -1,2 +1,3 @@
 export { useRouteSegments } from './useRouteSegments';
 export { useRouteActions } from './useRouteActions';
+export { useTripHistory } from './useTripHistory';
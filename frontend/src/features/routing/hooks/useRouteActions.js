@@ -1,4 +1,62 @@
 import { useCallback } from 'react';
+import { getStopDetails } from '../../../utils/stopDetails';
+import { normalizeRouteOptions } from '../../map/GoogleMap/utils/routeOptions';
+
+/**
+ * Work out the legs after stops are put in a new order
+ * A leg between two stops that were already neighbours keeps everything
+ * (mode, options, drawing, lock, picked route); a reversed leg keeps its
+ * drawing, reversed, but goes back to the first route (the alternatives differ).
+ * Any other leg is new: it takes the mode and options its start stop used to
+ * leave with.
+ *
+ * @param {Array} order - Old stop index for each new position
+ * @param {Object} legs - Per-leg arrays (modes, customDrawEnabled, lockedSegments, ...)
+ * @returns {Object} Per-leg arrays for the new order
+ */
+const reorderLegs = (order, legs) => {
+  const result = {
+    modes: [],
+    customDrawEnabled: [],
+    lockedSegments: [],
+    customPaths: [],
+    customPoints: [],
+    snapToRoads: [],
+    routeChoices: [],
+    legOptions: []
+  };
+  const lastLeg = order.length - 2;
+
+  for (let k = 0; k < order.length - 1; k++) {
+    const from = order[k];
+    const to = order[k + 1];
+
+    if (to === from + 1 || to === from - 1) {
+      const leg = Math.min(from, to);
+      const reversed = to < from;
+      const reverse = (list) => (reversed && list ? [...list].reverse() : list ?? null);
+      result.modes.push(legs.modes[leg] || 'walk');
+      result.customDrawEnabled.push(legs.customDrawEnabled[leg] || false);
+      result.lockedSegments.push(legs.lockedSegments[leg] || false);
+      result.customPaths.push(reverse(legs.customPaths[leg]));
+      result.customPoints.push(reverse(legs.customPoints[leg]));
+      result.snapToRoads.push(legs.snapToRoads[leg] || false);
+      result.routeChoices.push(reversed ? null : legs.routeChoices[leg] ?? null);
+      result.legOptions.push(legs.legOptions[leg] ?? null);
+    } else {
+      result.modes.push(legs.modes[Math.min(from, lastLeg)] || 'walk');
+      result.legOptions.push(legs.legOptions[Math.min(from, lastLeg)] ?? null);
+      result.customDrawEnabled.push(false);
+      result.lockedSegments.push(false);
+      result.customPaths.push(null);
+      result.customPoints.push(null);
+      result.snapToRoads.push(false);
+      result.routeChoices.push(null);
+    }
+  }
+
+  return result;
+};
 
 /**
  * useRouteActions - Manages route CRUD operations
@@ -11,10 +69,20 @@ import { useCallback } from 'react';
  * @param {Array} params.legModes - Array of transportation modes
  * @param {Array} params.customDrawEnabled - Array of custom draw states
  * @param {Array} params.lockedSegments - Array of locked states
+ * @param {Array} params.customPaths - Array of imported or drawn leg geometries
+ * @param {Array} params.customPoints - Array of drawn vertices per leg
+ * @param {Array} params.snapToRoads - Array of snap-to-roads states
+ * @param {Array} params.routeChoices - Array of picked route alternative indexes
+ * @param {Array} params.legOptions - Array of routing options per leg
  * @param {Function} params.setLocations - Setter for locations
  * @param {Function} params.setLegModes - Setter for leg modes
  * @param {Function} params.setCustomDrawEnabled - Setter for custom draw
  * @param {Function} params.setLockedSegments - Setter for locked segments
+ * @param {Function} params.setCustomPaths - Setter for leg geometries
+ * @param {Function} params.setCustomPoints - Setter for drawn vertices
+ * @param {Function} params.setSnapToRoads - Setter for snap-to-roads states
+ * @param {Function} params.setRouteChoices - Setter for picked route alternatives
+ * @param {Function} params.setLegOptions - Setter for routing options
  * @param {Function} params.onLocationsChange - Callback for location changes
  * @param {Function} params.onLegModesChange - Callback for mode changes
  * @param {Function} params.onDirectionsCalculated - Callback for route updates
@@ -27,10 +95,20 @@ export const useRouteActions = ({
   legModes,
   customDrawEnabled,
   lockedSegments,
+  customPaths = [],
+  customPoints = [],
+  snapToRoads = [],
+  routeChoices = [],
+  legOptions = [],
   setLocations,
   setLegModes,
   setCustomDrawEnabled,
   setLockedSegments,
+  setCustomPaths = () => {},
+  setCustomPoints = () => {},
+  setSnapToRoads = () => {},
+  setRouteChoices = () => {},
+  setLegOptions = () => {},
   onLocationsChange,
   onLegModesChange,
   onDirectionsCalculated,
@@ -96,6 +174,18 @@ export const useRouteActions = ({
 
     setLegModes(newModes);
 
+    // Another mode has other alternatives, and other options
+    if (routeChoices[segmentIndex]) {
+      const newRouteChoices = [...routeChoices];
+      newRouteChoices[segmentIndex] = null;
+      setRouteChoices(newRouteChoices);
+    }
+    if (legOptions[segmentIndex]) {
+      const newLegOptions = [...legOptions];
+      newLegOptions[segmentIndex] = null;
+      setLegOptions(newLegOptions);
+    }
+
     // Notify parent (controlled component pattern)
     if (onLegModesChange) {
       onLegModesChange(newModes, segmentIndex);
@@ -117,7 +207,27 @@ export const useRouteActions = ({
       };
       onDirectionsCalculated(routeData);
     }
-  }, [legModes, setLegModes, onLegModesChange, locations, onDirectionsCalculated, buildSegments]);
+  }, [legModes, routeChoices, legOptions, setLegModes, setRouteChoices, setLegOptions, onLegModesChange, locations, onDirectionsCalculated, buildSegments]);
+
+  /**
+   * Set the routing options of a leg (avoids for car legs, time and
+   * vehicles for transit legs)
+   *
+   * @param {number} segmentIndex - Leg index
+   * @param {Object} options - New options for the leg
+   */
+  const updateLegOptions = useCallback((segmentIndex, options) => {
+    const newLegOptions = [...legOptions];
+    newLegOptions[segmentIndex] = normalizeRouteOptions(legModes[segmentIndex] || 'walk', options);
+    setLegOptions(newLegOptions);
+
+    // The leg is routed again, so it has new alternatives
+    if (routeChoices[segmentIndex]) {
+      const newRouteChoices = [...routeChoices];
+      newRouteChoices[segmentIndex] = null;
+      setRouteChoices(newRouteChoices);
+    }
+  }, [legModes, legOptions, routeChoices, setLegOptions, setRouteChoices]);
 
   /**
    * Toggle custom drawing for a segment
@@ -136,14 +246,56 @@ export const useRouteActions = ({
    */
   const updateLocation = useCallback((index, location) => {
     const newLocations = [...locations];
-    newLocations[index] = location;
+    // Re-picking the place of a stop keeps its caption, photo and dwell time
+    newLocations[index] = location && locations[index]
+      ? { ...location, ...getStopDetails(locations[index]) }
+      : location;
     setLocations(newLocations);
 
+    // Imported geometry no longer ends at the moved location - fall back to straight lines
+    if (customPaths[index - 1] || customPaths[index]) {
+      const newCustomPaths = [...customPaths];
+      if (index > 0) newCustomPaths[index - 1] = null;
+      newCustomPaths[index] = null;
+      setCustomPaths(newCustomPaths);
+    }
+
+    // ...and the legs touching it get new alternatives
+    if (routeChoices[index - 1] || routeChoices[index]) {
+      const newRouteChoices = [...routeChoices];
+      if (index > 0) newRouteChoices[index - 1] = null;
+      newRouteChoices[index] = null;
+      setRouteChoices(newRouteChoices);
+    }
+
     // Notify parent (controlled component pattern)
     if (onLocationsChange) {
       const actionType = location ? 'ADD_LOCATION' : 'CLEAR_LOCATION';
       onLocationsChange(newLocations, actionType);
     }
+  }, [locations, customPaths, routeChoices, setLocations, setCustomPaths, setRouteChoices, onLocationsChange]);
+
+  /**
+   * Update a stop's caption, photo or dwell time
+   * Doesn't touch the route geometry, so no recalculation happens
+   */
+  const updateStopDetails = useCallback((index, details) => {
+    if (!locations[index]) return;
+
+    const updated = { ...locations[index], ...details };
+    Object.keys(details).forEach((key) => {
+      if (details[key] === null || details[key] === '' || details[key] === 0) {
+        delete updated[key];
+      }
+    });
+
+    const newLocations = [...locations];
+    newLocations[index] = updated;
+    setLocations(newLocations);
+
+    if (onLocationsChange) {
+      onLocationsChange(newLocations, 'UPDATE_STOP_DETAILS');
+    }
   }, [locations, setLocations, onLocationsChange]);
 
   /**
@@ -173,6 +325,11 @@ export const useRouteActions = ({
     let newModes = [...legModes];
     let newCustomDrawEnabled = [...customDrawEnabled];
     let newLockedSegments = [...lockedSegments];
+    let newCustomPaths = [...customPaths];
+    let newCustomPoints = [...customPoints];
+    let newSnapToRoads = [...snapToRoads];
+    let newRouteChoices = [...routeChoices];
+    let newLegOptions = [...legOptions];
 
     // Only remove leg modes if we have more than 2 locations
     // This preserves the mode selector when going from 2 locations to 1
@@ -182,11 +339,26 @@ export const useRouteActions = ({
         newModes.splice(0, 1);
         newCustomDrawEnabled.splice(0, 1);
         newLockedSegments.splice(0, 1);
+        newCustomPaths.splice(0, 1);
+        newCustomPoints.splice(0, 1);
+        newSnapToRoads.splice(0, 1);
+        newRouteChoices.splice(0, 1);
+        newLegOptions.splice(0, 1);
       } else if (index > 0 && index - 1 < legModes.length) {
         // Removing any other location - remove the leg mode before it
         newModes.splice(index - 1, 1);
         newCustomDrawEnabled.splice(index - 1, 1);
         newLockedSegments.splice(index - 1, 1);
+        newCustomPaths.splice(index - 1, 1);
+        newCustomPoints.splice(index - 1, 1);
+        newSnapToRoads.splice(index - 1, 1);
+        newRouteChoices.splice(index - 1, 1);
+        newLegOptions.splice(index - 1, 1);
+        // The merged leg now starts at a different location
+        if (newCustomPaths[index - 1]) {
+          newCustomPaths[index - 1] = null;
+        }
+        newRouteChoices[index - 1] = null;
       }
     }
 
@@ -194,6 +366,11 @@ export const useRouteActions = ({
     setLegModes(newModes);
     setCustomDrawEnabled(newCustomDrawEnabled);
     setLockedSegments(newLockedSegments);
+    setCustomPaths(newCustomPaths);
+    setCustomPoints(newCustomPoints);
+    setSnapToRoads(newSnapToRoads);
+    setRouteChoices(newRouteChoices);
+    setLegOptions(newLegOptions);
 
     // Notify parent (controlled component pattern)
     if (onLocationsChange) {
@@ -227,16 +404,103 @@ export const useRouteActions = ({
     legModes,
     customDrawEnabled,
     lockedSegments,
+    customPaths,
+    customPoints,
+    snapToRoads,
+    routeChoices,
+    legOptions,
     setLocations,
     setLegModes,
     setCustomDrawEnabled,
     setLockedSegments,
+    setCustomPaths,
+    setCustomPoints,
+    setSnapToRoads,
+    setRouteChoices,
+    setLegOptions,
     onLocationsChange,
     onLegModesChange,
     onDirectionsCalculated,
     buildSegments
   ]);
 
+  /**
+   * Put the stops in a new order
+   * Legs that survive the reorder keep their mode, drawing and lock
+   *
+   * @param {Array} order - Current stop index for each new position
+   */
+  const reorderLocations = useCallback((order) => {
+    if (order.length !== locations.length || order.every((from, to) => from === to)) {
+      return;
+    }
+
+    const newLocations = order.map(i => locations[i]);
+    const legs = reorderLegs(order, {
+      modes: legModes,
+      customDrawEnabled,
+      lockedSegments,
+      customPaths,
+      customPoints,
+      snapToRoads,
+      routeChoices,
+      legOptions
+    });
+
+    setLocations(newLocations);
+    setLegModes(legs.modes);
+    setCustomDrawEnabled(legs.customDrawEnabled);
+    setLockedSegments(legs.lockedSegments);
+    setCustomPaths(legs.customPaths);
+    setCustomPoints(legs.customPoints);
+    setSnapToRoads(legs.snapToRoads);
+    setRouteChoices(legs.routeChoices);
+    setLegOptions(legs.legOptions);
+
+    // Notify parent (controlled component pattern)
+    if (onLocationsChange) {
+      onLocationsChange(newLocations, 'REORDER_LOCATION');
+    }
+    if (onLegModesChange) {
+      onLegModesChange(legs.modes);
+    }
+  }, [
+    locations,
+    legModes,
+    customDrawEnabled,
+    lockedSegments,
+    customPaths,
+    customPoints,
+    snapToRoads,
+    routeChoices,
+    legOptions,
+    setLocations,
+    setLegModes,
+    setCustomDrawEnabled,
+    setLockedSegments,
+    setCustomPaths,
+    setCustomPoints,
+    setSnapToRoads,
+    setRouteChoices,
+    setLegOptions,
+    onLocationsChange,
+    onLegModesChange
+  ]);
+
+  /**
+   * Move a stop to a new position in the route
+   */
+  const moveLocation = useCallback((fromIndex, toIndex) => {
+    if (fromIndex === toIndex || !locations[fromIndex] ||
+        toIndex < 0 || toIndex >= locations.length) {
+      return;
+    }
+
+    const order = locations.map((_, i) => i);
+    order.splice(toIndex, 0, ...order.splice(fromIndex, 1));
+    reorderLocations(order);
+  }, [locations, reorderLocations]);
+
   /**
    * Reset all route state
    */
@@ -246,24 +510,29 @@ export const useRouteActions = ({
     setLegModes(['walk']);
     setCustomDrawEnabled([]);
     setLockedSegments([]);
+    setCustomPaths([]);
+    setCustomPoints([]);
+    setSnapToRoads([]);
+    setRouteChoices([]);
+    setLegOptions([]);
 
     // Notify parent (controlled component pattern)
     if (onLocationsChange) {
-      onLocationsChange([null, null], null); // Don't track this in history
+      onLocationsChange([null, null], 'RESET');
     }
     if (onLegModesChange) {
       onLegModesChange(['walk']);
     }
-
-    // Clear dragged segments
-    if (window.draggedSegments) {
-      window.draggedSegments = {};
-    }
   }, [
     setLocations,
     setLegModes,
     setCustomDrawEnabled,
     setLockedSegments,
+    setCustomPaths,
+    setCustomPoints,
+    setSnapToRoads,
+    setRouteChoices,
+    setLegOptions,
     onLocationsChange,
     onLegModesChange
   ]);
@@ -271,9 +540,13 @@ export const useRouteActions = ({
   return {
     addNextLegToSegments,
     updateSegmentMode,
+    updateLegOptions,
     toggleSegmentDrawMode,
     updateLocation,
+    updateStopDetails,
     removeLocation,
+    moveLocation,
+    reorderLocations,
     handleReset
   };
 };
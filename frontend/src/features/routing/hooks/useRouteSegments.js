@@ -10,11 +10,14 @@ import { useMemo, useCallback } from 'react';
  * @param {Array} legModes - Array of transportation modes for each segment
  * @param {Array} customDrawEnabled - Array of booleans for custom draw state
  * @param {Array} lockedSegments - Array of booleans for locked state
+ * @param {Array} customPaths - Array of imported or drawn leg geometries (null = straight line)
+ * @param {Array} routeChoices - Array of picked route alternative indexes (null = first route)
+ * @param {Array} legOptions - Array of routing options per leg (null = defaults)
  * @returns {Object} Route segment data and utilities
  */
-export const useRouteSegments = (locations, legModes, customDrawEnabled, lockedSegments) => {
+export const useRouteSegments = (locations, legModes, customDrawEnabled, lockedSegments, customPaths = [], routeChoices = [], legOptions = []) => {
   // Build route segments from state
-  // Draw mode is now simple: customDrawEnabled = straight line between two points
+  // Draw mode legs follow their customPath (drawn or imported), or a straight line
   const routeSegments = useMemo(() => {
     const segments = [];
     for (let i = 0; i < locations.length - 1; i++) {
@@ -27,14 +30,20 @@ export const useRouteSegments = (locations, legModes, customDrawEnabled, lockedS
         startLocation: locations[i],
         endLocation: locations[i + 1],
         mode: legModes[i] || 'walk',
-        // Draw mode = straight line if enabled AND both locations exist
+        // Draw mode only applies once both locations exist
         isCustom: customDrawEnabled[i] === true && locations[i] !== null && locations[i + 1] !== null,
-        isLocked: lockedSegments[i] === true
+        isLocked: lockedSegments[i] === true,
+        // Drawn and imported legs carry their full geometry
+        customPath: customDrawEnabled[i] === true ? (customPaths[i] || null) : null,
+        // Which Directions alternative routed legs follow
+        routeIndex: customDrawEnabled[i] === true ? 0 : (routeChoices[i] || 0),
+        // Avoids, transit time and vehicles for the Directions request
+        routeOptions: customDrawEnabled[i] === true ? null : (legOptions[i] || null)
       };
       segments.push(seg);
     }
     return segments;
-  }, [locations, legModes, customDrawEnabled, lockedSegments]);
+  }, [locations, legModes, customDrawEnabled, lockedSegments, customPaths, routeChoices, legOptions]);
 
   // DERIVED STATE: Compute UI-friendly data from routeSegments
   // These are the values the UI will use for rendering
@@ -72,8 +81,11 @@ export const useRouteSegments = (locations, legModes, customDrawEnabled, lockedS
         mode: seg.mode || 'walk',
         startIndex: i,
         endIndex: i + 1,
-        // Draw mode = straight line (no custom waypoints)
-        isCustom: seg.isCustom || false
+        // Draw mode = straight line unless the leg has imported geometry
+        isCustom: seg.isCustom || false,
+        customPath: seg.isCustom ? seg.customPath : null,
+        routeIndex: seg.routeIndex,
+        routeOptions: seg.routeOptions
       };
 
       return segment;
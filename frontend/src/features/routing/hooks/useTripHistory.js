@@ -0,0 +1,113 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const HISTORY_LIMIT = 100;
+// Stop caption/photo edits this close together (typing) are one undo step
+const DETAILS_COALESCE_MS = 1000;
+
+// Same stops in the same places (only caption/photo/dwell may differ)
+const hasSameStops = (a = [], b = []) => a.length === b.length && a.every((loc, i) => {
+  const other = b[i];
+  if (!loc || !other) return loc === other;
+  return loc.lat === other.lat && loc.lng === other.lng;
+});
+
+// Fields that differ between two trip snapshots
+const getChangedFields = (previous, next) =>
+  Object.keys(next).filter(key => previous[key] !== next[key]);
+
+/**
+ * useTripHistory - Undo/redo for trip edits
+ *
+ * Records the previous trip snapshot whenever the trip changes, so every
+ * edit (adding, removing or moving stops, mode changes, draw mode, locks,
+ * reset) becomes one undo step without each action having to opt in.
+ * Changes to `customPaths` alone are not recorded: they are worked out from
+ * the other fields (drawn vertices, snapping) and follow them on undo.
+ *
+ * @param {Object} trip - Current trip snapshot. Must be memoized, a new object means a change.
+ * @param {Function} applyTrip - Restores a snapshot into state
+ * @returns {Object} { undo, redo, canUndo, canRedo, skipNextChange, clearHistory }
+ */
+export const useTripHistory = (trip, applyTrip) => {
+  const pastRef = useRef([]);
+  const futureRef = useRef([]);
+  const currentRef = useRef(trip);
+  const skipNextRef = useRef(false);
+  const lastDetailsEditRef = useRef(0);
+  // Bumped to re-render when the stacks change (they live in refs)
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    const previous = currentRef.current;
+    currentRef.current = trip;
+    if (previous === trip) return;
+
+    if (skipNextRef.current) {
+      skipNextRef.current = false;
+      return;
+    }
+
+    const changed = getChangedFields(previous, trip);
+    if (changed.length === 0 || (changed.length === 1 && changed[0] === 'customPaths')) {
+      return;
+    }
+
+    // Keep typing in a caption as a single step
+    const isDetailsEdit = changed.length === 1 && changed[0] === 'locations' &&
+      hasSameStops(previous.locations, trip.locations);
+    const now = Date.now();
+    const coalesce = isDetailsEdit && now - lastDetailsEditRef.current < DETAILS_COALESCE_MS;
+    lastDetailsEditRef.current = isDetailsEdit ? now : 0;
+    if (coalesce) return;
+
+    pastRef.current = [...pastRef.current, previous].slice(-HISTORY_LIMIT);
+    futureRef.current = [];
+    setVersion(v => v + 1);
+  }, [trip]);
+
+  const undo = useCallback(() => {
+    if (pastRef.current.length === 0) return;
+
+    const snapshot = pastRef.current[pastRef.current.length - 1];
+    pastRef.current = pastRef.current.slice(0, -1);
+    futureRef.current = [...futureRef.current, currentRef.current];
+    lastDetailsEditRef.current = 0;
+    skipNextRef.current = true;
+    applyTrip(snapshot);
+    setVersion(v => v + 1);
+  }, [applyTrip]);
+
+  const redo = useCallback(() => {
+    if (futureRef.current.length === 0) return;
+
+    const snapshot = futureRef.current[futureRef.current.length - 1];
+    futureRef.current = futureRef.current.slice(0, -1);
+    pastRef.current = [...pastRef.current, currentRef.current];
+    lastDetailsEditRef.current = 0;
+    skipNextRef.current = true;
+    applyTrip(snapshot);
+    setVersion(v => v + 1);
+  }, [applyTrip]);
+
+  /**
+   * Don't record the next change (e.g. a trip pushed in from outside)
+   */
+  const skipNextChange = useCallback(() => {
+    skipNextRef.current = true;
+  }, []);
+
+  const clearHistory = useCallback(() => {
+    pastRef.current = [];
+    futureRef.current = [];
+    setVersion(v => v + 1);
+  }, []);
+
+  return {
+    undo,
+    redo,
+    canUndo: pastRef.current.length > 0,
+    canRedo: futureRef.current.length > 0,
+    skipNextChange,
+    clearHistory
+  };
+};
@@ -0,0 +1,82 @@
+import React, { useMemo } from 'react';
+import { TRANSPORTATION_MODES } from '../../../constants/transportationModes';
+import { getSavedRouteLegPaths } from '../../../utils/savedRoutesUtils';
+import './RouteThumbnail.css';
+
+const WIDTH = 96;
+const HEIGHT = 72;
+const PADDING = 8;
+// Drawn and imported legs are thinned to about this many points
+const MAX_LEG_POINTS = 100;
+
+const thinPath = (path) => {
+  if (path.length <= MAX_LEG_POINTS) return path;
+  const step = Math.ceil(path.length / MAX_LEG_POINTS);
+  return path.filter((point, i) => i % step === 0 || i === path.length - 1);
+};
+
+// Legs as SVG polylines and stops as dots, fitted into the thumbnail
+const drawRoute = (route) => {
+  const legs = getSavedRouteLegPaths(route).map(leg => ({ ...leg, path: thinPath(leg.path) }));
+  const points = [...route.locations, ...legs.flatMap(leg => leg.path)];
+  if (points.length === 0) return null;
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const midLng = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+
+  // Equirectangular - close enough at the scale of a trip
+  const lngScale = Math.cos(midLat * Math.PI / 180);
+  const spanX = (Math.max(...lngs) - Math.min(...lngs)) * lngScale;
+  const spanY = Math.max(...lats) - Math.min(...lats);
+  const scale = Math.min(
+    spanX > 0 ? (WIDTH - 2 * PADDING) / spanX : Infinity,
+    spanY > 0 ? (HEIGHT - 2 * PADDING) / spanY : Infinity
+  );
+  // A single spot (or stops on top of each other) sits in the middle
+  const fit = Number.isFinite(scale) ? scale : 0;
+
+  const project = ({ lat, lng }) => [
+    WIDTH / 2 + (lng - midLng) * lngScale * fit,
+    HEIGHT / 2 - (lat - midLat) * fit
+  ];
+
+  return {
+    legs: legs.map(leg => ({
+      color: (TRANSPORTATION_MODES[leg.mode] || TRANSPORTATION_MODES.walk).color,
+      points: leg.path.map(point => project(point).map(n => n.toFixed(1)).join(',')).join(' ')
+    })),
+    stops: route.locations.map(project)
+  };
+};
+
+/**
+ * RouteThumbnail - Static drawing of a saved route for the Saved Routes list
+ * Legs in their mode colors (routed legs as straight lines, since
+ * Directions results aren't saved) with a dot per stop. No map tiles.
+ */
+function RouteThumbnail({ route }) {
+  const drawing = useMemo(() => drawRoute(route), [route]);
+
+  if (!drawing) return null;
+
+  return (
+    <svg
+      className="route-thumbnail"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      width={WIDTH}
+      height={HEIGHT}
+      aria-hidden="true"
+    >
+      {drawing.legs.map((leg, index) => (
+        <polyline key={index} points={leg.points} stroke={leg.color} className="route-thumbnail-leg" />
+      ))}
+      {drawing.stops.map(([x, y], index) => (
+        <circle key={index} cx={x} cy={y} r="3" className="route-thumbnail-stop" />
+      ))}
+    </svg>
+  );
+}
+
+export default React.memo(RouteThumbnail);
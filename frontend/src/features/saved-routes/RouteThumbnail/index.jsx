@@ -0,0 +1 @@
+export { default as RouteThumbnail } from './RouteThumbnail';
@@ -4,6 +4,8 @@ import './SaveRouteModal.css';
 function SaveRouteModal({ isOpen, onClose, onSave, defaultName }) {
   const [routeName, setRouteName] = useState(defaultName || '');
   const [description, setDescription] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
 
   // Prevent body scroll when modal is open and reset state when opening
   useEffect(() => {
@@ -14,6 +16,7 @@ function SaveRouteModal({ isOpen, onClose, onSave, defaultName }) {
       // Reset form when opening with default name
       setRouteName(defaultName || '');
       setDescription('');
+      setSaveError(null);
     } else {
       document.body.style.overflow = '';
       document.body.style.position = '';
@@ -27,14 +30,25 @@ function SaveRouteModal({ isOpen, onClose, onSave, defaultName }) {
     };
   }, [isOpen, defaultName]);
 
-  const handleSave = () => {
-    if (routeName.trim()) {
-      onSave({
-        name: routeName.trim(),
-        description: description.trim()
-      });
-      // Close will trigger the useEffect to reset state
-      onClose();
+  const handleSave = async () => {
+    if (routeName.trim() && !isSaving) {
+      setIsSaving(true);
+      setSaveError(null);
+      try {
+        // Signed-in saves go to the backend, so this can fail
+        await onSave({
+          name: routeName.trim(),
+          description: description.trim()
+        });
+        // Close will trigger the useEffect to reset state
+        onClose();
+      } catch (error) {
+        setSaveError(error.status === 403
+          ? "You've reached your saved route limit. Delete a saved route to make room."
+          : "Couldn't save the route. Please try again.");
+      } finally {
+        setIsSaving(false);
+      }
     }
   };
   
@@ -106,6 +120,10 @@ function SaveRouteModal({ isOpen, onClose, onSave, defaultName }) {
               rows="3"
             />
           </div>
+
+          {saveError && (
+            <div className="save-route-error">{saveError}</div>
+          )}
         </div>
 
         <div className="save-route-footer">
@@ -115,9 +133,9 @@ function SaveRouteModal({ isOpen, onClose, onSave, defaultName }) {
           <button 
             className="save-button" 
             onClick={handleSave}
-            disabled={!routeName.trim()}
+            disabled={!routeName.trim() || isSaving}
           >
-            Save Route
+            {isSaving ? 'Saving...' : 'Save Route'}
           </button>
         </div>
       </div>
@@ -1,24 +1,73 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
-  getSavedRoutes,
-  deleteRoute,
-  updateRouteName
+  fetchSavedRoutes,
+  deleteSavedRoute,
+  deleteSavedRoutes,
+  updateSavedRoute,
+  duplicateSavedRoute,
+  normalizeTags,
+  getRouteDistance,
+  searchSavedRoutes,
+  sortSavedRoutes,
+  getRouteFolders,
+  getRouteTags,
+  SAVED_ROUTE_SORTS
 } from '../../../utils/savedRoutesUtils';
+import { formatDistance } from '../../../services/routing/directionsResult';
+import { RouteThumbnail } from '../RouteThumbnail';
 import './SavedRoutesModal.css';
 
+// Folder filter values that can't clash with folder names
+const ALL_FOLDERS = '__all__';
+const UNFILED = '__unfiled__';
+
 function SavedRoutesModal({ isOpen, onClose, onLoadRoute }) {
   const [savedRoutes, setSavedRoutes] = useState([]);
   const [editingId, setEditingId] = useState(null);
   const [editingName, setEditingName] = useState('');
+  const [editingFolder, setEditingFolder] = useState('');
+  const [editingTags, setEditingTags] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [folderFilter, setFolderFilter] = useState(ALL_FOLDERS);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [sortBy, setSortBy] = useState('newest');
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [routeLimit, setRouteLimit] = useState(null);
+
+  // Signed in, routes come from the account (and may fail to load)
+  const refreshRoutes = useCallback(async () => {
+    try {
+      const { routes, limit } = await fetchSavedRoutes();
+      setSavedRoutes(routes);
+      setRouteLimit(limit);
+      setErrorMessage(null);
+    } catch (error) {
+      setErrorMessage("Couldn't load your saved routes. Please try again.");
+    }
+  }, []);
+
+  const resetView = () => {
+    setEditingId(null);
+    setEditingName('');
+    setSearchTerm('');
+    setFolderFilter(ALL_FOLDERS);
+    setTagFilter(null);
+    setIsSelecting(false);
+    setSelectedIds([]);
+    setConfirmingDelete(false);
+  };
 
   useEffect(() => {
     if (isOpen) {
-      setSavedRoutes(getSavedRoutes());
+      setIsLoading(true);
+      setErrorMessage(null);
+      refreshRoutes().finally(() => setIsLoading(false));
       // Reset state when opening
-      setEditingId(null);
-      setEditingName('');
-      setSearchTerm('');
+      resetView();
       // Prevent body scroll when modal is open
       document.body.style.overflow = 'hidden';
       document.body.style.position = 'fixed';
@@ -34,32 +83,125 @@ function SavedRoutesModal({ isOpen, onClose, onLoadRoute }) {
       document.body.style.position = '';
       document.body.style.width = '';
     };
-  }, [isOpen]);
+  }, [isOpen, refreshRoutes]);
+
+  const folders = useMemo(() => getRouteFolders(savedRoutes), [savedRoutes]);
+  const tags = useMemo(() => getRouteTags(savedRoutes), [savedRoutes]);
+  const distances = useMemo(
+    () => new Map(savedRoutes.map(route => [route.id, getRouteDistance(route)])),
+    [savedRoutes]
+  );
+
+  const filteredRoutes = useMemo(() => {
+    const matches = searchSavedRoutes(savedRoutes, searchTerm).filter(route =>
+      (folderFilter === ALL_FOLDERS || (route.folder || UNFILED) === folderFilter) &&
+      (!tagFilter || (route.tags || []).includes(tagFilter))
+    );
+    return sortSavedRoutes(matches, sortBy);
+  }, [savedRoutes, searchTerm, folderFilter, tagFilter, sortBy]);
+
+  // A filter that no route uses any more (e.g. its last route was deleted)
+  useEffect(() => {
+    if (folderFilter !== ALL_FOLDERS && folderFilter !== UNFILED && !folders.includes(folderFilter)) {
+      setFolderFilter(ALL_FOLDERS);
+    }
+    if (tagFilter && !tags.includes(tagFilter)) {
+      setTagFilter(null);
+    }
+  }, [folders, tags, folderFilter, tagFilter]);
 
-  const handleDelete = (routeId) => {
-    deleteRoute(routeId);
-    setSavedRoutes(getSavedRoutes());
+  const handleDelete = async (route) => {
+    try {
+      await deleteSavedRoute(route);
+      await refreshRoutes();
+    } catch (error) {
+      setErrorMessage("Couldn't delete the route. Please try again.");
+    }
   };
 
-  const handleRename = (routeId, currentName) => {
-    setEditingId(routeId);
-    setEditingName(currentName);
+  const handleDuplicate = async (route) => {
+    try {
+      await duplicateSavedRoute(route);
+      await refreshRoutes();
+    } catch (error) {
+      setErrorMessage(error.status === 403
+        ? "You've reached your saved route limit. Delete a saved route to make room."
+        : "Couldn't duplicate the route. Please try again.");
+    }
   };
 
-  const handleSaveRename = () => {
-    if (editingId && editingName.trim()) {
-      updateRouteName(editingId, editingName.trim());
-      setSavedRoutes(getSavedRoutes());
-      setEditingId(null);
-      setEditingName('');
+  const handleEdit = (route) => {
+    setEditingId(route.id);
+    setEditingName(route.name);
+    setEditingFolder(route.folder || '');
+    setEditingTags((route.tags || []).join(', '));
+  };
+
+  const handleSaveEdit = async () => {
+    const route = savedRoutes.find(savedRoute => savedRoute.id === editingId);
+    if (route && editingName.trim()) {
+      try {
+        await updateSavedRoute(route, {
+          name: editingName.trim(),
+          folder: editingFolder.trim() || null,
+          tags: normalizeTags(editingTags)
+        });
+        await refreshRoutes();
+        setEditingId(null);
+        setEditingName('');
+      } catch (error) {
+        setErrorMessage("Couldn't update the route. Please try again.");
+      }
     }
   };
 
-  const handleCancelRename = () => {
+  const handleCancelEdit = () => {
     setEditingId(null);
     setEditingName('');
   };
 
+  const handleEditKeyPress = (e) => {
+    if (e.key === 'Enter') handleSaveEdit();
+  };
+
+  const toggleSelecting = () => {
+    setIsSelecting(!isSelecting);
+    setSelectedIds([]);
+    setConfirmingDelete(false);
+  };
+
+  const toggleSelected = (routeId) => {
+    setSelectedIds(selectedIds.includes(routeId)
+      ? selectedIds.filter(id => id !== routeId)
+      : [...selectedIds, routeId]);
+    setConfirmingDelete(false);
+  };
+
+  const allVisibleSelected = filteredRoutes.length > 0 &&
+    filteredRoutes.every(route => selectedIds.includes(route.id));
+
+  const handleSelectAll = () => {
+    setSelectedIds(allVisibleSelected ? [] : filteredRoutes.map(route => route.id));
+    setConfirmingDelete(false);
+  };
+
+  // Two clicks: "Delete selected", then confirm
+  const handleDeleteSelected = async () => {
+    if (!confirmingDelete) {
+      setConfirmingDelete(true);
+      return;
+    }
+    setConfirmingDelete(false);
+    try {
+      await deleteSavedRoutes(savedRoutes.filter(route => selectedIds.includes(route.id)));
+      setSelectedIds([]);
+      setIsSelecting(false);
+      await refreshRoutes();
+    } catch (error) {
+      setErrorMessage("Couldn't delete the selected routes. Please try again.");
+    }
+  };
+
   const handleLoad = (route) => {
     onLoadRoute(route);
     onClose();
@@ -67,17 +209,11 @@ function SavedRoutesModal({ isOpen, onClose, onLoadRoute }) {
   
   const handleClose = () => {
     // Reset any editing state when closing
-    setEditingId(null);
-    setEditingName('');
-    setSearchTerm('');
+    resetView();
     onClose();
   };
 
-
-  const filteredRoutes = savedRoutes.filter(route =>
-    route.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    (route.description && route.description.toLowerCase().includes(searchTerm.toLowerCase()))
-  );
+  const localOnlyCount = savedRoutes.filter(route => route.localOnly).length;
 
   const formatLocationName = (location) => {
     if (location.name) return location.name;
@@ -127,45 +263,169 @@ function SavedRoutesModal({ isOpen, onClose, onLoadRoute }) {
         <div className="saved-routes-controls">
           <input
             type="text"
-            placeholder="Search saved routes..."
+            placeholder="Search names, descriptions, stops and tags..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="search-input"
             style={{ width: '100%' }}
           />
+
+          <div className="saved-routes-filters">
+            <select value={folderFilter} onChange={(e) => setFolderFilter(e.target.value)} title="Folder">
+              <option value={ALL_FOLDERS}>All folders</option>
+              <option value={UNFILED}>Unfiled</option>
+              {folders.map(folder => (
+                <option key={folder} value={folder}>{folder}</option>
+              ))}
+            </select>
+            <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} title="Sort by">
+              {SAVED_ROUTE_SORTS.map(sort => (
+                <option key={sort.id} value={sort.id}>{sort.label}</option>
+              ))}
+            </select>
+            <button
+              className={`select-toggle ${isSelecting ? 'active' : ''}`}
+              onClick={toggleSelecting}
+              disabled={savedRoutes.length === 0}
+            >
+              {isSelecting ? 'Done' : 'Select'}
+            </button>
+          </div>
+
+          {tags.length > 0 && (
+            <div className="saved-routes-tag-filters">
+              {tags.map(tag => (
+                <button
+                  key={tag}
+                  className={`route-tag ${tagFilter === tag ? 'active' : ''}`}
+                  onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {isSelecting && (
+            <div className="saved-routes-selection">
+              <span>{selectedIds.length} selected</span>
+              <button onClick={handleSelectAll} disabled={filteredRoutes.length === 0}>
+                {allVisibleSelected ? 'Clear' : 'Select all'}
+              </button>
+              <button
+                className="delete-button"
+                onClick={handleDeleteSelected}
+                disabled={selectedIds.length === 0}
+              >
+                {confirmingDelete
+                  ? `Delete ${selectedIds.length} route${selectedIds.length !== 1 ? 's' : ''}?`
+                  : 'Delete selected'}
+              </button>
+            </div>
+          )}
         </div>
 
+        {errorMessage && (
+          <div className="saved-routes-notice saved-routes-error">{errorMessage}</div>
+        )}
+
+        {/* Routes from this device the account had no room for */}
+        {localOnlyCount > 0 && (
+          <div className="saved-routes-notice">
+            {localOnlyCount} route{localOnlyCount !== 1 ? 's' : ''} on this device
+            {localOnlyCount !== 1 ? " weren't" : " wasn't"} added to your account
+            {routeLimit ? ` (${routeLimit} saved routes max)` : ''}. Delete some routes to make room.
+          </div>
+        )}
+
+        <datalist id="saved-route-folders">
+          {folders.map(folder => (
+            <option key={folder} value={folder} />
+          ))}
+        </datalist>
+
         <div className="saved-routes-list">
-          {filteredRoutes.length === 0 ? (
+          {isLoading ? (
+            <div className="no-routes">Loading saved routes...</div>
+          ) : filteredRoutes.length === 0 ? (
             <div className="no-routes">
-              {searchTerm ? 'No routes found matching your search.' : 'No saved routes yet.'}
+              {savedRoutes.length > 0 ? 'No routes found matching your search.' : 'No saved routes yet.'}
             </div>
           ) : (
             filteredRoutes.map(route => (
-              <div key={route.id} className="saved-route-item">
+              <div
+                key={route.id}
+                className={`saved-route-item ${selectedIds.includes(route.id) ? 'selected' : ''}`}
+              >
                 <div className="route-header">
+                  {isSelecting && (
+                    <input
+                      type="checkbox"
+                      className="route-select"
+                      checked={selectedIds.includes(route.id)}
+                      onChange={() => toggleSelected(route.id)}
+                    />
+                  )}
+                  <RouteThumbnail route={route} />
                   {editingId === route.id ? (
-                    <div className="edit-name">
+                    <div className="edit-route">
+                      <div className="edit-name">
+                        <input
+                          type="text"
+                          value={editingName}
+                          onChange={(e) => setEditingName(e.target.value)}
+                          onKeyPress={handleEditKeyPress}
+                          autoFocus
+                        />
+                        <button onClick={handleSaveEdit}>✓</button>
+                        <button onClick={handleCancelEdit}>✗</button>
+                      </div>
                       <input
                         type="text"
-                        value={editingName}
-                        onChange={(e) => setEditingName(e.target.value)}
-                        onKeyPress={(e) => e.key === 'Enter' && handleSaveRename()}
-                        autoFocus
+                        className="edit-detail"
+                        value={editingFolder}
+                        onChange={(e) => setEditingFolder(e.target.value)}
+                        onKeyPress={handleEditKeyPress}
+                        placeholder="Folder (optional)"
+                        list="saved-route-folders"
+                        maxLength={50}
+                      />
+                      <input
+                        type="text"
+                        className="edit-detail"
+                        value={editingTags}
+                        onChange={(e) => setEditingTags(e.target.value)}
+                        onKeyPress={handleEditKeyPress}
+                        placeholder="Tags, separated by commas"
                       />
-                      <button onClick={handleSaveRename}>✓</button>
-                      <button onClick={handleCancelRename}>✗</button>
                     </div>
                   ) : (
-                    <>
-                      <h3>{route.name}</h3>
+                    <div className="route-title">
+                      <h3>
+                        {route.name}
+                        {route.localOnly && (
+                          <span className="local-only-badge">This device only</span>
+                        )}
+                      </h3>
                       <div className="route-date">
                         {new Date(route.savedAt).toLocaleString()}
                       </div>
-                    </>
+                      {(route.folder || route.tags?.length > 0) && (
+                        <div className="route-labels">
+                          {route.folder && (
+                            <span className="route-folder">📁 {route.folder}</span>
+                          )}
+                          {(route.tags || []).map(tag => (
+                            <button key={tag} className="route-tag" onClick={() => setTagFilter(tag)}>
+                              #{tag}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
                   )}
                 </div>
-                
+
                 {route.description && (
                   <div className="route-description">{route.description}</div>
                 )}
@@ -173,6 +433,7 @@ function SavedRoutesModal({ isOpen, onClose, onLoadRoute }) {
                 <div className="route-locations">
                   <div className="location-count">
                     {route.locations.length} location{route.locations.length !== 1 ? 's' : ''}
+                    {route.locations.length > 1 && ` · ~${formatDistance(distances.get(route.id) || 0)}`}
                   </div>
                   <div className="location-preview">
                     {route.locations.slice(0, 2).map((loc, idx) => (
@@ -201,10 +462,13 @@ function SavedRoutesModal({ isOpen, onClose, onLoadRoute }) {
                   <button onClick={() => handleLoad(route)} className="load-button">
                     Load
                   </button>
-                  <button onClick={() => handleRename(route.id, route.name)} className="rename-button">
-                    Rename
+                  <button onClick={() => handleEdit(route)} className="rename-button">
+                    Edit
+                  </button>
+                  <button onClick={() => handleDuplicate(route)} className="duplicate-button">
+                    Duplicate
                   </button>
-                  <button onClick={() => handleDelete(route.id)} className="delete-button">
+                  <button onClick={() => handleDelete(route)} className="delete-button">
                     Delete
                   </button>
                 </div>
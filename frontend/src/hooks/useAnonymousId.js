@@ -14,6 +14,23 @@ const generateAnonymousId = () => {
   return `anon_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+/**
+ * Get or create anonymous user ID (outside React)
+ * Persists to localStorage
+ */
+export const getAnonymousId = () => {
+  // Check if ID already exists
+  let id = localStorage.getItem(STORAGE_KEY);
+
+  // If not, generate and save
+  if (!id) {
+    id = generateAnonymousId();
+    localStorage.setItem(STORAGE_KEY, id);
+  }
+
+  return id;
+};
+
 /**
  * Hook to get or create anonymous user ID
  * Persists to localStorage
@@ -22,16 +39,7 @@ export const useAnonymousId = () => {
   const [anonymousId, setAnonymousId] = useState(null);
 
   useEffect(() => {
-    // Check if ID already exists
-    let id = localStorage.getItem(STORAGE_KEY);
-
-    // If not, generate and save
-    if (!id) {
-      id = generateAnonymousId();
-      localStorage.setItem(STORAGE_KEY, id);
-    }
-
-    setAnonymousId(id);
+    setAnonymousId(getAnonymousId());
   }, []);
 
   return anonymousId;
@@ -36,7 +36,9 @@ const authFetch = async (url, options = {}) => {
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: 'Request failed' }));
-    throw new Error(error.error || `HTTP ${response.status}`);
+    const requestError = new Error(error.error || `HTTP ${response.status}`);
+    requestError.status = response.status;
+    throw requestError;
   }
 
   return response.json();
@@ -56,9 +58,10 @@ export const authAPI = {
       body: JSON.stringify({ email, password, fullName }),
     });
 
-    // Save token to localStorage
+    // Save token to localStorage and let the app know who signed in
     if (response.token) {
       localStorage.setItem('authToken', response.token);
+      window.dispatchEvent(new CustomEvent('authSignedIn'));
     }
 
     return response;
@@ -73,9 +76,10 @@ export const authAPI = {
       body: JSON.stringify({ email, password }),
     });
 
-    // Save token to localStorage
+    // Save token to localStorage and let the app know who signed in
     if (response.token) {
       localStorage.setItem('authToken', response.token);
+      window.dispatchEvent(new CustomEvent('authSignedIn'));
     }
 
     return response;
@@ -223,6 +227,102 @@ export const stripeAPI = {
   },
 };
 
+// ============================================
+// Share API
+// ============================================
+
+export const shareAPI = {
+  /**
+   * Store an encoded trip under a short link
+   * @param {string} trip - Encoded trip (see shareUtils)
+   * @param {string} anonymousId - Required if not authenticated
+   * @param {number} expiresInDays - Optional, 1-30 (default 30)
+   */
+  create: async (trip, anonymousId, expiresInDays) => {
+    const body = { trip, expiresInDays };
+
+    if (!authAPI.isAuthenticated() && anonymousId) {
+      body.anonymousId = anonymousId;
+    }
+
+    return authFetch(`${API_BASE}/share`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+  },
+
+  /**
+   * Get a shared trip by slug (counts as a view)
+   */
+  get: async (slug) => {
+    return authFetch(`${API_BASE}/share/${encodeURIComponent(slug)}`);
+  },
+};
+
+// ============================================
+// Saved Routes API
+// ============================================
+
+export const routesAPI = {
+  /**
+   * List the user's saved routes (requires auth)
+   */
+  list: async () => {
+    return authFetch(`${API_BASE}/routes`);
+  },
+
+  /**
+   * Save a route (kept for 30 days, up to the tier's limit)
+   */
+  create: async (route) => {
+    return authFetch(`${API_BASE}/routes`, {
+      method: 'POST',
+      body: JSON.stringify(route),
+    });
+  },
+
+  /**
+   * Update some of a route's fields
+   */
+  update: async (routeId, changes) => {
+    return authFetch(`${API_BASE}/routes/${encodeURIComponent(routeId)}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  /**
+   * Delete a route
+   */
+  remove: async (routeId) => {
+    return authFetch(`${API_BASE}/routes/${encodeURIComponent(routeId)}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Delete several routes at once
+   * @param {Array<string>} routeIds
+   */
+  bulkDelete: async (routeIds) => {
+    return authFetch(`${API_BASE}/routes/bulk-delete`, {
+      method: 'POST',
+      body: JSON.stringify({ ids: routeIds }),
+    });
+  },
+
+  /**
+   * Move routes over from localStorage (see savedRoutesUtils)
+   * @param {Array} routes - Routes as stored locally
+   */
+  import: async (routes) => {
+    return authFetch(`${API_BASE}/routes/import`, {
+      method: 'POST',
+      body: JSON.stringify({ routes }),
+    });
+  },
+};
+
 // ============================================
 // Health Check
 // ============================================
@@ -241,5 +341,7 @@ export default {
   auth: authAPI,
   usage: usageAPI,
   stripe: stripeAPI,
+  share: shareAPI,
+  routes: routesAPI,
   health: healthAPI,
 };
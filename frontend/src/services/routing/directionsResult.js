@@ -0,0 +1,102 @@
+/**
+ * Normalized routing results
+ *
+ * Every provider resolves to the same shape:
+ * {
+ *   provider: 'google' | 'osrm' | 'flight' | 'straight-line',
+ *   routes: [{ path: [{ lat, lng }], distance (m), duration (s) }],
+ *   directions: DirectionsResult-compatible object
+ * }
+ *
+ * `directions` is what the map draws, caches, validates and animates, so
+ * providers other than Google build one from their routes here.
+ */
+
+// { lat, lng } literal from a LatLng or literal
+export const toPoint = (point) => ({
+  lat: typeof point.lat === 'function' ? point.lat() : point.lat,
+  lng: typeof point.lng === 'function' ? point.lng() : point.lng
+});
+
+// Directions-style distance and duration text
+export const formatDistance = (meters) => (meters < 1000
+  ? `${Math.round(meters)} m`
+  : `${(meters / 1000).toFixed(1)} km`);
+
+export const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} mins`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} mins` : `${hours} h`;
+};
+
+/**
+ * Normalize a Google DirectionsResult
+ *
+ * @param {Object} result - google.maps.DirectionsResult
+ * @returns {Array} Normalized routes
+ */
+export const normalizeDirectionsRoutes = (result) => (result?.routes || []).map(route => ({
+  path: (route.overview_path || []).map(toPoint),
+  distance: route.legs.reduce((total, leg) => total + (leg.distance?.value || 0), 0),
+  duration: route.legs.reduce((total, leg) => total + (leg.duration?.value || 0), 0)
+}));
+
+/**
+ * Build a DirectionsResult-compatible object from normalized routes
+ * Works with DirectionsRenderer, like createStraightLineRoute.
+ *
+ * @param {Array} routes - Normalized routes
+ * @param {Object} options
+ * @param {Object} options.origin - Requested origin
+ * @param {Object} options.destination - Requested destination
+ * @param {string} options.travelMode - travel_mode of the steps ('DRIVING', 'WALKING', ...)
+ * @param {Array} options.warnings - Route warnings
+ * @returns {Object}
+ */
+export const buildDirectionsResult = (routes, { origin, destination, travelMode, warnings = [] }) => ({
+  routes: routes.map(route => {
+    const path = route.path.map(point => new window.google.maps.LatLng(point.lat, point.lng));
+    const start = path[0];
+    const end = path[path.length - 1];
+    const distance = { text: formatDistance(route.distance), value: route.distance };
+    const duration = { text: formatDuration(route.duration), value: route.duration };
+
+    const bounds = new window.google.maps.LatLngBounds();
+    path.forEach(point => bounds.extend(point));
+
+    return {
+      bounds,
+      overview_path: path,
+      overview_polyline: '',
+      legs: [{
+        start_location: start,
+        end_location: end,
+        start_address: '',
+        end_address: '',
+        steps: [{
+          distance,
+          duration,
+          start_location: start,
+          end_location: end,
+          travel_mode: travelMode,
+          path,
+          lat_lngs: path,
+          instructions: ''
+        }],
+        distance,
+        duration,
+        via_waypoints: []
+      }],
+      warnings,
+      waypoint_order: [],
+      copyrights: ''
+    };
+  }),
+  request: {
+    origin,
+    destination,
+    travelMode
+  }
+});
@@ -0,0 +1,41 @@
+/**
+ * Flight routing provider
+ * Great-circle arcs flown at a steady 800 km/h - no network requests.
+ */
+
+import { generateFlightArc, calculateDistance } from '../../features/map/GoogleMap/utils/segmentUtils';
+import { buildDirectionsResult, toPoint } from './directionsResult';
+
+// Assumed cruising speed in m/s (800 km/h)
+const FLIGHT_SPEED = 800 / 3.6;
+
+export const flightProvider = {
+  name: 'flight',
+
+  /**
+   * Route a flight leg
+   * The drawn arc bows sideways; distance is the great-circle distance.
+   *
+   * @param {Object} origin - { lat, lng } or google.maps.LatLng
+   * @param {Object} destination - { lat, lng } or google.maps.LatLng
+   * @returns {Promise<Object>} Normalized result (see directionsResult)
+   */
+  route: async (origin, destination) => {
+    const distance = calculateDistance(origin, destination);
+    const routes = [{
+      path: generateFlightArc(origin, destination).map(toPoint),
+      distance,
+      duration: Math.round(distance / FLIGHT_SPEED)
+    }];
+
+    return {
+      provider: 'flight',
+      routes,
+      directions: buildDirectionsResult(routes, {
+        origin,
+        destination,
+        travelMode: 'FLIGHT'
+      })
+    };
+  }
+};
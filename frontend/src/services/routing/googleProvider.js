@@ -0,0 +1,93 @@
+/**
+ * Google Directions routing provider (the default)
+ */
+
+import { applyRouteOptions } from '../../features/map/GoogleMap/utils/routeOptions';
+import { normalizeDirectionsRoutes } from './directionsResult';
+
+// Leg mode -> Directions travel mode. Ferry has no mode of its own: generic
+// TRANSIT, checked for ferry steps by the caller.
+const TRAVEL_MODES = {
+  walk: 'WALKING',
+  bike: 'BICYCLING',
+  car: 'DRIVING',
+  bus: 'TRANSIT',
+  transit: 'TRANSIT',
+  train: 'TRANSIT',
+  ferry: 'TRANSIT'
+};
+
+let directionsService = null;
+
+const getDirectionsService = () => {
+  if (!directionsService) {
+    directionsService = new window.google.maps.DirectionsService();
+  }
+  return directionsService;
+};
+
+/**
+ * Build the Directions request for a leg
+ */
+const buildRequest = (origin, destination, mode, { alternatives = false, routeOptions = null } = {}) => {
+  const { TravelMode, TransitMode } = window.google.maps;
+  const request = {
+    origin,
+    destination,
+    travelMode: TravelMode[TRAVEL_MODES[mode] || 'WALKING']
+  };
+
+  if (alternatives) {
+    request.provideRouteAlternatives = true;
+  }
+
+  applyRouteOptions(request, mode, routeOptions);
+
+  // Bus legs ride buses only
+  if (mode === 'bus') {
+    request.transitOptions = {
+      modes: [TransitMode.BUS],
+      routingPreference: 'FEWER_TRANSFERS'
+    };
+  }
+
+  // Train legs are STRICTLY rail-based (no ferries, no buses)
+  if (mode === 'train') {
+    request.transitOptions = {
+      modes: [TransitMode.RAIL, TransitMode.SUBWAY, TransitMode.TRAIN, TransitMode.TRAM],
+      routingPreference: 'FEWER_TRANSFERS'
+    };
+  }
+
+  return request;
+};
+
+export const googleProvider = {
+  name: 'google',
+
+  /**
+   * Route one leg with google.maps.DirectionsService
+   * Rejects with the Directions status when there's no route.
+   *
+   * @param {Object} origin - { lat, lng } or google.maps.LatLng
+   * @param {Object} destination - { lat, lng } or google.maps.LatLng
+   * @param {string} mode - Leg mode to route as
+   * @param {Object} options - { alternatives, routeOptions }
+   * @returns {Promise<Object>} Normalized result (see directionsResult)
+   */
+  route: (origin, destination, mode, options) => new Promise((resolve, reject) => {
+    const request = buildRequest(origin, destination, mode, options);
+
+    getDirectionsService().route(request, (result, status) => {
+      if (status === window.google.maps.DirectionsStatus.OK) {
+        resolve({
+          provider: 'google',
+          routes: normalizeDirectionsRoutes(result),
+          directions: result
+        });
+      } else {
+        reject(status);
+      }
+    });
+  })
+};
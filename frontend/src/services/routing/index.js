@@ -0,0 +1,52 @@
+/**
+ * Routing providers
+ *
+ * Every provider has a `name` and
+ * `route(origin, destination, mode, options)`, resolving to a normalized
+ * result (see directionsResult) or rejecting with a Directions-style status
+ * ('ZERO_RESULTS', 'NOT_SUPPORTED', ...).
+ *
+ * Road and transit legs go to the configured provider:
+ *   VITE_ROUTING_PROVIDER=google (default) | osrm
+ *   VITE_OSRM_URL=http://localhost:5000
+ * Flights and straight lines have providers of their own.
+ */
+
+import { googleProvider } from './googleProvider';
+import { createOsrmProvider } from './osrmProvider';
+import { flightProvider } from './flightProvider';
+import { straightLineProvider } from './straightLineProvider';
+
+const providers = {
+  google: googleProvider,
+  osrm: createOsrmProvider({
+    baseUrl: import.meta.env.VITE_OSRM_URL,
+    profiles: {
+      walk: import.meta.env.VITE_OSRM_PROFILE_WALK,
+      bike: import.meta.env.VITE_OSRM_PROFILE_BIKE,
+      car: import.meta.env.VITE_OSRM_PROFILE_CAR
+    }
+  })
+};
+
+const configuredName = import.meta.env.VITE_ROUTING_PROVIDER || 'google';
+
+/**
+ * The provider that routes road and transit legs
+ * Unknown names fall back to Google.
+ */
+export const routingProvider = providers[configuredName] || googleProvider;
+
+/**
+ * Cache key suffix for routes from the configured provider
+ * Google routes keep the plain key (so existing cache entries still hit);
+ * other providers' routes are kept apart from them.
+ *
+ * @param {string} optionsKey - Route options key ('' for defaults)
+ * @returns {string}
+ */
+export const getRoutingCacheKey = (optionsKey = '') => (routingProvider.name === 'google'
+  ? optionsKey
+  : [routingProvider.name, optionsKey].filter(Boolean).join('|'));
+
+export { googleProvider, createOsrmProvider, flightProvider, straightLineProvider };
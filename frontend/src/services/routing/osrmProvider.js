@@ -0,0 +1,83 @@
+/**
+ * OSRM HTTP API routing provider
+ *
+ * Speaks the OSRM `route` service, so it works against osrm-routed or any
+ * server with an OSRM-compatible endpoint (e.g. a local container in
+ * development and CI). Only walking, cycling and driving are supported;
+ * other modes reject with NOT_SUPPORTED and fall back like any leg without
+ * a route.
+ */
+
+import { buildDirectionsResult, toPoint } from './directionsResult';
+
+// Leg mode -> OSRM profile and the travel_mode its steps get
+const OSRM_PROFILES = {
+  walk: { profile: 'foot', travelMode: 'WALKING' },
+  bike: { profile: 'bike', travelMode: 'BICYCLING' },
+  car: { profile: 'driving', travelMode: 'DRIVING' }
+};
+
+/**
+ * Create an OSRM provider
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - Server URL, e.g. http://localhost:5000
+ * @param {Object} config.profiles - Overrides of the profile name per mode
+ * @returns {Object} Provider with name and route()
+ */
+export const createOsrmProvider = ({ baseUrl, profiles = {} }) => ({
+  name: 'osrm',
+
+  /**
+   * Route one leg with the OSRM route service
+   * Rejects with a Directions-style status when there's no route.
+   *
+   * @param {Object} origin - { lat, lng } or google.maps.LatLng
+   * @param {Object} destination - { lat, lng } or google.maps.LatLng
+   * @param {string} mode - Leg mode to route as
+   * @param {Object} options - { alternatives }
+   * @returns {Promise<Object>} Normalized result (see directionsResult)
+   */
+  route: async (origin, destination, mode, { alternatives = false } = {}) => {
+    const modeConfig = OSRM_PROFILES[mode];
+    if (!modeConfig || !baseUrl) {
+      throw 'NOT_SUPPORTED';
+    }
+
+    const from = toPoint(origin);
+    const to = toPoint(destination);
+    const profile = profiles[mode] || modeConfig.profile;
+    const url = `${baseUrl.replace(/\/$/, '')}/route/v1/${profile}/` +
+      `${from.lng},${from.lat};${to.lng},${to.lat}` +
+      `?overview=full&geometries=geojson&alternatives=${alternatives}`;
+
+    let data;
+    try {
+      const response = await fetch(url);
+      data = await response.json();
+    } catch (error) {
+      throw 'UNKNOWN_ERROR';
+    }
+
+    if (data.code !== 'Ok' || !data.routes?.length) {
+      throw data.code === 'NoRoute' || data.code === 'NoSegment' ? 'ZERO_RESULTS' : (data.code || 'UNKNOWN_ERROR');
+    }
+
+    // GeoJSON coordinates are [lng, lat]
+    const routes = data.routes.map(route => ({
+      path: route.geometry.coordinates.map(([lng, lat]) => ({ lat, lng })),
+      distance: route.distance,
+      duration: route.duration
+    }));
+
+    return {
+      provider: 'osrm',
+      routes,
+      directions: buildDirectionsResult(routes, {
+        origin,
+        destination,
+        travelMode: modeConfig.travelMode
+      })
+    };
+  }
+});
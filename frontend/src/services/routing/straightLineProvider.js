@@ -0,0 +1,29 @@
+/**
+ * Straight-line routing provider
+ * The last resort for legs without a route in any mode.
+ */
+
+import { createStraightLineRoute } from '../../features/map/GoogleMap/utils/segmentUtils';
+import { normalizeDirectionsRoutes } from './directionsResult';
+
+export const straightLineProvider = {
+  name: 'straight-line',
+
+  /**
+   * Direct path between two stops
+   * The result carries the straight-line warning, so isStraightLineRoute
+   * recognizes it (also when it comes back from the cache).
+   *
+   * @param {google.maps.LatLng} origin
+   * @param {google.maps.LatLng} destination
+   * @returns {Promise<Object>} Normalized result (see directionsResult)
+   */
+  route: async (origin, destination) => {
+    const directions = createStraightLineRoute(origin, destination);
+    return {
+      provider: 'straight-line',
+      routes: normalizeDirectionsRoutes(directions),
+      directions
+    };
+  }
+};
@@ -0,0 +1,39 @@
+import React, { createContext, useContext, useState, useSyncExternalStore } from 'react';
+import { createTripStore } from './tripStore';
+
+const TripStoreContext = createContext(null);
+
+/**
+ * TripStoreProvider - Gives a map and its panels their own trip store
+ * Pass `store` to share one created elsewhere (e.g. in tests)
+ */
+export const TripStoreProvider = ({ store, children }) => {
+  const [ownStore] = useState(() => store || createTripStore());
+  return (
+    <TripStoreContext.Provider value={store || ownStore}>
+      {children}
+    </TripStoreContext.Provider>
+  );
+};
+
+/**
+ * The trip store itself, for reading and writing outside of render
+ */
+export const useTripStoreApi = () => {
+  const store = useContext(TripStoreContext);
+  if (!store) {
+    throw new Error('useTripStore must be used inside a TripStoreProvider');
+  }
+  return store;
+};
+
+/**
+ * Subscribe to part of the trip state
+ *
+ * @param {Function} selector - Picks the value to watch, e.g. state => state.legs
+ * @returns {*} The selected value, re-rendering when it changes
+ */
+export const useTripStore = (selector = (state) => state) => {
+  const store = useTripStoreApi();
+  return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+};
@@ -0,0 +1,2 @@
+export { createTripStore, measureLegs } from './tripStore';
+export { TripStoreProvider, useTripStore, useTripStoreApi } from './TripStoreContext';
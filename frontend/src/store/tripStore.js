@@ -0,0 +1,179 @@
+import { calculateDistance, getSegmentRoute } from '../features/map/GoogleMap/utils/segmentUtils';
+
+/**
+ * Trip store - the current trip's route, shared by everything that shows or animates it
+ *
+ * Holds the segments the map has computed for the trip and per-leg distances
+ * and durations derived from them. The planned stops and modes stay with the
+ * directions panel (AppContent); the map turns them into segments.
+ * One store per map (see TripStoreProvider), so several maps can live on one
+ * page and the store can be created on its own in tests.
+ *
+ * Segments are the objects RouteSegmentManager builds:
+ * - routed legs: { index, mode, route, distance, duration, routeRenderer }
+ * - flights: { mode: 'flight', route (great-circle path), polylines, distance, duration }
+ * - drawn/imported legs: { isCustom: true, customPath }
+ *
+ * It also keeps this map's handles that live outside the trip state (they
+ * don't notify listeners): the map's cleanup for undo/redo, the animated
+ * polyline currently on the map and stray polylines and markers the cleanup
+ * removes.
+ */
+
+const EMPTY_TOTALS = { distance: 0, duration: null };
+
+const createInitialState = () => ({
+  segments: [],
+  legs: [],
+  totals: EMPTY_TOTALS,
+  version: 0
+});
+
+// Length of a drawn or imported path in meters
+const measureCustomPath = (path) => {
+  let meters = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    meters += calculateDistance(path[i], path[i + 1]);
+  }
+  return meters;
+};
+
+/**
+ * Distance (meters) and duration (seconds, null when unknown) of each leg
+ *
+ * @param {Array} segments - Computed segments
+ * @returns {Array} [{ index, mode, distance, duration, isCustom, provenance }]
+ */
+export const measureLegs = (segments) => segments
+  .map((segment, position) => {
+    if (!segment || !segment.mode) return null;
+
+    let distance = 0;
+    if (segment.distance?.value) {
+      distance = segment.distance.value;
+    } else if (segment.isCustom && segment.customPath?.length >= 2) {
+      // Custom segment - sum the straight line, drawn or imported track
+      distance = measureCustomPath(segment.customPath);
+    } else if (getSegmentRoute(segment)?.legs?.[0]?.distance?.value) {
+      distance = getSegmentRoute(segment).legs[0].distance.value;
+    }
+
+    const duration = segment.duration?.value ?? getSegmentRoute(segment)?.legs?.[0]?.duration?.value ?? null;
+
+    return {
+      index: segment.index ?? position,
+      mode: segment.mode,
+      distance,
+      duration,
+      isCustom: Boolean(segment.isCustom),
+      // How the route was found (see routeProvenance), null for drawn legs
+      provenance: segment.provenance || null
+    };
+  })
+  .filter(Boolean);
+
+const sumLegs = (legs) => ({
+  distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+  // Unknown as soon as one leg has no duration (drawn legs)
+  duration: legs.length > 0 && legs.every(leg => leg.duration !== null)
+    ? legs.reduce((sum, leg) => sum + leg.duration, 0)
+    : null
+});
+
+/**
+ * Create a trip store
+ *
+ * @returns {Object} { getState, subscribe, setSegments, reset,
+ *   setMapCleanup, cleanupMap, getActivePolyline, setActivePolyline,
+ *   addCustomOverlay, clearCustomOverlays }
+ */
+export const createTripStore = () => {
+  let state = createInitialState();
+  const listeners = new Set();
+  let mapCleanup = null;
+  let activePolyline = null;
+  let customOverlays = [];
+
+  const getState = () => state;
+
+  /**
+   * Listen for changes
+   * @param {Function} listener - Called with (state, previousState)
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const update = (changes) => {
+    const previous = state;
+    state = { ...state, ...changes, version: state.version + 1 };
+    listeners.forEach(listener => listener(state, previous));
+  };
+
+  /**
+   * Publish the segments computed for the trip (distances and durations follow)
+   */
+  const setSegments = (segments) => {
+    const nextSegments = segments || [];
+    if (nextSegments.length === 0 && state.segments.length === 0) return;
+
+    const legs = measureLegs(nextSegments);
+    update({ segments: nextSegments, legs, totals: sumLegs(legs) });
+  };
+
+  const reset = () => {
+    const { version, ...initial } = createInitialState();
+    update(initial);
+  };
+
+  /**
+   * Register how to clear every segment from this map (null to remove)
+   */
+  const setMapCleanup = (cleanup) => {
+    mapCleanup = cleanup;
+  };
+
+  /**
+   * Clear every segment from this map, if it has registered a cleanup
+   */
+  const cleanupMap = () => {
+    if (mapCleanup) mapCleanup();
+  };
+
+  // The one animated polyline on this map, so a new one can replace it
+  const getActivePolyline = () => activePolyline;
+  const setActivePolyline = (polyline) => {
+    activePolyline = polyline;
+  };
+
+  /**
+   * Keep a polyline or marker drawn outside the segments, so the map's
+   * cleanup can remove it
+   */
+  const addCustomOverlay = (overlay) => {
+    customOverlays.push(overlay);
+  };
+
+  /**
+   * Take every kept polyline and marker off the map
+   */
+  const clearCustomOverlays = () => {
+    customOverlays.forEach(overlay => overlay?.setMap(null));
+    customOverlays = [];
+  };
+
+  return {
+    getState,
+    subscribe,
+    setSegments,
+    reset,
+    setMapCleanup,
+    cleanupMap,
+    getActivePolyline,
+    setActivePolyline,
+    addCustomOverlay,
+    clearCustomOverlays
+  };
+};
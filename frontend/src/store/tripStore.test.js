@@ -0,0 +1,165 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createTripStore, measureLegs } from './tripStore';
+
+// A Directions result with one leg
+const directions = (distance, duration) => ({
+  routes: [{ legs: [{ distance: { value: distance }, duration: { value: duration } }] }]
+});
+
+describe('measureLegs', () => {
+  it('reads distance and duration from routed legs', () => {
+    const legs = measureLegs([
+      { index: 0, mode: 'car', distance: { value: 1200 }, duration: { value: 90 }, provenance: 'directions' },
+      { index: 1, mode: 'walk', route: directions(800, 600) }
+    ]);
+
+    expect(legs).toEqual([
+      { index: 0, mode: 'car', distance: 1200, duration: 90, isCustom: false, provenance: 'directions' },
+      { index: 1, mode: 'walk', distance: 800, duration: 600, isCustom: false, provenance: null }
+    ]);
+  });
+
+  it('follows the alternative picked for a leg', () => {
+    const route = { routes: [...directions(5000, 400).routes, ...directions(4000, 500).routes] };
+
+    const [leg] = measureLegs([{ index: 0, mode: 'car', route, routeIndex: 1 }]);
+
+    expect(leg).toMatchObject({ distance: 4000, duration: 500 });
+  });
+
+  it('measures drawn legs along their path, with no duration', () => {
+    const [leg] = measureLegs([{
+      mode: 'walk',
+      isCustom: true,
+      customPath: [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.01 }, { lat: 0.01, lng: 0.01 }]
+    }]);
+
+    expect(leg.index).toBe(0);
+    expect(leg.isCustom).toBe(true);
+    expect(leg.distance).toBeCloseTo(2224, 0);
+    expect(leg.duration).toBeNull();
+  });
+
+  it('skips empty slots and segments without a mode', () => {
+    const legs = measureLegs([null, { index: 1, mode: 'car', distance: { value: 10 } }, {}]);
+
+    expect(legs.map(leg => leg.index)).toEqual([1]);
+  });
+});
+
+describe('createTripStore', () => {
+  it('starts empty', () => {
+    const store = createTripStore();
+
+    expect(store.getState()).toMatchObject({
+      segments: [],
+      legs: [],
+      totals: { distance: 0, duration: null },
+      version: 0
+    });
+  });
+
+  it('publishes segments and notifies listeners with the previous state', () => {
+    const store = createTripStore();
+    const listener = vi.fn();
+    store.subscribe(listener);
+    const segments = [{ index: 0, mode: 'car', distance: { value: 1000 } }];
+
+    store.setSegments(segments);
+
+    expect(store.getState()).toMatchObject({ segments, version: 1 });
+    expect(listener).toHaveBeenCalledWith(store.getState(), expect.objectContaining({ version: 0 }));
+  });
+
+  it("doesn't notify when there were and are no segments", () => {
+    const store = createTripStore();
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.setSegments([]);
+    store.setSegments(null);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('derives legs and totals from segments', () => {
+    const store = createTripStore();
+
+    store.setSegments([
+      { index: 0, mode: 'car', distance: { value: 1000 }, duration: { value: 60 } },
+      { index: 1, mode: 'bike', distance: { value: 500 }, duration: { value: 120 } }
+    ]);
+
+    expect(store.getState().legs).toHaveLength(2);
+    expect(store.getState().totals).toEqual({ distance: 1500, duration: 180 });
+  });
+
+  it('leaves the total duration unknown when a leg has none', () => {
+    const store = createTripStore();
+
+    store.setSegments([
+      { index: 0, mode: 'car', distance: { value: 1000 }, duration: { value: 60 } },
+      { index: 1, mode: 'walk', isCustom: true, customPath: [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.01 }] }
+    ]);
+
+    expect(store.getState().totals.duration).toBeNull();
+  });
+
+  it('stops notifying after unsubscribe', () => {
+    const store = createTripStore();
+    const listener = vi.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    unsubscribe();
+    store.setSegments([{ index: 0, mode: 'car', distance: { value: 1000 } }]);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('resets to an empty trip, keeping the version moving', () => {
+    const store = createTripStore();
+    store.setSegments([{ index: 0, mode: 'car', distance: { value: 1000 } }]);
+
+    store.reset();
+
+    expect(store.getState()).toMatchObject({
+      segments: [],
+      legs: [],
+      totals: { distance: 0, duration: null },
+      version: 2
+    });
+  });
+
+  it('keeps map handles apart for each store', () => {
+    const first = createTripStore();
+    const second = createTripStore();
+    const cleanup = vi.fn();
+    const polyline = { setMap: vi.fn() };
+
+    first.setMapCleanup(cleanup);
+    first.setActivePolyline(polyline);
+    second.cleanupMap();
+
+    expect(cleanup).not.toHaveBeenCalled();
+    expect(second.getActivePolyline()).toBeNull();
+
+    first.cleanupMap();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(first.getActivePolyline()).toBe(polyline);
+  });
+
+  it('clears kept overlays from the map once', () => {
+    const store = createTripStore();
+    const polyline = { setMap: vi.fn() };
+    const marker = { setMap: vi.fn() };
+    store.addCustomOverlay(polyline);
+    store.addCustomOverlay(marker);
+
+    store.clearCustomOverlays();
+    store.clearCustomOverlays();
+
+    expect(polyline.setMap).toHaveBeenCalledTimes(1);
+    expect(polyline.setMap).toHaveBeenCalledWith(null);
+    expect(marker.setMap).toHaveBeenCalledWith(null);
+  });
+});
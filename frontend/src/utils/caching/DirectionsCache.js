@@ -1,4 +1,6 @@
 import db from './db';
+import { encodePolyline, decodePolyline } from '../polylineCodec';
+import { formatDistance, formatDuration } from '../../services/routing/directionsResult';
 
 /**
  * DirectionsCache - Multi-tier cache for Google Maps Directions API
@@ -8,7 +10,8 @@ import db from './db';
  * - Layer 2: IndexedDB (persistent, 30-day TTL)
  *
  * Google ToS Compliance:
- * - Stores ONLY coordinates (not full route objects)
+ * - Stores ONLY geometry (encoded polylines) plus distance and duration,
+ *   never full route objects
  * - 30-day maximum cache duration
  * - Automatic expiration and cleanup
  */
@@ -32,29 +35,53 @@ class DirectionsCache {
   }
 
   /**
-   * Generate cache key from origin, destination, and mode
+   * Generate cache key from origin, destination, mode and routing options
+   * @param {string} optionsKey - From getRouteOptionsKey ('' for the defaults)
    */
-  generateKey(origin, destination, mode) {
+  generateKey(origin, destination, mode, optionsKey = '') {
     const originKey = `${origin.lat.toFixed(6)},${origin.lng.toFixed(6)}`;
     const destKey = `${destination.lat.toFixed(6)},${destination.lng.toFixed(6)}`;
-    return `${originKey}_${destKey}_${mode}`;
+    const key = `${originKey}_${destKey}_${mode}`;
+    return optionsKey ? `${key}_${optionsKey}` : key;
   }
 
   /**
    * Get cached route data
+   * Routes from IndexedDB are rebuilt into renderable Directions results.
    * @returns Promise<Object|null> - Cached route data or null if not found/expired
    */
-  async get(origin, destination, mode) {
-    const key = this.generateKey(origin, destination, mode);
+  async get(origin, destination, mode, optionsKey = '') {
+    const key = this.generateKey(origin, destination, mode, optionsKey);
 
-    // Check memory cache (IndexedDB disabled - see notes in set() method)
+    // Check memory first
     if (this.memoryCache.has(key)) {
       this.stats.hits++;
       this.stats.memoryHits++;
       return this.memoryCache.get(key);
     }
 
-    // Cache miss - memory only
+    // Check IndexedDB
+    try {
+      const cached = await db.routes.get(key);
+
+      if (cached && Date.now() < cached.expires && cached.routes?.length) {
+        const routeData = this.expandRoutes(cached);
+
+        // Promote to memory
+        this.memoryCache.set(key, routeData);
+        this.enforceLRU();
+
+        this.stats.hits++;
+        this.stats.diskHits++;
+        return routeData;
+      } else if (cached) {
+        // Expired (or stored before routes were persisted) - delete it
+        await db.routes.delete(key);
+      }
+    } catch (error) {
+      console.error('[DirectionsCache] Error reading route:', error);
+    }
+
     this.stats.misses++;
     return null;
   }
@@ -62,71 +89,128 @@ class DirectionsCache {
   /**
    * Store route data in cache
    * @param {Object} routeData - Full Google Maps route response
+   * @param {string} optionsKey - Routing options the route was requested with
    */
-  async set(origin, destination, mode, routeData) {
-    const key = this.generateKey(origin, destination, mode);
+  async set(origin, destination, mode, routeData, optionsKey = '') {
+    const key = this.generateKey(origin, destination, mode, optionsKey);
     const now = Date.now();
 
-    // Extract ONLY coordinates (ToS compliant)
-    const coords = this.extractCoordinates(routeData);
-
-    const cacheEntry = {
-      key: key,
-      data: routeData, // Full data in memory only
-      coords: coords, // Minimal data for persistent storage
-      mode: mode,
-      stored: now,
-      expires: now + this.maxAge
-    };
-
     // Store in memory (full data)
     this.memoryCache.set(key, routeData);
     this.enforceLRU();
 
-    // NOTE: IndexedDB storage disabled for routes
-    // Google Maps route objects contain functions/circular refs that can't be serialized
-    // Memory cache (session-only) works fine and provides good performance
-    // For persistent caching, would need to reconstruct routes from coordinates
-    // which defeats the purpose (would require another API call)
+    // Store ONLY geometry, distance and duration on disk (ToS compliant)
+    const routes = this.compactRoutes(routeData);
+    if (routes.length === 0) return;
+
+    try {
+      await db.routes.put({
+        key: key,
+        mode: mode,
+        routes: routes,
+        stored: now,
+        expires: now + this.maxAge
+      });
+    } catch (error) {
+      console.error('[DirectionsCache] Error storing route:', error);
+    }
   }
 
   /**
-   * Extract coordinates from route response (ToS compliant)
+   * Reduce a route response to what's persisted: per route its encoded
+   * overview path and warnings, and per step its encoded path, distance,
+   * duration, travel mode and transit vehicle type. Enough to draw, measure
+   * and animate the legs, and to tell straight-line, driven and transit
+   * routes apart (see segmentUtils).
    */
-  extractCoordinates(routeData) {
-    if (!routeData || !routeData.routes || !routeData.routes[0]) {
+  compactRoutes(routeData) {
+    if (!routeData || !routeData.routes) {
       return [];
     }
 
-    const route = routeData.routes[0];
-
-    // Get overview path if available
-    if (route.overview_path && route.overview_path.length > 0) {
-      return route.overview_path.map(point => ({
-        lat: typeof point.lat === 'function' ? point.lat() : point.lat,
-        lng: typeof point.lng === 'function' ? point.lng() : point.lng
+    return routeData.routes
+      .filter(route => route.overview_path && route.overview_path.length > 0)
+      .map(route => ({
+        polyline: encodePolyline(route.overview_path),
+        warnings: route.warnings || [],
+        legs: (route.legs || []).map(leg => ({
+          distance: leg.distance?.value || 0,
+          duration: leg.duration?.value || 0,
+          steps: (leg.steps || []).map(step => ({
+            polyline: encodePolyline(step.path || step.lat_lngs ||
+              [step.start_location, step.end_location].filter(Boolean)),
+            distance: step.distance?.value || 0,
+            duration: step.duration?.value || 0,
+            travelMode: step.travel_mode,
+            vehicle: step.transit?.line?.vehicle?.type || null
+          }))
+        }))
       }));
-    }
+  }
+
+  /**
+   * Rebuild a renderable Directions result from a stored entry
+   * Works with DirectionsRenderer, like createStraightLineRoute.
+   */
+  expandRoutes(entry) {
+    const { LatLng, LatLngBounds } = window.google.maps;
+    const toLatLngs = (polyline) => decodePolyline(polyline).map(point => new LatLng(point.lat, point.lng));
+    const toDistance = (value) => ({ text: formatDistance(value), value });
+    const toDuration = (value) => ({ text: formatDuration(value), value });
 
-    // Fallback: extract from legs
-    if (route.legs && route.legs.length > 0) {
-      const coords = [];
-      route.legs.forEach(leg => {
-        if (leg.steps) {
-          leg.steps.forEach(step => {
-            if (step.start_location) {
-              coords.push({
-                lat: typeof step.start_location.lat === 'function' ? step.start_location.lat() : step.start_location.lat,
-                lng: typeof step.start_location.lng === 'function' ? step.start_location.lng() : step.start_location.lng
-              });
-            }
-          });
-        }
+    const routes = entry.routes.map(route => {
+      const overviewPath = toLatLngs(route.polyline);
+      const bounds = new LatLngBounds();
+      overviewPath.forEach(point => bounds.extend(point));
+
+      const legs = route.legs.map(leg => {
+        const steps = leg.steps.map(step => {
+          const path = toLatLngs(step.polyline);
+          return {
+            distance: toDistance(step.distance),
+            duration: toDuration(step.duration),
+            start_location: path[0],
+            end_location: path[path.length - 1],
+            travel_mode: step.travelMode,
+            path: path,
+            lat_lngs: path,
+            instructions: '',
+            ...(step.vehicle ? { transit: { line: { vehicle: { type: step.vehicle } } } } : {})
+          };
+        });
+
+        return {
+          start_location: steps[0]?.start_location || overviewPath[0],
+          end_location: steps[steps.length - 1]?.end_location || overviewPath[overviewPath.length - 1],
+          start_address: '',
+          end_address: '',
+          steps: steps,
+          distance: toDistance(leg.distance),
+          duration: toDuration(leg.duration),
+          via_waypoints: []
+        };
       });
-      return coords;
-    }
 
-    return [];
+      return {
+        bounds: bounds,
+        overview_path: overviewPath,
+        overview_polyline: route.polyline,
+        legs: legs,
+        warnings: route.warnings,
+        waypoint_order: [],
+        copyrights: ''
+      };
+    });
+
+    const firstPath = routes[0].overview_path;
+    return {
+      routes: routes,
+      request: {
+        origin: firstPath[0],
+        destination: firstPath[firstPath.length - 1],
+        travelMode: routes[0].legs[0]?.steps[0]?.travel_mode || 'DRIVING'
+      }
+    };
   }
 
   /**
@@ -4,7 +4,7 @@ import Dexie from 'dexie';
  * IndexedDB setup for LenaMaps caching
  *
  * Stores:
- * - routes: Directions API results (coordinates only, 30-day TTL)
+ * - routes: Directions API results (encoded polylines, distance and duration, 30-day TTL)
  * - geocoding: Forward/reverse geocoding results (30-day TTL)
  * - places: Place ID mappings (permanent storage allowed by Google ToS)
  */
@@ -0,0 +1,128 @@
+// Utility functions for exporting trips as GPX 1.1
+import { getSegmentRoute } from '../features/map/GoogleMap/utils/segmentUtils';
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+
+// Read lat/lng from either a google.maps.LatLng or a plain {lat, lng} object
+const toLatLngLiteral = (point) => {
+  if (!point) return null;
+  const lat = typeof point.lat === 'function' ? point.lat() : point.lat;
+  const lng = typeof point.lng === 'function' ? point.lng() : point.lng;
+  if (typeof lat !== 'number' || typeof lng !== 'number' || isNaN(lat) || isNaN(lng)) {
+    return null;
+  }
+  return { lat, lng };
+};
+
+// Escape text so it is safe inside XML elements
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const formatCoord = (value) => value.toFixed(6);
+
+const getStopName = (location, index) => {
+  return location?.name || location?.formatted_address || `Stop ${String.fromCharCode(65 + index)}`;
+};
+
+// Get the geometry of a rendered segment as an array of {lat, lng}
+// - Draw-mode legs use their customPath
+// - Flights use the arc points stored in overview_path by RouteSegmentManager
+// - Routed legs use the Directions overview_path of the alternative picked for them
+export const getSegmentPath = (segment) => {
+  if (!segment) return [];
+
+  let rawPath = [];
+  if (segment.isCustom && segment.customPath) {
+    rawPath = segment.customPath;
+  } else if (getSegmentRoute(segment)?.overview_path) {
+    rawPath = getSegmentRoute(segment).overview_path;
+  } else if (segment.startLocation && segment.endLocation) {
+    rawPath = [segment.startLocation, segment.endLocation];
+  }
+
+  return rawPath.map(toLatLngLiteral).filter(point => point !== null);
+};
+
+// Build a GPX 1.1 document with one <trk> per leg and one <wpt> per stop
+export const buildGPX = (segments, locations, tripName = 'LenaMaps trip') => {
+  const validLocations = (locations || []).filter(loc => loc !== null && loc !== undefined);
+  // Segments are stored in leg order (draw-mode legs carry no index of their own)
+  const legSegments = (segments || []).filter(segment => segment);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="LenaMaps" xmlns="${GPX_NAMESPACE}">`,
+    '  <metadata>',
+    `    <name>${escapeXml(tripName)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>'
+  ];
+
+  // Stops as waypoints (GPX requires wpt before trk)
+  validLocations.forEach((location, index) => {
+    const point = toLatLngLiteral(location);
+    if (!point) return;
+    lines.push(`  <wpt lat="${formatCoord(point.lat)}" lon="${formatCoord(point.lng)}">`);
+    lines.push(`    <name>${escapeXml(getStopName(location, index))}</name>`);
+    lines.push('  </wpt>');
+  });
+
+  // One track per leg
+  legSegments.forEach((segment, position) => {
+    const path = getSegmentPath(segment);
+    if (path.length === 0) return;
+
+    const legIndex = segment.index ?? position;
+    const fromName = getStopName(validLocations[legIndex], legIndex);
+    const toName = getStopName(validLocations[legIndex + 1], legIndex + 1);
+
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXml(`${fromName} → ${toName}`)}</name>`);
+    lines.push(`    <type>${escapeXml(segment.mode || 'walk')}</type>`);
+    lines.push('    <trkseg>');
+    path.forEach((point) => {
+      lines.push(`      <trkpt lat="${formatCoord(point.lat)}" lon="${formatCoord(point.lng)}"></trkpt>`);
+    });
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+  });
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+};
+
+// Turn a trip name into a safe file name
+const toFileName = (name) => {
+  const base = (name || 'lenamaps-trip')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${base || 'lenamaps-trip'}.gpx`;
+};
+
+// Export the rendered route segments (from the trip store) as a downloaded .gpx file
+export const exportTripToGPX = (segments, locations, tripName) => {
+  if (!segments || segments.length === 0) {
+    return false;
+  }
+
+  const gpx = buildGPX(segments, locations, tripName);
+  const blob = new Blob([gpx], { type: 'application/gpx+xml' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = toFileName(tripName);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  return true;
+};
@@ -0,0 +1,74 @@
+// Encoded polyline algorithm (the format Google and OSRM use for geometries)
+// https://developers.google.com/maps/documentation/utilities/polylinealgorithm
+
+const readLat = (point) => (typeof point.lat === 'function' ? point.lat() : point.lat);
+const readLng = (point) => (typeof point.lng === 'function' ? point.lng() : point.lng);
+
+const encodeValue = (value) => {
+  let rest = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+  while (rest >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (rest & 0x1f)) + 63);
+    rest >>= 5;
+  }
+  return encoded + String.fromCharCode(rest + 63);
+};
+
+/**
+ * Encode a path as a polyline string
+ *
+ * @param {Array} points - [{ lat, lng }] or google.maps.LatLng
+ * @param {number} precision - Decimal places kept (5 ≈ 1 m)
+ * @returns {string}
+ */
+export const encodePolyline = (points = [], precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = '';
+
+  points.forEach(point => {
+    const lat = Math.round(readLat(point) * factor);
+    const lng = Math.round(readLng(point) * factor);
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  });
+
+  return encoded;
+};
+
+/**
+ * Decode a polyline string
+ *
+ * @param {string} encoded - From encodePolyline
+ * @param {number} precision - Must match the encoding
+ * @returns {Array} [{ lat, lng }]
+ */
+export const decodePolyline = (encoded = '', precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    points.push({ lat: lat / factor, lng: lng / factor });
+  }
+
+  return points;
+};
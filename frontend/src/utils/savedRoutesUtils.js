@@ -1,5 +1,11 @@
+import { authAPI, routesAPI } from '../services/api';
+import { calculateDistance } from '../features/map/GoogleMap/utils/segmentUtils';
+
 const STORAGE_KEY = 'lenamaps_saved_routes';
 const MAX_CACHE_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds (Google ToS compliant)
+// Same limits as the backend
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
 
 export const getSavedRoutes = () => {
   try {
@@ -29,6 +35,32 @@ export const getSavedRoutes = () => {
   }
 };
 
+// The fields a saved route keeps, wherever it's stored
+const buildRoute = (routeData) => ({
+  name: routeData.name || `Route ${new Date().toLocaleDateString()}`,
+  locations: routeData.locations.filter(loc => loc !== null),
+  modes: routeData.modes,
+  // Save custom drawing state
+  customDrawEnabled: routeData.customDrawEnabled || [],
+  customPoints: routeData.customPoints || [],
+  snapToRoads: routeData.snapToRoads || [],
+  lockedSegments: routeData.lockedSegments || [],
+  // Imported or drawn leg geometries (null entries = straight line)
+  customPaths: routeData.customPaths || [],
+  // Route alternative picked per leg (null entries = first route)
+  routeChoices: routeData.routeChoices || [],
+  // Routing options per leg (null entries = defaults)
+  legOptions: routeData.legOptions || [],
+  // Save animation effects
+  effects: routeData.effects || {},
+  // Director mode camera keyframes
+  cameraKeyframes: routeData.cameraKeyframes || [],
+  description: routeData.description || '',
+  // Organizing (null folder = unfiled)
+  folder: routeData.folder || null,
+  tags: normalizeTags(routeData.tags)
+});
+
 export const saveRoute = (routeData) => {
   try {
     const savedRoutes = getSavedRoutes();
@@ -36,18 +68,8 @@ export const saveRoute = (routeData) => {
 
     const newRoute = {
       id: now.toString(),
-      name: routeData.name || `Route ${new Date().toLocaleDateString()}`,
-      locations: routeData.locations.filter(loc => loc !== null),
-      modes: routeData.modes,
-      // Save custom drawing state
-      customDrawEnabled: routeData.customDrawEnabled || [],
-      customPoints: routeData.customPoints || {},
-      snapToRoads: routeData.snapToRoads || [],
-      lockedSegments: routeData.lockedSegments || [],
-      // Save animation effects
-      effects: routeData.effects || {},
+      ...buildRoute(routeData),
       savedAt: new Date().toISOString(),
-      description: routeData.description || '',
       // Add expiration timestamp (30 days from now - Google ToS compliant)
       expiresAt: now + MAX_CACHE_AGE
     };
@@ -73,11 +95,11 @@ export const deleteRoute = (routeId) => {
   }
 };
 
-export const updateRouteName = (routeId, newName) => {
+export const updateRoute = (routeId, changes) => {
   try {
     const savedRoutes = getSavedRoutes();
-    const updated = savedRoutes.map(route => 
-      route.id === routeId ? { ...route, name: newName } : route
+    const updated = savedRoutes.map(route =>
+      route.id === routeId ? { ...route, ...changes } : route
     );
     localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
     return true;
@@ -86,7 +108,261 @@ export const updateRouteName = (routeId, newName) => {
   }
 };
 
+export const updateRouteName = (routeId, newName) => updateRoute(routeId, { name: newName });
+
 export const loadRoute = (routeId) => {
   const savedRoutes = getSavedRoutes();
   return savedRoutes.find(route => route.id === routeId);
-};
\ No newline at end of file
+};
+
+// ============================================
+// Account sync
+// ============================================
+// Signed-in users' routes are kept on the backend (/api/routes); everyone
+// else's stay in localStorage. The functions below work for both.
+
+// Skipped imports that are already on the backend (or never will be) -
+// they can leave localStorage. 'limit' and 'invalid' ones stay.
+const SETTLED_IMPORT_REASONS = ['already-imported', 'duplicate', 'expired'];
+
+/**
+ * Move this browser's saved routes to the signed-in user's account
+ * Runs on first sign-in, and again while routes are left over (e.g. over the tier's limit)
+ * @returns {Promise<Object|null>} { imported, skipped, limit } from the backend, or null if there was nothing to move
+ */
+export const migrateLocalRoutes = async () => {
+  const localRoutes = getSavedRoutes();
+  if (localRoutes.length === 0 || !authAPI.isAuthenticated()) return null;
+
+  const result = await routesAPI.import(localRoutes);
+  const settledIds = new Set([
+    ...result.imported.map(entry => entry.localId),
+    ...result.skipped
+      .filter(entry => SETTLED_IMPORT_REASONS.includes(entry.reason))
+      .map(entry => entry.localId)
+  ]);
+
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(localRoutes.filter(route => !settledIds.has(String(route.id))))
+  );
+
+  return result;
+};
+
+/**
+ * Saved routes for the Saved Routes list
+ * When signed in: the account's routes, then any that couldn't be moved
+ * over from this browser (marked localOnly)
+ * @returns {Promise<{routes: Array, limit: number|null}>}
+ */
+export const fetchSavedRoutes = async () => {
+  if (!authAPI.isAuthenticated()) {
+    return { routes: getSavedRoutes(), limit: null };
+  }
+
+  // A failed import leaves the routes on this device, listed below as localOnly
+  await migrateLocalRoutes().catch(() => null);
+  const { routes, limit } = await routesAPI.list();
+  const localOnlyRoutes = getSavedRoutes().map(route => ({ ...route, localOnly: true }));
+
+  return { routes: [...routes, ...localOnlyRoutes], limit };
+};
+
+/**
+ * Save a route to the account when signed in, otherwise to localStorage
+ * Throws with status 403 when the account is at its tier's limit
+ * @param {Object} routeData - Same fields as saveRoute
+ * @returns {Promise<Object>} The saved route
+ */
+export const createSavedRoute = async (routeData) => {
+  if (!authAPI.isAuthenticated()) {
+    return saveRoute(routeData);
+  }
+
+  const { route } = await routesAPI.create(buildRoute(routeData));
+  return route;
+};
+
+/**
+ * Delete a route from wherever it's stored
+ * @param {Object} route - A route from fetchSavedRoutes
+ */
+export const deleteSavedRoute = async (route) => {
+  if (route.localOnly || !authAPI.isAuthenticated()) {
+    return deleteRoute(route.id);
+  }
+
+  await routesAPI.remove(route.id);
+  return true;
+};
+
+/**
+ * Delete several routes at once
+ * @param {Array} routes - Routes from fetchSavedRoutes
+ */
+export const deleteSavedRoutes = async (routes) => {
+  const accountRoutes = authAPI.isAuthenticated() ? routes.filter(route => !route.localOnly) : [];
+  routes
+    .filter(route => !accountRoutes.includes(route))
+    .forEach(route => deleteRoute(route.id));
+
+  if (accountRoutes.length > 0) {
+    await routesAPI.bulkDelete(accountRoutes.map(route => route.id));
+  }
+  return true;
+};
+
+/**
+ * Change a route's name, folder or tags wherever it's stored
+ * @param {Object} route - A route from fetchSavedRoutes
+ * @param {Object} changes - { name?, folder?, tags? }
+ */
+export const updateSavedRoute = async (route, changes) => {
+  if (route.localOnly || !authAPI.isAuthenticated()) {
+    return updateRoute(route.id, changes);
+  }
+
+  await routesAPI.update(route.id, changes);
+  return true;
+};
+
+/**
+ * Save a copy of a route (a new save, so its 30 days start over)
+ * @param {Object} route - A route from fetchSavedRoutes
+ * @returns {Promise<Object>} The copy
+ */
+export const duplicateSavedRoute = async (route) =>
+  createSavedRoute({ ...route, name: `${route.name} (copy)` });
+
+// ============================================
+// Organizing
+// ============================================
+
+export const SAVED_ROUTE_SORTS = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'longest', label: 'Longest first' },
+  { id: 'shortest', label: 'Shortest first' },
+  { id: 'most-stops', label: 'Most stops' },
+  { id: 'fewest-stops', label: 'Fewest stops' }
+];
+
+/**
+ * Tags from a comma-separated string or a list - trimmed, no blanks or
+ * repeats (case-insensitive)
+ * @param {string|Array} tags
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) => {
+  const list = typeof tags === 'string' ? tags.split(',') : (tags || []);
+  const seen = new Set();
+  return list
+    .map(tag => tag.trim().slice(0, MAX_TAG_LENGTH))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_TAGS);
+};
+
+/**
+ * Each leg's geometry as saved: drawn and imported legs keep their path,
+ * routed legs are a straight line between their stops (Directions results
+ * aren't saved)
+ * @param {Object} route - A saved route
+ * @returns {Array} [{ mode, path: [{ lat, lng }] }]
+ */
+export const getSavedRouteLegPaths = (route) => {
+  const { locations, modes = [], customDrawEnabled = [], customPaths = [] } = route;
+  const legs = [];
+  for (let i = 0; i < locations.length - 1; i++) {
+    const customPath = customDrawEnabled[i] === true ? customPaths[i] : null;
+    legs.push({
+      mode: modes[i] || 'walk',
+      path: customPath?.length > 1 ? customPath : [locations[i], locations[i + 1]]
+    });
+  }
+  return legs;
+};
+
+/**
+ * Rough length of a saved route, for sorting
+ * @param {Object} route - A saved route
+ * @returns {number} Meters
+ */
+export const getRouteDistance = (route) =>
+  getSavedRouteLegPaths(route).reduce((total, { path }) => {
+    for (let i = 0; i < path.length - 1; i++) {
+      total += calculateDistance(path[i], path[i + 1]);
+    }
+    return total;
+  }, 0);
+
+// Everything the search box looks through
+const getSearchText = (route) => [
+  route.name,
+  route.description,
+  route.folder,
+  ...(route.tags || []),
+  ...route.locations.map(location => location.name || location.formatted_address)
+].filter(Boolean).join(' ').toLowerCase();
+
+/**
+ * Routes matching every word of a search - over names, descriptions,
+ * folders, tags and stop names
+ * @param {Array} routes
+ * @param {string} query
+ * @returns {Array}
+ */
+export const searchSavedRoutes = (routes, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return routes;
+  return routes.filter(route => {
+    const text = getSearchText(route);
+    return words.every(word => text.includes(word));
+  });
+};
+
+// Ascending sort key for each of SAVED_ROUTE_SORTS
+const SORT_KEYS = {
+  newest: route => -(Date.parse(route.savedAt) || 0),
+  oldest: route => Date.parse(route.savedAt) || 0,
+  longest: route => -getRouteDistance(route),
+  shortest: route => getRouteDistance(route),
+  'most-stops': route => -route.locations.length,
+  'fewest-stops': route => route.locations.length
+};
+
+/**
+ * Sorted copy of a route list
+ * @param {Array} routes
+ * @param {string} sortBy - An id from SAVED_ROUTE_SORTS (default newest first)
+ * @returns {Array}
+ */
+export const sortSavedRoutes = (routes, sortBy) => {
+  const getKey = SORT_KEYS[sortBy] || SORT_KEYS.newest;
+  // Keys are worked out once each - distances walk every path point
+  return routes
+    .map(route => ({ route, key: getKey(route) }))
+    .sort((a, b) => a.key - b.key)
+    .map(({ route }) => route);
+};
+
+/**
+ * Folder names in use, alphabetically
+ * @param {Array} routes
+ * @returns {Array<string>}
+ */
+export const getRouteFolders = (routes) =>
+  [...new Set(routes.map(route => route.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Tags in use, alphabetically
+ * @param {Array} routes
+ * @returns {Array<string>}
+ */
+export const getRouteTags = (routes) =>
+  [...new Set(routes.flatMap(route => route.tags || []))].sort((a, b) => a.localeCompare(b));
@@ -1,14 +1,76 @@
 // Utility functions for sharing trips via URL
+import { encodePolyline, decodePolyline } from './polylineCodec';
+import { shareAPI } from '../services/api';
+import { getAnonymousId } from '../hooks/useAnonymousId';
 
-// Encode trip data to a compressed URL-safe string
-export const encodeTripToURL = (locations, modes, effects = {}) => {
-  // Filter out null locations
-  const validLocations = locations.filter(loc => loc !== null);
+// Share link formats:
+// - v1: base64 JSON with every stop in full ({ v: 1, l, m, e, r })
+// - v2: "2." + base64 of deflate-compressed JSON, stops packed as one encoded
+//   polyline and modes as a string of SHARE_MODES indices
+const SHARE_FORMAT_VERSION = 2;
 
-  if (validLocations.length === 0) {
-    return null;
+// Mode enum for v2 links - only ever append, the index is what's in the link
+const SHARE_MODES = ['walk', 'bike', 'bus', 'car', 'transit', 'train', 'ferry', 'flight', 'custom'];
+
+// Why a short link (/s/:slug) couldn't be opened - the backend redirects
+// to ?shareError=<reason>
+const SHORT_LINK_ERRORS = {
+  'not-found': 'This short link doesn\'t exist. Check the link, or ask for a new one.',
+  expired: 'This shared trip has expired. Shared trips are kept for 30 days - ask for a new link.',
+  unavailable: 'Short links can\'t be opened right now. Try again later, or ask for a full trip link.'
+};
+
+// Embed player pages: /embed?trip=<trip> or /embed/<short link slug>
+const EMBED_PATH = /^\/embed(?:\/([0-9A-Za-z]{4,16}))?\/?$/;
+const SHORT_LINK_PATH = /^\/s\/([0-9A-Za-z]{4,16})$/;
+const DEFAULT_EMBED_SIZE = { width: 640, height: 400 };
+
+// Versioned links start with their version number and a dot (not a base64 character)
+const VERSION_PREFIX = /^(\d+)\./;
+
+const toBase64URL = (binary) => btoa(binary)
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=/g, '');
+
+const fromBase64URL = (encoded) => {
+  const base64 = encoded
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  // Add padding if necessary
+  return atob(base64 + '=='.substring(0, (4 - base64.length % 4) % 4));
+};
+
+const bytesToBinary = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
+  return binary;
+};
+
+const binaryToBytes = (binary) => Uint8Array.from(binary, char => char.charCodeAt(0));
 
+// Run bytes through a CompressionStream or DecompressionStream
+const pipeBytes = async (bytes, transform) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const canCompressShareLinks = () =>
+  typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+// A link in a format this version of the app can't read
+const unsupportedVersionError = (version) => {
+  const error = new Error(
+    `This trip link uses share format v${version}, which this version of LenaMaps can't open. ` +
+    'Reload the page to get the latest version, or ask for a new link.'
+  );
+  error.code = 'UNSUPPORTED_SHARE_VERSION';
+  return error;
+};
+
+const encodeV1 = (validLocations, modes, effects, routeChoices) => {
   // Create a compact trip object
   const tripData = {
     v: 1, // Version for future compatibility
@@ -17,73 +79,169 @@ export const encodeTripToURL = (locations, modes, effects = {}) => {
       n: loc.name || loc.formatted_address || '',
       lat: Math.round(loc.lat * 100000) / 100000, // 5 decimal places
       lng: Math.round(loc.lng * 100000) / 100000,
-      p: loc.place_id || undefined // Optional place_id for better accuracy
+      p: loc.place_id || undefined, // Optional place_id for better accuracy
+      // Optional stop details (caption, photo data URL, dwell seconds)
+      c: loc.caption || undefined,
+      ph: loc.photo || undefined,
+      dw: loc.dwellSeconds || undefined
     })),
     m: modes || ['walk'], // Transportation modes
-    e: effects || {} // Animation effects
+    e: effects || {}, // Animation effects
+    // Route alternative picked per leg (left out when every leg uses the first route)
+    r: routeChoices.some(Boolean) ? routeChoices.map(choice => choice || 0) : undefined
   };
-  
-  // Convert to JSON and compress
+
+  // Convert to JSON and use base64 encoding (URL-safe variant)
   const jsonString = JSON.stringify(tripData);
-  
-  // Use base64 encoding (URL-safe variant)
-  const base64 = btoa(unescape(encodeURIComponent(jsonString)))
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=/g, '');
-  
-  return base64;
+  return toBase64URL(unescape(encodeURIComponent(jsonString)));
 };
 
-// Decode trip data from URL
-export const decodeTripFromURL = (encodedString) => {
-  if (!encodedString) return null;
-  
-  try {
-    // Restore base64 padding if needed
-    const base64 = encodedString
-      .replace(/-/g, '+')
-      .replace(/_/g, '/');
-    
-    // Add padding if necessary
-    const paddedBase64 = base64 + '=='.substring(0, (4 - base64.length % 4) % 4);
-    
-    // Decode from base64
-    const jsonString = decodeURIComponent(escape(atob(paddedBase64)));
-    const tripData = JSON.parse(jsonString);
-    
-    // Validate version
-    if (tripData.v !== 1) {
-    }
-    
-    // Reconstruct locations
-    const locations = tripData.l.map(loc => ({
+const encodeV2 = async (validLocations, modes, effects, routeChoices) => {
+  const tripData = {
+    // All stops as one encoded polyline (5 decimal places, delta-encoded)
+    c: encodePolyline(validLocations),
+    n: validLocations.map(loc => loc.name || loc.formatted_address || ''),
+    // Optional per-stop fields, left out when no stop has them
+    p: validLocations.some(loc => loc.place_id) ? validLocations.map(loc => loc.place_id || 0) : undefined,
+    d: validLocations.some(loc => loc.caption || loc.photo || loc.dwellSeconds)
+      ? validLocations.map(loc => (loc.caption || loc.photo || loc.dwellSeconds
+        ? { c: loc.caption || undefined, ph: loc.photo || undefined, dw: loc.dwellSeconds || undefined }
+        : 0))
+      : undefined,
+    m: (modes || ['walk']).map(mode => Math.max(0, SHARE_MODES.indexOf(mode)).toString(36)).join(''),
+    e: effects && Object.keys(effects).length > 0 ? effects : undefined,
+    r: routeChoices.some(Boolean) ? routeChoices.map(choice => choice || 0) : undefined
+  };
+
+  const bytes = new TextEncoder().encode(JSON.stringify(tripData));
+  const compressed = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+  return `${SHARE_FORMAT_VERSION}.${toBase64URL(bytesToBinary(compressed))}`;
+};
+
+const decodeV1 = (encoded) => {
+  const jsonString = decodeURIComponent(escape(fromBase64URL(encoded)));
+  const tripData = JSON.parse(jsonString);
+
+  // Validate version
+  if (tripData.v !== 1) {
+    throw unsupportedVersionError(tripData.v);
+  }
+
+  return {
+    stops: tripData.l.map(loc => ({
       name: loc.n,
-      formatted_address: loc.n,
       lat: loc.lat,
       lng: loc.lng,
       place_id: loc.p,
-      // Add geometry for compatibility with Google Maps
-      geometry: {
-        location: {
-          lat: () => loc.lat,
-          lng: () => loc.lng
-        }
-      }
-    }));
-    
-    const modes = tripData.m || ['walk'];
-    const effects = tripData.e || {};
+      caption: loc.c,
+      photo: loc.ph,
+      dwellSeconds: loc.dw
+    })),
+    modes: tripData.m || ['walk'],
+    effects: tripData.e || {},
+    routeChoices: tripData.r
+  };
+};
+
+const decodeV2 = async (encoded) => {
+  if (!canCompressShareLinks()) {
+    throw new Error('This browser can\'t open compressed trip links. Try a recent Chrome, Edge, Firefox or Safari.');
+  }
+
+  const compressed = binaryToBytes(fromBase64URL(encoded));
+  const bytes = await pipeBytes(compressed, new DecompressionStream('deflate-raw'));
+  const tripData = JSON.parse(new TextDecoder().decode(bytes));
+
+  return {
+    stops: decodePolyline(tripData.c).map((point, index) => {
+      const details = tripData.d?.[index] || {};
+      return {
+        name: tripData.n?.[index] || '',
+        lat: point.lat,
+        lng: point.lng,
+        place_id: tripData.p?.[index] || undefined,
+        caption: details.c,
+        photo: details.ph,
+        dwellSeconds: details.dw
+      };
+    }),
+    modes: tripData.m ? [...tripData.m].map(index => SHARE_MODES[parseInt(index, 36)] || 'walk') : ['walk'],
+    effects: tripData.e || {},
+    routeChoices: tripData.r
+  };
+};
+
+// Encode trip data to a compressed URL-safe string
+// v2 where the browser can deflate, v1 otherwise
+export const encodeTripToURL = async (locations, modes, effects = {}, routeChoices = []) => {
+  // Filter out null locations
+  const validLocations = locations.filter(loc => loc !== null);
+
+  if (validLocations.length === 0) {
+    return null;
+  }
+
+  if (canCompressShareLinks()) {
+    try {
+      return await encodeV2(validLocations, modes, effects, routeChoices);
+    } catch (error) {
+      // Fall back to the uncompressed format below
+    }
+  }
+  return encodeV1(validLocations, modes, effects, routeChoices);
+};
+
+// Decode trip data from URL
+// Returns null for unreadable links; throws for links in a format this
+// version can't read (error.code === 'UNSUPPORTED_SHARE_VERSION')
+export const decodeTripFromURL = async (encodedString) => {
+  if (!encodedString) return null;
+
+  const versionMatch = encodedString.match(VERSION_PREFIX);
+  const version = versionMatch ? Number(versionMatch[1]) : 1;
+  if (version !== 1 && version !== SHARE_FORMAT_VERSION) {
+    throw unsupportedVersionError(version);
+  }
 
-    return { locations, modes, effects };
+  let tripData;
+  try {
+    tripData = version === 1
+      ? decodeV1(encodedString)
+      : await decodeV2(encodedString.slice(versionMatch[0].length));
   } catch (error) {
+    if (error.code === 'UNSUPPORTED_SHARE_VERSION') throw error;
     return null;
   }
+
+  // Reconstruct locations
+  const locations = tripData.stops.map(loc => ({
+    name: loc.name,
+    formatted_address: loc.name,
+    lat: loc.lat,
+    lng: loc.lng,
+    place_id: loc.place_id,
+    ...(loc.caption && { caption: loc.caption }),
+    ...(loc.photo && { photo: loc.photo }),
+    ...(loc.dwellSeconds > 0 && { dwellSeconds: loc.dwellSeconds }),
+    // Add geometry for compatibility with Google Maps
+    geometry: {
+      location: {
+        lat: () => loc.lat,
+        lng: () => loc.lng
+      }
+    }
+  }));
+
+  const routeChoices = Array.isArray(tripData.routeChoices)
+    ? tripData.routeChoices.map(choice => choice || null)
+    : [];
+
+  return { locations, modes: tripData.modes, effects: tripData.effects, routeChoices };
 };
 
 // Generate a shareable URL for the current trip
-export const generateShareableURL = (locations, modes, effects = {}) => {
-  const encodedTrip = encodeTripToURL(locations, modes, effects);
+export const generateShareableURL = async (locations, modes, effects = {}, routeChoices = []) => {
+  const encodedTrip = await encodeTripToURL(locations, modes, effects, routeChoices);
 
   if (!encodedTrip) {
     return null;
@@ -96,6 +254,54 @@ export const generateShareableURL = (locations, modes, effects = {}) => {
   return `${baseURL}?trip=${encodedTrip}`;
 };
 
+// Generate a short link (/s/:slug) for the current trip when short links are
+// enabled (VITE_SHORT_LINKS=true, needs the backend), else the full URL
+export const generateShortShareableURL = async (locations, modes, effects = {}, routeChoices = []) => {
+  const shareableURL = await generateShareableURL(locations, modes, effects, routeChoices);
+
+  if (!shareableURL || import.meta.env.VITE_SHORT_LINKS !== 'true') {
+    return shareableURL;
+  }
+
+  try {
+    const encodedTrip = new URL(shareableURL).searchParams.get('trip');
+    const { path } = await shareAPI.create(encodedTrip, getAnonymousId());
+    return `${window.location.origin}${path}`;
+  } catch (error) {
+    // Backend unreachable or limit reached - the full URL still works
+    return shareableURL;
+  }
+};
+
+// Embed player URL for a share link (full or short), with playback options:
+// autoplay, loop, and start (percent of the timeline)
+export const generateEmbedURL = (shareableURL, { autoplay = false, loop = false, start = 0 } = {}) => {
+  const url = new URL(shareableURL);
+  const slug = url.pathname.match(SHORT_LINK_PATH)?.[1];
+  const embedURL = new URL(slug ? `/embed/${slug}` : '/embed', url.origin);
+
+  if (!slug) {
+    embedURL.searchParams.set('trip', url.searchParams.get('trip'));
+  }
+  if (autoplay) {
+    embedURL.searchParams.set('autoplay', '1');
+  }
+  if (loop) {
+    embedURL.searchParams.set('loop', '1');
+  }
+  if (start > 0) {
+    embedURL.searchParams.set('start', String(Math.round(start)));
+  }
+
+  return embedURL.toString();
+};
+
+// <iframe> snippet for an embed player URL
+export const generateEmbedCode = (embedURL, { width, height } = DEFAULT_EMBED_SIZE) => (
+  `<iframe src="${embedURL.replace(/&/g, '&amp;')}" width="${width}" height="${height}" ` +
+  'style="border:0" loading="lazy" allowfullscreen title="LenaMaps trip"></iframe>'
+);
+
 // Copy text to clipboard with fallback
 export const copyToClipboard = async (text) => {
   try {
@@ -127,12 +333,19 @@ export const copyToClipboard = async (text) => {
 // Check if URL has a shared trip
 export const hasSharedTrip = () => {
   const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.has('trip');
+  return urlParams.has('trip') || urlParams.has('shareError');
 };
 
 // Load shared trip from URL
-export const loadSharedTrip = () => {
+// Throws for short links that couldn't be opened and unsupported link
+// versions (see decodeTripFromURL)
+export const loadSharedTrip = async () => {
   const urlParams = new URLSearchParams(window.location.search);
+  const shareError = urlParams.get('shareError');
+  if (shareError) {
+    throw new Error(SHORT_LINK_ERRORS[shareError] || SHORT_LINK_ERRORS.unavailable);
+  }
+
   const encodedTrip = urlParams.get('trip');
   
   if (!encodedTrip) {
@@ -146,5 +359,73 @@ export const loadSharedTrip = () => {
 export const clearSharedTripFromURL = () => {
   const url = new URL(window.location);
   url.searchParams.delete('trip');
+  url.searchParams.delete('shareError');
   window.history.replaceState({}, document.title, url.pathname);
-};
\ No newline at end of file
+};
+
+// Route data for the map from a loaded shared trip (the directionsRoute the
+// panel would calculate), or null for fewer than two stops
+export const buildSharedTripRoute = (sharedTrip) => {
+  if (sharedTrip.locations.length < 2) {
+    return null;
+  }
+
+  const segments = [];
+  for (let i = 0; i < sharedTrip.locations.length - 1; i++) {
+    segments.push({
+      mode: sharedTrip.modes[i] || 'walk',
+      startIndex: i,
+      endIndex: i + 1,
+      routeIndex: sharedTrip.routeChoices[i] || 0
+    });
+  }
+
+  return {
+    origin: sharedTrip.locations[0],
+    destination: sharedTrip.locations[sharedTrip.locations.length - 1],
+    waypoints: sharedTrip.locations.slice(1, -1),
+    mode: sharedTrip.modes[0] || 'walk',
+    segments,
+    allLocations: sharedTrip.locations,
+    allModes: sharedTrip.modes,
+    routeId: `shared_${Date.now()}`
+  };
+};
+
+// Check if this page is the embed player (see EmbedView)
+export const isEmbedPage = () => EMBED_PATH.test(window.location.pathname);
+
+// Playback options of the embed player: ?autoplay=1&loop=1&start=25
+export const getEmbedOptions = () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  const isSet = (name) => ['1', 'true'].includes(urlParams.get(name));
+  const start = Number(urlParams.get('start'));
+
+  return {
+    autoplay: isSet('autoplay'),
+    loop: isSet('loop'),
+    startProgress: Number.isFinite(start) ? Math.min(100, Math.max(0, start)) : 0
+  };
+};
+
+// Load the trip the embed player shows, from ?trip= or a short link slug
+// Throws like loadSharedTrip
+export const loadEmbeddedTrip = async () => {
+  const slug = window.location.pathname.match(EMBED_PATH)?.[1];
+
+  if (!slug) {
+    return loadSharedTrip();
+  }
+
+  let sharedTrip;
+  try {
+    sharedTrip = await shareAPI.get(slug);
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(SHORT_LINK_ERRORS['not-found']);
+    }
+    throw new Error(error.status === 410 ? SHORT_LINK_ERRORS.expired : SHORT_LINK_ERRORS.unavailable);
+  }
+
+  return decodeTripFromURL(sharedTrip.trip);
+};
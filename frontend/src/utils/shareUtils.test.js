@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { encodeTripToURL, decodeTripFromURL } from './shareUtils';
+
+// A link made by the v1 encoder (base64 JSON), as older versions shared it
+const V1_LINK = 'eyJ2IjoxLCJsIjpbeyJuIjoiUG9ydCBBbmdlbGVzIiwibGF0Ijo0OC4xMTgxLCJsbmciOi0xMjMuNDMwNywicCI6IkNoSUpwYSIsImMiOiJGZXJyeSBoZXJlIiwiZHciOjYwMH0seyJuIjoiU2VhdHRsZSIsImxhdCI6NDcuNjA2MiwibG5nIjotMTIyLjMzMjF9XSwibSI6WyJmZXJyeSJdLCJlIjp7ImNvbmZldHRpIjp0cnVlfSwiciI6WzFdfQ';
+
+const STOPS = [
+  { name: 'Port Angeles', lat: 48.1181, lng: -123.4307, place_id: 'ChIJpa', caption: 'Ferry here', dwellSeconds: 600 },
+  null,
+  { name: 'Victoria', lat: 48.4284, lng: -123.3656 },
+  { name: 'Vancouver', lat: 49.2827, lng: -123.1207, caption: 'Dinner', photo: 'data:image/jpeg;base64,AAAA' }
+];
+
+// The fields a decoded stop keeps (geometry is only there for Google Maps)
+const summarize = ({ locations, modes, effects, routeChoices }) => ({
+  locations: locations.map(({ geometry, ...stop }) => stop),
+  modes,
+  effects,
+  routeChoices
+});
+
+describe('share links', () => {
+  it('round-trips a trip through a v2 link', async () => {
+    const encoded = await encodeTripToURL(STOPS, ['ferry', 'flight'], { confetti: true }, [null, 1]);
+
+    expect(encoded).toMatch(/^2\.[A-Za-z0-9_-]+$/);
+    expect(summarize(await decodeTripFromURL(encoded))).toEqual({
+      locations: [
+        {
+          name: 'Port Angeles',
+          formatted_address: 'Port Angeles',
+          lat: 48.1181,
+          lng: -123.4307,
+          place_id: 'ChIJpa',
+          caption: 'Ferry here',
+          dwellSeconds: 600
+        },
+        { name: 'Victoria', formatted_address: 'Victoria', lat: 48.4284, lng: -123.3656, place_id: undefined },
+        {
+          name: 'Vancouver',
+          formatted_address: 'Vancouver',
+          lat: 49.2827,
+          lng: -123.1207,
+          place_id: undefined,
+          caption: 'Dinner',
+          photo: 'data:image/jpeg;base64,AAAA'
+        }
+      ],
+      modes: ['ferry', 'flight'],
+      effects: { confetti: true },
+      routeChoices: [null, 1]
+    });
+  });
+
+  it('keeps every mode through the v2 mode string', async () => {
+    const modes = ['walk', 'bike', 'bus', 'car', 'transit', 'train', 'ferry', 'flight', 'custom'];
+    const stops = Array.from({ length: modes.length + 1 }, (_, i) => ({ name: `Stop ${i}`, lat: 48 + i / 10, lng: -123 }));
+
+    const decoded = await decodeTripFromURL(await encodeTripToURL(stops, modes));
+
+    expect(decoded.modes).toEqual(modes);
+    expect(decoded.routeChoices).toEqual([]);
+  });
+
+  it('still opens v1 links', async () => {
+    expect(summarize(await decodeTripFromURL(V1_LINK))).toEqual({
+      locations: [
+        {
+          name: 'Port Angeles',
+          formatted_address: 'Port Angeles',
+          lat: 48.1181,
+          lng: -123.4307,
+          place_id: 'ChIJpa',
+          caption: 'Ferry here',
+          dwellSeconds: 600
+        },
+        { name: 'Seattle', formatted_address: 'Seattle', lat: 47.6062, lng: -122.3321, place_id: undefined }
+      ],
+      modes: ['ferry'],
+      effects: { confetti: true },
+      routeChoices: [1]
+    });
+  });
+
+  it('rejects links from a newer share format', async () => {
+    await expect(decodeTripFromURL('3.abc')).rejects.toMatchObject({ code: 'UNSUPPORTED_SHARE_VERSION' });
+    await expect(decodeTripFromURL('3.abc')).rejects.toThrow(/share format v3/);
+  });
+
+  it('returns null for links it cannot read', async () => {
+    expect(await decodeTripFromURL('')).toBeNull();
+    expect(await decodeTripFromURL('not-a-trip')).toBeNull();
+    expect(await decodeTripFromURL('2.not-deflated')).toBeNull();
+  });
+
+  it('does not share an empty trip', async () => {
+    expect(await encodeTripToURL([null, null], ['walk'])).toBeNull();
+  });
+});
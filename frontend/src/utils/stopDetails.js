@@ -0,0 +1,58 @@
+// Utility functions for per-stop details: caption, photo and dwell time
+//
+// These live directly on location objects ({ lat, lng, name, caption, photo,
+// dwellSeconds }) so they travel with the stop through reordering, saving
+// and sharing.
+
+export const MAX_DWELL_SECONDS = 30;
+// Dwell given to a stop when it first gets a caption or photo, so it shows up
+export const DEFAULT_DWELL_SECONDS = 3;
+// Photos are downscaled so they fit in saved routes and share URLs
+const PHOTO_MAX_SIZE = 320; // px, longest side
+const PHOTO_QUALITY = 0.7;
+
+// Pick only the stop detail fields from a location (undefined ones dropped)
+export const getStopDetails = (location) => {
+  if (!location) return {};
+  const details = {};
+  if (location.caption) details.caption = location.caption;
+  if (location.photo) details.photo = location.photo;
+  if (location.dwellSeconds > 0) details.dwellSeconds = location.dwellSeconds;
+  return details;
+};
+
+export const hasStopDetails = (location) => Object.keys(getStopDetails(location)).length > 0;
+
+// Whether the animation should show a caption card at this stop
+export const hasStopCard = (location) => Boolean(location && (location.caption || location.photo));
+
+export const clampDwellSeconds = (seconds) => {
+  const value = Number(seconds);
+  if (!Number.isFinite(value) || value <= 0) return 0;
+  return Math.min(MAX_DWELL_SECONDS, Math.round(value * 10) / 10);
+};
+
+// Read an image file and downscale it to a small JPEG data URL
+export const resizePhotoToDataURL = (file) => new Promise((resolve, reject) => {
+  if (!file || !file.type.startsWith('image/')) {
+    reject(new Error('Please choose an image file'));
+    return;
+  }
+
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL('image/jpeg', PHOTO_QUALITY));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read this image'));
+  };
+  image.src = url;
+});
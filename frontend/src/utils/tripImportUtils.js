@@ -0,0 +1,358 @@
+// Utility functions for importing recorded tracks (GPX, KML, GeoJSON) as a trip
+
+import { TRANSPORTATION_MODES } from '../constants/transportationModes';
+
+// A waypoint within this distance of a track vertex splits the track into legs
+const WAYPOINT_SNAP_DISTANCE = 200; // meters
+// Tracks whose ends are further apart than this get a straight connecting leg
+const TRACK_GAP_DISTANCE = 50; // meters
+
+// Haversine distance between two {lat, lng} objects in meters
+const distanceBetween = (a, b) => {
+  const R = 6371000;
+  const dLat = (b.lat - a.lat) * Math.PI / 180;
+  const dLng = (b.lng - a.lng) * Math.PI / 180;
+  const lat1 = a.lat * Math.PI / 180;
+  const lat2 = b.lat * Math.PI / 180;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+const isValidPoint = (point) => point &&
+  !isNaN(point.lat) && !isNaN(point.lng) &&
+  Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+
+// Map a free-form activity/type string onto one of our transportation modes
+const toMode = (type) => {
+  if (!type) return null;
+  const value = String(type).trim().toLowerCase();
+  if (TRANSPORTATION_MODES[value] && value !== 'custom') return value;
+  if (/hik|walk|run|foot/.test(value)) return 'walk';
+  if (/bik|cycl/.test(value)) return 'bike';
+  if (/car|driv/.test(value)) return 'car';
+  if (/fly|flight|plane/.test(value)) return 'flight';
+  if (/boat|ferry|sail/.test(value)) return 'ferry';
+  if (/train|rail/.test(value)) return 'train';
+  if (/tram|subway|metro|transit/.test(value)) return 'transit';
+  return null;
+};
+
+const childText = (element, tagName) => {
+  const child = element.getElementsByTagName(tagName)[0];
+  return child ? child.textContent.trim() : '';
+};
+
+// ============================================================================
+// FORMAT PARSERS - each returns { tracks: [{ name, mode, points }], waypoints: [{ lat, lng, name }] }
+// ============================================================================
+
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML');
+  }
+  return doc;
+};
+
+export const parseGPX = (text) => {
+  const doc = parseXml(text);
+  const tracks = [];
+  const waypoints = [];
+
+  const readPoint = (element) => ({
+    lat: parseFloat(element.getAttribute('lat')),
+    lng: parseFloat(element.getAttribute('lon'))
+  });
+
+  // Tracks (<trk>) - every <trkseg> becomes its own track
+  Array.from(doc.getElementsByTagName('trk')).forEach((trk) => {
+    const name = childText(trk, 'name');
+    const mode = toMode(childText(trk, 'type'));
+    Array.from(trk.getElementsByTagName('trkseg')).forEach((seg) => {
+      const points = Array.from(seg.getElementsByTagName('trkpt')).map(readPoint).filter(isValidPoint);
+      tracks.push({ name, mode, points });
+    });
+  });
+
+  // Routes (<rte>) are treated like tracks
+  Array.from(doc.getElementsByTagName('rte')).forEach((rte) => {
+    const points = Array.from(rte.getElementsByTagName('rtept')).map(readPoint).filter(isValidPoint);
+    tracks.push({ name: childText(rte, 'name'), mode: toMode(childText(rte, 'type')), points });
+  });
+
+  Array.from(doc.getElementsByTagName('wpt')).forEach((wpt) => {
+    const point = readPoint(wpt);
+    if (isValidPoint(point)) {
+      waypoints.push({ ...point, name: childText(wpt, 'name') });
+    }
+  });
+
+  return { tracks, waypoints };
+};
+
+// KML coordinates are "lng,lat[,alt]" tuples separated by whitespace
+const parseKmlCoordinates = (text) => text
+  .trim()
+  .split(/\s+/)
+  .map((tuple) => {
+    const [lng, lat] = tuple.split(',').map(parseFloat);
+    return { lat, lng };
+  })
+  .filter(isValidPoint);
+
+export const parseKML = (text) => {
+  const doc = parseXml(text);
+  const tracks = [];
+  const waypoints = [];
+
+  Array.from(doc.getElementsByTagName('Placemark')).forEach((placemark) => {
+    const name = childText(placemark, 'name');
+
+    Array.from(placemark.getElementsByTagName('LineString')).forEach((line) => {
+      const points = parseKmlCoordinates(childText(line, 'coordinates'));
+      tracks.push({ name, mode: null, points });
+    });
+
+    // Only standalone points are waypoints (not the points of a MultiGeometry track)
+    if (placemark.getElementsByTagName('LineString').length === 0) {
+      Array.from(placemark.getElementsByTagName('Point')).forEach((pointElement) => {
+        const [point] = parseKmlCoordinates(childText(pointElement, 'coordinates'));
+        if (point) {
+          waypoints.push({ ...point, name });
+        }
+      });
+    }
+  });
+
+  return { tracks, waypoints };
+};
+
+export const parseGeoJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error('The file is not valid GeoJSON');
+  }
+
+  const tracks = [];
+  const waypoints = [];
+  // Geometry members that should be arrays but aren't make the whole file unreadable
+  const asArray = (value) => {
+    if (!Array.isArray(value)) {
+      throw new Error('The file is not valid GeoJSON');
+    }
+    return value;
+  };
+  const toPoints = (coordinates) => asArray(coordinates)
+    .map((position) => (Array.isArray(position) ? { lat: position[1], lng: position[0] } : null))
+    .filter(isValidPoint);
+
+  const visit = (geometry, properties = {}) => {
+    if (!geometry) return;
+    const name = properties.name || properties.title || '';
+    const mode = toMode(properties.mode || properties.type || properties.activity);
+
+    switch (geometry.type) {
+      case 'LineString':
+        tracks.push({ name, mode, points: toPoints(geometry.coordinates) });
+        break;
+      case 'MultiLineString':
+        asArray(geometry.coordinates).forEach((line) => tracks.push({ name, mode, points: toPoints(line) }));
+        break;
+      case 'Point': {
+        const [point] = toPoints([geometry.coordinates]);
+        if (point) waypoints.push({ ...point, name });
+        break;
+      }
+      case 'GeometryCollection':
+        asArray(geometry.geometries).forEach((child) => visit(child, properties));
+        break;
+      default:
+        break;
+    }
+  };
+
+  if (data.type === 'FeatureCollection') {
+    asArray(data.features || []).forEach((feature) => visit(feature?.geometry, feature?.properties || {}));
+  } else if (data.type === 'Feature') {
+    visit(data.geometry, data.properties || {});
+  } else {
+    visit(data);
+  }
+
+  return { tracks, waypoints };
+};
+
+// ============================================================================
+// TRIP BUILDING
+// ============================================================================
+
+// Split a track at every waypoint that lies on it
+const splitTrackAtWaypoints = (track, waypoints) => {
+  const splitIndices = new Set();
+
+  waypoints.forEach((waypoint) => {
+    let nearestIndex = -1;
+    let nearestDistance = Infinity;
+    track.points.forEach((point, index) => {
+      const distance = distanceBetween(point, waypoint);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestIndex = index;
+      }
+    });
+
+    if (nearestDistance <= WAYPOINT_SNAP_DISTANCE &&
+        nearestIndex > 0 && nearestIndex < track.points.length - 1) {
+      splitIndices.add(nearestIndex);
+    }
+  });
+
+  const sortedIndices = Array.from(splitIndices).sort((a, b) => a - b);
+  const pieces = [];
+  let start = 0;
+  sortedIndices.forEach((index) => {
+    pieces.push(track.points.slice(start, index + 1));
+    start = index;
+  });
+  pieces.push(track.points.slice(start));
+
+  return pieces.filter(piece => piece.length >= 2);
+};
+
+// Name stops after file waypoints - each waypoint names only its closest stop
+const nameStops = (points, waypoints) => {
+  const names = points.map(() => ({ name: '', distance: WAYPOINT_SNAP_DISTANCE }));
+
+  waypoints.forEach((waypoint) => {
+    if (!waypoint.name) return;
+    let closestIndex = -1;
+    let closestDistance = Infinity;
+    points.forEach((point, index) => {
+      const distance = distanceBetween(point, waypoint);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestIndex = index;
+      }
+    });
+    if (closestIndex !== -1 && closestDistance <= names[closestIndex].distance) {
+      names[closestIndex] = { name: waypoint.name, distance: closestDistance };
+    }
+  });
+
+  return names.map(entry => entry.name);
+};
+
+const toLocation = (point, name) => ({
+  lat: point.lat,
+  lng: point.lng,
+  name
+});
+
+/**
+ * Convert parsed tracks and waypoints into DirectionsPanel state.
+ * Every track (split at its waypoints) becomes a locked draw-mode leg whose
+ * customPath holds the full recorded geometry. Files with waypoints but no
+ * tracks just fill the locations array and get routed normally.
+ */
+export const buildTripFromTracks = ({ tracks, waypoints }) => {
+  const usableTracks = tracks.filter(track => track.points.length >= 2);
+
+  if (usableTracks.length === 0) {
+    if (waypoints.length === 0) {
+      throw new Error('No tracks or waypoints found in the file');
+    }
+    const locations = waypoints.map((waypoint, index) =>
+      toLocation(waypoint, waypoint.name || `Imported stop ${index + 1}`)
+    );
+    const legCount = Math.max(1, locations.length - 1);
+    if (locations.length === 1) {
+      locations.push(null);
+    }
+    return {
+      locations,
+      modes: Array(legCount).fill('walk'),
+      customDrawEnabled: Array(legCount).fill(false),
+      lockedSegments: Array(legCount).fill(false),
+      customPaths: Array(legCount).fill(null)
+    };
+  }
+
+  // Legs in file order, each with its geometry
+  const legs = [];
+  usableTracks.forEach((track) => {
+    splitTrackAtWaypoints(track, waypoints).forEach((points) => {
+      const previousLeg = legs[legs.length - 1];
+      if (previousLeg) {
+        const gapStart = previousLeg.points[previousLeg.points.length - 1];
+        const gapEnd = points[0];
+        if (distanceBetween(gapStart, gapEnd) > TRACK_GAP_DISTANCE) {
+          // Bridge disconnected tracks with a straight line
+          legs.push({ mode: previousLeg.mode, points: [gapStart, gapEnd] });
+        } else {
+          // Close enough - start this leg exactly where the last one ended
+          points = [gapStart, ...points.slice(1)];
+        }
+      }
+      legs.push({ mode: track.mode || 'walk', points });
+    });
+  });
+
+  const stopPoints = [legs[0].points[0], ...legs.map(leg => leg.points[leg.points.length - 1])];
+  const stopNames = nameStops(stopPoints, waypoints);
+  const locations = stopPoints.map((point, index) => {
+    let fallbackName = `Imported stop ${index}`;
+    if (index === 0) fallbackName = 'Imported start';
+    if (index === stopPoints.length - 1) fallbackName = 'Imported finish';
+    return toLocation(point, stopNames[index] || fallbackName);
+  });
+
+  return {
+    locations,
+    modes: legs.map(leg => leg.mode),
+    customDrawEnabled: legs.map(() => true),
+    lockedSegments: legs.map(() => true),
+    customPaths: legs.map(leg => leg.points.map(point => ({ lat: point.lat, lng: point.lng })))
+  };
+};
+
+// Detect the file format from its name, falling back to sniffing the content
+const detectFormat = (fileName, text) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'gpx') return 'gpx';
+  if (extension === 'kml') return 'kml';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/i.test(trimmed)) return 'gpx';
+  if (/<kml[\s>]/i.test(trimmed)) return 'kml';
+  return null;
+};
+
+// Read a File and convert it into trip state for DirectionsPanel
+export const importTripFromFile = async (file) => {
+  const text = await file.text();
+  const format = detectFormat(file.name, text);
+
+  let parsed;
+  switch (format) {
+    case 'gpx':
+      parsed = parseGPX(text);
+      break;
+    case 'kml':
+      parsed = parseKML(text);
+      break;
+    case 'geojson':
+      parsed = parseGeoJSON(text);
+      break;
+    default:
+      throw new Error('Unsupported file type. Please use GPX, KML or GeoJSON.');
+  }
+
+  return buildTripFromTracks(parsed);
+};
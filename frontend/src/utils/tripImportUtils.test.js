@@ -0,0 +1,235 @@
+// @vitest-environment happy-dom
+import { describe, it, expect } from 'vitest';
+import { parseGPX, parseKML, parseGeoJSON, buildTripFromTracks } from './tripImportUtils';
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="47.6062" lon="-122.3321"><name>Seattle</name></wpt>
+  <wpt lat="999" lon="0"><name>Nowhere</name></wpt>
+  <trk>
+    <name>Morning hike</name>
+    <type>hiking</type>
+    <trkseg>
+      <trkpt lat="47.60" lon="-122.33"></trkpt>
+      <trkpt lat="47.61" lon="-122.34"></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="47.62" lon="-122.35"></trkpt>
+      <trkpt lat="bad" lon="-122.36"></trkpt>
+      <trkpt lat="47.63" lon="-122.36"></trkpt>
+    </trkseg>
+  </trk>
+  <rte>
+    <name>Ferry back</name>
+    <type>boat</type>
+    <rtept lat="47.63" lon="-122.36"></rtept>
+    <rtept lat="47.60" lon="-122.33"></rtept>
+  </rte>
+</gpx>`;
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Placemark>
+      <name>Ridge walk</name>
+      <LineString>
+        <coordinates>
+          -122.33,47.60,10 -122.34,47.61,12
+          -122.35,47.62
+        </coordinates>
+      </LineString>
+    </Placemark>
+    <Placemark>
+      <name>Summit</name>
+      <Point><coordinates>-122.35,47.62,300</coordinates></Point>
+    </Placemark>
+  </Document>
+</kml>`;
+
+const GEOJSON = JSON.stringify({
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { name: 'Commute', activity: 'cycling' },
+      geometry: { type: 'LineString', coordinates: [[-122.33, 47.60], [-122.34, 47.61]] }
+    },
+    {
+      type: 'Feature',
+      properties: { title: 'Two drives', mode: 'car' },
+      geometry: {
+        type: 'MultiLineString',
+        coordinates: [[[-122.34, 47.61], [-122.35, 47.62]], [[-122.35, 47.62], [-122.36, 47.63]]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: { name: 'Office' },
+      geometry: {
+        type: 'GeometryCollection',
+        geometries: [{ type: 'Point', coordinates: [-122.36, 47.63] }]
+      }
+    },
+    { type: 'Feature', properties: null, geometry: null }
+  ]
+});
+
+describe('parseGPX', () => {
+  it('reads track segments, routes and waypoints', () => {
+    const { tracks, waypoints } = parseGPX(GPX);
+
+    expect(tracks).toEqual([
+      { name: 'Morning hike', mode: 'walk', points: [{ lat: 47.60, lng: -122.33 }, { lat: 47.61, lng: -122.34 }] },
+      { name: 'Morning hike', mode: 'walk', points: [{ lat: 47.62, lng: -122.35 }, { lat: 47.63, lng: -122.36 }] },
+      { name: 'Ferry back', mode: 'ferry', points: [{ lat: 47.63, lng: -122.36 }, { lat: 47.60, lng: -122.33 }] }
+    ]);
+    expect(waypoints).toEqual([{ lat: 47.6062, lng: -122.3321, name: 'Seattle' }]);
+  });
+
+  it('rejects files that are not XML', () => {
+    expect(() => parseGPX('<gpx><trk></gpx>')).toThrow('The file is not valid XML');
+  });
+});
+
+describe('parseKML', () => {
+  it('reads line strings as tracks and lone points as waypoints', () => {
+    const { tracks, waypoints } = parseKML(KML);
+
+    expect(tracks).toEqual([{
+      name: 'Ridge walk',
+      mode: null,
+      points: [{ lat: 47.60, lng: -122.33 }, { lat: 47.61, lng: -122.34 }, { lat: 47.62, lng: -122.35 }]
+    }]);
+    expect(waypoints).toEqual([{ lat: 47.62, lng: -122.35, name: 'Summit' }]);
+  });
+});
+
+describe('parseGeoJSON', () => {
+  it('reads lines, multi-lines and points from a feature collection', () => {
+    const { tracks, waypoints } = parseGeoJSON(GEOJSON);
+
+    expect(tracks).toEqual([
+      { name: 'Commute', mode: 'bike', points: [{ lat: 47.60, lng: -122.33 }, { lat: 47.61, lng: -122.34 }] },
+      { name: 'Two drives', mode: 'car', points: [{ lat: 47.61, lng: -122.34 }, { lat: 47.62, lng: -122.35 }] },
+      { name: 'Two drives', mode: 'car', points: [{ lat: 47.62, lng: -122.35 }, { lat: 47.63, lng: -122.36 }] }
+    ]);
+    expect(waypoints).toEqual([{ lat: 47.63, lng: -122.36, name: 'Office' }]);
+  });
+
+  it('reads a bare geometry', () => {
+    const { tracks } = parseGeoJSON(JSON.stringify({ type: 'LineString', coordinates: [[0, 0], [0.01, 0]] }));
+
+    expect(tracks).toEqual([{ name: '', mode: null, points: [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.01 }] }]);
+  });
+
+  it('rejects files that are not JSON', () => {
+    expect(() => parseGeoJSON('{"type": ')).toThrow('The file is not valid JSON');
+  });
+
+  it.each([
+    ['a line with no coordinates', { type: 'LineString' }],
+    ['a multi-line with no coordinates', { type: 'MultiLineString' }],
+    ['a multi-line of positions instead of lines', { type: 'MultiLineString', coordinates: [0, 0] }],
+    ['a collection with no geometries', { type: 'GeometryCollection' }],
+    ['features that are not a list', { type: 'FeatureCollection', features: {} }],
+    ['a bare value', 42]
+  ])('rejects %s as not valid GeoJSON', (_, data) => {
+    expect(() => parseGeoJSON(JSON.stringify(data))).toThrow('The file is not valid GeoJSON');
+  });
+});
+
+// Points along the equator, 0.01 degrees (about 1.1 km) apart
+const along = (...lngs) => lngs.map(lng => ({ lat: 0, lng }));
+
+describe('buildTripFromTracks', () => {
+  it('turns a track into a locked drawn leg', () => {
+    const trip = buildTripFromTracks({ tracks: [{ mode: 'bike', points: along(0, 0.01, 0.02) }], waypoints: [] });
+
+    expect(trip).toEqual({
+      locations: [
+        { lat: 0, lng: 0, name: 'Imported start' },
+        { lat: 0, lng: 0.02, name: 'Imported finish' }
+      ],
+      modes: ['bike'],
+      customDrawEnabled: [true],
+      lockedSegments: [true],
+      customPaths: [along(0, 0.01, 0.02)]
+    });
+  });
+
+  it('splits a track at the waypoints on it and names those stops', () => {
+    const trip = buildTripFromTracks({
+      tracks: [{ mode: null, points: along(0, 0.01, 0.02, 0.03) }],
+      waypoints: [
+        { lat: 0.0005, lng: 0.01, name: 'Lunch' },
+        // Too far from the track to split it
+        { lat: 0.1, lng: 0.02, name: 'Detour' }
+      ]
+    });
+
+    expect(trip.locations.map(location => location.name)).toEqual(['Imported start', 'Lunch', 'Imported finish']);
+    expect(trip.modes).toEqual(['walk', 'walk']);
+    expect(trip.customPaths).toEqual([along(0, 0.01), along(0.01, 0.02, 0.03)]);
+  });
+
+  it('bridges a gap between tracks with a straight leg', () => {
+    const trip = buildTripFromTracks({
+      tracks: [
+        { mode: 'car', points: along(0, 0.01) },
+        { mode: 'ferry', points: along(0.02, 0.03) }
+      ],
+      waypoints: []
+    });
+
+    expect(trip.modes).toEqual(['car', 'car', 'ferry']);
+    expect(trip.customPaths).toEqual([along(0, 0.01), along(0.01, 0.02), along(0.02, 0.03)]);
+    expect(trip.locations.map(location => location.name)).toEqual([
+      'Imported start', 'Imported stop 1', 'Imported stop 2', 'Imported finish'
+    ]);
+  });
+
+  it('joins tracks that nearly touch without a bridge', () => {
+    const trip = buildTripFromTracks({
+      tracks: [
+        { mode: 'walk', points: along(0, 0.01) },
+        // About 11 m from where the first track ends
+        { mode: 'bike', points: along(0.0101, 0.02) }
+      ],
+      waypoints: []
+    });
+
+    expect(trip.modes).toEqual(['walk', 'bike']);
+    expect(trip.customPaths[1]).toEqual(along(0.01, 0.02));
+  });
+
+  it('routes between waypoints when the file has no tracks', () => {
+    const trip = buildTripFromTracks({
+      tracks: [{ points: along(0) }],
+      waypoints: [{ lat: 0, lng: 0, name: 'Home' }, { lat: 0, lng: 0.01, name: '' }, { lat: 0, lng: 0.02, name: 'Work' }]
+    });
+
+    expect(trip).toEqual({
+      locations: [
+        { lat: 0, lng: 0, name: 'Home' },
+        { lat: 0, lng: 0.01, name: 'Imported stop 2' },
+        { lat: 0, lng: 0.02, name: 'Work' }
+      ],
+      modes: ['walk', 'walk'],
+      customDrawEnabled: [false, false],
+      lockedSegments: [false, false],
+      customPaths: [null, null]
+    });
+  });
+
+  it('leaves an empty destination after a single waypoint', () => {
+    const trip = buildTripFromTracks({ tracks: [], waypoints: [{ lat: 0, lng: 0, name: 'Home' }] });
+
+    expect(trip.locations).toEqual([{ lat: 0, lng: 0, name: 'Home' }, null]);
+    expect(trip.modes).toEqual(['walk']);
+    expect(trip.customPaths).toEqual([null]);
+  });
+
+  it('rejects files with nothing to import', () => {
+    expect(() => buildTripFromTracks({ tracks: [], waypoints: [] })).toThrow('No tracks or waypoints found in the file');
+  });
+});
@@ -0,0 +1,217 @@
+import { calculateDistance } from '../features/map/GoogleMap/utils/segmentUtils';
+import { REALTIME_PLAYBACK } from '../constants/animationConstants';
+import directionsCache from './caching/DirectionsCache';
+import { getRoutingCacheKey } from '../services/routing';
+
+/**
+ * Trip optimizer - finds a shorter order for the stops of a trip
+ *
+ * The first stop always stays first (and the last stays last if asked);
+ * the stops in between are reordered to minimize total distance or time.
+ * Costs start as straight-line estimates and are replaced by cached
+ * Directions results where the cache already has the leg.
+ *
+ * Each stop leaves with the mode of its current outgoing leg (the last stop
+ * with the mode of the final leg), the same rule reordering uses for new legs.
+ */
+
+// Above this, walk and bike legs are routed as driving (see RouteSegmentManager)
+const LONG_LEG_KM = 30;
+
+// Mode the Directions request was made with, which is the cache key
+const getRoutedMode = (mode, km) => {
+  if (km > LONG_LEG_KM && (mode === 'walk' || mode === 'bike')) return 'car';
+  return mode;
+};
+
+/**
+ * Straight-line estimate for one leg
+ *
+ * @returns {Object} { distance (m), duration (s) }
+ */
+export const estimateLeg = (from, to, mode) => {
+  const distance = calculateDistance(from, to);
+  const speed = REALTIME_PLAYBACK.MODE_SPEEDS_KMH[mode] || REALTIME_PLAYBACK.MODE_SPEEDS_KMH.walk;
+  return { distance, duration: (distance / 1000 / speed) * 3600 };
+};
+
+/**
+ * Mode each stop leaves with
+ *
+ * @param {number} stopCount
+ * @param {Array} legModes
+ * @returns {Array} One mode per stop
+ */
+export const getStopModes = (stopCount, legModes) =>
+  Array.from({ length: stopCount }, (_, i) => legModes[Math.min(i, stopCount - 2)] || 'walk');
+
+/**
+ * Distance and duration between every pair of stops, from straight lines
+ *
+ * @param {Array} stops - [{ lat, lng }]
+ * @param {Array} stopModes - From getStopModes
+ * @returns {Object} { distance: [[m]], duration: [[s]] }
+ */
+export const buildEstimateMatrix = (stops, stopModes) => {
+  const distance = stops.map(() => []);
+  const duration = stops.map(() => []);
+
+  stops.forEach((from, i) => {
+    stops.forEach((to, j) => {
+      const leg = i === j ? { distance: 0, duration: 0 } : estimateLeg(from, to, stopModes[i]);
+      distance[i][j] = leg.distance;
+      duration[i][j] = leg.duration;
+    });
+  });
+
+  return { distance, duration };
+};
+
+/**
+ * Replace estimates with cached Directions results where there are any
+ * Only reads the cache, so it never makes Directions requests.
+ *
+ * @param {Array} stops
+ * @param {Array} stopModes
+ * @param {Object} matrix - From buildEstimateMatrix (not modified)
+ * @returns {Promise<Object>} { distance, duration, cachedPairs, totalPairs }
+ */
+export const refineMatrixFromCache = async (stops, stopModes, matrix) => {
+  const distance = matrix.distance.map(row => [...row]);
+  const duration = matrix.duration.map(row => [...row]);
+  let cachedPairs = 0;
+  let totalPairs = 0;
+
+  for (let i = 0; i < stops.length; i++) {
+    for (let j = 0; j < stops.length; j++) {
+      if (i === j || stopModes[i] === 'flight') continue;
+      totalPairs++;
+
+      const routedMode = getRoutedMode(stopModes[i], matrix.distance[i][j] / 1000);
+      const cached = await directionsCache.get(stops[i], stops[j], routedMode, getRoutingCacheKey());
+      const leg = cached?.routes?.[0]?.legs?.[0];
+      if (!leg?.distance?.value) continue;
+
+      distance[i][j] = leg.distance.value;
+      if (leg.duration?.value) {
+        duration[i][j] = leg.duration.value;
+      }
+      cachedPairs++;
+    }
+  }
+
+  return { distance, duration, cachedPairs, totalPairs };
+};
+
+/**
+ * Total distance and duration of the stops visited in this order
+ *
+ * @returns {Object} { distance (m), duration (s) }
+ */
+export const measureOrder = (order, matrix) => {
+  let distance = 0;
+  let duration = 0;
+  for (let k = 0; k < order.length - 1; k++) {
+    distance += matrix.distance[order[k]][order[k + 1]];
+    duration += matrix.duration[order[k]][order[k + 1]];
+  }
+  return { distance, duration };
+};
+
+const orderCost = (order, costs) => {
+  let total = 0;
+  for (let k = 0; k < order.length - 1; k++) {
+    total += costs[order[k]][order[k + 1]];
+  }
+  return total;
+};
+
+// 2-opt (reverse a run of stops) and relocation (move one stop) from a
+// starting order until neither improves it. The first stop (and the last
+// if keepLast) stays put.
+const improveOrder = (order, costs, keepLast) => {
+  const firstMovable = 1;
+  const lastMovable = keepLast ? order.length - 2 : order.length - 1;
+
+  let best = order;
+  let bestCost = orderCost(best, costs);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let i = firstMovable; i < lastMovable; i++) {
+      for (let j = i + 1; j <= lastMovable; j++) {
+        // 2-opt: reverse best[i..j]
+        const reversed = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const reversedCost = orderCost(reversed, costs);
+        if (reversedCost < bestCost - 1e-9) {
+          best = reversed;
+          bestCost = reversedCost;
+          improved = true;
+        }
+      }
+    }
+
+    for (let i = firstMovable; i <= lastMovable; i++) {
+      for (let j = firstMovable; j <= lastMovable; j++) {
+        if (i === j) continue;
+        // Relocate: move the stop at position i to position j
+        const moved = [...best];
+        moved.splice(j, 0, ...moved.splice(i, 1));
+        const movedCost = orderCost(moved, costs);
+        if (movedCost < bestCost - 1e-9) {
+          best = moved;
+          bestCost = movedCost;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return { order: best, cost: bestCost };
+};
+
+/**
+ * Shortest order found for the stops
+ * Improves two starting tours - nearest neighbour and the current order - and
+ * keeps the cheaper, so the result is never worse than the current order.
+ * Costs may be asymmetric (one-way streets), so candidates are always
+ * measured in full.
+ *
+ * @param {Object} matrix - { distance, duration }
+ * @param {Object} options
+ * @param {string} options.metric - 'distance' or 'duration'
+ * @param {boolean} options.keepLast - Keep the last stop last
+ * @returns {Array} Stop indexes in visiting order (starts with 0)
+ */
+export const optimizeStopOrder = (matrix, { metric = 'distance', keepLast = false } = {}) => {
+  const costs = matrix[metric];
+  const stopCount = costs.length;
+  const lastIndex = stopCount - 1;
+  const currentOrder = Array.from({ length: stopCount }, (_, i) => i);
+  if (stopCount < 3) return currentOrder;
+
+  // Nearest neighbour from the first stop
+  const remaining = new Set(currentOrder.slice(1));
+  if (keepLast) remaining.delete(lastIndex);
+  const order = [0];
+  while (remaining.size > 0) {
+    const current = order[order.length - 1];
+    let nearest = null;
+    remaining.forEach(candidate => {
+      if (nearest === null || costs[current][candidate] < costs[current][nearest]) {
+        nearest = candidate;
+      }
+    });
+    order.push(nearest);
+    remaining.delete(nearest);
+  }
+  if (keepLast) order.push(lastIndex);
+
+  const fromNearest = improveOrder(order, costs, keepLast);
+  const fromCurrent = improveOrder(currentOrder, costs, keepLast);
+
+  // Ties go to the current order, so an equal order isn't offered as a change
+  return fromNearest.cost < fromCurrent.cost - 1e-9 ? fromNearest.order : fromCurrent.order;
+};
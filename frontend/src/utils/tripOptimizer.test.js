@@ -0,0 +1,94 @@
+import { describe, it, expect, vi } from 'vitest';
+import { optimizeStopOrder, measureOrder } from './tripOptimizer';
+
+// Only the cache lookups need IndexedDB; the ordering itself doesn't
+vi.mock('./caching/DirectionsCache', () => ({ default: { get: vi.fn() } }));
+
+// Stops on a line: the cost between two is how far apart they are
+const lineMatrix = (positions) => {
+  const costs = positions.map(a => positions.map(b => Math.abs(a - b)));
+  return { distance: costs, duration: costs.map(row => row.map(cost => cost * 60)) };
+};
+
+const identity = (count) => Array.from({ length: count }, (_, i) => i);
+
+describe('optimizeStopOrder', () => {
+  it('finds a strictly shorter order for a zig-zag trip', () => {
+    // Stops at 0, 30, 10, 40, 20 - visiting them left to right is shortest
+    const matrix = lineMatrix([0, 30, 10, 40, 20]);
+
+    const order = optimizeStopOrder(matrix);
+
+    expect(order).toEqual([0, 2, 4, 1, 3]);
+    expect(measureOrder(order, matrix).distance).toBe(40);
+    expect(measureOrder(order, matrix).distance).toBeLessThan(measureOrder(identity(5), matrix).distance);
+  });
+
+  it('keeps the first stop first, and the last stop last if asked', () => {
+    // Stops at 20, 0, 30, 10: the shortest open tour from 20 would end elsewhere
+    const matrix = lineMatrix([20, 0, 30, 10]);
+
+    const open = optimizeStopOrder(matrix);
+    const fixedEnd = optimizeStopOrder(matrix, { keepLast: true });
+
+    expect(open).toEqual([0, 2, 3, 1]);
+    expect(measureOrder(open, matrix).distance).toBe(40);
+    expect(fixedEnd).toEqual([0, 2, 1, 3]);
+    expect(measureOrder(fixedEnd, matrix).distance).toBe(50);
+  });
+
+  it('returns the current order when it is already the shortest', () => {
+    const matrix = lineMatrix([0, 10, 20, 30, 40]);
+
+    expect(optimizeStopOrder(matrix)).toEqual(identity(5));
+    expect(optimizeStopOrder(matrix, { keepLast: true })).toEqual(identity(5));
+  });
+
+  it('keeps the current order when another is only as short', () => {
+    // 1 and 2 sit on the same spot, so swapping them costs the same
+    const matrix = lineMatrix([0, 10, 10, 20]);
+
+    expect(optimizeStopOrder(matrix)).toEqual(identity(4));
+  });
+
+  it('never does worse than the current order on one-way costs', () => {
+    // Deterministic asymmetric costs (a small linear congruential generator)
+    let seed = 7;
+    const next = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % 100;
+    };
+
+    for (let trip = 0; trip < 20; trip++) {
+      const distance = identity(6).map(i => identity(6).map(j => (i === j ? 0 : next() + 1)));
+      const matrix = { distance, duration: distance };
+
+      const order = optimizeStopOrder(matrix, { keepLast: trip % 2 === 0 });
+
+      expect(order[0]).toBe(0);
+      expect([...order].sort()).toEqual(identity(6));
+      expect(measureOrder(order, matrix).distance).toBeLessThanOrEqual(measureOrder(identity(6), matrix).distance);
+    }
+  });
+
+  it('optimizes by duration when asked', () => {
+    const distance = [
+      [0, 10, 20],
+      [10, 0, 10],
+      [20, 10, 0]
+    ];
+    // Stop 2 is quick to reach first, stop 1 is slow to reach from 0
+    const duration = [
+      [0, 100, 5],
+      [100, 0, 5],
+      [5, 5, 0]
+    ];
+
+    expect(optimizeStopOrder({ distance, duration }, { metric: 'distance' })).toEqual([0, 1, 2]);
+    expect(optimizeStopOrder({ distance, duration }, { metric: 'duration' })).toEqual([0, 2, 1]);
+  });
+
+  it('leaves trips of fewer than three stops alone', () => {
+    expect(optimizeStopOrder(lineMatrix([5, 0]))).toEqual([0, 1]);
+  });
+});
@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite'
+import { defineConfig, configDefaults } from 'vitest/config'
 import react from '@vitejs/plugin-react'
 
 // https://vitejs.dev/config/
@@ -36,6 +36,11 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:5001',
         changeOrigin: true,
+      },
+      // Short links for shared trips
+      '/s/': {
+        target: 'http://localhost:5001',
+        changeOrigin: true,
       }
     }
   },
@@ -43,4 +48,8 @@ export default defineConfig({
     outDir: 'build',
     sourcemap: true,
   },
+  test: {
+    // directionsCache.test.js is a manual script for the browser console
+    exclude: [...configDefaults.exclude, 'src/utils/directionsCache.test.js'],
+  },
 })